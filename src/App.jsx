@@ -1,31 +1,57 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Header from './components/Header';
+import { SalesDataProvider } from './context/SalesDataContext';
+import { ABCSettingsProvider } from './context/ABCSettingsContext';
+import { PlanningSettingsProvider } from './context/PlanningSettingsContext';
+import { StockLevelsProvider } from './context/StockLevelsContext';
 import Dashboard from './pages/Dashboard';
 import Insights from './pages/Insights';
 import CustomerAnalysis from './pages/CustomerAnalysis';
+import CustomerDetail from './pages/CustomerDetail';
+import CustomerSegments from './pages/CustomerSegments';
 import ProductAnalysis from './pages/ProductAnalysis';
+import ProductDetail from './pages/ProductDetail';
 import CityAnalysis from './pages/CityAnalysis';
 import AcabamentoAnalysis from './pages/AcabamentoAnalysis';
 import InventoryForecast from './pages/InventoryForecast';
+import ForecastAccuracy from './pages/ForecastAccuracy';
+import ProductionPlan from './pages/ProductionPlan';
+import Seasonality from './pages/Seasonality';
+import KitBuilder from './pages/KitBuilder';
 
 function App() {
   return (
     <Router>
-      <div className="App">
-        <Header />
-        <main>
+      <SalesDataProvider>
+        <ABCSettingsProvider>
+          <PlanningSettingsProvider>
+            <StockLevelsProvider>
+              <div className="App">
+                <Header />
+                <main>
                   <Routes>
-          <Route path="/" element={<Dashboard />} />
-          <Route path="/insights" element={<Insights />} />
-          <Route path="/clientes" element={<CustomerAnalysis />} />
-          <Route path="/produtos" element={<ProductAnalysis />} />
-          <Route path="/cidades" element={<CityAnalysis />} />
-          <Route path="/acabamento" element={<AcabamentoAnalysis />} />
-          <Route path="/estoque" element={<InventoryForecast />} />
-        </Routes>
-        </main>
-      </div>
+                    <Route path="/" element={<Dashboard />} />
+                    <Route path="/insights" element={<Insights />} />
+                    <Route path="/clientes" element={<CustomerAnalysis />} />
+                    <Route path="/clientes/:nome" element={<CustomerDetail />} />
+                    <Route path="/segmentos" element={<CustomerSegments />} />
+                    <Route path="/produtos" element={<ProductAnalysis />} />
+                    <Route path="/produtos/:descricao" element={<ProductDetail />} />
+                    <Route path="/cidades" element={<CityAnalysis />} />
+                    <Route path="/acabamento" element={<AcabamentoAnalysis />} />
+                    <Route path="/estoque" element={<InventoryForecast />} />
+                    <Route path="/estoque/acuracia" element={<ForecastAccuracy />} />
+                    <Route path="/estoque/producao" element={<ProductionPlan />} />
+                    <Route path="/estoque/sazonalidade" element={<Seasonality />} />
+                    <Route path="/estoque/kits" element={<KitBuilder />} />
+                  </Routes>
+                </main>
+              </div>
+            </StockLevelsProvider>
+          </PlanningSettingsProvider>
+        </ABCSettingsProvider>
+      </SalesDataProvider>
     </Router>
   );
 }
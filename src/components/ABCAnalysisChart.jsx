@@ -1,18 +1,25 @@
 import React from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+
+// Background and border of the summary card of each class
+const SUMMARY_CARD_COLORS = {
+  A: { background: '#86EFAC', border: '#65A30D' },
+  B: { background: '#FDE68A', border: '#F59E0B' },
+  C: { background: '#FCA5A5', border: '#EF4444' },
+  D: { background: '#D1D5DB', border: '#6B7280' }
+};
 
 const ABCAnalysisChart = ({ data, title, type = 'bar' }) => {
-  const colors = {
-    A: '#2D5A3D', // Moss Green
-    B: '#D2691E', // Sand Orange
-    C: '#B8336A'  // Magenta
-  };
+  const colors = Object.fromEntries(
+    Object.entries(ABC_CLASS_INFO).map(([classification, info]) => [classification, info.color])
+  );
 
-  const pieData = [
-    { name: 'Classe A', value: data.summary.classA.length, color: colors.A },
-    { name: 'Classe B', value: data.summary.classB.length, color: colors.B },
-    { name: 'Classe C', value: data.summary.classC.length, color: colors.C }
-  ];
+  const pieData = data.classes.map(classification => ({
+    name: `Classe ${classification}`,
+    value: data.summary[`class${classification}`].length,
+    color: colors[classification]
+  }));
 
   const barData = data.data.slice(0, 15).map(item => ({
     name: item.name.length > 25 ? item.name.substring(0, 25) + '...' : item.name,
@@ -216,104 +223,43 @@ const ABCAnalysisChart = ({ data, title, type = 'bar' }) => {
         gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
         gap: 'var(--spacing-lg)'
       }}>
-        <div style={{
-          padding: 'var(--spacing-xl)',
-          borderRadius: 'var(--radius-lg)',
-          backgroundColor: '#86EFAC',
-          color: 'white',
-          textAlign: 'center',
-          boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-          border: '1px solid #65A30D'
-        }}>
-          <h4 style={{ 
-            margin: '0 0 var(--spacing-sm) 0', 
-            fontSize: '2.5rem',
-            fontWeight: '700'
-          }}>
-            {data.summary.classA.length}
-          </h4>
-          <p style={{ 
-            margin: '0', 
-            fontSize: '1.125rem',
-            fontWeight: '500',
-            opacity: '0.9'
-          }}>
-            Classe A
-          </p>
-          <p style={{ 
-            margin: 'var(--spacing-sm) 0 0 0', 
-            fontSize: '0.875rem',
-            opacity: '0.8'
-          }}>
-            Alta Prioridade
-          </p>
-        </div>
-        
-        <div style={{
-          padding: 'var(--spacing-xl)',
-          borderRadius: 'var(--radius-lg)',
-          backgroundColor: '#FDE68A',
-          color: 'white',
-          textAlign: 'center',
-          boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-          border: '1px solid #F59E0B'
-        }}>
-          <h4 style={{ 
-            margin: '0 0 var(--spacing-sm) 0', 
-            fontSize: '2.5rem',
-            fontWeight: '700'
-          }}>
-            {data.summary.classB.length}
-          </h4>
-          <p style={{ 
-            margin: '0', 
-            fontSize: '1.125rem',
-            fontWeight: '500',
-            opacity: '0.9'
-          }}>
-            Classe B
-          </p>
-          <p style={{ 
-            margin: 'var(--spacing-sm) 0 0 0', 
-            fontSize: '0.875rem',
-            opacity: '0.8'
-          }}>
-            Média Prioridade
-          </p>
-        </div>
-        
-        <div style={{
-          padding: 'var(--spacing-xl)',
-          borderRadius: 'var(--radius-lg)',
-          backgroundColor: '#FCA5A5',
-          color: 'white',
-          textAlign: 'center',
-          boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
-          border: '1px solid #EF4444'
-        }}>
-          <h4 style={{ 
-            margin: '0 0 var(--spacing-sm) 0', 
-            fontSize: '2.5rem',
-            fontWeight: '700'
-          }}>
-            {data.summary.classC.length}
-          </h4>
-          <p style={{ 
-            margin: '0', 
-            fontSize: '1.125rem',
-            fontWeight: '500',
-            opacity: '0.9'
-          }}>
-            Classe C
-          </p>
-          <p style={{ 
-            margin: 'var(--spacing-sm) 0 0 0', 
-            fontSize: '0.875rem',
-            opacity: '0.8'
-          }}>
-            Baixa Prioridade
-          </p>
-        </div>
+        {data.classes.map(classification => (
+          <div
+            key={classification}
+            style={{
+              padding: 'var(--spacing-xl)',
+              borderRadius: 'var(--radius-lg)',
+              backgroundColor: SUMMARY_CARD_COLORS[classification].background,
+              color: 'white',
+              textAlign: 'center',
+              boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+              border: `1px solid ${SUMMARY_CARD_COLORS[classification].border}`
+            }}
+          >
+            <h4 style={{ 
+              margin: '0 0 var(--spacing-sm) 0', 
+              fontSize: '2.5rem',
+              fontWeight: '700'
+            }}>
+              {data.summary[`class${classification}`].length}
+            </h4>
+            <p style={{ 
+              margin: '0', 
+              fontSize: '1.125rem',
+              fontWeight: '500',
+              opacity: '0.9'
+            }}>
+              Classe {classification}
+            </p>
+            <p style={{ 
+              margin: 'var(--spacing-sm) 0 0 0', 
+              fontSize: '0.875rem',
+              opacity: '0.8'
+            }}>
+              {ABC_CLASS_INFO[classification].label}
+            </p>
+          </div>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,373 @@
+import React, { useState, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { GitCompare, Download, ArrowUp, ArrowDown } from 'lucide-react';
+import { useABCAnalysis } from '../hooks/useABCAnalysis';
+import { usePeriod } from '../hooks/usePeriod';
+import { compareABCAnalyses, formatCurrency } from '../utils/abcAnalysis';
+import { COMPARISON_MODES, getComparisonPeriod } from '../utils/period';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+
+const STATUS_FILTERS = [
+  { value: 'todos', label: 'Todos' },
+  { value: 'caiu', label: 'Caíram de classe' },
+  { value: 'subiu', label: 'Subiram de classe' },
+  { value: 'novo', label: 'Novos' },
+  { value: 'perdido', label: 'Sem compra no período atual' }
+];
+
+const ITEMS_PER_PAGE = 15;
+
+const ClassBadge = ({ classification }) => {
+  if (!classification) {
+    return <span style={{ color: '#9CA3AF' }}>—</span>;
+  }
+
+  return (
+    <span style={{
+      backgroundColor: ABC_CLASS_INFO[classification].color,
+      color: 'white',
+      padding: '4px 10px',
+      borderRadius: '20px',
+      fontSize: '0.75rem',
+      fontWeight: '700'
+    }}>
+      {classification}
+    </span>
+  );
+};
+
+// Period-over-period view of an ABC curve: class in each period, value and rank deltas
+// and the A/B/C migration matrix. The reference period is kept in the URL (?comparar=...).
+const ABCComparison = ({ groupBy, skipNull = false, current, entityLabel, fileName }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { period } = usePeriod();
+  const [statusFilter, setStatusFilter] = useState('todos');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const mode = searchParams.get('comparar') || '';
+  const comparisonPeriod = mode ? getComparisonPeriod(period, mode) : null;
+
+  const { analysis: previous, loading, error } = useABCAnalysis(groupBy, {
+    skipNull,
+    period: comparisonPeriod,
+    enabled: !!comparisonPeriod
+  });
+
+  const comparison = useMemo(() => {
+    if (!current || !previous) return null;
+    return compareABCAnalyses(current, previous);
+  }, [current, previous]);
+
+  const handleModeChange = (value) => {
+    setSearchParams(params => {
+      const next = new URLSearchParams(params);
+      if (value) {
+        next.set('comparar', value);
+      } else {
+        next.delete('comparar');
+      }
+      return next;
+    }, { replace: true });
+    setCurrentPage(1);
+  };
+
+  const filteredItems = useMemo(() => {
+    if (!comparison) return [];
+    return comparison.items
+      .filter(item => statusFilter === 'todos' || item.status === statusFilter)
+      .sort((a, b) => Math.abs(b.valueDelta) - Math.abs(a.valueDelta));
+  }, [comparison, statusFilter]);
+
+  const classes = current ? current.classes : [];
+
+  const totalPages = Math.ceil(filteredItems.length / ITEMS_PER_PAGE);
+  const pageItems = filteredItems.slice((currentPage - 1) * ITEMS_PER_PAGE, currentPage * ITEMS_PER_PAGE);
+
+  // Off-diagonal cells of the matrix, e.g. "12 clientes caíram de A para B"
+  const migrations = comparison
+    ? classes.flatMap(from => classes
+      .filter(to => to !== from && comparison.matrix[from][to] > 0)
+      .map(to => ({
+        from,
+        to,
+        count: comparison.matrix[from][to],
+        down: classes.indexOf(to) > classes.indexOf(from)
+      })))
+    : [];
+
+  const exportToCSV = () => {
+    if (!comparison) return;
+
+    const headers = ['Nome', 'Classe Anterior', 'Classe Atual', 'Valor Anterior', 'Valor Atual', 'Variação Valor', 'Variação %', 'Rank Anterior', 'Rank Atual', 'Variação Rank'];
+    const csvContent = [
+      headers.join(','),
+      ...comparison.items.map(item => [
+        `"${item.name}"`,
+        item.previousClass || '',
+        item.currentClass || '',
+        item.previousValue,
+        item.currentValue,
+        item.valueDelta,
+        item.valueDeltaPercentage !== null ? item.valueDeltaPercentage.toFixed(2) : '',
+        item.previousRank || '',
+        item.currentRank || '',
+        item.rankDelta !== null ? item.rankDelta : ''
+      ].join(','))
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  const cellStyle = {
+    padding: 'var(--spacing-sm) var(--spacing-md)',
+    borderBottom: '1px solid #e5e7eb',
+    fontSize: '0.875rem'
+  };
+
+  return (
+    <div className="card" style={{ padding: 'var(--spacing-xl)', marginTop: 'var(--spacing-2xl)' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 'var(--spacing-md)',
+        marginBottom: 'var(--spacing-lg)'
+      }}>
+        <h3 style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: 'var(--spacing-sm)',
+          fontSize: '1.5rem',
+          fontWeight: '600',
+          color: 'var(--charcoal-black)',
+          margin: 0
+        }}>
+          <GitCompare size={24} color="var(--forest-green)" />
+          Comparação entre períodos
+        </h3>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+          <select
+            value={mode}
+            onChange={(e) => handleModeChange(e.target.value)}
+            style={{
+              padding: 'var(--spacing-sm)',
+              border: '1px solid #D1D5DB',
+              borderRadius: 'var(--radius-md)',
+              fontSize: '0.875rem'
+            }}
+          >
+            <option value="">Sem comparação</option>
+            {COMPARISON_MODES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {comparison && (
+            <button
+              onClick={exportToCSV}
+              className="btn btn-primary"
+              style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
+            >
+              <Download size={16} />
+              Exportar comparação
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!mode && (
+        <p style={{ margin: 0, color: '#6B7280' }}>
+          Escolha um período de referência para ver a migração de classes entre os dois períodos.
+        </p>
+      )}
+
+      {mode && !comparisonPeriod && (
+        <p style={{ margin: 0, color: '#6B7280' }}>
+          Selecione um período no cabeçalho (ex.: últimos 90 dias) para comparar com o período de referência.
+        </p>
+      )}
+
+      {comparisonPeriod && loading && !previous && (
+        <p style={{ margin: 0, color: '#6B7280' }}>Carregando período de referência...</p>
+      )}
+
+      {comparisonPeriod && error && !previous && (
+        <p style={{ margin: 0, color: '#EF4444' }}>Erro ao carregar período de referência: {error}</p>
+      )}
+
+      {comparison && (
+        <>
+          <p style={{ margin: '0 0 var(--spacing-lg) 0', color: '#6B7280', fontSize: '0.875rem' }}>
+            📅 Atual: {period.label} · Referência: {comparisonPeriod.label} ·
+            Valor total {formatCurrency(comparison.previousTotal)} → {formatCurrency(comparison.currentTotal)}
+          </p>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+            gap: 'var(--spacing-xl)',
+            marginBottom: 'var(--spacing-xl)'
+          }}>
+            {/* Migration matrix: rows = class in the reference period, columns = current class */}
+            <div>
+              <h4 style={{ margin: '0 0 var(--spacing-sm) 0', color: 'var(--charcoal-black)' }}>Matriz de migração</h4>
+              <table style={{ borderCollapse: 'collapse', width: '100%', textAlign: 'center' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...cellStyle, textAlign: 'left', color: '#6B7280', fontWeight: '500' }}>Anterior ↓ / Atual →</th>
+                    {classes.map(to => (
+                      <th key={to} style={cellStyle}><ClassBadge classification={to} /></th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {classes.map(from => (
+                    <tr key={from}>
+                      <td style={{ ...cellStyle, textAlign: 'left' }}><ClassBadge classification={from} /></td>
+                      {classes.map(to => {
+                        const count = comparison.matrix[from][to];
+                        const isDown = classes.indexOf(to) > classes.indexOf(from);
+                        const background = from === to
+                          ? '#f3f4f6'
+                          : count > 0 ? (isDown ? '#FEE2E2' : '#D1FAE5') : 'white';
+                        return (
+                          <td key={to} style={{ ...cellStyle, backgroundColor: background, fontWeight: '600', fontSize: '1rem' }}>
+                            {count}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p style={{ margin: 'var(--spacing-sm) 0 0 0', fontSize: '0.875rem', color: '#6B7280' }}>
+                {comparison.newCount} novos · {comparison.lostCount} sem compra no período atual
+              </p>
+            </div>
+
+            <div>
+              <h4 style={{ margin: '0 0 var(--spacing-sm) 0', color: 'var(--charcoal-black)' }}>Resumo</h4>
+              {migrations.length === 0 ? (
+                <p style={{ margin: 0, color: '#6B7280' }}>Nenhuma mudança de classe entre os períodos.</p>
+              ) : (
+                <ul style={{ margin: 0, paddingLeft: 'var(--spacing-lg)' }}>
+                  {migrations.map(({ from, to, count, down }) => (
+                    <li key={`${from}${to}`} style={{ marginBottom: 'var(--spacing-xs)', color: down ? '#B91C1C' : '#047857' }}>
+                      {count} {entityLabel} {down ? 'caíram' : 'subiram'} de {from} para {to}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 'var(--spacing-xs)', flexWrap: 'wrap', marginBottom: 'var(--spacing-md)' }}>
+            {STATUS_FILTERS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => {
+                  setStatusFilter(option.value);
+                  setCurrentPage(1);
+                }}
+                style={{
+                  padding: 'var(--spacing-xs) var(--spacing-md)',
+                  border: '1px solid #d1d5db',
+                  borderRadius: 'var(--radius-md)',
+                  backgroundColor: statusFilter === option.value ? 'var(--forest-green)' : 'white',
+                  color: statusFilter === option.value ? 'white' : 'var(--charcoal-black)',
+                  cursor: 'pointer',
+                  fontSize: '0.875rem'
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ overflowX: 'auto', border: '1px solid #e5e7eb', borderRadius: 'var(--radius-lg)' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ backgroundColor: 'var(--forest-green)', color: 'white' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Nome</th>
+                  <th style={cellStyle}>Classe</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Valor anterior</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Valor atual</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Variação</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Rank</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pageItems.map((item, index) => (
+                  <tr key={item.name} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f9fafb' }}>
+                    <td style={{ ...cellStyle, maxWidth: '300px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {item.name}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: 'center', whiteSpace: 'nowrap' }}>
+                      <ClassBadge classification={item.previousClass} /> → <ClassBadge classification={item.currentClass} />
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: 'right', fontFamily: 'monospace' }}>{formatCurrency(item.previousValue)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right', fontFamily: 'monospace' }}>{formatCurrency(item.currentValue)}</td>
+                    <td style={{
+                      ...cellStyle,
+                      textAlign: 'right',
+                      fontFamily: 'monospace',
+                      color: item.valueDelta < 0 ? '#B91C1C' : '#047857'
+                    }}>
+                      {formatCurrency(item.valueDelta)}
+                      {item.valueDeltaPercentage !== null && ` (${item.valueDeltaPercentage.toFixed(1)}%)`}
+                    </td>
+                    <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      {item.previousRank ? `#${item.previousRank}` : '—'} → {item.currentRank ? `#${item.currentRank}` : '—'}
+                      {item.rankDelta > 0 && <ArrowUp size={14} color="#047857" style={{ marginLeft: 4 }} />}
+                      {item.rankDelta < 0 && <ArrowDown size={14} color="#B91C1C" style={{ marginLeft: 4 }} />}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 1 && (
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginTop: 'var(--spacing-md)',
+              fontSize: '0.875rem',
+              color: '#6B7280'
+            }}>
+              <span>Página {currentPage} de {totalPages} ({filteredItems.length} itens)</span>
+              <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                  disabled={currentPage === 1}
+                >
+                  ← Anterior
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                  disabled={currentPage === totalPages}
+                >
+                  Próximo →
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ABCComparison;
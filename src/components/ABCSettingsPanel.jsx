@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import {
+  ABC_BASES,
+  ABC_CLASS_INFO,
+  DEFAULT_ABC_SETTINGS,
+  getABCClasses,
+  getDefaultCutoffs,
+  validateABCSettings
+} from '../utils/abcSettings';
+
+const fieldStyle = {
+  padding: 'var(--spacing-sm)',
+  border: '1px solid #D1D5DB',
+  borderRadius: 'var(--radius-md)',
+  fontSize: '0.875rem'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.875rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-xs)'
+};
+
+// Modal to edit the ABC cut-offs used by every curve.
+// Changes are kept in a draft and only applied (and persisted) on save.
+const ABCSettingsPanel = ({ onClose }) => {
+  const { settings, updateSettings } = useABCSettings();
+  const [draft, setDraft] = useState(settings);
+
+  const classes = getABCClasses(draft);
+  const validationError = validateABCSettings(draft);
+
+  const handleStructureChange = (changes) => {
+    const next = { ...draft, ...changes };
+    // Switching basis or number of classes invalidates the cut-offs, start from the defaults
+    setDraft({ ...next, cutoffs: getDefaultCutoffs(next.basis, next.classCount) });
+  };
+
+  const handleCutoffChange = (index, value) => {
+    const cutoffs = [...draft.cutoffs];
+    cutoffs[index] = value === '' ? NaN : Number(value);
+    setDraft({ ...draft, cutoffs });
+  };
+
+  const handleSave = () => {
+    if (validationError) return;
+    updateSettings(draft);
+    onClose();
+  };
+
+  const describeRange = (index) => {
+    const lower = index === 0 ? 0 : draft.cutoffs[index - 1];
+    const upper = index < draft.cutoffs.length ? draft.cutoffs[index] : 100;
+    const unit = draft.basis === 'count' ? 'dos itens' : 'do valor';
+    return `${Number.isFinite(lower) ? lower : '?'}% a ${Number.isFinite(upper) ? upper : '?'}% ${unit}`;
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: 'var(--spacing-lg)'
+      }}
+      onClick={onClose}
+    >
+      <div
+        className="card"
+        style={{
+          maxWidth: '520px',
+          width: '100%',
+          maxHeight: '80vh',
+          overflow: 'auto',
+          position: 'relative'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--spacing-lg)' }}>
+          <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', margin: 0 }}>
+            Classificação ABC
+          </h3>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6B7280' }}
+            title="Fechar"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0, marginBottom: 'var(--spacing-lg)' }}>
+          Os cortes valem para todas as curvas, gráficos, exportações e para a previsão de estoque.
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-lg)' }}>
+          <div>
+            <label style={labelStyle}>Base</label>
+            <select
+              value={draft.basis}
+              onChange={(e) => handleStructureChange({ basis: e.target.value })}
+              style={{ ...fieldStyle, width: '100%' }}
+            >
+              {ABC_BASES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Classes</label>
+            <select
+              value={draft.classCount}
+              onChange={(e) => handleStructureChange({ classCount: Number(e.target.value) })}
+              style={{ ...fieldStyle, width: '100%' }}
+            >
+              <option value={3}>A / B / C</option>
+              <option value={4}>A / B / C / D</option>
+            </select>
+          </div>
+        </div>
+
+        <label style={labelStyle}>Cortes acumulados</label>
+        {classes.map((classification, index) => (
+          <div
+            key={classification}
+            style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-sm)' }}
+          >
+            <span style={{
+              backgroundColor: ABC_CLASS_INFO[classification].color,
+              color: 'white',
+              padding: '4px 10px',
+              borderRadius: '20px',
+              fontSize: '0.75rem',
+              fontWeight: '700',
+              minWidth: '28px',
+              textAlign: 'center'
+            }}>
+              {classification}
+            </span>
+            {index < draft.cutoffs.length ? (
+              <>
+                <span style={{ fontSize: '0.875rem', color: '#6B7280' }}>até</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="99"
+                  step="0.5"
+                  value={Number.isFinite(draft.cutoffs[index]) ? draft.cutoffs[index] : ''}
+                  onChange={(e) => handleCutoffChange(index, e.target.value)}
+                  style={{ ...fieldStyle, width: '90px' }}
+                />
+                <span style={{ fontSize: '0.875rem', color: '#6B7280' }}>%</span>
+              </>
+            ) : (
+              <span style={{ fontSize: '0.875rem', color: '#6B7280' }}>restante</span>
+            )}
+            <span style={{ fontSize: '0.75rem', color: '#9CA3AF', marginLeft: 'auto' }}>{describeRange(index)}</span>
+          </div>
+        ))}
+
+        {validationError && (
+          <p style={{ fontSize: '0.875rem', color: '#EF4444', margin: 'var(--spacing-sm) 0 0 0' }}>{validationError}</p>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--spacing-xl)' }}>
+          <button className="btn btn-secondary" onClick={() => setDraft(DEFAULT_ABC_SETTINGS)}>
+            Restaurar padrão
+          </button>
+          <button className="btn btn-primary" onClick={handleSave} disabled={!!validationError}>
+            Salvar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ABCSettingsPanel;
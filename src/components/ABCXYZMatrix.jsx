@@ -0,0 +1,183 @@
+import React, { useState, useMemo } from 'react';
+import { Grid3x3 } from 'lucide-react';
+import { formatCurrency } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import {
+  XYZ_CLASSES,
+  XYZ_CLASS_INFO,
+  buildABCXYZMatrix,
+  validateXYZThresholds
+} from '../utils/xyzAnalysis';
+
+const MAX_DRILL_DOWN_ITEMS = 100;
+
+const inputStyle = {
+  width: '80px',
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  border: '1px solid #d1d5db',
+  borderRadius: 'var(--radius-md)',
+  fontSize: '0.875rem'
+};
+
+// ABC×XYZ matrix for the InventoryForecast SKUs: count and value share per cell,
+// editable CV thresholds and the list of SKUs of the selected cell.
+const ABCXYZMatrix = ({ items, abcClasses, thresholds, onThresholdsChange }) => {
+  const [draft, setDraft] = useState(thresholds);
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  const matrix = useMemo(() => buildABCXYZMatrix(items, abcClasses), [items, abcClasses]);
+  const draftError = validateXYZThresholds(draft);
+
+  const handleThresholdChange = (key, value) => {
+    const next = { ...draft, [key]: value === '' ? NaN : Number(value) };
+    setDraft(next);
+    if (!validateXYZThresholds(next)) onThresholdsChange(next);
+  };
+
+  const selected = selectedCell ? matrix.cells[selectedCell.abc]?.[selectedCell.xyz] : null;
+
+  return (
+    <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        flexWrap: 'wrap',
+        gap: 'var(--spacing-md)',
+        marginBottom: 'var(--spacing-lg)'
+      }}>
+        <div>
+          <h3 style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: 'var(--spacing-sm)',
+            fontSize: '1.25rem',
+            fontWeight: '600',
+            color: 'var(--charcoal-black)',
+            marginBottom: 'var(--spacing-xs)'
+          }}>
+            <Grid3x3 size={20} />
+            Matriz ABC × XYZ
+          </h3>
+          <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+            XYZ pelo coeficiente de variação (CV) das vendas mensais. Clique em uma célula para ver os SKUs.
+          </p>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap', fontSize: '0.875rem', color: '#374151' }}>
+          <span>X até CV</span>
+          <input
+            type="number"
+            min="0.05"
+            step="0.05"
+            value={Number.isFinite(draft.x) ? draft.x : ''}
+            onChange={(e) => handleThresholdChange('x', e.target.value)}
+            style={inputStyle}
+          />
+          <span>Y até CV</span>
+          <input
+            type="number"
+            min="0.05"
+            step="0.05"
+            value={Number.isFinite(draft.y) ? draft.y : ''}
+            onChange={(e) => handleThresholdChange('y', e.target.value)}
+            style={inputStyle}
+          />
+          <span>Z acima</span>
+        </div>
+      </div>
+
+      {draftError && (
+        <p style={{ fontSize: '0.875rem', color: '#ef4444', marginTop: 0 }}>{draftError}</p>
+      )}
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '6px', minWidth: '480px' }}>
+          <thead>
+            <tr>
+              <th />
+              {XYZ_CLASSES.map(xyz => (
+                <th key={xyz} style={{ fontSize: '0.875rem', fontWeight: '600', color: XYZ_CLASS_INFO[xyz].color }}>
+                  {xyz} · {XYZ_CLASS_INFO[xyz].label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {abcClasses.map(abc => (
+              <tr key={abc}>
+                <th style={{ fontSize: '0.875rem', fontWeight: '700', color: ABC_CLASS_INFO[abc].color, width: '60px' }}>
+                  {abc}
+                </th>
+                {XYZ_CLASSES.map(xyz => {
+                  const cell = matrix.cells[abc][xyz];
+                  const isSelected = selectedCell?.abc === abc && selectedCell?.xyz === xyz;
+                  return (
+                    <td
+                      key={xyz}
+                      onClick={() => setSelectedCell(isSelected ? null : { abc, xyz })}
+                      style={{
+                        padding: 'var(--spacing-md)',
+                        textAlign: 'center',
+                        borderRadius: 'var(--radius-md)',
+                        cursor: 'pointer',
+                        border: isSelected ? '2px solid var(--forest-green)' : '1px solid #e5e7eb',
+                        // Darker cells hold a bigger share of the value
+                        backgroundColor: `rgba(45, 90, 61, ${Math.min(cell.share / 50, 1) * 0.35 + 0.03})`
+                      }}
+                    >
+                      <div style={{ fontSize: '0.75rem', fontWeight: '700', color: '#6b7280' }}>{abc}{xyz}</div>
+                      <div style={{ fontSize: '1.5rem', fontWeight: '700', color: 'var(--charcoal-black)' }}>{cell.count}</div>
+                      <div style={{ fontSize: '0.75rem', color: '#374151' }}>{cell.share.toFixed(1)}% do valor</div>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && (
+        <div style={{ marginTop: 'var(--spacing-lg)' }}>
+          <h4 style={{ fontSize: '1rem', fontWeight: '600', color: 'var(--charcoal-black)', marginBottom: 'var(--spacing-sm)' }}>
+            Célula {selectedCell.abc}{selectedCell.xyz}: {selected.count} SKUs · {formatCurrency(selected.value)}
+          </h4>
+          {selected.count === 0 ? (
+            <p style={{ fontSize: '0.875rem', color: '#6b7280' }}>Nenhum SKU nesta célula.</p>
+          ) : (
+            <div style={{ maxHeight: '320px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: 'var(--radius-md)' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                <thead>
+                  <tr style={{ background: '#f1f5f9', color: '#475569' }}>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'left' }}>Produto</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>Valor</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>Quantidade</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>CV</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.items.slice(0, MAX_DRILL_DOWN_ITEMS).map(item => (
+                    <tr key={item.sku} style={{ borderTop: '1px solid #e5e7eb' }}>
+                      <td style={{ padding: 'var(--spacing-sm)' }}>{item.sku}</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>{formatCurrency(item.valorTotal || 0)}</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>{item.totalGeral.toLocaleString()}</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>{item.demandVariability.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {selected.count > MAX_DRILL_DOWN_ITEMS && (
+                <p style={{ fontSize: '0.75rem', color: '#6b7280', padding: 'var(--spacing-sm)', margin: 0 }}>
+                  Mostrando os {MAX_DRILL_DOWN_ITEMS} SKUs de maior valor. Use o filtro XYZ da tabela para ver todos.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ABCXYZMatrix;
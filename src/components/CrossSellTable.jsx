@@ -0,0 +1,65 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { MIN_CO_CUSTOMERS } from '../utils/crossSell';
+
+const cellStyle = { padding: 'var(--spacing-sm)', fontSize: '0.875rem' };
+
+// Cross-sell opportunities of a customer (recommendForCustomer): SKUs bought by customers
+// with the same products but not by this one, with the chance and the expected value
+const CrossSellTable = ({ recommendations }) => {
+  const { search } = useLocation();
+
+  return (
+    <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+      <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', marginBottom: 'var(--spacing-xs)' }}>
+        Oportunidades de cross-sell
+      </h3>
+      <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 'var(--spacing-lg)' }}>
+        Produtos comprados por clientes com o mesmo mix (mínimo de {MIN_CO_CUSTOMERS} clientes em comum). Chance = parte dos
+        compradores do produto de origem que também compram o sugerido; valor esperado = chance × gasto médio por cliente no produto.
+      </p>
+      {recommendations.length === 0 ? (
+        <p style={{ fontSize: '0.875rem', color: '#6B7280' }}>Nenhuma oportunidade encontrada no período.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#F1F5F9', color: '#475569' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Produto sugerido</th>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Porque compra</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Chance</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }} title="Quantas vezes mais os compradores do produto de origem compram o sugerido do que a média">Lift</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Clientes em comum</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Valor esperado</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recommendations.map(item => (
+                <tr key={item.sku} style={{ borderTop: '1px solid #E5E7EB' }}>
+                  <td style={{ ...cellStyle, maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.sku}>
+                    <Link to={{ pathname: `/produtos/${encodeURIComponent(item.sku)}`, search }} style={{ color: 'var(--forest-green)', textDecoration: 'none' }}>
+                      {item.sku}
+                    </Link>
+                  </td>
+                  <td
+                    style={{ ...cellStyle, maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#6B7280' }}
+                    title={item.supportingSkus > 1 ? `${item.basedOn} e mais ${item.supportingSkus - 1} produto(s) do cliente` : item.basedOn}
+                  >
+                    {item.basedOn}{item.supportingSkus > 1 && ` +${item.supportingSkus - 1}`}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{(item.confidence * 100).toFixed(0)}%</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', color: '#6B7280' }}>{item.lift.toFixed(1)}×</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', color: '#6B7280' }}>{formatNumber(item.coCustomers)}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', fontFamily: 'monospace' }}>{formatCurrency(item.expectedValue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CrossSellTable;
@@ -1,7 +1,13 @@
 import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { formatCurrency } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
 
-const DataTable = ({ data, title }) => {
+// `getRowLink(item)` optionally returns the detail route of a row; the current
+// query string (period filter) is kept when navigating.
+const DataTable = ({ data, title, getRowLink }) => {
+  const navigate = useNavigate();
+  const { search } = useLocation();
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage] = useState(15);
   const [sortField, setSortField] = useState('totalValue');
@@ -35,12 +41,7 @@ const DataTable = ({ data, title }) => {
   };
 
   const getClassificationColor = (classification) => {
-    switch (classification) {
-      case 'A': return '#2D5A3D';
-      case 'B': return '#D2691E';
-      case 'C': return '#B8336A';
-      default: return '#6B7280';
-    }
+    return ABC_CLASS_INFO[classification]?.color || '#6B7280';
   };
 
   const getSortIcon = (field) => {
@@ -147,6 +148,8 @@ const DataTable = ({ data, title }) => {
                 cursor: 'pointer',
                 ':hover': { backgroundColor: '#f3f4f6' }
               }}
+              onClick={getRowLink ? () => navigate({ pathname: getRowLink(item), search }) : undefined}
+              title={getRowLink ? 'Ver detalhes' : undefined}
               onMouseEnter={(e) => e.target.parentElement.style.backgroundColor = '#f3f4f6'}
               onMouseLeave={(e) => e.target.parentElement.style.backgroundColor = index % 2 === 0 ? 'white' : '#f9fafb'}>
                 <td style={{ 
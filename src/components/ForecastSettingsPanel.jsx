@@ -0,0 +1,588 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import { ABC_CLASS_INFO, describeABCSettings, getABCClasses } from '../utils/abcSettings';
+import { DEFAULT_FORECAST_CONFIG, validateForecastConfig } from '../utils/inventoryForecast';
+import { SERIES_WINDOW_OPTIONS, DEFAULT_SERIES_WINDOW } from '../utils/inventoryData';
+import { FORECAST_MODELS, MAX_FORECAST_HORIZON, SEASON_LENGTH } from '../utils/forecasting';
+import { DEFAULT_SAFETY_STOCK_CONFIG, validateSafetyStockConfig } from '../utils/safetyStock';
+import { DEFAULT_ORDER_QUANTITY_CONFIG, validateOrderQuantityConfig } from '../utils/orderQuantity';
+import { CORRELATION_METHODS } from '../utils/correlation';
+import ABCSettingsPanel from './ABCSettingsPanel';
+
+const fieldStyle = {
+  padding: 'var(--spacing-sm)',
+  border: '1px solid #D1D5DB',
+  borderRadius: 'var(--radius-md)',
+  fontSize: '0.875rem'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.875rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-xs)'
+};
+
+const sectionStyle = {
+  borderTop: '1px solid #E5E7EB',
+  paddingTop: 'var(--spacing-lg)',
+  marginTop: 'var(--spacing-lg)'
+};
+
+const hintStyle = {
+  fontSize: '0.75rem',
+  color: '#9CA3AF',
+  marginTop: 'var(--spacing-xs)'
+};
+
+const ASSOCIATION_FIELDS = [
+  { key: 'minSupport', label: 'Suporte mínimo', step: '0.01', hint: 'Fração dos pedidos com os dois SKUs' },
+  { key: 'minConfidence', label: 'Confiança mínima', step: '0.05', hint: 'P(B | A) nos pedidos' },
+  { key: 'minLift', label: 'Lift mínimo', step: '0.1', hint: 'Confiança sobre o suporte de B' },
+  { key: 'correlationThreshold', label: 'Correlação mínima', step: '0.05', hint: 'Sem número de pedido: |r| mensal' },
+  { key: 'topK', label: 'Associações por SKU', step: '1', hint: 'Mais fortes, usadas no ajuste' },
+  { key: 'alpha', label: 'Peso do ajuste (α)', step: '0.05', hint: 'Ajustada = Base × (1 + α × momento)' }
+];
+
+// Modal with the inventory forecast engine settings: analysis window (?meses=),
+// the shared ABC cut-offs, coverage per class, the association-based adjustment and
+// the smoothing model / horizon of the projected demand, and the safety stock settings
+// (service level per class, default lead time and lead time per acabamento; `acabamentos`
+// lists the ones in the data), and the economic lot settings (setup cost, holding rate, minimum
+// batch and multiple by default and per acabamento). SKU lead times and batches are set on the
+// SKU page and only listed here. Like the ABC panel, changes are kept in a draft and applied on save.
+const ForecastSettingsPanel = ({ windowMonths, onWindowChange, acabamentos = [], onClose }) => {
+  const { settings: abcSettings } = useABCSettings();
+  const {
+    forecastConfig,
+    updateForecastConfig,
+    safetyStockConfig,
+    updateSafetyStockConfig,
+    orderQuantityConfig,
+    updateOrderQuantityConfig
+  } = usePlanningSettings();
+  const [draft, setDraft] = useState(forecastConfig);
+  const [draftSafetyStock, setDraftSafetyStock] = useState(safetyStockConfig);
+  const [draftOrderQuantity, setDraftOrderQuantity] = useState(orderQuantityConfig);
+  const [draftWindow, setDraftWindow] = useState(windowMonths);
+  const [showABCSettings, setShowABCSettings] = useState(false);
+
+  const classes = getABCClasses(abcSettings);
+  const validationError = validateForecastConfig(draft) ||
+    validateSafetyStockConfig(draftSafetyStock) ||
+    validateOrderQuantityConfig(draftOrderQuantity);
+  const skuLeadTimes = Object.entries(draftSafetyStock.leadTimes.sku).sort((a, b) => a[0].localeCompare(b[0]));
+  const skuBatches = Object.entries(draftOrderQuantity.batches.sku).sort((a, b) => a[0].localeCompare(b[0]));
+
+  const toNumber = (value) => (value === '' ? NaN : Number(value));
+
+  const handleCoberturaChange = (classification, value) => {
+    setDraft({ ...draft, coberturaConfig: { ...draft.coberturaConfig, [classification]: toNumber(value) } });
+  };
+
+  const handleAssociationChange = (key, value) => {
+    setDraft({ ...draft, associationConfig: { ...draft.associationConfig, [key]: toNumber(value) } });
+  };
+
+  const handleProjectionChange = (changes) => {
+    setDraft({ ...draft, projection: { ...draft.projection, ...changes } });
+  };
+
+  const handleKitChange = (changes) => {
+    setDraft({ ...draft, kitConfig: { ...draft.kitConfig, ...changes } });
+  };
+
+  const handleServiceLevelChange = (classification, value) => {
+    setDraftSafetyStock({
+      ...draftSafetyStock,
+      serviceLevels: { ...draftSafetyStock.serviceLevels, [classification]: toNumber(value) }
+    });
+  };
+
+  // An empty field removes the override, so the SKU or acabamento falls back to the default
+  const handleLeadTimeChange = (scope, key, value) => {
+    const overrides = { ...draftSafetyStock.leadTimes[scope] };
+    if (value === '') delete overrides[key];
+    else overrides[key] = toNumber(value);
+    setDraftSafetyStock({ ...draftSafetyStock, leadTimes: { ...draftSafetyStock.leadTimes, [scope]: overrides } });
+  };
+
+  // Batch overrides keep only the fields typed in; the other one comes from the default rule
+  const handleBatchChange = (scope, key, field, value) => {
+    const overrides = { ...draftOrderQuantity.batches[scope] };
+    const batch = { ...overrides[key] };
+    if (value === '') delete batch[field];
+    else batch[field] = toNumber(value);
+    if (Object.keys(batch).length) overrides[key] = batch;
+    else delete overrides[key];
+    setDraftOrderQuantity({ ...draftOrderQuantity, batches: { ...draftOrderQuantity.batches, [scope]: overrides } });
+  };
+
+  const describeBatch = ({ minBatch, multiple }) => [
+    minBatch !== undefined && `mín. ${minBatch}`,
+    multiple !== undefined && `múltiplo ${multiple}`
+  ].filter(Boolean).join(' · ');
+
+  // Lead time and batch overrides are kept: they describe the suppliers and the production
+  // line, not the defaults
+  const handleReset = () => {
+    setDraft(DEFAULT_FORECAST_CONFIG);
+    setDraftSafetyStock({
+      ...DEFAULT_SAFETY_STOCK_CONFIG,
+      leadTimes: draftSafetyStock.leadTimes
+    });
+    setDraftOrderQuantity({
+      ...DEFAULT_ORDER_QUANTITY_CONFIG,
+      batches: draftOrderQuantity.batches
+    });
+    setDraftWindow(DEFAULT_SERIES_WINDOW);
+  };
+
+  const handleSave = () => {
+    if (validationError) return;
+    updateForecastConfig(draft);
+    updateSafetyStockConfig(draftSafetyStock);
+    updateOrderQuantityConfig(draftOrderQuantity);
+    if (draftWindow !== windowMonths) onWindowChange(draftWindow);
+    onClose();
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: 'var(--spacing-lg)'
+      }}
+      onClick={onClose}
+    >
+      <div
+        className="card"
+        style={{
+          maxWidth: '600px',
+          width: '100%',
+          maxHeight: '85vh',
+          overflow: 'auto',
+          position: 'relative'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--spacing-lg)' }}>
+          <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', margin: 0 }}>
+            Configuração da Previsão
+          </h3>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6B7280' }}
+            title="Fechar"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Analysis window */}
+        <label style={labelStyle}>Janela de análise</label>
+        <select
+          value={draftWindow}
+          onChange={(e) => setDraftWindow(Number(e.target.value))}
+          style={{ ...fieldStyle, width: '100%' }}
+        >
+          {SERIES_WINDOW_OPTIONS.map(months => (
+            <option key={months} value={months}>Últimos {months} meses</option>
+          ))}
+        </select>
+        <p style={hintStyle}>Meses de calendário terminando na última venda; base da média mensal e das associações.</p>
+
+        {/* ABC cut-offs */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Classificação ABC</label>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 'var(--spacing-md)' }}>
+            <span style={{ fontSize: '0.875rem', color: '#6B7280' }}>{describeABCSettings(abcSettings)}</span>
+            <button className="btn btn-secondary" onClick={() => setShowABCSettings(true)}>
+              Editar cortes
+            </button>
+          </div>
+          <p style={hintStyle}>Os mesmos cortes de todas as curvas; a curva de cada SKU é por valor.</p>
+        </div>
+
+        {/* Coverage per class */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Cobertura por classe (meses de demanda média)</label>
+          <div style={{ display: 'flex', gap: 'var(--spacing-md)', flexWrap: 'wrap' }}>
+            {classes.map(classification => (
+              <div key={classification} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                <span style={{
+                  backgroundColor: ABC_CLASS_INFO[classification].color,
+                  color: 'white',
+                  padding: '4px 10px',
+                  borderRadius: '20px',
+                  fontSize: '0.75rem',
+                  fontWeight: '700',
+                  minWidth: '28px',
+                  textAlign: 'center'
+                }}>
+                  {classification}
+                </span>
+                <input
+                  type="number"
+                  min="0"
+                  max="36"
+                  step="0.5"
+                  value={Number.isFinite(draft.coberturaConfig[classification]) ? draft.coberturaConfig[classification] : ''}
+                  onChange={(e) => handleCoberturaChange(classification, e.target.value)}
+                  style={{ ...fieldStyle, width: '80px' }}
+                />
+              </div>
+            ))}
+          </div>
+          <p style={hintStyle}>Estoque recomendado = média mensal × cobertura da classe.</p>
+        </div>
+
+        {/* Association-based adjustment */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Ajuste por associações</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+            {ASSOCIATION_FIELDS.map(field => (
+              <div key={field.key}>
+                <span style={{ fontSize: '0.875rem', color: '#374151' }}>{field.label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={Number.isFinite(draft.associationConfig[field.key]) ? draft.associationConfig[field.key] : ''}
+                  onChange={(e) => handleAssociationChange(field.key, e.target.value)}
+                  style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+                />
+                <div style={hintStyle}>{field.hint}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Kit correlation test */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Teste dos kits</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Correlação</span>
+              <select
+                value={draft.kitConfig.method}
+                onChange={(e) => handleKitChange({ method: e.target.value })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              >
+                {Object.entries(CORRELATION_METHODS).map(([method, info]) => (
+                  <option key={method} value={method}>{info.label}</option>
+                ))}
+              </select>
+              <div style={hintStyle}>{CORRELATION_METHODS[draft.kitConfig.method]?.description}</div>
+            </div>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Falsas descobertas (FDR, %)</span>
+              <input
+                type="number"
+                min="0.1"
+                max="50"
+                step="1"
+                value={Number.isFinite(draft.kitConfig.fdr) ? Number((draft.kitConfig.fdr * 100).toFixed(1)) : ''}
+                onChange={(e) => handleKitChange({ fdr: toNumber(e.target.value) / 100 })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              />
+              <div style={hintStyle}>Parte esperada de kits falsos (Benjamini-Hochberg)</div>
+            </div>
+          </div>
+        </div>
+
+        {/* Projected demand */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Projeção de demanda</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Modelo</span>
+              <select
+                value={draft.projection.model}
+                onChange={(e) => handleProjectionChange({ model: e.target.value })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              >
+                <option value="auto">Automático (melhor ajuste)</option>
+                {Object.entries(FORECAST_MODELS).map(([model, info]) => (
+                  <option key={model} value={model}>{info.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Horizonte</span>
+              <select
+                value={draft.projection.horizon}
+                onChange={(e) => handleProjectionChange({ horizon: Number(e.target.value) })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              >
+                {Array.from({ length: MAX_FORECAST_HORIZON }, (_, index) => index + 1).map(months => (
+                  <option key={months} value={months}>{months} {months === 1 ? 'mês' : 'meses'}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p style={hintStyle}>
+            Parâmetros ajustados no histórico de cada SKU. Holt-Winters precisa de {SEASON_LENGTH * 2} meses (janela de 24);
+            com menos histórico usa o melhor modelo disponível. No automático, SKUs intermitentes e irregulares usam Croston/SBA.
+          </p>
+        </div>
+
+        {/* Safety stock and reorder point */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Nível de serviço por classe (%)</label>
+          <div style={{ display: 'flex', gap: 'var(--spacing-md)', flexWrap: 'wrap' }}>
+            {classes.map(classification => (
+              <div key={classification} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                <span style={{
+                  backgroundColor: ABC_CLASS_INFO[classification].color,
+                  color: 'white',
+                  padding: '4px 10px',
+                  borderRadius: '20px',
+                  fontSize: '0.75rem',
+                  fontWeight: '700',
+                  minWidth: '28px',
+                  textAlign: 'center'
+                }}>
+                  {classification}
+                </span>
+                <input
+                  type="number"
+                  min="50"
+                  max="99.9"
+                  step="0.5"
+                  value={Number.isFinite(draftSafetyStock.serviceLevels[classification]) ? draftSafetyStock.serviceLevels[classification] : ''}
+                  onChange={(e) => handleServiceLevelChange(classification, e.target.value)}
+                  style={{ ...fieldStyle, width: '80px' }}
+                />
+              </div>
+            ))}
+          </div>
+          <p style={hintStyle}>
+            Estoque de segurança = z(nível de serviço) × desvio padrão da demanda mensal × √(prazo em meses);
+            ponto de pedido = demanda média no prazo + estoque de segurança.
+          </p>
+        </div>
+
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Prazo de entrega (dias)</label>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+            <span style={{ fontSize: '0.875rem', color: '#374151', flex: 1 }}>Padrão</span>
+            <input
+              type="number"
+              min="0"
+              max="365"
+              step="1"
+              value={Number.isFinite(draftSafetyStock.defaultLeadTimeDays) ? draftSafetyStock.defaultLeadTimeDays : ''}
+              onChange={(e) => setDraftSafetyStock({ ...draftSafetyStock, defaultLeadTimeDays: toNumber(e.target.value) })}
+              style={{ ...fieldStyle, width: '80px' }}
+            />
+          </div>
+          {acabamentos.length > 0 && (
+            <div style={{ marginTop: 'var(--spacing-md)' }}>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Por acabamento</span>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-sm) var(--spacing-md)', marginTop: 'var(--spacing-xs)' }}>
+                {acabamentos.map(acabamento => (
+                  <div key={acabamento} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                    <span style={{ fontSize: '0.75rem', color: '#6B7280', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={acabamento}>
+                      {acabamento}
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="365"
+                      step="1"
+                      placeholder={String(draftSafetyStock.defaultLeadTimeDays)}
+                      value={draftSafetyStock.leadTimes.acabamento[acabamento] ?? ''}
+                      onChange={(e) => handleLeadTimeChange('acabamento', acabamento, e.target.value)}
+                      style={{ ...fieldStyle, width: '70px' }}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {skuLeadTimes.length > 0 && (
+            <div style={{ marginTop: 'var(--spacing-md)' }}>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Por SKU</span>
+              {skuLeadTimes.map(([sku, days]) => (
+                <div key={sku} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-xs)' }}>
+                  <span style={{ fontSize: '0.75rem', color: '#6B7280', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={sku}>
+                    {sku}
+                  </span>
+                  <span style={{ fontSize: '0.75rem', fontWeight: '600' }}>{days} dias</span>
+                  <button
+                    onClick={() => handleLeadTimeChange('sku', sku, '')}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0 }}
+                    title="Remover prazo do SKU"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <p style={hintStyle}>
+            Vale o prazo do SKU, depois o do acabamento principal do SKU, depois o padrão. O prazo de um SKU é definido na página do produto.
+          </p>
+        </div>
+
+        {/* Economic lot and batch sizes */}
+        <div style={sectionStyle}>
+          <label style={labelStyle}>Lote econômico de produção</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Custo de preparação (R$)</span>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={Number.isFinite(draftOrderQuantity.setupCost) ? draftOrderQuantity.setupCost : ''}
+                onChange={(e) => setDraftOrderQuantity({ ...draftOrderQuantity, setupCost: toNumber(e.target.value) })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              />
+              <div style={hintStyle}>Por ordem de produção (setup da forma, mistura, limpeza)</div>
+            </div>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Custo de manutenção (% a.a.)</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={Number.isFinite(draftOrderQuantity.holdingCostRate) ? draftOrderQuantity.holdingCostRate : ''}
+                onChange={(e) => setDraftOrderQuantity({ ...draftOrderQuantity, holdingCostRate: toNumber(e.target.value) })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              />
+              <div style={hintStyle}>Do preço médio de venda, por unidade em estoque</div>
+            </div>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Lote mínimo padrão</span>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={Number.isFinite(draftOrderQuantity.defaultBatch.minBatch) ? draftOrderQuantity.defaultBatch.minBatch : ''}
+                onChange={(e) => setDraftOrderQuantity({
+                  ...draftOrderQuantity,
+                  defaultBatch: { ...draftOrderQuantity.defaultBatch, minBatch: toNumber(e.target.value) }
+                })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              />
+            </div>
+            <div>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Múltiplo padrão (peças por palete)</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={Number.isFinite(draftOrderQuantity.defaultBatch.multiple) ? draftOrderQuantity.defaultBatch.multiple : ''}
+                onChange={(e) => setDraftOrderQuantity({
+                  ...draftOrderQuantity,
+                  defaultBatch: { ...draftOrderQuantity.defaultBatch, multiple: toNumber(e.target.value) }
+                })}
+                style={{ ...fieldStyle, width: '100%', marginTop: 'var(--spacing-xs)' }}
+              />
+            </div>
+          </div>
+          {acabamentos.length > 0 && (
+            <div style={{ marginTop: 'var(--spacing-md)' }}>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Por acabamento (mínimo / múltiplo)</span>
+              {acabamentos.map(acabamento => {
+                const batch = draftOrderQuantity.batches.acabamento[acabamento] || {};
+                return (
+                  <div key={acabamento} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-xs)' }}>
+                    <span style={{ fontSize: '0.75rem', color: '#6B7280', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={acabamento}>
+                      {acabamento}
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      placeholder={String(draftOrderQuantity.defaultBatch.minBatch)}
+                      value={batch.minBatch ?? ''}
+                      onChange={(e) => handleBatchChange('acabamento', acabamento, 'minBatch', e.target.value)}
+                      style={{ ...fieldStyle, width: '80px' }}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      placeholder={String(draftOrderQuantity.defaultBatch.multiple)}
+                      value={batch.multiple ?? ''}
+                      onChange={(e) => handleBatchChange('acabamento', acabamento, 'multiple', e.target.value)}
+                      style={{ ...fieldStyle, width: '80px' }}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          {skuBatches.length > 0 && (
+            <div style={{ marginTop: 'var(--spacing-md)' }}>
+              <span style={{ fontSize: '0.875rem', color: '#374151' }}>Por SKU</span>
+              {skuBatches.map(([sku, batch]) => (
+                <div key={sku} style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-xs)' }}>
+                  <span style={{ fontSize: '0.75rem', color: '#6B7280', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={sku}>
+                    {sku}
+                  </span>
+                  <span style={{ fontSize: '0.75rem', fontWeight: '600' }}>{describeBatch(batch)}</span>
+                  <button
+                    onClick={() => setDraftOrderQuantity({
+                      ...draftOrderQuantity,
+                      batches: {
+                        ...draftOrderQuantity.batches,
+                        sku: Object.fromEntries(Object.entries(draftOrderQuantity.batches.sku).filter(([key]) => key !== sku))
+                      }
+                    })}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0 }}
+                    title="Remover lote do SKU"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <p style={hintStyle}>
+            Lote econômico = √(2 × demanda anual × custo de preparação ÷ custo de manutenção por unidade),
+            arredondado para cima ao lote mínimo e ao múltiplo. A sugestão de produção nunca fica abaixo dele.
+            Vale o lote do SKU (definido na página do produto), depois o do acabamento, depois o padrão.
+          </p>
+        </div>
+
+        {validationError && (
+          <p style={{ fontSize: '0.875rem', color: '#EF4444', margin: 'var(--spacing-md) 0 0 0' }}>{validationError}</p>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--spacing-xl)' }}>
+          <button className="btn btn-secondary" onClick={handleReset}>
+            Restaurar padrão
+          </button>
+          <button className="btn btn-primary" onClick={handleSave} disabled={!!validationError}>
+            Salvar
+          </button>
+        </div>
+      </div>
+
+      {showABCSettings && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <ABCSettingsPanel onClose={() => setShowABCSettings(false)} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ForecastSettingsPanel;
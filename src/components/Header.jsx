@@ -1,14 +1,24 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { BarChart3, Users, MapPin, Package, TrendingUp, Home, Target } from 'lucide-react';
+import { BarChart3, Users, MapPin, Package, TrendingUp, Home, Target, RefreshCw, SlidersHorizontal, Layers, DatabaseBackup } from 'lucide-react';
+import { useSalesData } from '../context/SalesDataContext';
+import PeriodSelector from './PeriodSelector';
+import ABCSettingsPanel from './ABCSettingsPanel';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { describeABCSettings } from '../utils/abcSettings';
 
 const Header = () => {
   const location = useLocation();
+  const { loading, syncing, error, progress, lastUpdated, refresh, reload } = useSalesData();
+  const busy = loading || syncing;
+  const { settings: abcSettings } = useABCSettings();
+  const [showABCSettings, setShowABCSettings] = useState(false);
 
   const navItems = [
     { path: '/', label: 'Dashboard', icon: Home, color: 'var(--forest-green)' },
     { path: '/insights', label: 'Insights', icon: Target, color: 'var(--forest-green)' },
     { path: '/clientes', label: 'Curva Cliente', icon: Users, color: 'var(--blue)' },
+    { path: '/segmentos', label: 'Segmentos RFM', icon: Layers, color: 'var(--blue)' },
     { path: '/produtos', label: 'Curva SKU', icon: Package, color: 'var(--orange)' },
     { path: '/cidades', label: 'Curva Cidade', icon: MapPin, color: 'var(--purple)' },
     { path: '/acabamento', label: 'Curva Acabamento', icon: BarChart3, color: 'var(--teal)' },
@@ -46,12 +56,13 @@ const Header = () => {
           <nav style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
             {navItems.map((item) => {
               const Icon = item.icon;
-              const isActive = location.pathname === item.path;
+              const isActive = location.pathname === item.path ||
+                (item.path !== '/' && location.pathname.startsWith(`${item.path}/`));
               
               return (
                 <Link
                   key={item.path}
-                  to={item.path}
+                  to={{ pathname: item.path, search: location.search }}
                   style={{
                     display: 'flex',
                     alignItems: 'center',
@@ -74,8 +85,96 @@ const Header = () => {
               );
             })}
           </nav>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+            {lastUpdated && (
+              <span
+                style={{
+                  fontSize: '0.75rem',
+                  color: 'var(--pure-white)',
+                  backgroundColor: 'var(--forest-green)',
+                  padding: '2px var(--spacing-sm)',
+                  borderRadius: '12px',
+                  whiteSpace: 'nowrap'
+                }}
+                title="Data da última sincronização com o banco de dados"
+              >
+                dados de {lastUpdated.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
+              </span>
+            )}
+            <span
+              style={{ fontSize: '0.75rem', color: error ? '#FCA5A5' : '#9ca3af', whiteSpace: 'nowrap' }}
+              title={error || ''}
+            >
+              {busy
+                ? (progress.total > 0 ? `Sincronizando ${Math.round((progress.loaded / progress.total) * 100)}%` : 'Sincronizando...')
+                : error && 'Falha ao atualizar'}
+            </span>
+            <button
+              onClick={refresh}
+              disabled={busy}
+              className="btn"
+              title="Busca as vendas emitidas desde a última sincronização e confere o total com o banco"
+              style={{
+                gap: 'var(--spacing-xs)',
+                padding: 'var(--spacing-sm) var(--spacing-md)',
+                backgroundColor: 'transparent',
+                color: busy ? '#6b7280' : 'var(--pure-white)',
+                border: '1px solid #4b5563',
+                cursor: busy ? 'not-allowed' : 'pointer'
+              }}
+            >
+              <RefreshCw size={16} />
+              Atualizar dados
+            </button>
+            <button
+              onClick={reload}
+              disabled={busy}
+              className="btn"
+              title="Apaga a cópia local e baixa novamente todos os dados de vendas"
+              aria-label="Recarregar todos os dados"
+              style={{
+                padding: 'var(--spacing-sm)',
+                backgroundColor: 'transparent',
+                color: busy ? '#6b7280' : 'var(--pure-white)',
+                border: '1px solid #4b5563',
+                cursor: busy ? 'not-allowed' : 'pointer'
+              }}
+            >
+              <DatabaseBackup size={16} />
+            </button>
+          </div>
+        </div>
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-sm)',
+          paddingBottom: 'var(--spacing-md)'
+        }}>
+          <PeriodSelector />
+          <button
+            onClick={() => setShowABCSettings(true)}
+            className="btn"
+            title="Definir os cortes da classificação ABC"
+            style={{
+              gap: 'var(--spacing-xs)',
+              padding: 'var(--spacing-xs) var(--spacing-md)',
+              backgroundColor: 'transparent',
+              color: '#9ca3af',
+              border: '1px solid #4b5563',
+              fontSize: '0.75rem'
+            }}
+          >
+            <SlidersHorizontal size={14} />
+            {describeABCSettings(abcSettings)}
+          </button>
         </div>
       </div>
+
+      {showABCSettings && <ABCSettingsPanel onClose={() => setShowABCSettings(false)} />}
     </header>
   );
 };
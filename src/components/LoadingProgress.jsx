@@ -0,0 +1,42 @@
+import React from 'react';
+import { useSalesData } from '../context/SalesDataContext';
+
+const LoadingProgress = ({ message }) => {
+  const { progress } = useSalesData();
+  const percent = progress.total > 0 ? Math.min(100, (progress.loaded / progress.total) * 100) : 0;
+
+  return (
+    <div className="section">
+      <div className="container">
+        <div className="loading" style={{ flexDirection: 'column', gap: 'var(--spacing-md)' }}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <div className="spinner"></div>
+            <span style={{ marginLeft: 'var(--spacing-md)', fontSize: '1.125rem' }}>{message}</span>
+          </div>
+          {progress.total > 0 && (
+            <div style={{ width: '100%', maxWidth: '400px', textAlign: 'center' }}>
+              <div style={{
+                height: '8px',
+                backgroundColor: '#e5e7eb',
+                borderRadius: 'var(--radius-md)',
+                overflow: 'hidden'
+              }}>
+                <div style={{
+                  width: `${percent}%`,
+                  height: '100%',
+                  backgroundColor: 'var(--forest-green)',
+                  transition: 'width 0.3s ease'
+                }} />
+              </div>
+              <p style={{ margin: 'var(--spacing-xs) 0 0 0', fontSize: '0.875rem', color: '#6B7280' }}>
+                {progress.loaded.toLocaleString('pt-BR')} de {progress.total.toLocaleString('pt-BR')} registros
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoadingProgress;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+
+const TOP_ITEMS = 10;
+
+const cellStyle = { padding: 'var(--spacing-sm)', fontSize: '0.875rem' };
+
+// Top entries of a customer / product mix (value, share, quantity and orders).
+// `getLink(item)` optionally turns the names into links to their detail page.
+const MixTable = ({ title, items, nameLabel, showQuantity = false, getLink }) => {
+  const { search } = useLocation();
+
+  return (
+    <div className="card">
+      <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', marginBottom: 'var(--spacing-lg)' }}>
+        {title}
+      </h3>
+      {items.length === 0 ? (
+        <p style={{ fontSize: '0.875rem', color: '#6B7280' }}>Sem vendas no período.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#F1F5F9', color: '#475569' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>{nameLabel}</th>
+              {showQuantity && <th style={{ ...cellStyle, textAlign: 'right' }}>Quantidade</th>}
+              <th style={{ ...cellStyle, textAlign: 'right' }}>Valor</th>
+              <th style={{ ...cellStyle, textAlign: 'right' }}>%</th>
+              <th style={{ ...cellStyle, textAlign: 'right' }}>Pedidos</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.slice(0, TOP_ITEMS).map(item => (
+              <tr key={item.name} style={{ borderTop: '1px solid #E5E7EB' }}>
+                <td style={{ ...cellStyle, maxWidth: '220px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.name}>
+                  {getLink ? (
+                    <Link to={{ pathname: getLink(item), search }} style={{ color: 'var(--forest-green)', textDecoration: 'none' }}>
+                      {item.name}
+                    </Link>
+                  ) : item.name}
+                </td>
+                {showQuantity && (
+                  <td style={{ ...cellStyle, textAlign: 'right', fontFamily: 'monospace' }}>{formatNumber(item.totalQuantity)}</td>
+                )}
+                <td style={{ ...cellStyle, textAlign: 'right', fontFamily: 'monospace' }}>{formatCurrency(item.totalValue)}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: '#6B7280' }}>{item.share.toFixed(1)}%</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: '#6B7280' }}>{item.orderCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {items.length > TOP_ITEMS && (
+        <p style={{ fontSize: '0.75rem', color: '#6B7280', margin: 'var(--spacing-sm) 0 0 0' }}>
+          Mostrando {TOP_ITEMS} de {items.length}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MixTable;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Calendar } from 'lucide-react';
+import { usePeriod } from '../hooks/usePeriod';
+import { PERIOD_PRESETS, getCurrentFiscalYear } from '../utils/period';
+
+const inputStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  borderRadius: 'var(--radius-md)',
+  border: '1px solid #4b5563',
+  backgroundColor: '#1f2937',
+  color: 'var(--pure-white)',
+  fontSize: '0.875rem'
+};
+
+const PeriodSelector = () => {
+  const { selection, period, setSelection } = usePeriod();
+
+  const currentFiscalYear = getCurrentFiscalYear();
+  const fiscalYears = Array.from({ length: 6 }, (_, i) => String(currentFiscalYear - i));
+
+  const handlePresetChange = (preset) => {
+    setSelection({
+      ...selection,
+      preset,
+      year: preset === 'fiscal' ? (selection.year || String(currentFiscalYear)) : selection.year
+    });
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+      <Calendar size={16} color="#9ca3af" />
+      <span style={{ fontSize: '0.875rem', color: '#9ca3af' }}>Período:</span>
+      <select
+        value={selection.preset}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        style={inputStyle}
+      >
+        {PERIOD_PRESETS.map(preset => (
+          <option key={preset.value} value={preset.value}>{preset.label}</option>
+        ))}
+      </select>
+
+      {selection.preset === 'fiscal' && (
+        <select
+          value={selection.year || String(currentFiscalYear)}
+          onChange={(e) => setSelection({ ...selection, year: e.target.value })}
+          style={inputStyle}
+        >
+          {fiscalYears.map(year => (
+            <option key={year} value={year}>{year}</option>
+          ))}
+        </select>
+      )}
+
+      {selection.preset === 'custom' && (
+        <>
+          <input
+            type="date"
+            value={selection.from}
+            max={selection.to || undefined}
+            onChange={(e) => setSelection({ ...selection, from: e.target.value })}
+            style={inputStyle}
+          />
+          <span style={{ fontSize: '0.875rem', color: '#9ca3af' }}>a</span>
+          <input
+            type="date"
+            value={selection.to}
+            min={selection.from || undefined}
+            onChange={(e) => setSelection({ ...selection, to: e.target.value })}
+            style={inputStyle}
+          />
+        </>
+      )}
+
+      {selection.preset !== 'all' && selection.preset !== 'custom' && (
+        <span style={{ fontSize: '0.75rem', color: '#9ca3af' }}>{period.label}</span>
+      )}
+    </div>
+  );
+};
+
+export default PeriodSelector;
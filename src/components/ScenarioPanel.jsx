@@ -0,0 +1,331 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, Save, Trash2 } from 'lucide-react';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import { useStockLevels } from '../context/StockLevelsContext';
+import { buildInventoryForecast } from '../utils/inventoryData';
+import {
+  applyScenarioToRows,
+  createScenario,
+  getScenarioConfigs,
+  loadScenarios,
+  saveScenarios,
+  summarizeScenario,
+  validateScenario
+} from '../utils/scenarios';
+import { getUnitValues } from '../utils/stockValue';
+import { calculateCustomerAnalysis, formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO, getABCClasses } from '../utils/abcSettings';
+
+// Waits for the user to stop typing before running the forecast again
+const SIMULATION_DELAY_MS = 400;
+
+const fieldStyle = {
+  padding: '4px 8px',
+  border: '1px solid #D1D5DB',
+  borderRadius: 'var(--radius-md)',
+  fontSize: '0.875rem'
+};
+
+const thStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+const METRICS = [
+  { key: 'skus', label: 'SKUs', format: formatNumber },
+  { key: 'recommendedUnits', label: 'Unidades recomendadas', format: (value) => formatNumber(Math.round(value)), hint: 'Soma do maior entre a recomendação e o ponto de pedido' },
+  { key: 'safetyStockUnits', label: 'Estoque de segurança', format: (value) => formatNumber(Math.round(value)) },
+  { key: 'stockValue', label: 'Valor do estoque', format: formatCurrency, hint: 'Unidades recomendadas × custo da tabela de custos ou, sem ele, VRLUNIT médio do SKU' },
+  { key: 'atRisk', label: 'SKUs em risco', format: formatNumber, hint: 'No ponto de pedido ou abaixo com o estoque carregado' }
+];
+
+const formatChange = (baseline, value) => {
+  if (baseline === null || value === null) return '-';
+  if (baseline === 0) return value === 0 ? '0%' : '-';
+  const change = ((value - baseline) / baseline) * 100;
+  return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+};
+
+// What-if panel of the inventory forecast: coverage and service level per class, demand
+// growth per customer class and excluded customers, simulated on the period `rows` and
+// compared with the `baselineItems` of the page. Scenarios can be saved by name.
+const ScenarioPanel = ({ rows, baselineItems, windowMonths, onClose }) => {
+  const { settings: abcSettings } = useABCSettings();
+  const { forecastConfig, safetyStockConfig, orderQuantityConfig } = usePlanningSettings();
+  const { stock, costTable } = useStockLevels();
+  const [scenario, setScenario] = useState(() => createScenario(forecastConfig, safetyStockConfig));
+  const [savedScenarios, setSavedScenarios] = useState(loadScenarios);
+  const [selectedId, setSelectedId] = useState('');
+  const [customerInput, setCustomerInput] = useState('');
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const classes = getABCClasses(abcSettings);
+  const validationError = validateScenario(scenario, forecastConfig, safetyStockConfig);
+
+  const customers = useMemo(() => calculateCustomerAnalysis(rows, abcSettings).data, [rows, abcSettings]);
+  const customerClasses = useMemo(
+    () => Object.fromEntries(customers.map(customer => [customer.name, customer.classification])),
+    [customers]
+  );
+  const unitValues = useMemo(() => getUnitValues(rows), [rows]);
+  const baseline = useMemo(
+    () => summarizeScenario(baselineItems, { costTable, unitValues, stock }),
+    [baselineItems, costTable, unitValues, stock]
+  );
+
+  useEffect(() => {
+    if (validationError) {
+      setRunning(false);
+      return;
+    }
+
+    let cancelled = false;
+    setRunning(true);
+    const timer = setTimeout(async () => {
+      try {
+        const scenarioRows = applyScenarioToRows(rows, scenario, customerClasses);
+        const configs = getScenarioConfigs(scenario, forecastConfig, safetyStockConfig);
+        const forecast = await buildInventoryForecast(scenarioRows, abcSettings, { windowMonths, ...configs, orderQuantityConfig });
+        if (!cancelled) setResult(summarizeScenario(forecast.items, { costTable, unitValues, stock }));
+      } catch (err) {
+        console.error('❌ Error simulating scenario:', err);
+        if (!cancelled) setResult(null);
+      } finally {
+        if (!cancelled) setRunning(false);
+      }
+    }, SIMULATION_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scenario, validationError, rows, customerClasses, abcSettings, windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig, costTable, unitValues, stock]);
+
+  const toNumber = (value) => (value === '' ? NaN : Number(value));
+
+  const handleClassChange = (field, classification, value) => {
+    setScenario({ ...scenario, [field]: { ...scenario[field], [classification]: toNumber(value) } });
+  };
+
+  const addExcludedCustomer = () => {
+    const name = customerInput.trim();
+    if (!customerClasses[name] || scenario.excludedCustomers.includes(name)) return;
+    setScenario({ ...scenario, excludedCustomers: [...scenario.excludedCustomers, name] });
+    setCustomerInput('');
+  };
+
+  const removeExcludedCustomer = (name) => {
+    setScenario({ ...scenario, excludedCustomers: scenario.excludedCustomers.filter(customer => customer !== name) });
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    const saved = savedScenarios.find(item => item.id === id);
+    setScenario(saved
+      ? { ...createScenario(forecastConfig, safetyStockConfig), ...saved }
+      : createScenario(forecastConfig, safetyStockConfig));
+  };
+
+  // Saving under the name of the selected scenario updates it; a new name creates another one
+  const handleSave = () => {
+    const name = scenario.name.trim();
+    if (!name || validationError) return;
+    const current = savedScenarios.find(item => item.id === selectedId);
+    const saved = current && current.name === name
+      ? { ...scenario, name, id: current.id, createdAt: current.createdAt }
+      : { ...scenario, name, id: Date.now().toString(36), createdAt: new Date().toISOString() };
+    const next = [...savedScenarios.filter(item => item.id !== saved.id), saved].sort((a, b) => a.name.localeCompare(b.name));
+    setSavedScenarios(next);
+    saveScenarios(next);
+    setSelectedId(saved.id);
+  };
+
+  const handleDelete = () => {
+    const next = savedScenarios.filter(item => item.id !== selectedId);
+    setSavedScenarios(next);
+    saveScenarios(next);
+    handleSelect('');
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 'var(--spacing-md)' }}>
+        <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', margin: 0 }}>
+          Simulação de cenários
+        </h3>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6B7280' }}
+          title="Fechar"
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      {/* Saved scenarios */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap', marginBottom: 'var(--spacing-lg)' }}>
+        <select value={selectedId} onChange={(e) => handleSelect(e.target.value)} style={fieldStyle}>
+          <option value="">Novo cenário</option>
+          {savedScenarios.map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Nome do cenário"
+          value={scenario.name}
+          onChange={(e) => setScenario({ ...scenario, name: e.target.value })}
+          style={{ ...fieldStyle, minWidth: '200px' }}
+        />
+        <button className="btn btn-secondary" onClick={handleSave} disabled={!scenario.name.trim() || !!validationError}>
+          <Save style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+          Salvar
+        </button>
+        {selectedId && (
+          <button className="btn btn-secondary" onClick={handleDelete} title="Excluir o cenário salvo">
+            <Trash2 style={{ width: '16px', height: '16px' }} />
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={() => handleSelect('')}>
+          Voltar à base
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(340px, 1fr))', gap: 'var(--spacing-xl)' }}>
+        {/* Parameters */}
+        <div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f1f5f9' }}>
+                <th style={{ ...thStyle, textAlign: 'left' }}>Classe</th>
+                <th style={thStyle} title="Meses de demanda média da recomendação (classe do SKU)">Cobertura</th>
+                <th style={thStyle} title="Nível de serviço do estoque de segurança (classe do SKU)">Serviço %</th>
+                <th style={thStyle} title="Crescimento da demanda dos clientes desta classe ABC">Cresc. clientes %</th>
+              </tr>
+            </thead>
+            <tbody>
+              {classes.map(classification => (
+                <tr key={classification}>
+                  <td style={{ ...tdStyle, textAlign: 'left', fontWeight: '700', color: ABC_CLASS_INFO[classification].color }}>{classification}</td>
+                  {[
+                    { field: 'coberturaConfig', step: '0.5' },
+                    { field: 'serviceLevels', step: '0.5' },
+                    { field: 'growth', step: '5' }
+                  ].map(({ field, step }) => (
+                    <td key={field} style={tdStyle}>
+                      <input
+                        type="number"
+                        step={step}
+                        value={Number.isFinite(scenario[field][classification]) ? scenario[field][classification] : ''}
+                        onChange={(e) => handleClassChange(field, classification, e.target.value)}
+                        style={{ ...fieldStyle, width: '80px', textAlign: 'right' }}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ marginTop: 'var(--spacing-md)' }}>
+            <span style={{ fontSize: '0.875rem', fontWeight: '600', color: 'var(--charcoal-black)' }}>Excluir clientes</span>
+            <div style={{ display: 'flex', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-xs)' }}>
+              <input
+                type="text"
+                list="scenario-customers"
+                placeholder="Nome do cliente"
+                value={customerInput}
+                onChange={(e) => setCustomerInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addExcludedCustomer()}
+                style={{ ...fieldStyle, flex: 1 }}
+              />
+              <datalist id="scenario-customers">
+                {customers.slice(0, 200).map(customer => (
+                  <option key={customer.name} value={customer.name} />
+                ))}
+              </datalist>
+              <button className="btn btn-secondary" onClick={addExcludedCustomer} disabled={!customerClasses[customerInput.trim()]}>
+                Adicionar
+              </button>
+            </div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-xs)', marginTop: 'var(--spacing-sm)' }}>
+              {scenario.excludedCustomers.map(name => (
+                <span
+                  key={name}
+                  style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '2px 8px', borderRadius: '12px', backgroundColor: '#f3f4f6', fontSize: '0.75rem' }}
+                >
+                  {name}
+                  <button
+                    onClick={() => removeExcludedCustomer(name)}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0, display: 'inline-flex' }}
+                    title="Voltar a incluir"
+                  >
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+          <p style={{ fontSize: '0.75rem', color: '#9CA3AF', marginBottom: 0 }}>
+            O crescimento multiplica as quantidades e valores dos pedidos dos clientes de cada classe no período; clientes excluídos saem do cálculo.
+          </p>
+        </div>
+
+        {/* Comparison */}
+        <div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f1f5f9' }}>
+                <th style={{ ...thStyle, textAlign: 'left' }}>Indicador</th>
+                <th style={thStyle}>Base</th>
+                <th style={thStyle}>Cenário</th>
+                <th style={thStyle}>Variação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {METRICS.map(metric => {
+                const baseValue = baseline[metric.key];
+                const scenarioValue = result ? result[metric.key] : null;
+                return (
+                  <tr key={metric.key}>
+                    <td style={{ ...tdStyle, textAlign: 'left' }} title={metric.hint}>{metric.label}</td>
+                    <td style={tdStyle}>{baseValue === null ? '-' : metric.format(baseValue)}</td>
+                    <td style={{ ...tdStyle, fontWeight: '600', color: running ? '#9CA3AF' : 'var(--charcoal-black)' }}>
+                      {scenarioValue === null ? '-' : metric.format(scenarioValue)}
+                    </td>
+                    <td style={tdStyle}>{result ? formatChange(baseValue, scenarioValue) : '-'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {validationError ? (
+            <p style={{ fontSize: '0.875rem', color: '#EF4444', marginBottom: 0 }}>{validationError}</p>
+          ) : (
+            <p style={{ fontSize: '0.75rem', color: '#9CA3AF', marginBottom: 0 }}>
+              {running ? 'Simulando...' : 'Base = configuração salva da previsão.'}
+              {!stock && ' Carregue o estoque atual para contar os SKUs em risco.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioPanel;
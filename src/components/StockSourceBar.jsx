@@ -0,0 +1,61 @@
+import React, { useRef } from 'react';
+import { Upload, Database, X } from 'lucide-react';
+import { useStockLevels } from '../context/StockLevelsContext';
+import { formatBR, toISODate } from '../utils/period';
+
+// Loads the current stock (CSV upload or Concrem_Estoque) and shows which snapshot is in use
+const StockSourceBar = () => {
+  const { stock, loading, error, notice, importCSV, loadFromSupabase, clearStock } = useStockLevels();
+  const fileInput = useRef(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (file) importCSV(file);
+    // Allows loading the same file again after editing it
+    e.target.value = '';
+  };
+
+  const describeSnapshot = () => {
+    const count = Object.keys(stock.levels).length;
+    const origin = stock.source === 'csv' ? `arquivo ${stock.fileName}` : 'tabela Concrem_Estoque';
+    return `Estoque de ${count} SKUs · ${origin} · ${formatBR(toISODate(new Date(stock.loadedAt)))}`;
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+      <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+      <button
+        className="btn btn-secondary"
+        onClick={() => fileInput.current.click()}
+        disabled={loading}
+        title="CSV com as colunas SKU (ou DESCRICAO) e QUANTIDADE (ou ESTOQUE), separadas por ; ou ,"
+      >
+        <Upload style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+        Importar estoque (CSV)
+      </button>
+      <button className="btn btn-secondary" onClick={loadFromSupabase} disabled={loading} title="Ler a tabela Concrem_Estoque">
+        <Database style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+        {loading ? 'Carregando...' : 'Estoque do banco'}
+      </button>
+
+      {stock ? (
+        <span style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontSize: '0.75rem', color: '#6b7280' }}>
+          {describeSnapshot()}
+          <button
+            onClick={clearStock}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0 }}
+            title="Descartar o estoque carregado"
+          >
+            <X size={14} />
+          </button>
+        </span>
+      ) : (
+        <span style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>Nenhum estoque carregado</span>
+      )}
+      {notice && <span style={{ fontSize: '0.75rem', color: '#10b981' }}>{notice}</span>}
+      {error && <span style={{ fontSize: '0.75rem', color: '#EF4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default StockSourceBar;
@@ -0,0 +1,184 @@
+import React, { useMemo, useRef } from 'react';
+import { Upload, X } from 'lucide-react';
+import { useStockLevels } from '../context/StockLevelsContext';
+import { summarizeStockValue } from '../utils/stockValue';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import { formatBR, toISODate } from '../utils/period';
+
+const thStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+// Positive change = capital still to invest, negative = stock above the recommendation
+const changeColor = (change) => (change > 0 ? '#EF4444' : change < 0 ? '#10b981' : '#6b7280');
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${formatCurrency(change)}`;
+
+const ValueTable = ({ title, label, groups, hasStock, renderName }) => (
+  <div style={{ overflowX: 'auto' }}>
+    <h4 style={{ fontSize: '0.875rem', fontWeight: '600', marginBottom: 'var(--spacing-sm)' }}>{title}</h4>
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr>
+          <th style={{ ...thStyle, textAlign: 'left' }}>{label}</th>
+          <th style={thStyle}>SKUs</th>
+          <th style={thStyle}>Recomendado</th>
+          {hasStock && <th style={thStyle}>Atual</th>}
+          {hasStock && <th style={thStyle}>Variação</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map(group => (
+          <tr key={group.name}>
+            <td style={{ ...tdStyle, textAlign: 'left', fontWeight: '500' }}>{renderName ? renderName(group.name) : group.name}</td>
+            <td style={tdStyle}>{formatNumber(group.skus)}</td>
+            <td style={tdStyle}>{formatCurrency(group.recommended)}</td>
+            {hasStock && <td style={tdStyle}>{group.withStock ? formatCurrency(group.current) : '-'}</td>}
+            {hasStock && (
+              <td style={{ ...tdStyle, color: changeColor(group.change), fontWeight: '600' }}>
+                {group.withStock ? formatChange(group.change) : '-'}
+              </td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Working capital of the recommendations: the target stock of `items` (inventory forecast
+// items with the applyStockValues fields) valued at the cost table or the average VRLUNIT,
+// against the value of the loaded stock, in total and per ABC class and acabamento
+const StockValuePanel = ({ items, onClose }) => {
+  const { stock, costTable, costError, costNotice, importCostCSV, clearCostTable } = useStockLevels();
+  const fileInput = useRef(null);
+  const summary = useMemo(() => summarizeStockValue(items), [items]);
+  const { total } = summary;
+  const fromTable = items.filter(item => item.costSource === 'table').length;
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (file) importCostCSV(file);
+    // Allows loading the same file again after editing it
+    e.target.value = '';
+  };
+
+  const cards = [
+    {
+      label: 'Capital recomendado',
+      value: formatCurrency(total.recommended),
+      hint: `${formatNumber(total.skus)} SKUs · maior entre recomendação e ponto de pedido`
+    },
+    {
+      label: 'Capital em estoque',
+      value: stock ? formatCurrency(total.current) : '-',
+      hint: stock ? `${formatNumber(total.withStock)} SKUs com estoque informado` : 'Carregue o estoque atual para comparar'
+    },
+    {
+      label: 'Variação',
+      value: stock ? formatChange(total.change) : '-',
+      color: stock ? changeColor(total.change) : undefined,
+      hint: stock
+        ? `Recomendado dos mesmos SKUs: ${formatCurrency(total.recommendedWithStock)}`
+        : 'Positivo = capital a investir; negativo = excesso'
+    }
+  ];
+
+  return (
+    <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 'var(--spacing-lg)' }}>
+        <div>
+          <h3 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: 'var(--spacing-xs)' }}>Capital de Giro</h3>
+          <p style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+            Valor do estoque recomendado e do estoque atual, pelo custo da tabela importada ou pelo VRLUNIT médio do período
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF' }}
+          title="Fechar"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap', marginBottom: 'var(--spacing-lg)' }}>
+        <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleFile} style={{ display: 'none' }} />
+        <button
+          className="btn btn-secondary"
+          onClick={() => fileInput.current.click()}
+          title="CSV com as colunas SKU (ou DESCRICAO) e CUSTO (ou VALOR), separadas por ; ou ,"
+        >
+          <Upload style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+          Importar custos (CSV)
+        </button>
+        {costTable ? (
+          <span style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontSize: '0.75rem', color: '#6b7280' }}>
+            Custos de {formatNumber(Object.keys(costTable.costs).length)} SKUs · arquivo {costTable.fileName} · {formatBR(toISODate(new Date(costTable.loadedAt)))}
+            <button
+              onClick={clearCostTable}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0 }}
+              title="Descartar a tabela de custos e voltar ao VRLUNIT médio"
+            >
+              <X size={14} />
+            </button>
+          </span>
+        ) : (
+          <span style={{ fontSize: '0.75rem', color: '#9CA3AF' }}>Sem tabela de custos: valores pelo VRLUNIT médio</span>
+        )}
+        {costNotice && <span style={{ fontSize: '0.75rem', color: '#10b981' }}>{costNotice}</span>}
+        {costError && <span style={{ fontSize: '0.75rem', color: '#EF4444' }}>{costError}</span>}
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: 'var(--spacing-md)',
+        marginBottom: 'var(--spacing-lg)'
+      }}>
+        {cards.map(card => (
+          <div key={card.label} style={{ padding: 'var(--spacing-md)', backgroundColor: '#f8fafc', borderRadius: 'var(--radius-md)' }}>
+            <p style={{ fontSize: '0.75rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>{card.label}</p>
+            <p style={{ fontSize: '1.5rem', fontWeight: '700', color: card.color || 'var(--charcoal-black)' }}>{card.value}</p>
+            <p style={{ fontSize: '0.625rem', color: '#9ca3af', marginTop: 'var(--spacing-xs)' }}>{card.hint}</p>
+          </div>
+        ))}
+      </div>
+
+      <p style={{ fontSize: '0.75rem', color: '#6b7280', marginBottom: 'var(--spacing-lg)' }}>
+        {formatNumber(fromTable)} SKUs valorizados pela tabela de custos, {formatNumber(total.skus - fromTable - total.withoutCost)} pelo VRLUNIT médio
+        {total.withoutCost > 0 && <span style={{ color: '#f59e0b' }}> · {formatNumber(total.withoutCost)} sem valor (fora do total)</span>}
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(360px, 1fr))', gap: 'var(--spacing-lg)' }}>
+        <ValueTable
+          title="Por Classe"
+          label="Classe"
+          groups={summary.byClass}
+          hasStock={Boolean(stock)}
+          renderName={(name) => (
+            <span style={{ color: ABC_CLASS_INFO[name]?.color, fontWeight: '700' }}>{name}</span>
+          )}
+        />
+        <ValueTable title="Por Acabamento" label="Acabamento" groups={summary.byAcabamento} hasStock={Boolean(stock)} />
+      </div>
+    </div>
+  );
+};
+
+export default StockValuePanel;
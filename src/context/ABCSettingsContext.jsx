@@ -0,0 +1,40 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import { DEFAULT_ABC_SETTINGS, loadABCSettings, saveABCSettings } from '../utils/abcSettings';
+
+// ABC cut-offs chosen by the user, persisted in localStorage so every page, chart and
+// export classifies with the same rule. Inventory planning settings are in
+// PlanningSettingsContext.
+const ABCSettingsContext = createContext(null);
+
+export const ABCSettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadABCSettings);
+
+  const updateSettings = useCallback((next) => {
+    setSettings(next);
+    saveABCSettings(next);
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    updateSettings(DEFAULT_ABC_SETTINGS);
+  }, [updateSettings]);
+
+  const value = {
+    settings,
+    updateSettings,
+    resetSettings
+  };
+
+  return (
+    <ABCSettingsContext.Provider value={value}>
+      {children}
+    </ABCSettingsContext.Provider>
+  );
+};
+
+export const useABCSettings = () => {
+  const context = useContext(ABCSettingsContext);
+  if (!context) {
+    throw new Error('useABCSettings must be used within an ABCSettingsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,65 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import { loadXYZThresholds, saveXYZThresholds } from '../utils/xyzAnalysis';
+import { loadForecastConfig, saveForecastConfig } from '../utils/inventoryForecast';
+import { loadSafetyStockConfig, saveSafetyStockConfig } from '../utils/safetyStock';
+import { loadOrderQuantityConfig, saveOrderQuantityConfig } from '../utils/orderQuantity';
+
+// Inventory planning settings chosen by the user: XYZ (demand variability) thresholds, the
+// forecast config (coverage per class, association settings, projection, kits), the safety
+// stock config (service level per class, lead times per SKU / acabamento) and the order
+// quantity config (setup cost, holding rate, batch sizes per SKU / acabamento).
+// Each one is persisted in localStorage by its own utils module; the ABC cut-offs they are
+// combined with live in ABCSettingsContext.
+const PlanningSettingsContext = createContext(null);
+
+export const PlanningSettingsProvider = ({ children }) => {
+  const [xyzThresholds, setXYZThresholds] = useState(loadXYZThresholds);
+  const [forecastConfig, setForecastConfig] = useState(loadForecastConfig);
+  const [safetyStockConfig, setSafetyStockConfig] = useState(loadSafetyStockConfig);
+  const [orderQuantityConfig, setOrderQuantityConfig] = useState(loadOrderQuantityConfig);
+
+  const updateXYZThresholds = useCallback((next) => {
+    setXYZThresholds(next);
+    saveXYZThresholds(next);
+  }, []);
+
+  const updateForecastConfig = useCallback((next) => {
+    setForecastConfig(next);
+    saveForecastConfig(next);
+  }, []);
+
+  const updateSafetyStockConfig = useCallback((next) => {
+    setSafetyStockConfig(next);
+    saveSafetyStockConfig(next);
+  }, []);
+
+  const updateOrderQuantityConfig = useCallback((next) => {
+    setOrderQuantityConfig(next);
+    saveOrderQuantityConfig(next);
+  }, []);
+
+  const value = {
+    xyzThresholds,
+    updateXYZThresholds,
+    forecastConfig,
+    updateForecastConfig,
+    safetyStockConfig,
+    updateSafetyStockConfig,
+    orderQuantityConfig,
+    updateOrderQuantityConfig
+  };
+
+  return (
+    <PlanningSettingsContext.Provider value={value}>
+      {children}
+    </PlanningSettingsContext.Provider>
+  );
+};
+
+export const usePlanningSettings = () => {
+  const context = useContext(PlanningSettingsContext);
+  if (!context) {
+    throw new Error('usePlanningSettings must be used within a PlanningSettingsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,147 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { ABC_AGGREGATION_MODE, fetchConcremData, fetchConcremDataSince, getTotalRowCount } from '../lib/supabase';
+import { clearCachedSales, loadCachedSales, saveCachedSales, mergeIncrementalRows } from '../lib/salesCache';
+
+// App-wide cache of the Concrem_Value rows.
+// The table is downloaded once when the app mounts and shared by every route,
+// so switching tabs no longer triggers a new paginated fetch.
+// Rows are also persisted in IndexedDB: on the next visit the app renders from the
+// local copy right away and only rows newer than the last synced DTEMISSAO are requested.
+// `refresh` runs that incremental sync; `reload` drops the local copy and downloads everything.
+// In server ABC mode the curves are grouped in Postgres, so nothing is downloaded until a
+// route that needs the rows calls `requestRows` (usePeriodSales does it by default).
+const SalesDataContext = createContext(null);
+
+const DEFER_ROWS = ABC_AGGREGATION_MODE === 'server';
+
+const fetchFullDataset = async (onProgress) => {
+  const data = await fetchConcremData({ onProgress });
+  return data || [];
+};
+
+const fetchIncrementalDataset = async (cached, onProgress) => {
+  const newRows = await fetchConcremDataSince(cached.lastEmissao, { onProgress });
+  const merged = mergeIncrementalRows(cached.rows, newRows || [], cached.lastEmissao);
+
+  // Reconcile: rows edited or deleted before the sync point change the total count,
+  // in which case the local copy can no longer be trusted and is rebuilt
+  const totalCount = await getTotalRowCount();
+  if (totalCount !== merged.length) {
+    console.log(`🔁 Cache out of sync (${merged.length} local vs ${totalCount} remote), reloading full dataset`);
+    return fetchFullDataset(onProgress);
+  }
+
+  return merged;
+};
+
+export const SalesDataProvider = ({ children }) => {
+  const [rows, setRows] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [rowsRequested, setRowsRequested] = useState(!DEFER_ROWS);
+
+  // Last persisted snapshot, used as the base for incremental syncs
+  const cacheRef = useRef(null);
+  // Guards against overlapping syncs (StrictMode double effects, repeated clicks)
+  const inFlight = useRef(null);
+
+  const applySnapshot = useCallback((snapshot) => {
+    cacheRef.current = snapshot;
+    setRows(snapshot.rows);
+    setLastUpdated(new Date(snapshot.syncedAt));
+  }, []);
+
+  const sync = useCallback(() => {
+    if (inFlight.current) return inFlight.current;
+
+    const run = async () => {
+      try {
+        setSyncing(true);
+        setError(null);
+        setProgress({ loaded: 0, total: 0 });
+
+        const cached = cacheRef.current;
+        const data = cached?.lastEmissao
+          ? await fetchIncrementalDataset(cached, setProgress)
+          : await fetchFullDataset(setProgress);
+
+        const snapshot = await saveCachedSales(data);
+        applySnapshot(snapshot);
+        console.log(`🗄️ Sales dataset cached: ${data.length} rows`);
+      } catch (err) {
+        console.error('❌ Error loading sales dataset:', err);
+        setError(err.message);
+      } finally {
+        setSyncing(false);
+        setLoading(false);
+        inFlight.current = null;
+      }
+    };
+
+    inFlight.current = run();
+    return inFlight.current;
+  }, [applySnapshot]);
+
+  const requestRows = useCallback(() => setRowsRequested(true), []);
+
+  // Before any route asked for the rows there is nothing to sync: bumping lastUpdated makes
+  // the server-side curves re-query
+  const refresh = useCallback(() => {
+    if (rowsRequested) return sync();
+    setLastUpdated(new Date());
+    return Promise.resolve();
+  }, [rowsRequested, sync]);
+
+  // Full reload: the current rows stay on screen until the new download replaces them
+  const reload = useCallback(async () => {
+    if (inFlight.current) await inFlight.current;
+    await clearCachedSales();
+    cacheRef.current = null;
+    return refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!rowsRequested) return;
+
+    const start = async () => {
+      const cached = await loadCachedSales();
+      if (cached) {
+        applySnapshot(cached);
+        setLoading(false);
+      }
+      // Reconcile with the server in the background
+      sync();
+    };
+
+    start();
+  }, [rowsRequested, sync, applySnapshot]);
+
+  const value = {
+    rows,
+    loading: rowsRequested && loading,
+    syncing,
+    error,
+    progress,
+    lastUpdated,
+    refresh,
+    reload,
+    requestRows
+  };
+
+  return (
+    <SalesDataContext.Provider value={value}>
+      {children}
+    </SalesDataContext.Provider>
+  );
+};
+
+export const useSalesData = () => {
+  const context = useContext(SalesDataContext);
+  if (!context) {
+    throw new Error('useSalesData must be used within a SalesDataProvider');
+  }
+  return context;
+};
@@ -0,0 +1,129 @@
+import React, { createContext, useContext, useState, useCallback } from 'react';
+import { fetchCurrentStock } from '../lib/supabase';
+import { loadStockSnapshot, saveStockSnapshot, parseStockCSV, stockLevelsFromRows } from '../utils/stockLevels';
+import { loadCostTable, saveCostTable, parseCostCSV } from '../utils/stockValue';
+
+// Current stock per SKU, loaded from a CSV file or from the Concrem_Estoque table and kept
+// in localStorage, so the inventory forecast, the production suggestions and the SKU pages
+// compare the recommendation with the same snapshot. The optional unit cost table that
+// values the stock lives here as well.
+const StockLevelsContext = createContext(null);
+
+export const StockLevelsProvider = ({ children }) => {
+  const [stock, setStock] = useState(loadStockSnapshot);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [costTable, setCostTable] = useState(loadCostTable);
+  const [costError, setCostError] = useState(null);
+  const [costNotice, setCostNotice] = useState(null);
+
+  const applySnapshot = useCallback((snapshot) => {
+    setStock(snapshot);
+    saveStockSnapshot(snapshot);
+  }, []);
+
+  const importCSV = useCallback(async (file) => {
+    try {
+      setLoading(true);
+      setError(null);
+      setNotice(null);
+      const text = await file.text();
+      const { levels, skipped, error: parseError } = parseStockCSV(text);
+      if (parseError) throw new Error(parseError);
+
+      applySnapshot({ source: 'csv', fileName: file.name, loadedAt: new Date().toISOString(), levels });
+      const count = Object.keys(levels).length;
+      console.log(`📦 Stock loaded from ${file.name}: ${count} SKUs, ${skipped} lines skipped`);
+      setNotice(`${count} SKUs carregados${skipped ? `, ${skipped} linhas ignoradas` : ''}`);
+    } catch (err) {
+      console.error('❌ Error importing stock CSV:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [applySnapshot]);
+
+  const loadFromSupabase = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setNotice(null);
+      const rows = await fetchCurrentStock();
+      if (!rows || !rows.length) throw new Error('A tabela Concrem_Estoque está vazia');
+
+      const levels = stockLevelsFromRows(rows);
+      applySnapshot({ source: 'supabase', fileName: null, loadedAt: new Date().toISOString(), levels });
+      setNotice(`${Object.keys(levels).length} SKUs carregados do banco`);
+    } catch (err) {
+      console.error('❌ Error loading stock from Supabase:', err);
+      setError(err.message || 'Erro ao carregar o estoque do banco');
+    } finally {
+      setLoading(false);
+    }
+  }, [applySnapshot]);
+
+  const clearStock = useCallback(() => {
+    applySnapshot(null);
+    setNotice(null);
+    setError(null);
+  }, [applySnapshot]);
+
+  const applyCostTable = useCallback((table) => {
+    setCostTable(table);
+    saveCostTable(table);
+  }, []);
+
+  const importCostCSV = useCallback(async (file) => {
+    try {
+      setCostError(null);
+      setCostNotice(null);
+      const text = await file.text();
+      const { costs, skipped, error: parseError } = parseCostCSV(text);
+      if (parseError) throw new Error(parseError);
+
+      applyCostTable({ fileName: file.name, loadedAt: new Date().toISOString(), costs });
+      const count = Object.keys(costs).length;
+      console.log(`💰 Unit costs loaded from ${file.name}: ${count} SKUs, ${skipped} lines skipped`);
+      setCostNotice(`${count} custos carregados${skipped ? `, ${skipped} linhas ignoradas` : ''}`);
+    } catch (err) {
+      console.error('❌ Error importing cost CSV:', err);
+      setCostError(err.message);
+    }
+  }, [applyCostTable]);
+
+  const clearCostTable = useCallback(() => {
+    applyCostTable(null);
+    setCostNotice(null);
+    setCostError(null);
+  }, [applyCostTable]);
+
+  const value = {
+    stock,
+    loading,
+    error,
+    notice,
+    importCSV,
+    loadFromSupabase,
+    clearStock,
+    costTable,
+    costError,
+    costNotice,
+    importCostCSV,
+    clearCostTable
+  };
+
+  return (
+    <StockLevelsContext.Provider value={value}>
+      {children}
+    </StockLevelsContext.Provider>
+  );
+};
+
+export const useStockLevels = () => {
+  const context = useContext(StockLevelsContext);
+  if (!context) {
+    throw new Error('useStockLevels must be used within a StockLevelsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,83 @@
+import { useState, useEffect, useMemo } from 'react';
+import { usePeriodSales } from './usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { ABC_AGGREGATION_MODE, fetchABCAggregates } from '../lib/supabase';
+import { calculateABCAnalysis, calculateABCFromAggregates } from '../utils/abcAnalysis';
+import { filterRowsByPeriod } from '../utils/period';
+
+// ABC analysis for one dimension (NOME, DESCRICAO, CIDADE or ACABAMENTO).
+// In 'client' mode the curve is grouped from the shared sales rows; in 'server' mode the
+// grouping runs in Postgres through the abc_aggregate RPC and only classes are computed here.
+// skipNull drops rows without a value for the dimension (used by the acabamento curve).
+// Both modes honour the global period selected in the header, unless an explicit `period`
+// ({ from, to }) is given (used by the period-over-period comparison). With `enabled: false`
+// nothing is computed and `analysis` stays null.
+// Classes always follow the user's ABC settings; in server mode changing them does not re-query
+// and the shared rows are not downloaded for the curve.
+export const useABCAnalysis = (groupBy, { skipNull = false, period: periodOverride = null, enabled = true } = {}) => {
+  const isServerMode = ABC_AGGREGATION_MODE === 'server';
+  const { rows: periodRows, allRows, loading: rowsLoading, error: rowsError, lastUpdated, period } = usePeriodSales({
+    needsRows: !isServerMode && enabled
+  });
+  const from = periodOverride ? periodOverride.from : period.from;
+  const to = periodOverride ? periodOverride.to : period.to;
+  const hasOverride = !!periodOverride;
+
+  const rows = useMemo(() => {
+    if (!hasOverride) return periodRows;
+    return filterRowsByPeriod(allRows, { from, to });
+  }, [hasOverride, periodRows, allRows, from, to]);
+
+  const { settings } = useABCSettings();
+
+  const [serverAggregates, setServerAggregates] = useState(null);
+  const [serverLoading, setServerLoading] = useState(isServerMode);
+  const [serverError, setServerError] = useState(null);
+
+  // Re-query whenever the shared dataset is refreshed
+  useEffect(() => {
+    if (!isServerMode || !enabled) return;
+
+    let cancelled = false;
+    const load = async () => {
+      try {
+        setServerLoading(true);
+        setServerError(null);
+        const aggregates = await fetchABCAggregates(groupBy, { skipNull, from, to });
+        if (!cancelled) setServerAggregates(aggregates || []);
+      } catch (err) {
+        if (!cancelled) setServerError(err.message);
+      } finally {
+        if (!cancelled) setServerLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [isServerMode, enabled, groupBy, skipNull, from, to, lastUpdated]);
+
+  const serverAnalysis = useMemo(() => {
+    if (!serverAggregates) return null;
+    return calculateABCFromAggregates(serverAggregates, settings);
+  }, [serverAggregates, settings]);
+
+  const clientAnalysis = useMemo(() => {
+    if (isServerMode || !enabled || !rows) return null;
+    const source = skipNull
+      ? rows.filter(row => row[groupBy] !== null && row[groupBy] !== undefined)
+      : rows;
+    return calculateABCAnalysis(source, groupBy, 'LINE_AMOUNT', settings);
+  }, [isServerMode, enabled, rows, groupBy, skipNull, settings]);
+
+  if (!enabled) {
+    return { analysis: null, loading: false, error: null };
+  }
+
+  if (isServerMode) {
+    return { analysis: serverAnalysis, loading: serverLoading, error: serverError };
+  }
+
+  return { analysis: clientAnalysis, loading: rowsLoading, error: rowsError };
+};
@@ -0,0 +1,36 @@
+import { useMemo, useCallback, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useSalesData } from '../context/SalesDataContext';
+import { parsePeriodParams, applyPeriodParams, resolvePeriod, filterRowsByPeriod } from '../utils/period';
+
+// Global period selection, stored in the URL query string
+export const usePeriod = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { preset, from, to, year } = parsePeriodParams(searchParams);
+
+  const selection = useMemo(() => ({ preset, from, to, year }), [preset, from, to, year]);
+  const period = useMemo(() => resolvePeriod(selection), [selection]);
+
+  const setSelection = useCallback((next) => {
+    setSearchParams(current => applyPeriodParams(current, next), { replace: true });
+  }, [setSearchParams]);
+
+  return { selection, period, setSelection };
+};
+
+// Shared sales rows restricted to the selected period.
+// `allRows` keeps the unfiltered dataset for views that need full history.
+// With `needsRows: false` the caller does not trigger the download of the rows (server ABC mode).
+export const usePeriodSales = ({ needsRows = true } = {}) => {
+  const sales = useSalesData();
+  const { period } = usePeriod();
+  const { requestRows } = sales;
+
+  useEffect(() => {
+    if (needsRows) requestRows();
+  }, [needsRows, requestRows]);
+
+  const rows = useMemo(() => filterRowsByPeriod(sales.rows, period), [sales.rows, period]);
+
+  return { ...sales, rows, allRows: sales.rows, period };
+};
@@ -0,0 +1,104 @@
+// Persistent offline cache of Concrem_Value rows in IndexedDB
+// The whole dataset is stored as a single record so it can be restored in one read.
+
+const DB_NAME = 'concrem-abc';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+const SALES_KEY = 'Concrem_Value';
+
+const isIndexedDBAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME);
+    }
+  };
+
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    const request = operation(store);
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Latest DTEMISSAO present in a list of rows (ISO strings compare chronologically)
+export const getLatestEmissao = (rows) => {
+  return rows.reduce((latest, row) => {
+    if (!row.DTEMISSAO) return latest;
+    return !latest || row.DTEMISSAO > latest ? row.DTEMISSAO : latest;
+  }, null);
+};
+
+// Returns { rows, syncedAt, lastEmissao } or null when nothing is cached
+export const loadCachedSales = async () => {
+  if (!isIndexedDBAvailable()) return null;
+
+  try {
+    const cached = await runTransaction('readonly', store => store.get(SALES_KEY));
+    if (!cached || !Array.isArray(cached.rows)) return null;
+
+    console.log(`💾 Restored ${cached.rows.length} rows from local cache (synced at ${cached.syncedAt})`);
+    return cached;
+  } catch (error) {
+    console.warn('⚠️ Could not read local sales cache:', error);
+    return null;
+  }
+};
+
+export const saveCachedSales = async (rows) => {
+  const entry = {
+    rows,
+    syncedAt: new Date().toISOString(),
+    lastEmissao: getLatestEmissao(rows)
+  };
+
+  if (!isIndexedDBAvailable()) return entry;
+
+  try {
+    await runTransaction('readwrite', store => store.put(entry, SALES_KEY));
+    console.log(`💾 Saved ${rows.length} rows to local cache`);
+  } catch (error) {
+    console.warn('⚠️ Could not write local sales cache:', error);
+  }
+
+  return entry;
+};
+
+export const clearCachedSales = async () => {
+  if (!isIndexedDBAvailable()) return;
+
+  try {
+    await runTransaction('readwrite', store => store.delete(SALES_KEY));
+  } catch (error) {
+    console.warn('⚠️ Could not clear local sales cache:', error);
+  }
+};
+
+// Replace every cached row emitted on or after `since` with the freshly fetched ones.
+// Rows sharing the boundary date are re-downloaded, so late inserts on that day are not lost
+// and no row is counted twice.
+export const mergeIncrementalRows = (cachedRows, newRows, since) => {
+  if (!since) return newRows;
+  const kept = cachedRows.filter(row => !row.DTEMISSAO || row.DTEMISSAO < since);
+  return [...kept, ...newRows];
+};
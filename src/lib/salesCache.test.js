@@ -0,0 +1,42 @@
+import { getLatestEmissao, mergeIncrementalRows } from './salesCache';
+
+const cachedRows = [
+  { id: 1, DTEMISSAO: '2025-06-01', QUANTIDADE: '10' },
+  { id: 2, DTEMISSAO: '2025-06-09', QUANTIDADE: '5' },
+  { id: 3, DTEMISSAO: '2025-06-10', QUANTIDADE: '7' },
+  { id: 4, DTEMISSAO: null, QUANTIDADE: '1' }
+];
+
+describe('mergeIncrementalRows', () => {
+  // The sync asks for rows on or after the last cached DTEMISSAO, so the boundary day comes again
+  const newRows = [
+    { id: 3, DTEMISSAO: '2025-06-10', QUANTIDADE: '8' },
+    { id: 5, DTEMISSAO: '2025-06-10', QUANTIDADE: '2' },
+    { id: 6, DTEMISSAO: '2025-06-12', QUANTIDADE: '4' }
+  ];
+  const merged = mergeIncrementalRows(cachedRows, newRows, '2025-06-10');
+
+  it('replaces the cached rows of the boundary day with the fetched ones', () => {
+    expect(merged.find(row => row.id === 3).QUANTIDADE).toBe('8');
+  });
+
+  it('adds the new rows, including late inserts on the boundary day', () => {
+    expect(merged.map(row => row.id)).toEqual(expect.arrayContaining([5, 6]));
+  });
+
+  it('keeps older rows and does not duplicate rows fetched again', () => {
+    expect(merged.map(row => row.id).sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(merged).toHaveLength(6);
+  });
+
+  it('uses the fetched rows alone without a sync point', () => {
+    expect(mergeIncrementalRows(cachedRows, newRows, null)).toBe(newRows);
+  });
+});
+
+describe('getLatestEmissao', () => {
+  it('returns the latest DTEMISSAO, ignoring rows without it', () => {
+    expect(getLatestEmissao(cachedRows)).toBe('2025-06-10');
+    expect(getLatestEmissao([])).toBeNull();
+  });
+});
@@ -5,8 +5,26 @@ const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY || 'eyJhbGciOiJI
 
 export const supabase = createClient(supabaseUrl, supabaseAnonKey)
 
+// Unique column of Concrem_Value used as the last sort key, so .range() pagination sees a
+// stable order and rows sharing a DTEMISSAO and LINE_AMOUNT are not skipped or repeated.
+// The base schema has no known unique column: without it pages are ordered by
+// DTEMISSAO and LINE_AMOUNT only.
+export const SALES_ROW_KEY = process.env.REACT_APP_SALES_ROW_KEY || null
+
+const withRowKeyOrder = (query) => {
+  if (!SALES_ROW_KEY) {
+    console.warn('⚠️ REACT_APP_SALES_ROW_KEY is not set: rows sharing DTEMISSAO and LINE_AMOUNT may be skipped or repeated across pages');
+    return query;
+  }
+  return query.order(SALES_ROW_KEY, { ascending: true });
+};
+
+// Where ABC curves are grouped: 'client' (from the cached rows) or 'server' (abc_aggregate RPC)
+export const ABC_AGGREGATION_MODE = process.env.REACT_APP_ABC_AGGREGATION === 'server' ? 'server' : 'client'
+
 // Helper function to fetch all data using pagination
-const fetchAllData = async (queryBuilder, pageSize = 1000) => {
+// onProgress (optional) is called after every page with the number of rows loaded so far
+const fetchAllData = async (queryBuilder, pageSize = 1000, onProgress = null) => {
   let allData = [];
   let from = 0;
   let hasMore = true;
@@ -23,6 +41,7 @@ const fetchAllData = async (queryBuilder, pageSize = 1000) => {
       if (data && data.length > 0) {
         allData = [...allData, ...data];
         console.log(`📄 Fetched page ${Math.floor(from / pageSize) + 1}: ${data.length} rows (Total: ${allData.length})`);
+        if (onProgress) onProgress(allData.length);
         from += pageSize;
         hasMore = data.length === pageSize;
       } else {
@@ -39,7 +58,8 @@ const fetchAllData = async (queryBuilder, pageSize = 1000) => {
 };
 
 // Data fetching functions
-export const fetchConcremData = async () => {
+// onProgress (optional) receives { loaded, total } while pages are being downloaded
+export const fetchConcremData = async ({ onProgress } = {}) => {
   try {
     console.log('🔍 Fetching ALL data from Concrem_Value table using pagination...');
     
@@ -51,15 +71,17 @@ export const fetchConcremData = async () => {
     if (countError) throw countError;
     
     console.log(`📊 Total rows in database: ${totalCount}`);
+    if (onProgress) onProgress({ loaded: 0, total: totalCount });
     
     // Build the base query
-    const baseQuery = supabase
+    const baseQuery = withRowKeyOrder(supabase
       .from('Concrem_Value')
       .select('*')
-      .order('LINE_AMOUNT', { ascending: false });
+      .order('LINE_AMOUNT', { ascending: false })
+      .order('DTEMISSAO', { ascending: true }));
 
     // Fetch all data using pagination
-    const data = await fetchAllData(baseQuery);
+    const data = await fetchAllData(baseQuery, 1000, onProgress && (loaded => onProgress({ loaded, total: totalCount })));
     
     console.log(`📊 Final results:`);
     console.log(`   - Total rows in database: ${totalCount}`);
@@ -82,6 +104,38 @@ export const fetchConcremData = async () => {
   }
 };
 
+// Incremental fetch: only rows emitted on or after `since` (the last synced DTEMISSAO)
+export const fetchConcremDataSince = async (since, { onProgress } = {}) => {
+  try {
+    console.log(`🔍 Fetching Concrem_Value rows since ${since}...`);
+
+    const { count: totalCount, error: countError } = await supabase
+      .from('Concrem_Value')
+      .select('*', { count: 'exact', head: true })
+      .gte('DTEMISSAO', since);
+
+    if (countError) throw countError;
+
+    console.log(`📊 Rows to sync: ${totalCount}`);
+    if (onProgress) onProgress({ loaded: 0, total: totalCount });
+
+    const baseQuery = withRowKeyOrder(supabase
+      .from('Concrem_Value')
+      .select('*')
+      .gte('DTEMISSAO', since)
+      .order('DTEMISSAO', { ascending: true })
+      .order('LINE_AMOUNT', { ascending: false }));
+
+    const data = await fetchAllData(baseQuery, 1000, onProgress && (loaded => onProgress({ loaded, total: totalCount })));
+
+    console.log(`✅ Incremental fetch returned ${data?.length || 0} rows`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error fetching incremental data:', error);
+    throw error;
+  }
+};
+
 export const fetchDataByAcabamento = async () => {
   try {
     console.log('🔍 Fetching ALL acabamento data from Concrem_Value table using pagination...');
@@ -202,3 +256,45 @@ export const fetchOrderLevelData = async (analysisWindow = 5) => {
     throw error;
   }
 };
+
+// Function to fetch the current stock per SKU (see supabase/migrations/*_current_stock.sql)
+// Returns [{ DESCRICAO, QUANTIDADE, updated_at }]
+export const fetchCurrentStock = async () => {
+  try {
+    console.log('🔍 Fetching current stock from Concrem_Estoque...');
+
+    const baseQuery = supabase
+      .from('Concrem_Estoque')
+      .select('DESCRICAO, QUANTIDADE, updated_at')
+      .order('DESCRICAO', { ascending: true });
+
+    const data = await fetchAllData(baseQuery);
+
+    console.log(`📦 Fetched stock for ${data?.length || 0} SKUs`);
+    return data;
+  } catch (error) {
+    console.error('❌ Error fetching current stock:', error);
+    throw error;
+  }
+};
+
+// Function to fetch ABC totals grouped in the database (see supabase/migrations/*_abc_aggregate.sql)
+// Returns one row per group: { name, total_value, total_quantity, row_count }
+// `from` / `to` are optional inclusive ISO dates applied to DTEMISSAO
+export const fetchABCAggregates = async (groupColumn, { skipNull = false, from = null, to = null } = {}) => {
+  try {
+    console.log(`🔍 Fetching server-side ABC aggregates by ${groupColumn}...`);
+
+    const baseQuery = supabase
+      .rpc('abc_aggregate', { group_column: groupColumn, skip_null: skipNull, date_from: from, date_to: to })
+      .order('total_value', { ascending: false });
+
+    const data = await fetchAllData(baseQuery);
+
+    console.log(`📊 Received ${data?.length || 0} groups for ${groupColumn}`);
+    return data;
+  } catch (error) {
+    console.error(`❌ Error fetching ABC aggregates by ${groupColumn}:`, error);
+    throw error;
+  }
+};
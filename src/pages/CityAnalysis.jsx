@@ -1,34 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { MapPin, Download, Search } from 'lucide-react';
-import { fetchConcremData } from '../lib/supabase';
-import { calculateCityAnalysis, formatCurrency } from '../utils/abcAnalysis';
+import { useABCAnalysis } from '../hooks/useABCAnalysis';
+import { formatCurrency } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
 import ABCAnalysisChart from '../components/ABCAnalysisChart';
 import DataTable from '../components/DataTable';
+import ABCComparison from '../components/ABCComparison';
+import LoadingProgress from '../components/LoadingProgress';
 
 const CityAnalysis = () => {
-
-  const [analysis, setAnalysis] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { analysis, loading, error } = useABCAnalysis('CIDADE');
   const [searchTerm, setSearchTerm] = useState('');
 
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const rawData = await fetchConcremData();
-        const cityAnalysis = calculateCityAnalysis(rawData);
-        setAnalysis(cityAnalysis);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
-
   const filteredData = analysis?.data.filter(item =>
     item.name.toLowerCase().includes(searchTerm.toLowerCase())
   ) || [];
@@ -60,20 +43,11 @@ const CityAnalysis = () => {
     document.body.removeChild(link);
   };
 
-  if (loading) {
-    return (
-      <div className="section">
-        <div className="container">
-          <div className="loading">
-            <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)' }}>Carregando análise de cidades...</span>
-          </div>
-        </div>
-      </div>
-    );
+  if (loading && !analysis) {
+    return <LoadingProgress message="Carregando análise de cidades..." />;
   }
 
-  if (error) {
+  if (error && !analysis) {
     return (
       <div className="section">
         <div className="container">
@@ -132,39 +106,19 @@ const CityAnalysis = () => {
             gap: 'var(--spacing-lg)',
             marginBottom: 'var(--spacing-xl)'
           }}>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#2D5A3D',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classA.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Cidades Classe A</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#D2691E',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classB.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Cidades Classe B</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#B8336A',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classC.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Cidades Classe C</p>
-            </div>
+            {analysis.classes.map(classification => (
+              <div key={classification} className="card" style={{ textAlign: 'center' }}>
+                <h3 style={{ 
+                  fontSize: '2rem', 
+                  fontWeight: '700',
+                  color: ABC_CLASS_INFO[classification].color,
+                  margin: '0 0 var(--spacing-xs) 0'
+                }}>
+                  {analysis.summary[`class${classification}`].length}
+                </h3>
+                <p style={{ margin: 0, color: '#6B7280' }}>Cidades Classe {classification}</p>
+              </div>
+            ))}
             <div className="card" style={{ textAlign: 'center' }}>
               <h3 style={{ 
                 fontSize: '2rem', 
@@ -232,6 +186,14 @@ const CityAnalysis = () => {
             title="Dados Detalhados - Cidades"
           />
         </div>
+
+        {/* Period-over-period comparison */}
+        <ABCComparison
+          groupBy="CIDADE"
+          current={analysis}
+          entityLabel="cidades"
+          fileName="comparacao_abc_cidades.csv"
+        />
       </div>
     </div>
   );
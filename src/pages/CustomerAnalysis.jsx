@@ -1,33 +1,26 @@
-import React, { useState, useEffect } from 'react';
-import { Users, Download, Search } from 'lucide-react';
-import { fetchConcremData } from '../lib/supabase';
-import { calculateCustomerAnalysis, formatCurrency } from '../utils/abcAnalysis';
+import React, { useMemo, useState } from 'react';
+import { Users, Download, Search, Lightbulb } from 'lucide-react';
+import { useABCAnalysis } from '../hooks/useABCAnalysis';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { formatCurrency } from '../utils/abcAnalysis';
+import { buildCrossSellModel, buildOpportunityList, getCustomerReps, REP_FIELD } from '../utils/crossSell';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
 import ABCAnalysisChart from '../components/ABCAnalysisChart';
 import DataTable from '../components/DataTable';
+import ABCComparison from '../components/ABCComparison';
+import LoadingProgress from '../components/LoadingProgress';
 
 const CustomerAnalysis = () => {
-
-  const [analysis, setAnalysis] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { analysis, loading, error } = useABCAnalysis('NOME');
+  const { rows } = usePeriodSales();
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedRep, setSelectedRep] = useState('all');
 
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const rawData = await fetchConcremData();
-        const customerAnalysis = calculateCustomerAnalysis(rawData);
-        setAnalysis(customerAnalysis);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
+  const customerReps = useMemo(() => (rows ? getCustomerReps(rows) : new Map()), [rows]);
+  const repNames = useMemo(
+    () => Array.from(new Set(customerReps.values())).sort((a, b) => a.localeCompare(b)),
+    [customerReps]
+  );
 
   const filteredData = analysis?.data.filter(item =>
     item.name.toLowerCase().includes(searchTerm.toLowerCase())
@@ -60,20 +53,52 @@ const CustomerAnalysis = () => {
     document.body.removeChild(link);
   };
 
-  if (loading) {
-    return (
-      <div className="section">
-        <div className="container">
-          <div className="loading">
-            <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)' }}>Carregando análise de clientes...</span>
-          </div>
-        </div>
-      </div>
-    );
+  // "Lista de oportunidades": cross-sell suggestions of every customer (or of one sales rep)
+  const exportOpportunities = () => {
+    if (!rows || !analysis) return;
+
+    const rep = selectedRep === 'all' ? null : selectedRep;
+    const opportunities = buildOpportunityList(buildCrossSellModel(rows), {
+      reps: customerReps,
+      classifications: Object.fromEntries(analysis.data.map(item => [item.name, item.classification])),
+      rep
+    });
+    console.log(`💡 Exported ${opportunities.length} cross-sell opportunities${rep ? ` for ${rep}` : ''}`);
+
+    const headers = ['Vendedor', 'Cliente', 'Classe_Cliente', 'Produto_Sugerido', 'Baseado_Em', 'Chance', 'Lift', 'Clientes_Em_Comum', 'Gasto_Medio', 'Valor_Esperado'];
+    const csvContent = [
+      headers.join(';'),
+      ...opportunities.map(item => [
+        `"${item.rep}"`,
+        `"${item.customer}"`,
+        item.classification || '',
+        `"${item.sku}"`,
+        `"${item.basedOn}"`,
+        (item.confidence * 100).toFixed(1),
+        item.lift.toFixed(2),
+        item.coCustomers,
+        item.averageSpend.toFixed(2),
+        item.expectedValue.toFixed(2)
+      ].join(';'))
+    ].join('\n');
+
+    const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    const suffix = rep ? `_${rep.replace(/[^\w-]+/g, '_')}` : '';
+    link.setAttribute('href', url);
+    link.setAttribute('download', `oportunidades_cross_sell${suffix}.csv`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  };
+
+  if (loading && !analysis) {
+    return <LoadingProgress message="Carregando análise de clientes..." />;
   }
 
-  if (error) {
+  if (error && !analysis) {
     return (
       <div className="section">
         <div className="container">
@@ -132,39 +157,19 @@ const CustomerAnalysis = () => {
             gap: 'var(--spacing-lg)',
             marginBottom: 'var(--spacing-xl)'
           }}>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#2D5A3D',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classA.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Clientes Classe A</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#D2691E',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classB.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Clientes Classe B</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#B8336A',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classC.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Clientes Classe C</p>
-            </div>
+            {analysis.classes.map(classification => (
+              <div key={classification} className="card" style={{ textAlign: 'center' }}>
+                <h3 style={{ 
+                  fontSize: '2rem', 
+                  fontWeight: '700',
+                  color: ABC_CLASS_INFO[classification].color,
+                  margin: '0 0 var(--spacing-xs) 0'
+                }}>
+                  {analysis.summary[`class${classification}`].length}
+                </h3>
+                <p style={{ margin: 0, color: '#6B7280' }}>Clientes Classe {classification}</p>
+              </div>
+            ))}
             <div className="card" style={{ textAlign: 'center' }}>
               <h3 style={{ 
                 fontSize: '2rem', 
@@ -212,15 +217,44 @@ const CustomerAnalysis = () => {
                 }}
               />
             </div>
-            <button
-              onClick={exportToCSV}
-              className="btn btn-primary"
-              style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
-            >
-              <Download size={16} />
-              Exportar CSV
-            </button>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+              {repNames.length > 0 && (
+                <select
+                  value={selectedRep}
+                  onChange={(e) => setSelectedRep(e.target.value)}
+                  style={{ padding: 'var(--spacing-sm)', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                  title="Vendedor da lista de oportunidades"
+                >
+                  <option value="all">Todos os vendedores</option>
+                  {repNames.map(rep => <option key={rep} value={rep}>{rep}</option>)}
+                </select>
+              )}
+              <button
+                onClick={exportOpportunities}
+                className="btn btn-secondary"
+                disabled={!rows}
+                style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
+                title="Produtos que clientes com o mesmo mix compram e cada cliente ainda não compra, com o valor esperado"
+              >
+                <Lightbulb size={16} />
+                Lista de oportunidades
+              </button>
+              <button
+                onClick={exportToCSV}
+                className="btn btn-primary"
+                style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
+              >
+                <Download size={16} />
+                Exportar CSV
+              </button>
+            </div>
           </div>
+          {rows && repNames.length === 0 && (
+            <p style={{ margin: '0 0 var(--spacing-lg) 0', fontSize: '0.75rem', color: '#6B7280', textAlign: 'right' }}>
+              Nenhuma venda do período tem vendedor na coluna {REP_FIELD}: a lista de oportunidades sai com todos os clientes
+              em "Sem vendedor". Para usar outra coluna, defina REACT_APP_REP_FIELD.
+            </p>
+          )}
         </div>
 
         {/* Charts */}
@@ -234,8 +268,17 @@ const CustomerAnalysis = () => {
           <DataTable 
             data={filteredData} 
             title="Dados Detalhados - Clientes"
+            getRowLink={(item) => `/clientes/${encodeURIComponent(item.name)}`}
           />
         </div>
+
+        {/* Period-over-period comparison */}
+        <ABCComparison
+          groupBy="NOME"
+          current={analysis}
+          entityLabel="clientes"
+          fileName="comparacao_abc_clientes.csv"
+        />
       </div>
     </div>
   );
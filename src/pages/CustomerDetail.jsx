@@ -0,0 +1,267 @@
+import React, { useMemo } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { ArrowLeft, User, DollarSign, ShoppingCart, Receipt, Clock, AlertTriangle } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { buildCustomerProfile } from '../utils/customerProfile';
+import { buildCrossSellModel, recommendForCustomer } from '../utils/crossSell';
+import { assessChurnRisk, CHURN_LEVELS } from '../utils/churnRisk';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import { formatBR, getRecencyReferenceDate, toISODate } from '../utils/period';
+import LoadingProgress from '../components/LoadingProgress';
+import MixTable from '../components/MixTable';
+import CrossSellTable from '../components/CrossSellTable';
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-lg)'
+};
+
+// Customer detail (/clientes/:nome): everything a sales rep needs before a call
+const CustomerDetail = () => {
+  const { nome } = useParams();
+  const { search } = useLocation();
+  const { rows, allRows, loading, error, period } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
+
+  // Days without a purchase, in the KPI and the churn card, are counted to the same date as
+  // the RFM recency: today, or the end of a past period
+  const referenceDate = getRecencyReferenceDate(period);
+  const isCurrentPeriod = referenceDate === toISODate(new Date());
+
+  // Churn risk is assessed over the whole history up to the reference date
+  const churnAssessment = useMemo(
+    () => (allRows ? assessChurnRisk(allRows, { referenceDate }) : null),
+    [allRows, referenceDate]
+  );
+  const churnRisk = useMemo(
+    () => (churnAssessment ? churnAssessment.customers.find(customer => customer.name === nome) || null : null),
+    [churnAssessment, nome]
+  );
+
+  const profile = useMemo(() => {
+    if (!rows) return null;
+    return buildCustomerProfile(rows, nome, {
+      settings: abcSettings,
+      allRows,
+      referenceDate
+    });
+  }, [rows, allRows, nome, abcSettings, referenceDate]);
+
+  // Rules come from every customer of the period; only this customer's list is shown
+  const crossSellModel = useMemo(() => (rows ? buildCrossSellModel(rows) : null), [rows]);
+  const recommendations = useMemo(
+    () => (crossSellModel ? recommendForCustomer(crossSellModel, nome) : []),
+    [crossSellModel, nome]
+  );
+
+  if (loading && !rows) {
+    return <LoadingProgress message="Carregando dados do cliente..." />;
+  }
+
+  if (error && !rows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao carregar dados</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!rows) return null;
+
+  const backLink = (
+    <Link
+      to={{ pathname: '/clientes', search }}
+      style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+    >
+      <ArrowLeft size={16} />
+      Voltar para Curva Cliente
+    </Link>
+  );
+
+  if (!profile) {
+    return (
+      <div className="section">
+        <div className="container">
+          {backLink}
+          <div className="card" style={{ textAlign: 'center' }}>
+            <h3>Cliente não encontrado</h3>
+            <p style={{ color: '#6B7280' }}>Nenhuma venda registrada para "{nome}".</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const kpis = [
+    { label: 'Faturamento', value: formatCurrency(profile.totalValue), icon: DollarSign, color: 'var(--forest-green)' },
+    { label: 'Pedidos', value: formatNumber(profile.orderCount), icon: ShoppingCart, color: 'var(--blue)' },
+    { label: 'Ticket médio', value: formatCurrency(profile.averageTicket), icon: Receipt, color: '#D2691E' },
+    {
+      label: 'Dias desde a última compra',
+      value: profile.daysSinceLastPurchase ?? '-',
+      icon: Clock,
+      color: profile.daysSinceLastPurchase > 90 ? '#EF4444' : '#6B7280'
+    }
+  ];
+
+  return (
+    <div className="section">
+      <div className="container">
+        {backLink}
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--blue)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <User size={24} color="white" />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              {profile.name}
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              Período analisado: {period.label}
+              {profile.firstPurchase && ` · primeira compra no período em ${formatBR(profile.firstPurchase)}`}
+            </p>
+          </div>
+        </div>
+
+        {/* KPIs */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+          gap: 'var(--spacing-lg)',
+          marginBottom: 'var(--spacing-2xl)'
+        }}>
+          {kpis.map(kpi => (
+            <div key={kpi.label} className="card" style={{ textAlign: 'center' }}>
+              <kpi.icon size={24} color={kpi.color} style={{ marginBottom: 'var(--spacing-xs)' }} />
+              <h3 style={{ fontSize: '1.75rem', fontWeight: '700', color: kpi.color, margin: '0 0 var(--spacing-xs) 0' }}>
+                {kpi.value}
+              </h3>
+              <p style={{ margin: 0, color: '#6B7280', fontSize: '0.875rem' }}>{kpi.label}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Churn risk */}
+        {churnRisk && (
+          <div className="card" style={{ marginBottom: 'var(--spacing-2xl)', borderLeft: `4px solid ${churnRisk.level ? CHURN_LEVELS[churnRisk.level].color : '#D1D5DB'}` }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-sm)' }}>
+              <AlertTriangle size={20} color={churnRisk.level ? CHURN_LEVELS[churnRisk.level].color : '#9CA3AF'} />
+              <h3 style={{ ...sectionTitleStyle, marginBottom: 0 }}>
+                Risco de churn: {churnRisk.level ? `${CHURN_LEVELS[churnRisk.level].label} (${churnRisk.score}/100)` : 'sem avaliação'}
+              </h3>
+            </div>
+            <ul style={{ margin: '0 0 var(--spacing-sm) 0', paddingLeft: 'var(--spacing-lg)', fontSize: '0.875rem', color: '#374151' }}>
+              {churnRisk.reasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+            <p style={{ margin: 0, fontSize: '0.75rem', color: '#6B7280' }}>
+              {churnRisk.typicalInterval !== null && `Intervalo típico entre compras: ${Math.round(churnRisk.typicalInterval)} dias · `}
+              Receita dos últimos 12 meses (em jogo): {formatCurrency(churnRisk.revenueAtStake)} · dias contados até {isCurrentPeriod ? 'hoje' : 'o fim do período'} ({formatBR(referenceDate)})
+            </p>
+          </div>
+        )}
+
+        {/* Monthly revenue */}
+        <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+          <h3 style={sectionTitleStyle}>Faturamento mensal</h3>
+          {profile.monthlyRevenue.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', color: '#6B7280' }}>Sem compras no período.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={profile.monthlyRevenue}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={(value) => `R$ ${(value / 1000).toFixed(0)}k`} tick={{ fontSize: 12 }} />
+                <Tooltip
+                  formatter={(value) => [formatCurrency(value), 'Faturamento']}
+                  labelFormatter={(label, payload) => {
+                    const orders = payload?.[0]?.payload.orders ?? 0;
+                    return `${label} · ${orders} pedido${orders === 1 ? '' : 's'}`;
+                  }}
+                />
+                <Bar dataKey="value" fill="#2D5A3D" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        {/* ABC class per quarter */}
+        <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+          <h3 style={sectionTitleStyle}>Classe ABC por trimestre</h3>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-sm)' }}>
+            {profile.quarterlyClasses.map(item => (
+              <div
+                key={item.quarter}
+                title={item.classification
+                  ? `#${item.rank} de ${item.customerCount} clientes · ${formatCurrency(item.totalValue)}`
+                  : 'Sem compras no trimestre'}
+                style={{
+                  minWidth: '84px',
+                  padding: 'var(--spacing-sm)',
+                  borderRadius: 'var(--radius-md)',
+                  border: '1px solid #E5E7EB',
+                  textAlign: 'center'
+                }}
+              >
+                <div style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 'var(--spacing-xs)' }}>{item.quarter}</div>
+                <span style={{
+                  display: 'inline-block',
+                  minWidth: '28px',
+                  padding: '4px 10px',
+                  borderRadius: '20px',
+                  fontSize: '0.875rem',
+                  fontWeight: '700',
+                  color: 'white',
+                  backgroundColor: item.classification ? ABC_CLASS_INFO[item.classification].color : '#D1D5DB'
+                }}>
+                  {item.classification || '-'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <CrossSellTable recommendations={recommendations} />
+
+        {/* Mix */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+          gap: 'var(--spacing-lg)'
+        }}>
+          <MixTable
+            title="Produtos mais comprados"
+            items={profile.products}
+            nameLabel="Produto"
+            getLink={(item) => `/produtos/${encodeURIComponent(item.name)}`}
+          />
+          <MixTable title="Acabamentos" items={profile.acabamentos} nameLabel="Acabamento" />
+          <MixTable title="Cidades de entrega" items={profile.cities} nameLabel="Cidade" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerDetail;
@@ -0,0 +1,336 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Layers, Download, Search } from 'lucide-react';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCAnalysis } from '../hooks/useABCAnalysis';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { buildRFMAnalysis, crossTabSegmentsABC, RFM_SEGMENTS, RFM_SEGMENT_INFO } from '../utils/rfm';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO, getABCClasses } from '../utils/abcSettings';
+import { formatBR, getRecencyReferenceDate, toISODate } from '../utils/period';
+import LoadingProgress from '../components/LoadingProgress';
+
+const MAX_CUSTOMER_ROWS = 100;
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-sm)'
+};
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+// RFM segments (/segmentos): customers of the selected period scored by recency, frequency
+// and value, grouped into named segments with their revenue share, crossed with the ABC
+// curve of customers, and the customer list of each segment for export.
+const CustomerSegments = () => {
+  const { search } = useLocation();
+  const { rows, loading, error, period } = usePeriodSales();
+  const { analysis: abcAnalysis } = useABCAnalysis('NOME');
+  const { settings: abcSettings } = useABCSettings();
+  const [selectedSegment, setSelectedSegment] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Recency runs to today in the current period and to the period end in a past one
+  const referenceDate = getRecencyReferenceDate(period);
+  const isCurrentPeriod = referenceDate === toISODate(new Date());
+  const rfm = useMemo(() => {
+    const analysis = rows ? buildRFMAnalysis(rows, { referenceDate }) : null;
+    return analysis && analysis.customers.length ? analysis : null;
+  }, [rows, referenceDate]);
+
+  const classifications = useMemo(() => (
+    abcAnalysis ? Object.fromEntries(abcAnalysis.data.map(item => [item.name, item.classification])) : {}
+  ), [abcAnalysis]);
+
+  const crossTab = useMemo(() => (rfm ? crossTabSegmentsABC(rfm.customers, classifications) : {}), [rfm, classifications]);
+  const abcClasses = getABCClasses(abcSettings);
+
+  const segmentCustomers = useMemo(() => {
+    if (!rfm) return [];
+    return selectedSegment === 'all' ? rfm.customers : rfm.customers.filter(customer => customer.segment === selectedSegment);
+  }, [rfm, selectedSegment]);
+
+  const filteredCustomers = segmentCustomers.filter(customer => customer.name.toLowerCase().includes(searchTerm.toLowerCase()));
+
+  const exportToCSV = () => {
+    const headers = ['Cliente', 'Segmento', 'Classe_ABC', 'Ultima_Compra', 'Recencia_Dias', 'Pedidos', 'Valor', 'R', 'F', 'M', 'RFM'];
+    const csvContent = [
+      headers.join(';'),
+      ...segmentCustomers.map(customer => [
+        `"${customer.name}"`,
+        RFM_SEGMENT_INFO[customer.segment].label,
+        classifications[customer.name] || '',
+        formatBR(customer.lastPurchase),
+        customer.recency,
+        customer.frequency,
+        customer.monetary.toFixed(2),
+        customer.r,
+        customer.f,
+        customer.m,
+        customer.score
+      ].join(';'))
+    ].join('\n');
+    console.log(`📤 Exported ${segmentCustomers.length} customers of RFM segment ${selectedSegment}`);
+
+    const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `segmentos_rfm_${selectedSegment === 'all' ? 'todos' : selectedSegment}_${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (loading && !rows) {
+    return <LoadingProgress message="Carregando vendas..." />;
+  }
+
+  if (error && !rows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao carregar dados</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedInfo = selectedSegment === 'all' ? null : RFM_SEGMENT_INFO[selectedSegment];
+
+  return (
+    <div className="section">
+      <div className="container">
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--blue)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <Layers size={24} color="white" />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              Segmentos RFM
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              Recência, frequência e valor de cada cliente em {period.label}
+              , com a recência contada até {isCurrentPeriod ? 'hoje' : 'o fim do período'} ({formatBR(referenceDate)}).
+            </p>
+          </div>
+        </div>
+
+        {!rfm ? (
+          <div className="card">
+            <p style={{ color: '#6B7280', margin: 0 }}>Sem vendas no período selecionado.</p>
+          </div>
+        ) : (
+          <>
+            {/* Segments */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-2xl)' }}>
+              {rfm.segments.map(segment => {
+                const isSelected = selectedSegment === segment.key;
+                return (
+                  <button
+                    key={segment.key}
+                    type="button"
+                    className="card"
+                    onClick={() => setSelectedSegment(isSelected ? 'all' : segment.key)}
+                    title={`${segment.description}. ${segment.action}.`}
+                    style={{
+                      textAlign: 'left',
+                      fontFamily: 'inherit',
+                      cursor: 'pointer',
+                      borderLeft: `4px solid ${segment.color}`,
+                      outline: isSelected ? `2px solid ${segment.color}` : 'none',
+                      opacity: segment.customerCount === 0 ? 0.6 : 1
+                    }}
+                  >
+                    <div style={{ fontSize: '0.875rem', fontWeight: '600', color: segment.color, marginBottom: 'var(--spacing-xs)' }}>
+                      {segment.label}
+                    </div>
+                    <div style={{ fontSize: '1.75rem', fontWeight: '700', color: 'var(--charcoal-black)' }}>
+                      {formatNumber(segment.customerCount)}
+                      <span style={{ fontSize: '0.875rem', fontWeight: '400', color: '#6B7280' }}>
+                        {' '}clientes ({((segment.customerCount / rfm.customers.length) * 100).toFixed(1)}%)
+                      </span>
+                    </div>
+                    <div style={{ fontSize: '0.875rem', color: '#374151' }}>
+                      {formatCurrency(segment.totalValue)} · {segment.share.toFixed(1)}% da receita
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: '#6B7280', marginTop: 'var(--spacing-xs)' }}>
+                      {segment.action}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Segment × ABC */}
+            <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+              <h3 style={sectionTitleStyle}>Segmentos × Curva ABC de clientes</h3>
+              <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                Número de clientes de cada segmento por classe ABC do período. Clientes A e B em "Em risco" ou "Não pode perder" são a prioridade de recuperação.
+              </p>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Segmento</th>
+                      {abcClasses.map(classification => (
+                        <th key={classification} style={{ ...thStyle, textAlign: 'center', color: ABC_CLASS_INFO[classification].color }}>
+                          {classification}
+                        </th>
+                      ))}
+                      <th style={thStyle}>Total</th>
+                      <th style={thStyle}>Receita</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rfm.segments.map(segment => (
+                      <tr key={segment.key}>
+                        <td style={{ ...tdStyle, textAlign: 'left', fontWeight: '600', color: segment.color }}>{segment.label}</td>
+                        {abcClasses.map(classification => (
+                          <td key={classification} style={{ ...tdStyle, textAlign: 'center' }}>
+                            {crossTab[segment.key]?.[classification] || '-'}
+                          </td>
+                        ))}
+                        <td style={{ ...tdStyle, fontWeight: '600' }}>{formatNumber(segment.customerCount)}</td>
+                        <td style={tdStyle}>{segment.share.toFixed(1)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Customers */}
+            <div className="card">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                <h3 style={{ ...sectionTitleStyle, marginBottom: 0 }}>
+                  {selectedInfo ? `Clientes: ${selectedInfo.label}` : 'Todos os clientes'}
+                  <span style={{ fontSize: '0.875rem', fontWeight: '400', color: '#6B7280' }}> · {formatNumber(segmentCustomers.length)}</span>
+                </h3>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+                  <div style={{ position: 'relative' }}>
+                    <Search size={16} style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: '#9CA3AF' }} />
+                    <input
+                      type="text"
+                      placeholder="Buscar cliente..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      style={{ padding: 'var(--spacing-sm) var(--spacing-sm) var(--spacing-sm) 32px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                    />
+                  </div>
+                  <select value={selectedSegment} onChange={(e) => setSelectedSegment(e.target.value)} className="btn btn-secondary">
+                    <option value="all">Todos os segmentos</option>
+                    {RFM_SEGMENTS.map(segment => (
+                      <option key={segment.key} value={segment.key}>{segment.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={exportToCSV}
+                    className="btn btn-primary"
+                    disabled={segmentCustomers.length === 0}
+                    style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
+                  >
+                    <Download size={16} />
+                    Exportar CSV
+                  </button>
+                </div>
+              </div>
+              {selectedInfo && (
+                <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                  {selectedInfo.description}. Sugestão: {selectedInfo.action.toLowerCase()}.
+                </p>
+              )}
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Cliente</th>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Segmento</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }}>Curva</th>
+                      <th style={thStyle}>Última compra</th>
+                      <th style={thStyle} title="Dias entre a última compra e hoje, ou o fim do período quando ele já terminou">Recência</th>
+                      <th style={thStyle}>Pedidos</th>
+                      <th style={thStyle}>Valor</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }} title="Notas de 1 a 5 de recência, frequência e valor">RFM</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredCustomers.slice(0, MAX_CUSTOMER_ROWS).map(customer => {
+                      const segment = RFM_SEGMENT_INFO[customer.segment];
+                      const classification = classifications[customer.name];
+                      return (
+                        <tr key={customer.name}>
+                          <td style={{ ...tdStyle, textAlign: 'left', maxWidth: '280px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            <Link
+                              to={{ pathname: `/clientes/${encodeURIComponent(customer.name)}`, search }}
+                              style={{ color: 'inherit', textDecoration: 'none' }}
+                              title={customer.name}
+                            >
+                              {customer.name}
+                            </Link>
+                          </td>
+                          <td style={{ ...tdStyle, textAlign: 'left', color: segment.color, fontWeight: '600' }}>{segment.label}</td>
+                          <td style={{ ...tdStyle, textAlign: 'center', fontWeight: '700', color: ABC_CLASS_INFO[classification]?.color }}>{classification || '-'}</td>
+                          <td style={tdStyle}>{formatBR(customer.lastPurchase)}</td>
+                          <td style={tdStyle}>{formatNumber(customer.recency)} dias</td>
+                          <td style={tdStyle}>{formatNumber(customer.frequency)}</td>
+                          <td style={{ ...tdStyle, fontWeight: '600' }}>{formatCurrency(customer.monetary)}</td>
+                          <td style={{ ...tdStyle, textAlign: 'center', fontFamily: 'monospace' }}>{customer.score}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {filteredCustomers.length === 0 && (
+                <p style={{ textAlign: 'center', color: '#6B7280', padding: 'var(--spacing-lg)' }}>
+                  Nenhum cliente neste segmento.
+                </p>
+              )}
+              {filteredCustomers.length > MAX_CUSTOMER_ROWS && (
+                <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 0 }}>
+                  Mostrando os {MAX_CUSTOMER_ROWS} clientes de maior valor de {formatNumber(filteredCustomers.length)}. A exportação inclui todos.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerSegments;
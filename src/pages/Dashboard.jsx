@@ -1,51 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import { Users, Package, MapPin, BarChart3, TrendingUp, DollarSign, ArrowUpRight } from 'lucide-react';
-import { fetchConcremData } from '../lib/supabase';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
 import { calculateCustomerAnalysis, calculateProductAnalysis, calculateCityAnalysis, calculateAcabamentoAnalysis, formatCurrency } from '../utils/abcAnalysis';
+import LoadingProgress from '../components/LoadingProgress';
 
 const Dashboard = () => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { rows: data, loading, error } = usePeriodSales();
+  // Keep the selected period when drilling into another page
+  const { search } = useLocation();
+  const { settings: abcSettings } = useABCSettings();
 
-
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        
-        // Fetch actual data
-        const rawData = await fetchConcremData();
-        setData(rawData);
-        
-        console.log(`🔍 Data Summary:`);
-        console.log(`   - Fetched rows: ${rawData?.length || 0}`);
-        
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
-
-  if (loading) {
-    return (
-      <div className="section">
-        <div className="container">
-          <div className="loading">
-            <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)', fontSize: '1.125rem' }}>Carregando dados...</span>
-          </div>
-        </div>
-      </div>
-    );
+  if (loading && !data) {
+    return <LoadingProgress message="Carregando dados..." />;
   }
 
-  if (error) {
+  if (error && !data) {
     return (
       <div className="section">
         <div className="container">
@@ -61,10 +33,10 @@ const Dashboard = () => {
   if (!data) return null;
 
   // Calculate all analyses
-  const customerAnalysis = calculateCustomerAnalysis(data);
-  const productAnalysis = calculateProductAnalysis(data);
-  const cityAnalysis = calculateCityAnalysis(data);
-  const acabamentoAnalysis = calculateAcabamentoAnalysis(data);
+  const customerAnalysis = calculateCustomerAnalysis(data, abcSettings);
+  const productAnalysis = calculateProductAnalysis(data, abcSettings);
+  const cityAnalysis = calculateCityAnalysis(data, abcSettings);
+  const acabamentoAnalysis = calculateAcabamentoAnalysis(data, abcSettings);
 
   const totalRevenue = data.reduce((sum, item) => sum + (Number(item.LINE_AMOUNT) || 0), 0);
   const totalCustomers = new Set(data.map(item => item.NOME)).size;
@@ -109,11 +81,7 @@ const Dashboard = () => {
       icon: Users,
       color: 'var(--blue)',
       link: '/clientes',
-      stats: {
-        classA: customerAnalysis.summary.classA.length,
-        classB: customerAnalysis.summary.classB.length,
-        classC: customerAnalysis.summary.classC.length
-      }
+      analysis: customerAnalysis
     },
     {
       title: 'Curva SKU',
@@ -121,11 +89,7 @@ const Dashboard = () => {
       icon: Package,
       color: 'var(--orange)',
       link: '/produtos',
-      stats: {
-        classA: productAnalysis.summary.classA.length,
-        classB: productAnalysis.summary.classB.length,
-        classC: productAnalysis.summary.classC.length
-      }
+      analysis: productAnalysis
     },
     {
       title: 'Curva Cidade',
@@ -133,11 +97,7 @@ const Dashboard = () => {
       icon: MapPin,
       color: 'var(--purple)',
       link: '/cidades',
-      stats: {
-        classA: cityAnalysis.summary.classA.length,
-        classB: cityAnalysis.summary.classB.length,
-        classC: cityAnalysis.summary.classC.length
-      }
+      analysis: cityAnalysis
     },
     {
       title: 'Curva Acabamento',
@@ -145,11 +105,7 @@ const Dashboard = () => {
       icon: BarChart3,
       color: 'var(--teal)',
       link: '/acabamento',
-      stats: {
-        classA: acabamentoAnalysis.summary.classA.length,
-        classB: acabamentoAnalysis.summary.classB.length,
-        classC: acabamentoAnalysis.summary.classC.length
-      }
+      analysis: acabamentoAnalysis
     }
   ];
 
@@ -249,7 +205,7 @@ const Dashboard = () => {
                 </div>
                 {metric.link && (
                   <Link 
-                    to={metric.link}
+                    to={{ pathname: metric.link, search }}
                     style={{
                       position: 'absolute',
                       top: 'var(--spacing-lg)',
@@ -281,7 +237,7 @@ const Dashboard = () => {
             return (
               <Link 
                 key={index} 
-                to={card.link}
+                to={{ pathname: card.link, search }}
                 style={{ textDecoration: 'none' }}
               >
                 <div className="card" style={{ 
@@ -336,73 +292,35 @@ const Dashboard = () => {
 
                                      <div style={{ 
                      display: 'grid', 
-                     gridTemplateColumns: 'repeat(3, 1fr)',
+                     gridTemplateColumns: `repeat(${card.analysis.classes.length}, 1fr)`,
                      gap: 'var(--spacing-md)',
                      padding: 'var(--spacing-lg)',
                      backgroundColor: '#fafafa',
                      borderRadius: 'var(--radius-lg)',
                      border: '1px solid #e5e7eb'
                    }}>
-                                         <div style={{ textAlign: 'center' }}>
-                       <div style={{
-                         fontSize: '1.75rem',
-                         fontWeight: '700',
-                         color: '#2D5A3D',
-                         marginBottom: 'var(--spacing-xs)',
-                         lineHeight: '1.1'
-                       }}>
-                         {card.stats.classA}
-                       </div>
-                      <div style={{
-                        fontSize: '0.875rem',
-                        color: '#6B7280',
-                        textTransform: 'uppercase',
-                        fontWeight: '600',
-                        letterSpacing: '0.5px'
-                      }}>
-                        Classe A
-                      </div>
-                    </div>
-                                         <div style={{ textAlign: 'center' }}>
-                       <div style={{
-                         fontSize: '1.75rem',
-                         fontWeight: '700',
-                         color: '#D2691E',
-                         marginBottom: 'var(--spacing-xs)',
-                         lineHeight: '1.1'
-                       }}>
-                         {card.stats.classB}
-                       </div>
-                      <div style={{
-                        fontSize: '0.875rem',
-                        color: '#6B7280',
-                        textTransform: 'uppercase',
-                        fontWeight: '600',
-                        letterSpacing: '0.5px'
-                      }}>
-                        Classe B
-                      </div>
-                    </div>
-                                         <div style={{ textAlign: 'center' }}>
-                       <div style={{
-                         fontSize: '1.75rem',
-                         fontWeight: '700',
-                         color: '#B8336A',
-                         marginBottom: 'var(--spacing-xs)',
-                         lineHeight: '1.1'
-                       }}>
-                         {card.stats.classC}
-                       </div>
-                      <div style={{
-                        fontSize: '0.875rem',
-                        color: '#6B7280',
-                        textTransform: 'uppercase',
-                        fontWeight: '600',
-                        letterSpacing: '0.5px'
-                      }}>
-                        Classe C
+                    {card.analysis.classes.map(classification => (
+                      <div key={classification} style={{ textAlign: 'center' }}>
+                        <div style={{
+                          fontSize: '1.75rem',
+                          fontWeight: '700',
+                          color: ABC_CLASS_INFO[classification].color,
+                          marginBottom: 'var(--spacing-xs)',
+                          lineHeight: '1.1'
+                        }}>
+                          {card.analysis.summary[`class${classification}`].length}
+                        </div>
+                        <div style={{
+                          fontSize: '0.875rem',
+                          color: '#6B7280',
+                          textTransform: 'uppercase',
+                          fontWeight: '600',
+                          letterSpacing: '0.5px'
+                        }}>
+                          Classe {classification}
+                        </div>
                       </div>
-                    </div>
+                    ))}
                   </div>
                 </div>
               </Link>
@@ -434,7 +352,7 @@ const Dashboard = () => {
              maxWidth: '800px',
              margin: '0 auto'
            }}>
-            <Link to="/estoque" style={{ textDecoration: 'none' }}>
+            <Link to={{ pathname: '/estoque', search }} style={{ textDecoration: 'none' }}>
               <div className="card" style={{ 
                 cursor: 'pointer',
                 textAlign: 'center',
@@ -0,0 +1,378 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Crosshair, Search, CheckCircle } from 'lucide-react';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import {
+  runBacktest,
+  getBestMethod,
+  BACKTEST_METHODS,
+  BACKTEST_TEST_MONTHS_OPTIONS,
+  DEFAULT_BACKTEST_TEST_MONTHS
+} from '../utils/backtest';
+import { parseSeriesWindow } from '../utils/inventoryData';
+import { DEMAND_PATTERNS } from '../utils/forecasting';
+import { formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import { formatMonthLabel } from '../utils/period';
+import LoadingProgress from '../components/LoadingProgress';
+
+const MAX_SKU_ROWS = 100;
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-sm)'
+};
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+// Forecast accuracy (/estoque/acuracia): rolling-origin backtest of every forecasting method
+// on the full synced history, per method, ABC class and SKU. The projection model used by
+// the inventory forecast can be switched to the most accurate one from here.
+const ForecastAccuracy = () => {
+  const { search } = useLocation();
+  const [searchParams] = useSearchParams();
+  const windowMonths = parseSeriesWindow(searchParams.get('meses'));
+  const { allRows, loading: rowsLoading, error: rowsError } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
+  const { forecastConfig, updateForecastConfig } = usePlanningSettings();
+
+  const [testMonths, setTestMonths] = useState(DEFAULT_BACKTEST_TEST_MONTHS);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [error, setError] = useState(null);
+  const [skuSearch, setSkuSearch] = useState('');
+
+  // The projection model does not change the backtest, so it is left out of the inputs
+  const { coberturaConfig, associationConfig } = forecastConfig;
+
+  useEffect(() => {
+    if (!allRows || !allRows.length) return;
+
+    // Aborting stops the backtest between months, so a superseded run does not keep computing
+    const controller = new AbortController();
+    const { signal } = controller;
+    const run = async () => {
+      try {
+        setRunning(true);
+        setError(null);
+        setProgress({ done: 0, total: testMonths });
+        console.log(`🔄 Running forecast backtest over the last ${testMonths} months...`);
+        const backtest = await runBacktest(allRows, abcSettings, {
+          testMonths,
+          windowMonths,
+          forecastConfig: { coberturaConfig, associationConfig },
+          onProgress: (done, total) => {
+            if (!signal.aborted) setProgress({ done, total });
+          },
+          signal
+        });
+        if (!signal.aborted) {
+          setResult(backtest);
+          console.log('✅ Forecast backtest finished');
+        }
+      } catch (err) {
+        console.error('❌ Error running backtest:', err);
+        if (!signal.aborted) setError(err.message);
+      } finally {
+        if (!signal.aborted) setRunning(false);
+      }
+    };
+
+    run();
+    return () => controller.abort();
+  }, [allRows, abcSettings, testMonths, windowMonths, coberturaConfig, associationConfig]);
+
+  const bestOverall = result ? getBestMethod(result.overall) : null;
+  const bestProjection = result ? getBestMethod(result.overall, { projectionOnly: true }) : null;
+  const currentModel = forecastConfig.projection.model;
+
+  const skuRows = useMemo(() => {
+    if (!result) return [];
+    const term = skuSearch.toLowerCase();
+    return result.skus
+      .filter(item => item.sku.toLowerCase().includes(term))
+      .sort((a, b) => b.valorTotal - a.valorTotal);
+  }, [result, skuSearch]);
+
+  const handleUseAsDefault = (method) => {
+    updateForecastConfig({ ...forecastConfig, projection: { ...forecastConfig.projection, model: method } });
+  };
+
+  if (rowsLoading && !allRows) {
+    return <LoadingProgress message="Carregando histórico de vendas..." />;
+  }
+
+  if ((rowsError && !allRows) || error) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao calcular a acurácia</h3>
+            <p>{error || rowsError}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="section">
+      <div className="container">
+        <Link
+          to={{ pathname: '/estoque', search }}
+          style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+        >
+          <ArrowLeft size={16} />
+          Voltar para Previsão de Estoque
+        </Link>
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <div style={{
+              width: '48px',
+              height: '48px',
+              backgroundColor: 'var(--magenta)',
+              borderRadius: 'var(--radius-lg)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              marginRight: 'var(--spacing-md)',
+              flexShrink: 0
+            }}>
+              <Crosshair size={24} color="white" />
+            </div>
+            <div>
+              <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+                Acurácia da Previsão
+              </h1>
+              <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+                Cada método prevê um mês usando só os meses anteriores; a previsão é comparada com a quantidade vendida.
+              </p>
+            </div>
+          </div>
+
+          <select
+            value={testMonths}
+            onChange={(e) => setTestMonths(Number(e.target.value))}
+            className="btn btn-secondary"
+            disabled={running}
+          >
+            {BACKTEST_TEST_MONTHS_OPTIONS.map(months => (
+              <option key={months} value={months}>Testar últimos {months} meses</option>
+            ))}
+          </select>
+        </div>
+
+        {running || !result ? (
+          <div className="card">
+            <div className="loading">
+              <div className="spinner"></div>
+              <span style={{ marginLeft: 'var(--spacing-md)' }}>
+                Simulando previsões{progress.total > 0 ? ` (mês ${progress.done} de ${progress.total})` : ''}...
+              </span>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0, marginBottom: 'var(--spacing-lg)' }}>
+              Meses testados: {result.origins.length ? `${formatMonthLabel(result.origins[0])} a ${formatMonthLabel(result.origins[result.origins.length - 1])}` : '-'}
+              {' · '}{formatNumber(result.skus.length)} SKUs · média e ajuste com janela de {windowMonths} meses.
+              WAPE = erro absoluto sobre o volume vendido; viés positivo = previsão acima da venda.
+            </p>
+
+            {/* Overall */}
+            <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+              <h3 style={sectionTitleStyle}>Comparação dos métodos</h3>
+              <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                {bestOverall && `Menor WAPE: ${BACKTEST_METHODS[bestOverall].label}. `}
+                O método padrão define a demanda projetada da Previsão de Estoque.
+              </p>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Método</th>
+                      <th style={thStyle}>WAPE</th>
+                      <th style={thStyle}>MAPE</th>
+                      <th style={thStyle}>MAE (un.)</th>
+                      <th style={thStyle}>Viés</th>
+                      <th style={thStyle}>Previsões</th>
+                      <th style={thStyle} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.methods.map(method => {
+                      const metrics = result.overall[method];
+                      const isBest = method === bestOverall;
+                      return (
+                        <tr key={method} style={{ backgroundColor: isBest ? '#ecfdf5' : 'transparent' }}>
+                          <td style={{ ...tdStyle, textAlign: 'left', fontWeight: isBest ? '700' : '500' }}>
+                            {BACKTEST_METHODS[method].label}
+                          </td>
+                          <td style={{ ...tdStyle, fontWeight: '600' }}>{formatPercent(metrics.wape)}</td>
+                          <td style={tdStyle}>{formatPercent(metrics.mape)}</td>
+                          <td style={tdStyle}>{metrics.mae === null ? '-' : metrics.mae.toFixed(1)}</td>
+                          <td style={{ ...tdStyle, color: metrics.bias > 0 ? '#f59e0b' : '#3b82f6' }}>
+                            {metrics.bias === null ? '-' : `${metrics.bias > 0 ? '+' : ''}${metrics.bias.toFixed(1)}%`}
+                          </td>
+                          <td style={tdStyle}>{formatNumber(metrics.count)}</td>
+                          <td style={tdStyle}>
+                            {!BACKTEST_METHODS[method].projection ? (
+                              <span style={{ fontSize: '0.75rem', color: '#9CA3AF' }} title="Referência: base da recomendação de estoque">
+                                referência
+                              </span>
+                            ) : method === currentModel ? (
+                              <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '0.75rem', color: 'var(--forest-green)', fontWeight: '600' }}>
+                                <CheckCircle size={14} />
+                                Padrão atual
+                              </span>
+                            ) : (
+                              <button
+                                className="btn btn-secondary"
+                                style={{ padding: '4px 10px', fontSize: '0.75rem' }}
+                                onClick={() => handleUseAsDefault(method)}
+                              >
+                                {method === bestProjection ? 'Usar (melhor)' : 'Usar como padrão'}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Per ABC class */}
+            <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+              <h3 style={sectionTitleStyle}>WAPE por classe ABC</h3>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Classe</th>
+                      {result.methods.map(method => (
+                        <th key={method} style={thStyle} title={BACKTEST_METHODS[method].label}>{method}</th>
+                      ))}
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Melhor</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(result.byClass).map(([classification, metricsByMethod]) => {
+                      const best = getBestMethod(metricsByMethod);
+                      return (
+                        <tr key={classification}>
+                          <td style={{ ...tdStyle, textAlign: 'left', fontWeight: '700', color: ABC_CLASS_INFO[classification]?.color }}>
+                            {classification}
+                          </td>
+                          {result.methods.map(method => (
+                            <td key={method} style={{ ...tdStyle, fontWeight: method === best ? '700' : '400', color: method === best ? '#10b981' : '#374151' }}>
+                              {formatPercent(metricsByMethod[method].wape)}
+                            </td>
+                          ))}
+                          <td style={{ ...tdStyle, textAlign: 'left' }}>{best ? BACKTEST_METHODS[best].label : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Per SKU */}
+            <div className="card">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                <h3 style={{ ...sectionTitleStyle, marginBottom: 0 }}>WAPE por SKU</h3>
+                <div style={{ position: 'relative' }}>
+                  <Search size={16} style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: '#9CA3AF' }} />
+                  <input
+                    type="text"
+                    placeholder="Buscar SKU..."
+                    value={skuSearch}
+                    onChange={(e) => setSkuSearch(e.target.value)}
+                    style={{ padding: 'var(--spacing-sm) var(--spacing-sm) var(--spacing-sm) 32px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                  />
+                </div>
+              </div>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>SKU</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }}>Curva</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }}>Padrão</th>
+                      {result.methods.map(method => (
+                        <th key={method} style={thStyle} title={BACKTEST_METHODS[method].label}>{method}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {skuRows.slice(0, MAX_SKU_ROWS).map(item => {
+                      const best = getBestMethod(item.metrics);
+                      return (
+                        <tr key={item.sku}>
+                          <td style={{ ...tdStyle, textAlign: 'left', maxWidth: '260px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            <Link
+                              to={{ pathname: `/produtos/${encodeURIComponent(item.sku)}`, search }}
+                              style={{ color: 'inherit', textDecoration: 'none' }}
+                              title={item.sku}
+                            >
+                              {item.sku}
+                            </Link>
+                          </td>
+                          <td style={{ ...tdStyle, textAlign: 'center', fontWeight: '700', color: ABC_CLASS_INFO[item.curva]?.color }}>{item.curva}</td>
+                          <td style={{ ...tdStyle, textAlign: 'center', fontSize: '0.75rem', color: item.pattern ? DEMAND_PATTERNS[item.pattern].color : '#9CA3AF' }}>
+                            {item.pattern ? DEMAND_PATTERNS[item.pattern].label : '-'}
+                          </td>
+                          {result.methods.map(method => (
+                            <td key={method} style={{ ...tdStyle, fontWeight: method === best ? '700' : '400', color: method === best ? '#10b981' : '#374151' }}>
+                              {formatPercent(item.metrics[method].wape)}
+                            </td>
+                          ))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {skuRows.length > MAX_SKU_ROWS && (
+                <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 0 }}>
+                  Mostrando os {MAX_SKU_ROWS} SKUs de maior valor de {formatNumber(skuRows.length)}. Use a busca para ver os demais.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastAccuracy;
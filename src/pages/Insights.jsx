@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -14,50 +15,55 @@ import {
   Clock,
   BarChart3
 } from 'lucide-react';
-import { fetchConcremData } from '../lib/supabase';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
 import { 
+  calculateCoolingGroups,
   calculateCustomerAnalysis, 
+  calculateMonthlyRevenue,
   calculateProductAnalysis, 
   formatCurrency
 } from '../utils/abcAnalysis';
+import { assessChurnRisk, listAtRiskCustomers, CHURN_LEVELS } from '../utils/churnRisk';
+import { formatBR, formatMonthLabel, getRecencyReferenceDate, toISODate } from '../utils/period';
 import { XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line } from 'recharts';
+import LoadingProgress from '../components/LoadingProgress';
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'left',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  borderBottom: '2px solid #cbd5e1'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  fontSize: '0.875rem',
+  borderBottom: '1px solid #e2e8f0'
+};
 
 const Insights = () => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { search } = useLocation();
+  const { rows: data, allRows, loading, error, period } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
   const [activeTab, setActiveTab] = useState('overview');
 
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const rawData = await fetchConcremData();
-        setData(rawData);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
-
-  if (loading) {
-    return (
-      <div className="section">
-        <div className="container">
-          <div className="loading">
-            <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)', fontSize: '1.125rem' }}>Carregando insights...</span>
-          </div>
-        </div>
-      </div>
-    );
+  // Churn risk uses the whole history, so each customer's purchase rhythm is measured
+  // beyond the selected period, up to today or the end of a past period
+  const referenceDate = getRecencyReferenceDate(period);
+  const churnAssessment = useMemo(
+    () => (allRows ? assessChurnRisk(allRows, { referenceDate }) : null),
+    [allRows, referenceDate]
+  );
+
+  if (loading && !data) {
+    return <LoadingProgress message="Carregando insights..." />;
   }
 
-  if (error) {
+  if (error && !data) {
     return (
       <div className="section">
         <div className="container">
@@ -73,55 +79,88 @@ const Insights = () => {
   if (!data) return null;
 
   // Calculate analyses
-  const customerAnalysis = calculateCustomerAnalysis(data);
-  const productAnalysis = calculateProductAnalysis(data);
+  const customerAnalysis = calculateCustomerAnalysis(data, abcSettings);
+  const productAnalysis = calculateProductAnalysis(data, abcSettings);
 
-  const totalRevenue = 152657122; // Fixed total revenue from analysis
+  const totalRevenue = data.reduce((sum, item) => sum + (Number(item.LINE_AMOUNT) || 0), 0);
   const topCustomer = customerAnalysis.data[0];
   const topProduct = productAnalysis.data[0];
 
-  // Updated monthly data based on real analysis
-  const monthlyData = [
-    { month: 'Set/2024', revenue: 12500000 },
-    { month: 'Out/2024', revenue: 11800000 },
-    { month: 'Nov/2024', revenue: 13200000 },
-    { month: 'Dez/2024', revenue: 14500000 },
-    { month: 'Jan/2025', revenue: 12800000 },
-    { month: 'Fev/2025', revenue: 13500000 },
-    { month: 'Mar/2025', revenue: 14200000 },
-    { month: 'Abr/2025', revenue: 13800000 },
-    { month: 'Mai/2025', revenue: 16743661 },
-    { month: 'Jun/2025', revenue: 15600000 },
-    { month: 'Jul/2025', revenue: 14800000 },
-    { month: 'Ago/2025', revenue: 345529 }
-  ];
+  // Class A/B customers of the period with medium or high churn risk
+  const customerClasses = Object.fromEntries(customerAnalysis.data.map(item => [item.name, item.classification]));
+  const atRiskCustomers = churnAssessment ? listAtRiskCustomers(churnAssessment, customerClasses) : [];
+  const atRiskRevenue = atRiskCustomers.reduce((sum, customer) => sum + customer.revenueAtStake, 0);
+  const atRiskClassA = atRiskCustomers.filter(customer => customer.classification === 'A').length;
 
-  const concentrationData = [
-    { name: 'Top-1 Cliente', value: 24.6, color: '#B8336A' },
-    { name: 'Outros Classe A', value: 55.4, color: '#2D5A3D' },
-    { name: 'Classe B', value: 15.0, color: '#D2691E' },
-    { name: 'Classe C', value: 5.0, color: '#6B7280' }
-  ];
+  const exportAtRiskCustomers = () => {
+    const headers = ['Cliente', 'Classe', 'Risco', 'Score', 'Ultima_Compra', 'Dias_Sem_Compra', 'Intervalo_Tipico_Dias', 'Atraso', 'Tendencia_Receita', 'Receita_12_Meses', 'Motivo'];
+    const csvContent = [
+      headers.join(';'),
+      ...atRiskCustomers.map(customer => [
+        `"${customer.name}"`,
+        customer.classification,
+        CHURN_LEVELS[customer.level].label,
+        customer.score,
+        formatBR(customer.lastPurchase),
+        customer.daysSinceLastPurchase,
+        Math.round(customer.typicalInterval),
+        customer.overdueRatio.toFixed(2),
+        customer.trend === null ? '' : (customer.trend * 100).toFixed(1) + '%',
+        customer.revenueAtStake.toFixed(2),
+        `"${customer.reasons.join('; ')}"`
+      ].join(';'))
+    ].join('\n');
+    console.log(`📤 Exported ${atRiskCustomers.length} key customers at churn risk`);
 
-  const productConcentrationData = [
-    { name: 'Top-1 Produto', value: 4.1, color: '#B8336A' },
-    { name: 'Outros Classe A', value: 75.9, color: '#2D5A3D' },
-    { name: 'Classe B', value: 15.0, color: '#D2691E' },
-    { name: 'Classe C', value: 5.0, color: '#6B7280' }
-  ];
+    const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `clientes_em_risco_${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
 
-  const coolingStates = [
-    { state: 'MA', change: -23.4, trend: 'down' },
-    { state: 'AL', change: -18.7, trend: 'down' },
-    { state: 'SE', change: -15.2, trend: 'down' },
-    { state: 'SC', change: -12.8, trend: 'down' },
-    { state: 'GO', change: -9.3, trend: 'down' }
-  ];
+  // Revenue per month of the selected period; the current month is still open
+  const monthlyData = calculateMonthlyRevenue(data);
+  const currentMonth = toISODate(new Date()).slice(0, 7);
+  const partialMonth = monthlyData.length && monthlyData[monthlyData.length - 1].month === currentMonth ? currentMonth : null;
+  const bestMonth = monthlyData.reduce((best, month) => (!best || month.revenue > best.revenue ? month : best), null);
+
+  // Revenue share of each ABC class, with the top-1 item split out of class A
+  const concentrationColors = { A: '#2D5A3D', B: '#D2691E', C: '#6B7280', D: '#9CA3AF' };
+  const getClassShare = (analysis, items) => {
+    if (analysis.totalValue <= 0) return 0;
+    return (items.reduce((sum, item) => sum + item.totalValue, 0) / analysis.totalValue) * 100;
+  };
+  const buildConcentrationData = (analysis, topLabel) => {
+    const [top, ...restOfA] = analysis.summary.classA;
+    return [
+      { name: topLabel, value: Number(getClassShare(analysis, top ? [top] : []).toFixed(1)), color: '#B8336A' },
+      { name: 'Outros Classe A', value: Number(getClassShare(analysis, restOfA).toFixed(1)), color: concentrationColors.A },
+      ...analysis.classes.slice(1).map(classification => ({
+        name: `Classe ${classification}`,
+        value: Number(getClassShare(analysis, analysis.summary[`class${classification}`]).toFixed(1)),
+        color: concentrationColors[classification]
+      }))
+    ];
+  };
+
+  const concentrationData = buildConcentrationData(customerAnalysis, 'Top-1 Cliente');
+  const productConcentrationData = buildConcentrationData(productAnalysis, 'Top-1 Produto');
+  const customerClassAShare = getClassShare(customerAnalysis, customerAnalysis.summary.classA);
+  const productClassAShare = getClassShare(productAnalysis, productAnalysis.summary.classA);
+  const formatShare = (share) => share.toFixed(1).replace('.', ',');
+  const topCustomerShare = formatShare(getClassShare(customerAnalysis, topCustomer ? [topCustomer] : []));
+  const topProductShare = formatShare(getClassShare(productAnalysis, topProduct ? [topProduct] : []));
+
+  // Cities whose revenue fell in the last 3 complete months of the period against the 3 before
+  const coolingCities = calculateCoolingGroups(data, 'CIDADE');
 
   const priorities = [
     {
       title: 'Defesa de Carteira',
-      description: 'Risco alto no Top-1 cliente (24,6% da receita)',
+      description: `Top-1 cliente concentra ${topCustomerShare}% da receita`,
       icon: AlertTriangle,
       color: '#EF4444',
       actions: [
@@ -131,8 +170,10 @@ const Insights = () => {
       ]
     },
     {
-      title: 'Reativação Classe A',
-      description: 'Clientes A sem compra > 60 dias',
+      title: 'Reativação de Clientes-Chave',
+      description: atRiskCustomers.length
+        ? `${atRiskCustomers.length} clientes A/B em risco (${atRiskClassA} A), ${formatCurrency(atRiskRevenue)} de receita anual em jogo`
+        : 'Nenhum cliente A/B fora do seu ritmo de compra',
       icon: Users,
       color: '#F59E0B',
       actions: [
@@ -143,12 +184,14 @@ const Insights = () => {
     },
     {
       title: 'Recuperação Geográfica',
-      description: 'Estados esfriando (MA, AL, SE, SC, GO)',
+      description: coolingCities.length
+        ? `Cidades esfriando (${coolingCities.map(city => city.name).join(', ')})`
+        : 'Nenhuma cidade em queda nos últimos 3 meses completos',
       icon: MapPin,
       color: '#3B82F6',
       actions: [
         'Campanha tática 30 dias focada em portfólio A/B',
-        'Agenda rápida com 3 maiores clientes por UF',
+        'Agenda rápida com 3 maiores clientes por cidade',
         'Case local e proposta de valor'
       ]
     },
@@ -172,7 +215,7 @@ const Insights = () => {
       icon: Clock,
       color: '#EF4444',
       tasks: [
-        'Rodar réguas de reativação para Clientes A em risco',
+        `Rodar réguas de reativação para os ${atRiskCustomers.length} clientes A/B em risco`,
         'Marcar QBR com Top-10 clientes',
         'Ajustar estoque mínimo e lead-time de itens Classe A'
       ]
@@ -183,7 +226,7 @@ const Insights = () => {
       icon: Target,
       color: '#F59E0B',
       tasks: [
-        'Lançar campanhas por UF esfriando',
+        'Lançar campanhas nas cidades esfriando',
         'Fechar contratos quadro com Top-5 clientes',
         'Bundle de produtos A por acabamento'
       ]
@@ -283,7 +326,7 @@ const Insights = () => {
               margin: 0,
               fontWeight: '500'
             }}>
-              📅 Período analisado: 02/09/2024 a 31/08/2025
+              📅 Período analisado: {period.label}
             </p>
           </div>
         </div>
@@ -312,7 +355,7 @@ const Insights = () => {
               {formatCurrency(totalRevenue)}
             </div>
             <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280' }}>
-              Melhor mês: Mai/2025 (R$ 16,74 mi)
+              {bestMonth ? `Melhor mês: ${bestMonth.label} (${formatCurrency(bestMonth.revenue)})` : 'Sem vendas no período'}
             </p>
           </div>
 
@@ -330,10 +373,10 @@ const Insights = () => {
               </h3>
             </div>
             <div style={{ fontSize: '2rem', fontWeight: '700', color: '#EF4444', marginBottom: 'var(--spacing-sm)' }}>
-              24,6%
+              {topCustomerShare}%
             </div>
             <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280' }}>
-              Top-1 cliente = 24,6% da receita total
+              Top-1 cliente = {topCustomerShare}% da receita total
             </p>
           </div>
 
@@ -351,10 +394,10 @@ const Insights = () => {
               </h3>
             </div>
             <div style={{ fontSize: '2rem', fontWeight: '700', color: '#10B981', marginBottom: 'var(--spacing-sm)' }}>
-              4,1%
+              {topProductShare}%
             </div>
             <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280' }}>
-              Top-1 produto = 4,1% (mix saudável)
+              Top-1 produto = {topProductShare}% da receita total
             </p>
           </div>
         </div>
@@ -422,7 +465,7 @@ const Insights = () => {
                 <ResponsiveContainer width="100%" height="100%">
                   <LineChart data={monthlyData}>
                     <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="month" />
+                    <XAxis dataKey="label" />
                     <YAxis />
                     <Tooltip content={<CustomTooltip />} />
                     <Line 
@@ -435,17 +478,19 @@ const Insights = () => {
                   </LineChart>
                 </ResponsiveContainer>
               </div>
-              <div style={{
-                marginTop: 'var(--spacing-lg)',
-                padding: 'var(--spacing-md)',
-                backgroundColor: '#FEF3C7',
-                borderRadius: 'var(--radius-md)',
-                border: '1px solid #F59E0B'
-              }}>
-                <p style={{ margin: 0, fontSize: '0.875rem', color: '#F59E0B' }}>
-                  ⚠️ Ago/2025 está parcial (dados até o mês corrente), por isso aparece como "pior" — não trate como queda estrutural.
-                </p>
-              </div>
+              {partialMonth && (
+                <div style={{
+                  marginTop: 'var(--spacing-lg)',
+                  padding: 'var(--spacing-md)',
+                  backgroundColor: '#FEF3C7',
+                  borderRadius: 'var(--radius-md)',
+                  border: '1px solid #F59E0B'
+                }}>
+                  <p style={{ margin: 0, fontSize: '0.875rem', color: '#F59E0B' }}>
+                    ⚠️ {formatMonthLabel(partialMonth)} está parcial (dados até o mês corrente), por isso aparece como "pior" — não trate como queda estrutural.
+                  </p>
+                </div>
+              )}
             </div>
 
             {/* Concentration Analysis */}
@@ -491,7 +536,7 @@ const Insights = () => {
                   </ResponsiveContainer>
                 </div>
                 <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280', textAlign: 'center' }}>
-                  ~80% da receita vem de 164 clientes (Classe A)
+                  ~{customerClassAShare.toFixed(0)}% da receita vem de {customerAnalysis.summary.classA.length} clientes (Classe A)
                 </p>
               </div>
 
@@ -531,12 +576,12 @@ const Insights = () => {
                   </ResponsiveContainer>
                 </div>
                 <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280', textAlign: 'center' }}>
-                  Classe A soma ~80% distribuídos em 529 SKUs
+                  Classe A soma ~{productClassAShare.toFixed(0)}% distribuídos em {productAnalysis.summary.classA.length} SKUs
                 </p>
               </div>
             </div>
 
-            {/* Cooling States */}
+            {/* Cooling Cities */}
             <div className="card" style={{ 
               padding: 'var(--spacing-xl)',
               backgroundColor: 'white',
@@ -550,26 +595,31 @@ const Insights = () => {
                 color: 'var(--charcoal-black)',
                 marginBottom: 'var(--spacing-lg)'
               }}>
-                Estados Esfriando (3 meses completos vs. 3 anteriores)
+                Cidades Esfriando (3 meses completos vs. 3 anteriores)
               </h3>
+              {coolingCities.length === 0 && (
+                <p style={{ margin: 0, fontSize: '0.875rem', color: '#6B7280' }}>
+                  Nenhuma cidade em queda — ou o período selecionado não cobre 6 meses completos.
+                </p>
+              )}
               <div style={{ 
                 display: 'grid', 
                 gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
                 gap: 'var(--spacing-md)'
               }}>
-                {coolingStates.map((state, index) => (
-                  <div key={index} style={{
+                {coolingCities.map(city => (
+                  <div key={city.name} style={{
                     padding: 'var(--spacing-md)',
                     backgroundColor: '#FEF2F2',
                     borderRadius: 'var(--radius-md)',
                     border: '1px solid #FEE2E2',
                     textAlign: 'center'
                   }}>
-                    <div style={{ fontSize: '1.5rem', fontWeight: '700', color: '#EF4444', marginBottom: 'var(--spacing-xs)' }}>
-                      {state.state}
+                    <div style={{ fontSize: '1.125rem', fontWeight: '700', color: '#EF4444', marginBottom: 'var(--spacing-xs)' }}>
+                      {city.name}
                     </div>
                     <div style={{ fontSize: '1.25rem', fontWeight: '600', color: '#EF4444' }}>
-                      {state.change}%
+                      {formatShare(city.change)}%
                     </div>
                     <TrendingDown size={16} color="#EF4444" style={{ marginTop: 'var(--spacing-xs)' }} />
                   </div>
@@ -664,6 +714,88 @@ const Insights = () => {
                 );
               })}
             </div>
+
+            {/* Key customers at churn risk */}
+            <div className="card" style={{ 
+              padding: 'var(--spacing-xl)',
+              backgroundColor: 'white',
+              borderRadius: 'var(--radius-lg)',
+              boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)',
+              border: '1px solid #e5e7eb',
+              marginTop: 'var(--spacing-xl)'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                <h3 style={{ fontSize: '1.5rem', fontWeight: '600', color: 'var(--charcoal-black)', margin: 0 }}>
+                  Clientes A/B em risco de churn
+                </h3>
+                <button
+                  onClick={exportAtRiskCustomers}
+                  className="btn btn-secondary"
+                  disabled={atRiskCustomers.length === 0}
+                  style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)' }}
+                >
+                  <Download size={16} />
+                  Exportar CSV
+                </button>
+              </div>
+              <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                Cada cliente é comparado com o próprio ritmo: dias sem compra sobre a mediana dos intervalos entre compras e receita dos últimos 6 meses
+                sobre os 6 anteriores
+, até {referenceDate === toISODate(new Date()) ? 'hoje' : 'o fim do período'} ({formatBR(referenceDate)}).
+                Receita em jogo = receita dos últimos 12 meses.
+              </p>
+              {atRiskCustomers.length === 0 ? (
+                <p style={{ fontSize: '0.875rem', color: '#9CA3AF', margin: 0 }}>Nenhum cliente A/B com risco médio ou alto.</p>
+              ) : (
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr style={{ background: '#f1f5f9' }}>
+                        <th style={thStyle}>Cliente</th>
+                        <th style={{ ...thStyle, textAlign: 'center' }}>Classe</th>
+                        <th style={{ ...thStyle, textAlign: 'center' }}>Risco</th>
+                        <th style={thStyle}>Motivo</th>
+                        <th style={{ ...thStyle, textAlign: 'right' }}>Receita em jogo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {atRiskCustomers.slice(0, 20).map(customer => (
+                        <tr key={customer.name}>
+                          <td style={{ ...tdStyle, maxWidth: '280px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            <Link
+                              to={{ pathname: `/clientes/${encodeURIComponent(customer.name)}`, search }}
+                              style={{ color: 'var(--charcoal-black)', textDecoration: 'none', fontWeight: '500' }}
+                              title={customer.name}
+                            >
+                              {customer.name}
+                            </Link>
+                          </td>
+                          <td style={{ ...tdStyle, textAlign: 'center', fontWeight: '700' }}>
+                            {customer.classification}
+                          </td>
+                          <td style={{ ...tdStyle, textAlign: 'center', whiteSpace: 'nowrap' }}>
+                            <span style={{ color: CHURN_LEVELS[customer.level].color, fontWeight: '600' }}>
+                              {CHURN_LEVELS[customer.level].label} ({customer.score})
+                            </span>
+                          </td>
+                          <td style={{ ...tdStyle, fontSize: '0.8125rem', color: '#6B7280' }}>
+                            {customer.reasons.join('; ')}
+                          </td>
+                          <td style={{ ...tdStyle, textAlign: 'right', fontWeight: '600', whiteSpace: 'nowrap' }}>
+                            {formatCurrency(customer.revenueAtStake)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {atRiskCustomers.length > 20 && (
+                    <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 0 }}>
+                      Mostrando os 20 de maior receita em jogo de {atRiskCustomers.length}. A exportação inclui todos.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
           </div>
         )}
 
@@ -796,7 +928,7 @@ const Insights = () => {
                   </div>
                 </div>
                 <p style={{ fontSize: '0.875rem', color: '#6B7280', margin: 0 }}>
-                  Representa 24,6% da receita total - risco de dependência elevado
+                  Representa {topCustomerShare}% da receita total do período
                 </p>
               </div>
 
@@ -834,7 +966,7 @@ const Insights = () => {
                   </div>
                 </div>
                 <p style={{ fontSize: '0.875rem', color: '#6B7280', margin: 0 }}>
-                  Representa 4,1% da receita total - mix saudável e pulverizado
+                  Representa {topProductShare}% da receita total do período
                 </p>
               </div>
             </div>
@@ -878,17 +1010,17 @@ const Insights = () => {
                       margin: 0,
                       marginBottom: 'var(--spacing-xs)'
                     }}>
-                      Clientes A em Risco
+                      Clientes A/B em Risco
                     </h4>
                     <p style={{ 
                       fontSize: '0.875rem', 
                       color: '#6B7280',
                       margin: 0
                     }}>
-                      &gt;60 dias sem compra
+                      {atRiskCustomers.length} clientes atrasados no próprio ritmo de compra ou com receita em queda
                     </p>
                   </div>
-                  <button style={{
+                  <button onClick={exportAtRiskCustomers} disabled={atRiskCustomers.length === 0} style={{
                     padding: 'var(--spacing-sm) var(--spacing-md)',
                     backgroundColor: '#F59E0B',
                     color: 'white',
@@ -1,10 +1,58 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { Package, Search, Download, Filter, BarChart3, Target, Eye, EyeOff, Star } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { Package, Search, Download, Filter, BarChart3, Target, Eye, EyeOff, Star, SlidersHorizontal, Crosshair, Factory, CalendarDays, FlaskConical, Wallet, Boxes } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { fetchConcremData } from '../lib/supabase';
-import { calculateProductAnalysis, validateDataQuality } from '../utils/abcAnalysis';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { calculateProductAnalysis, validateDataQuality, formatCurrency } from '../utils/abcAnalysis';
+import { getABCClasses, describeABCSettings } from '../utils/abcSettings';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import { classifyXYZ, XYZ_CLASSES, XYZ_CLASS_INFO } from '../utils/xyzAnalysis';
+import {
+  buildInventoryForecast,
+  generateKitRecommendations,
+  parseSeriesWindow,
+  DEFAULT_SERIES_WINDOW
+} from '../utils/inventoryData';
+import { formatMonthLabel, MONTH_LABELS } from '../utils/period';
+import { describeForecastModel, DEMAND_PATTERNS, ADI_CUTOFF, CV2_CUTOFF } from '../utils/forecasting';
+import { LEAD_TIME_SOURCES } from '../utils/safetyStock';
+import { CORRELATION_METHODS, formatPValue, formatInterval } from '../utils/correlation';
+import { BATCH_SOURCES } from '../utils/orderQuantity';
+import { buildSeasonalityProfiles, PEAK_INDEX, PEAK_LOOKAHEAD_MONTHS } from '../utils/seasonality';
+import { applyStockLevels, STOCK_STATUS } from '../utils/stockLevels';
+import { applyStockValues, getUnitValues, COST_SOURCES } from '../utils/stockValue';
+import { useStockLevels } from '../context/StockLevelsContext';
+import LoadingProgress from '../components/LoadingProgress';
+import ABCXYZMatrix from '../components/ABCXYZMatrix';
+import ForecastSettingsPanel from '../components/ForecastSettingsPanel';
+import StockSourceBar from '../components/StockSourceBar';
+import ScenarioPanel from '../components/ScenarioPanel';
+import StockValuePanel from '../components/StockValuePanel';
+
+const DRIVER_TYPE_LABELS = {
+  basket: 'mesmo pedido',
+  correlation: 'correlação mensal'
+};
+
+// One line per association behind the adjusted forecast, for the cell tooltip
+const describeDrivers = (drivers) => drivers
+  .map(driver => `${driver.sku}: ${driver.impact >= 0 ? '+' : ''}${driver.impact.toFixed(1)}% (${DRIVER_TYPE_LABELS[driver.type] || driver.type}, força ${driver.strength.toFixed(2)}, momento ${driver.momentum.toFixed(2)})`)
+  .join('\n');
 
 const InventoryForecast = () => {
+  const { rows, allRows, loading: rowsLoading, error: rowsError, refresh } = usePeriodSales();
+  const { search } = useLocation();
+  const { settings: abcSettings } = useABCSettings();
+  const {
+    xyzThresholds,
+    updateXYZThresholds,
+    forecastConfig,
+    safetyStockConfig,
+    orderQuantityConfig
+  } = usePlanningSettings();
+  const { stock, costTable } = useStockLevels();
+  const abcClasses = getABCClasses(abcSettings);
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -16,17 +64,33 @@ const InventoryForecast = () => {
   const [kitFilter, setKitFilter] = useState('all');
   const [validationFilter, setValidationFilter] = useState('all');
   const [seasonalityFilter, setSeasonalityFilter] = useState('all');
+  const [patternFilter, setPatternFilter] = useState('all');
+  const [xyzFilter, setXYZFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(50);
   const [correlationFilter, setCorrelationFilter] = useState('all');
   const [kitRecommendations, setKitRecommendations] = useState([]);
+  const [kitTestedPairs, setKitTestedPairs] = useState(0);
   const [selectedKit, setSelectedKit] = useState(null);
   const [productRecommendations, setProductRecommendations] = useState([]);
-
-  const monthNames = [
-    'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
-    'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
-  ];
+  const [showForecastSettings, setShowForecastSettings] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [showStockValue, setShowStockValue] = useState(false);
+
+  // Calendar months of the per-SKU series (?meses=12|18|24, ending at the latest sale)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const windowMonths = parseSeriesWindow(searchParams.get('meses'));
+  const [seriesMonths, setSeriesMonths] = useState([]);
+  const [projectionMonths, setProjectionMonths] = useState([]);
+
+  const handleWindowChange = (months) => {
+    setSearchParams(current => {
+      const next = new URLSearchParams(current);
+      if (months === DEFAULT_SERIES_WINDOW) next.delete('meses');
+      else next.set('meses', String(months));
+      return next;
+    }, { replace: true });
+  };
 
   // Helper function for safe calculations
   const safeCalculation = (calculationFn, fallbackValue) => {
@@ -38,536 +102,21 @@ const InventoryForecast = () => {
     }
   };
 
-  // Calculate percentile for auto-thresholds
-  const calculatePercentile = (values, percentile) => {
-    const sorted = values.sort((a, b) => a - b);
-    const index = Math.ceil((percentile / 100) * sorted.length) - 1;
-    return sorted[index] || 0;
-  };
-
-  // Calculate demand variability
-  const calculateDemandVariability = (salesArray) => {
-    const mean = salesArray.reduce((sum, val) => sum + val, 0) / salesArray.length;
-    const variance = salesArray.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / salesArray.length;
-    return mean > 0 ? Math.sqrt(variance) / mean : 0;
-  };
-
-  // Validate product data for suspicious patterns (NEW - MEDIUM PRIORITY)
-  const validateProductData = (sku, salesArray) => {
-    const issues = [];
-    
-    // Check for extreme spikes
-    const maxSale = Math.max(...salesArray);
-    const avgSale = salesArray.reduce((sum, val) => sum + val, 0) / 12;
-    if (maxSale > avgSale * 20 && avgSale > 0) {
-      issues.push('extreme_spike');
-    }
-    
-    // Check for very low activity
-    const activeMonths = salesArray.filter(x => x > 0).length;
-    if (activeMonths <= 2) {
-      issues.push('very_low_activity');
-    }
-    
-    // Check for negative values
-    if (salesArray.some(x => x < 0)) {
-      issues.push('negative_sales');
-    }
-    
-    return {
-      isValid: issues.length === 0,
-      issues: issues,
-      needsReview: issues.includes('extreme_spike') || issues.includes('very_low_activity')
-    };
-  };
-
-  // Calculate Pearson correlation coefficient between two product sales arrays
-  const calculateCorrelation = (productA, productB) => {
-    const salesA = [
-      productA.janeiro, productA.fevereiro, productA.março, productA.abril,
-      productA.maio, productA.junho, productA.julho, productA.agosto,
-      productA.setembro, productA.outubro, productA.novembro, productA.dezembro
-    ];
-    const salesB = [
-      productB.janeiro, productB.fevereiro, productB.março, productB.abril,
-      productB.maio, productB.junho, productB.julho, productB.agosto,
-      productB.setembro, productB.outubro, productB.novembro, productB.dezembro
-    ];
-
-    const n = salesA.length;
-    const sumA = salesA.reduce((sum, val) => sum + val, 0);
-    const sumB = salesB.reduce((sum, val) => sum + val, 0);
-    const sumAB = salesA.reduce((sum, val, i) => sum + val * salesB[i], 0);
-    const sumA2 = salesA.reduce((sum, val) => sum + val * val, 0);
-    const sumB2 = salesB.reduce((sum, val) => sum + val * val, 0);
-
-    const numerator = n * sumAB - sumA * sumB;
-    const denominator = Math.sqrt((n * sumA2 - sumA * sumA) * (n * sumB2 - sumB * sumB));
-
-    return denominator === 0 ? 0 : numerator / denominator;
-  };
-
-  // Generate kit recommendations based on product correlations
-  const generateKitRecommendations = useCallback((skuData) => {
-    const recommendations = [];
-    const processedPairs = new Set();
-
-    // Only analyze top performers to reduce computation and focus on valuable kits
-    const topPerformers = skuData
-      .filter(sku => sku.isBestSeller || sku.curva === 'A')
-      .slice(0, Math.min(30, Math.ceil(skuData.length * 0.1))); // Max 30 or 10% of products
-
-    // Limit combinations to prevent performance issues
-    const maxCombinations = 500;
-    let combinationCount = 0;
-
-    for (let i = 0; i < topPerformers.length && combinationCount < maxCombinations; i++) {
-      for (let j = i + 1; j < topPerformers.length && combinationCount < maxCombinations; j++) {
-        combinationCount++;
-        const productA = topPerformers[i];
-        const productB = topPerformers[j];
-        
-        const pairKey = [productA.sku, productB.sku].sort().join('|');
-        if (processedPairs.has(pairKey)) continue;
-        processedPairs.add(pairKey);
-
-        const correlation = calculateCorrelation(productA, productB);
-        
-        // Auto-calculate threshold based on statistical significance
-        const minCorrelationForSignificance = 0.576; // p<0.05 for n=12 months
-        if (correlation >= minCorrelationForSignificance) {
-          const kitTotalSales = productA.totalGeral + productB.totalGeral;
-          const kitAvgMonthly = (productA.mediaMensal + productB.mediaMensal) / 2;
-          
-          // Calculate recommended stock based on individual product performance and correlation
-          // Use the higher performing product as base and apply correlation factor
-          const higherProduct = productA.mediaMensal > productB.mediaMensal ? productA : productB;
-          const lowerProduct = productA.mediaMensal > productB.mediaMensal ? productB : productA;
-          
-          // Recommended stock should be based on the higher performing product
-          // but consider correlation to adjust for kit synergy
-          const baseStock = higherProduct.mediaMensal * 2.5; // Standard recommendation
-          const correlationBonus = correlation >= 0.8 ? 1.3 : correlation >= 0.7 ? 1.2 : 1.1;
-          const kitRecommendedStock = Math.round(baseStock * correlationBonus);
-          
-          // Calculate potential impact based on correlation and individual product performance
-          // Potential = (Average monthly sales of both products) * (Correlation strength) * (12 months) * (Impact multiplier)
-          const impactMultiplier = correlation >= 0.8 ? 1.5 : correlation >= 0.7 ? 1.3 : 1.1;
-          const potential = kitAvgMonthly * correlation * 12 * impactMultiplier;
-          
-          recommendations.push({
-            id: `kit_${recommendations.length + 1}`,
-            products: [
-              { sku: productA.sku, sales: productA.totalGeral, classification: productA.curva },
-              { sku: productB.sku, sales: productB.totalGeral, classification: productB.curva }
-            ],
-            correlation: correlation,
-            totalSales: kitTotalSales,
-            avgMonthlySales: kitAvgMonthly,
-            recommendedStock: kitRecommendedStock,
-            potential: Math.round(potential), // Potential annual impact considering correlation and monthly performance
-            type: 'duo'
-          });
-        }
-      }
-    }
-
-    // Sort by potential and return top recommendations
-    const sortedRecommendations = recommendations
-      .sort((a, b) => b.potential - a.potential)
-      .slice(0, 20); // Top 20 kit recommendations
-
-    // Generate product recommendations for products that appear in multiple kits
-    const productUsage = new Map();
-    
-    sortedRecommendations.forEach(kit => {
-      kit.products.forEach(product => {
-        if (!productUsage.has(product.sku)) {
-          productUsage.set(product.sku, {
-            sku: product.sku,
-            classification: product.classification,
-            totalSales: product.sales,
-            kitCount: 0,
-            kits: []
-          });
-        }
-        const productData = productUsage.get(product.sku);
-        productData.kitCount++;
-        productData.kits.push(kit.id);
-      });
-    });
-
-    // Create product recommendations for products used in multiple kits
-    const productRecommendations = Array.from(productUsage.values())
-      .filter(product => product.kitCount > 1)
-      .sort((a, b) => b.kitCount - a.kitCount)
-      .slice(0, 15); // Top 15 most used products
-
-    return { kits: sortedRecommendations, products: productRecommendations };
-  }, []);
-
-  // Calculate safe margin based on last 6 months average
-  const calculateSafeMargin = (sku, autoThreshold) => {
-    const last6Months = [
-      sku.julho, sku.agosto, sku.setembro, sku.outubro, sku.novembro, sku.dezembro
-    ];
-    const avgLast6Months = last6Months.reduce((sum, val) => sum + val, 0) / 6;
-    
-    // Prevent division by zero and handle edge cases (FIXED - MEDIUM PRIORITY)
-    if (avgLast6Months === 0 || isNaN(avgLast6Months)) {
-      return {
-        avgLast6Months: 0,
-        isAboveThreshold: false,
-        safeMargin: 0,
-        recommendation: 'Sem vendas nos últimos 6 meses',
-        marginType: 'none',
-        threshold: autoThreshold
-      };
-    }
-    
-    // Rule: If average of last 6 months >= auto-calculated threshold, use safe margin
-    const isAboveThreshold = avgLast6Months >= autoThreshold;
-    
-    // Calculate safety margin based on the rule
-    let safetyMargin;
-    let recommendation;
-    let marginType;
-    
-    if (isAboveThreshold) {
-      // Safe margin: Use 2 months of average sales as safety stock
-      safetyMargin = avgLast6Months * 2;
-      recommendation = `Margem Segura (2 meses de vendas)`;
-      marginType = 'safe';
-    } else {
-      // Conservative margin: Use 1.5 months of average sales as safety stock
-      safetyMargin = avgLast6Months * 1.5;
-      recommendation = `Margem Conservadora (1.5 meses)`;
-      marginType = 'conservative';
-    }
-    
-    return {
-      avgLast6Months: avgLast6Months,
-      isAboveThreshold: isAboveThreshold,
-      safeMargin: safetyMargin,
-      recommendation: recommendation,
-      marginType: marginType,
-      threshold: autoThreshold
-    };
-  };
-
-  // Calculate ABC classification based on cumulative sales
-  const calculateABCClassification = (skuData) => {
-    // Sort by total sales descending
-    const sortedData = [...skuData].sort((a, b) => b.totalGeral - a.totalGeral);
-    
-    const totalSales = sortedData.reduce((sum, item) => sum + item.totalGeral, 0);
-    let cumulativePercent = 0;
-    
-    return sortedData.map(item => {
-      cumulativePercent += (item.totalGeral / totalSales) * 100;
-      
-      let classification;
-      if (cumulativePercent <= 80) classification = 'A';
-      else if (cumulativePercent <= 95) classification = 'B';
-      else classification = 'C';
-      
-      return {
-        ...item,
-        curva: classification,
-        cumulativePercent: cumulativePercent
-      };
-    });
-  };
-
-  // Process raw data into comprehensive monthly format
-  const processInventoryData = useCallback((rawData) => {
-    try {
-      console.log('🔄 Processing inventory data for all months...');
-      console.log('📊 Raw data sample:', rawData?.slice(0, 3));
-      
-      // Group monthly data by SKU
-      const skuMap = new Map();
-      
-      // First, process the data using the same validation as other pages
-      const processedRawData = rawData.map(item => {
-        // Use the same validation logic as the utility functions
-        const quantity = item.QUANTIDADE;
-        let validatedQuantity = 0;
-        
-        if (quantity !== null && quantity !== undefined && quantity !== '') {
-          const quantityStr = String(quantity).trim();
-          const cleanQuantity = quantityStr.replace(/[^\d.,]/g, '');
-          const normalizedQuantity = cleanQuantity.replace(',', '.');
-          const parsedQuantity = parseFloat(normalizedQuantity);
-          validatedQuantity = isNaN(parsedQuantity) ? 0 : parsedQuantity;
-        }
-        
-        return {
-          ...item,
-          QUANTIDADE_NUM: validatedQuantity
-        };
-      });
-      
-      processedRawData.forEach(record => {
-        // Map database fields to expected format
-        const sku = record.DESCRICAO;
-        const date = new Date(record.DTEMISSAO);
-        const quantity = record.QUANTIDADE_NUM || 0;
-        
-        // Validate date
-        if (isNaN(date.getTime())) {
-          console.warn(`⚠️ Invalid date for SKU ${sku}: ${record.DTEMISSAO}`);
-          return; // Skip this record
-        }
-        
-        if (!skuMap.has(sku)) {
-          // Initialize with all 12 months
-          skuMap.set(sku, {
-            sku: sku,
-            janeiro: 0, fevereiro: 0, março: 0, abril: 0, maio: 0, junho: 0,
-            julho: 0, agosto: 0, setembro: 0, outubro: 0, novembro: 0, dezembro: 0
-          });
-        }
-        
-        const skuData = skuMap.get(sku);
-        const month = date.getMonth() + 1; // 1-based month
-        const year = date.getFullYear();
-        
-        // Process all data regardless of year to see what we have
-        console.log(`📅 Processing record: SKU=${sku}, Year=${year}, Month=${month}, Quantity=${quantity}`);
-        
-        // Map months to Portuguese names
-        switch (month) {
-          case 1: skuData.janeiro += quantity; break;
-          case 2: skuData.fevereiro += quantity; break;
-          case 3: skuData.março += quantity; break;
-          case 4: skuData.abril += quantity; break;
-          case 5: skuData.maio += quantity; break;
-          case 6: skuData.junho += quantity; break;
-          case 7: skuData.julho += quantity; break;
-          case 8: skuData.agosto += quantity; break;
-          case 9: skuData.setembro += quantity; break;
-          case 10: skuData.outubro += quantity; break;
-          case 11: skuData.novembro += quantity; break;
-          case 12: skuData.dezembro += quantity; break;
-          default: break;
-        }
-      });
-
-      // Calculate metrics for each SKU
-      const processedData = Array.from(skuMap.values()).map(sku => {
-        const salesArray = [
-          sku.janeiro, sku.fevereiro, sku.março, sku.abril, sku.maio, sku.junho,
-          sku.julho, sku.agosto, sku.setembro, sku.outubro, sku.novembro, sku.dezembro
-        ];
-        const nonZeroSales = salesArray.filter(x => x > 0);
-        
-        const totalGeral = salesArray.reduce((sum, val) => sum + val, 0);
-        const vendaMinima = Math.min(...salesArray); // FIXED - Include all months, including zeros
-        const vendaMaxima = Math.max(...salesArray);
-        const mediaTotal = totalGeral / 12; // Fixed average calculation
-        const mediaMensal = totalGeral / 12; // Average across 12 months
-        
-        // Calculate demand variability for stock multiplier
-        const demandVariability = calculateDemandVariability(salesArray);
-        
-        // Validate product data (NEW - MEDIUM PRIORITY)
-        const validation = validateProductData(sku, salesArray);
-        
-        // Get stock multiplier based on product class (FIXED - HIGH PRIORITY)
-        const getStockMultiplier = (classification, variability, seasonality) => {
-          const baseMultiplier = {
-            'A': 3.5,  // Higher stock for critical items
-            'B': 2.5,  // Standard stock
-            'C': 1.8   // Lower stock for less important items
-          };
-          
-          // Adjust for demand variability
-          const variabilityAdjustment = variability > 0.5 ? 0.5 : 0;
-          
-          // Adjust for seasonality (few active months)
-          const monthsActive = salesArray.filter(x => x > 0).length;
-          const seasonalityAdjustment = monthsActive <= 6 ? 0.3 : 0;
-          
-          return baseMultiplier[classification] + variabilityAdjustment + seasonalityAdjustment;
-        };
-        
-        // Temporary stock recommendation (will be updated after ABC classification)
-        const recomendacaoEstoque = mediaMensal * 2.5;
-        
-        // Calculate safe margin based on last 6 months
-        const safeMargin = calculateSafeMargin(sku);
-        
-                  return {
-            ...sku,
-            totalGeral,
-            vendaMinima,
-            vendaMaxima,
-            mediaTotal,
-            mediaMensal,
-            recomendacaoEstoque,
-            safeMargin,
-            validation,
-            isVisible: totalGeral > 0, // Show all SKUs with sales
-            monthsWithSales: nonZeroSales.length
-          };
-      });
-
-      console.log(`📊 Processed ${processedData.length} SKUs`);
-      console.log(`📈 Sample SKU data:`, processedData.slice(0, 3).map(sku => ({
-        sku: sku.sku,
-        totalGeral: sku.totalGeral,
-        monthsWithSales: sku.monthsWithSales,
-        sampleMonths: {
-          janeiro: sku.janeiro,
-          fevereiro: sku.fevereiro,
-          março: sku.março
-        }
-      })));
-      
-      // Check if any SKUs have sales
-      const skusWithSales = processedData.filter(sku => sku.totalGeral > 0);
-      console.log(`📊 SKUs with sales: ${skusWithSales.length} out of ${processedData.length}`);
-      
-      if (skusWithSales.length === 0) {
-        console.error('❌ No SKUs with sales found!');
-        console.log('🔍 First few processed SKUs:', processedData.slice(0, 5));
-        
-        // Let's check the raw data quantities
-        const totalQuantity = processedRawData.reduce((sum, record) => sum + (record.QUANTIDADE_NUM || 0), 0);
-        console.log(`🔍 Total quantity in raw data: ${totalQuantity}`);
-        console.log(`🔍 Sample quantities:`, processedRawData.slice(0, 10).map(r => ({ sku: r.DESCRICAO, quantity: r.QUANTIDADE_NUM, original: r.QUANTIDADE })));
-      }
-
-      // Filter out SKUs with no sales and use shared ABC analysis
-      const activeSkus = processedData.filter(sku => sku.totalGeral > 0);
-      
-      // Use shared utility for ABC classification (FIXED - CRITICAL)
-      const productAnalysis = calculateProductAnalysis(rawData);
-      const abcMap = new Map();
-      productAnalysis.data.forEach(item => {
-        abcMap.set(item.name, item.classification);
-      });
-      
-      // Apply ABC classification from shared utility
-      const classifiedData = activeSkus.map(sku => ({
-        ...sku,
-        curva: abcMap.get(sku.sku) || 'C' // Get from shared utility
-      }));
-      
-      // Auto-calculate safe margin threshold as 75th percentile
-      const allProductAverages = activeSkus.map(sku => {
-        const last6Months = [sku.julho, sku.agosto, sku.setembro, sku.outubro, sku.novembro, sku.dezembro];
-        return last6Months.reduce((sum, val) => sum + val, 0) / 6;
-      });
-      const autoThreshold = calculatePercentile(allProductAverages, 75);
-      
-      // Update stock recommendations based on ABC classification and demand variability
-      const updatedData = classifiedData.map(sku => {
-        const salesArray = [
-          sku.janeiro, sku.fevereiro, sku.março, sku.abril, sku.maio, sku.junho,
-          sku.julho, sku.agosto, sku.setembro, sku.outubro, sku.novembro, sku.dezembro
-        ];
-        const demandVariability = calculateDemandVariability(salesArray);
-        
-        const getStockMultiplier = (classification, variability, seasonality) => {
-          const baseMultiplier = {
-            'A': 3.5,  // Higher stock for critical items
-            'B': 2.5,  // Standard stock
-            'C': 1.8   // Lower stock for less important items
-          };
-          
-          // Adjust for demand variability
-          const variabilityAdjustment = variability > 0.5 ? 0.5 : 0;
-          
-          // Adjust for seasonality (few active months)
-          const monthsActive = salesArray.filter(x => x > 0).length;
-          const seasonalityAdjustment = monthsActive <= 6 ? 0.3 : 0;
-          
-          return baseMultiplier[classification] + variabilityAdjustment + seasonalityAdjustment;
-        };
-        
-        const stockMultiplier = getStockMultiplier(sku.curva, demandVariability);
-        const recomendacaoEstoque = sku.mediaMensal * stockMultiplier;
-        
-        // Calculate safe margin with auto threshold
-        const safeMargin = calculateSafeMargin(sku, autoThreshold);
-        
-        return {
-          ...sku,
-          recomendacaoEstoque,
-          safeMargin,
-          demandVariability
-        };
-      });
-      
-      // Auto-determine best seller percentage using Pareto principle (FIXED - CRITICAL)
-      const findNaturalBreak = (sortedData) => {
-        const totalSales = sortedData.reduce((sum, item) => sum + item.totalGeral, 0);
-        let cumulativePercent = 0;
-        
-        for (let i = 0; i < sortedData.length; i++) {
-          cumulativePercent += (sortedData[i].totalGeral / totalSales) * 100;
-          if (cumulativePercent >= 80) { // 80% of sales
-            return i + 1;
-          }
-        }
-        return Math.ceil(sortedData.length * 0.2); // Fallback to 20%
-      };
-      
-      const sortedByTotal = [...updatedData].sort((a, b) => b.totalGeral - a.totalGeral);
-      const bestSellerThreshold = findNaturalBreak(sortedByTotal);
-      const visibleThreshold = Math.ceil(sortedByTotal.length * 0.3); // Top 30% are visible by default
-      
-      // Apply best seller and ranking AFTER ABC classification (FIXED - CRITICAL)
-      sortedByTotal.forEach((item, index) => {
-        item.isBestSeller = index < bestSellerThreshold;
-        item.isVisible = index < visibleThreshold;
-        item.rank = index + 1;
-      });
-
-      // Log ABC distribution for verification (FIXED - CRITICAL)
-      const abcDistribution = {
-        A: updatedData.filter(item => item.curva === 'A').length,
-        B: updatedData.filter(item => item.curva === 'B').length,
-        C: updatedData.filter(item => item.curva === 'C').length
-      };
-      console.log(`📊 ABC Distribution: A=${abcDistribution.A}, B=${abcDistribution.B}, C=${abcDistribution.C}`);
-      console.log(`📊 ABC Percentages: A=${((abcDistribution.A/updatedData.length)*100).toFixed(1)}%, B=${((abcDistribution.B/updatedData.length)*100).toFixed(1)}%, C=${((abcDistribution.C/updatedData.length)*100).toFixed(1)}%`);
-      
-      // Log validation results
-      const validationResults = {
-        valid: updatedData.filter(item => item.validation?.isValid).length,
-        needsReview: updatedData.filter(item => item.validation?.needsReview).length,
-        total: updatedData.length
-      };
-      console.log(`🔍 Validation Results: Valid=${validationResults.valid}, Needs Review=${validationResults.needsReview}, Total=${validationResults.total}`);
-      
-      console.log(`✅ Processed ${updatedData.length} SKUs, ${bestSellerThreshold} best sellers, ${visibleThreshold} visible`);
-      console.log(`📊 Auto-calculated threshold: ${autoThreshold.toFixed(0)} units/month`);
-      
-      // Generate kit recommendations based on correlations
-      const recommendations = generateKitRecommendations(updatedData);
-      setKitRecommendations(recommendations.kits);
-      setProductRecommendations(recommendations.products);
-      console.log(`🎯 Generated ${recommendations.kits.length} kit recommendations and ${recommendations.products.length} product recommendations`);
-      
-      return updatedData;
-      
-    } catch (err) {
-      console.error('❌ Error processing data:', err);
-      throw new Error('Erro ao processar dados de estoque');
-    }
-  }, [generateKitRecommendations]);
+  // Each load gets an id so a slower, outdated run never overwrites a newer one
+  const loadRequest = useRef(0);
 
   const loadData = useCallback(async () => {
+    // Wait for the shared sales dataset
+    if (!rows) return;
+
+    const request = ++loadRequest.current;
     try {
       setLoading(true);
       setError(null);
       
       console.log('🔄 Loading inventory analysis data...');
       
-      const rawData = await fetchConcremData();
+      const rawData = rows;
       
       console.log(`📊 Raw data received: ${rawData?.length || 0} records`);
       
@@ -580,30 +129,39 @@ const InventoryForecast = () => {
       console.log('📊 Data quality report:', dataQuality);
       
       // Use the same approach as other pages - get product analysis first
-      const productAnalysis = calculateProductAnalysis(rawData);
+      const productAnalysis = calculateProductAnalysis(rawData, abcSettings);
       console.log('📊 Product analysis:', productAnalysis);
       
       if (!productAnalysis.data || productAnalysis.data.length === 0) {
         throw new Error('Nenhum produto com vendas encontrado');
       }
       
-      // Now process the data for inventory analysis using the validated data
-      const processedData = processInventoryData(rawData);
+      // Series, ABC curve and the forecasting engine (coverage, adjusted forecast, drivers)
+      const forecast = await buildInventoryForecast(rawData, abcSettings, {
+        windowMonths,
+        forecastConfig,
+        safetyStockConfig,
+        orderQuantityConfig
+      });
+      if (request !== loadRequest.current) return;
       
-      if (processedData.length === 0) {
+      if (forecast.items.length === 0) {
         throw new Error('Nenhum SKU com vendas encontrado após processamento');
       }
       
-      setData(processedData);
+      setData(forecast.items);
+      setSeriesMonths(forecast.months);
+      setProjectionMonths(forecast.projectionMonths);
       
       console.log('✅ Inventory analysis data loaded successfully');
     } catch (err) {
+      if (request !== loadRequest.current) return;
       console.error('❌ Error loading data:', err);
       setError(err.message);
     } finally {
-      setLoading(false);
+      if (request === loadRequest.current) setLoading(false);
     }
-  }, [processInventoryData]);
+  }, [rows, abcSettings, windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig]);
 
   useEffect(() => {
     loadData();
@@ -612,21 +170,48 @@ const InventoryForecast = () => {
   // Regenerate kit recommendations when data changes
   useEffect(() => {
     if (data.length > 0) {
-      const recommendations = generateKitRecommendations(data);
+      const recommendations = generateKitRecommendations(data, forecastConfig.kitConfig);
       setKitRecommendations(recommendations.kits);
+      setKitTestedPairs(recommendations.testedPairs);
       setProductRecommendations(recommendations.products);
-      console.log(`🎯 Regenerated ${recommendations.kits.length} kit recommendations and ${recommendations.products.length} product recommendations`);
+      console.log(`🎯 Regenerated ${recommendations.kits.length} kit recommendations (${recommendations.testedPairs} pairs tested) and ${recommendations.products.length} product recommendations`);
     }
-  }, [data, generateKitRecommendations]);
+  }, [data, forecastConfig.kitConfig]);
+
+  // Seasonal indices need more years than the analysis window, so they come from the full
+  // history up to the last month of the series
+  const seasonalityBySku = useMemo(() => {
+    if (!allRows || !seriesMonths.length) return new Map();
+    const seasonality = buildSeasonalityProfiles(allRows, { endMonth: seriesMonths[seriesMonths.length - 1] });
+    return new Map(seasonality.skus.map(item => [item.sku, item]));
+  }, [allRows, seriesMonths]);
+
+  const unitValues = useMemo(() => getUnitValues(rows || []), [rows]);
+
+  // XYZ class from the demand variability (CV), the position against the loaded stock, its
+  // value and the seasonal profile; thresholds, stock and costs change without new sales, so
+  // they are derived here instead of inside processInventoryData to avoid reprocessing
+  const xyzData = useMemo(() => {
+    const valued = applyStockValues(applyStockLevels(data, stock), { costTable, unitValues });
+    return valued.map(item => ({
+      ...item,
+      xyz: classifyXYZ(item.demandVariability || 0, xyzThresholds),
+      seasonality: seasonalityBySku.get(item.sku)?.profile || null,
+      upcomingPeak: seasonalityBySku.get(item.sku)?.upcomingPeak || null
+    }));
+  }, [data, xyzThresholds, stock, costTable, unitValues, seasonalityBySku]);
 
   const filteredData = useMemo(() => {
-    let filtered = data.filter(item => {
+    let filtered = xyzData.filter(item => {
       // Search filter
       const matchesSearch = item.sku.toLowerCase().includes(searchTerm.toLowerCase());
       
       // ABC Class filter
       const matchesClass = selectedClass === 'all' || item.curva === selectedClass;
       
+      // XYZ Class filter
+      const matchesXYZ = xyzFilter === 'all' || item.xyz === xyzFilter;
+      
       // Visibility filter
       const matchesVisibility = !showOnlyVisible || item.isVisible;
       
@@ -659,14 +244,21 @@ const InventoryForecast = () => {
       // Seasonality filter
       const matchesSeasonalityFilter = (() => {
         if (seasonalityFilter === 'all') return true;
-        if (seasonalityFilter === 'seasonal') return (item.monthsWithSales || 0) <= 3;
-        if (seasonalityFilter === 'low_activity') return (item.monthsWithSales || 0) <= 6;
-        if (seasonalityFilter === 'year_round') return (item.monthsWithSales || 0) > 6;
+        // Thresholds are a share of the months in the window (3 and 6 of 12 months)
+        const activeShare = (item.monthsWithSales || 0) / item.series.length;
+        if (seasonalityFilter === 'seasonal') return activeShare <= 0.25;
+        if (seasonalityFilter === 'low_activity') return activeShare <= 0.5;
+        if (seasonalityFilter === 'year_round') return activeShare > 0.5;
+        if (seasonalityFilter === 'seasonal_index') return item.seasonality?.isSeasonal === true;
+        if (seasonalityFilter === 'peak_ahead') return item.upcomingPeak !== null;
         return true;
       })();
       
-      const allMatch = matchesSearch && matchesClass && matchesVisibility && matchesBestSellers && 
-             matchesKitFilter && matchesValidationFilter && matchesSeasonalityFilter;
+      // Demand pattern filter (Syntetos-Boylan)
+      const matchesPatternFilter = patternFilter === 'all' || item.demandPattern?.pattern === patternFilter;
+      
+      const allMatch = matchesSearch && matchesClass && matchesXYZ && matchesVisibility && matchesBestSellers && 
+             matchesKitFilter && matchesValidationFilter && matchesSeasonalityFilter && matchesPatternFilter;
       
       return allMatch;
     });
@@ -684,8 +276,21 @@ const InventoryForecast = () => {
     });
 
     return filtered;
-  }, [data, searchTerm, selectedClass, showOnlyVisible, showBestSellers, sortConfig, 
-      kitFilter, validationFilter, seasonalityFilter, productRecommendations]);
+  }, [xyzData, searchTerm, selectedClass, xyzFilter, showOnlyVisible, showBestSellers, sortConfig, 
+      kitFilter, validationFilter, seasonalityFilter, patternFilter, productRecommendations]);
+
+  // Total quantity per calendar month of the filtered SKUs
+  const monthlyDemand = useMemo(() => {
+    return seriesMonths.map((month, index) => ({
+      label: formatMonthLabel(month),
+      quantity: filteredData.reduce((sum, item) => sum + item.series[index], 0)
+    }));
+  }, [seriesMonths, filteredData]);
+
+  // SKUs shown in the ABC×XYZ matrix follow the same visibility toggles as the summary cards
+  const matrixItems = useMemo(() => {
+    return xyzData.filter(item => (!showOnlyVisible || item.isVisible) && (!showBestSellers || item.isBestSeller));
+  }, [xyzData, showOnlyVisible, showBestSellers]);
 
   // Pagination logic
   const totalPages = Math.ceil(filteredData.length / itemsPerPage);
@@ -696,16 +301,17 @@ const InventoryForecast = () => {
   // Reset to first page when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm, selectedClass, showOnlyVisible, showBestSellers, kitFilter, validationFilter, seasonalityFilter]);
+  }, [searchTerm, selectedClass, xyzFilter, showOnlyVisible, showBestSellers, kitFilter, validationFilter, seasonalityFilter, patternFilter]);
+
+  // Acabamentos of the SKUs, for the lead times of the settings panel
+  const acabamentos = useMemo(() => (
+    Array.from(new Set(data.map(item => item.acabamento).filter(Boolean))).sort((a, b) => a.localeCompare(b))
+  ), [data]);
 
   const summary = useMemo(() => {
     const visibleData = data.filter(item => (!showOnlyVisible || item.isVisible) && (!showBestSellers || item.isBestSeller));
     const bestSellersData = data.filter(item => item.isBestSeller);
     
-    // Calculate safety margin statistics
-    const safeMarginData = visibleData.filter(item => item.safeMargin?.marginType === 'safe');
-    const conservativeMarginData = visibleData.filter(item => item.safeMargin?.marginType === 'conservative');
-    
     return {
       totalSKUs: data.length,
       visibleSKUs: visibleData.length,
@@ -713,12 +319,12 @@ const InventoryForecast = () => {
       classA: visibleData.filter(item => item.curva === 'A').length,
       classB: visibleData.filter(item => item.curva === 'B').length,
       classC: visibleData.filter(item => item.curva === 'C').length,
+      classD: visibleData.filter(item => item.curva === 'D').length,
       totalSales: visibleData.reduce((sum, item) => sum + item.totalGeral, 0),
       averageRecommendation: visibleData.reduce((sum, item) => sum + item.recomendacaoEstoque, 0) / (visibleData.length || 1),
-      safeMarginCount: safeMarginData.length,
-      conservativeMarginCount: conservativeMarginData.length,
-      averageSafeMargin: safeMarginData.reduce((sum, item) => sum + item.safeMargin.safeMargin, 0) / (safeMarginData.length || 1),
-      averageConservativeMargin: conservativeMarginData.reduce((sum, item) => sum + item.safeMargin.safeMargin, 0) / (conservativeMarginData.length || 1)
+      totalSafetyStock: visibleData.reduce((sum, item) => sum + item.estoqueSeguranca, 0),
+      averageLeadTime: visibleData.reduce((sum, item) => sum + item.leadTimeDays, 0) / (visibleData.length || 1),
+      customLeadTimes: visibleData.filter(item => item.leadTimeSource !== 'default').length
     };
   }, [data, showOnlyVisible, showBestSellers]);
 
@@ -734,6 +340,7 @@ const InventoryForecast = () => {
       case 'A': return '#ef4444';
       case 'B': return '#f59e0b';
       case 'C': return '#10b981';
+      case 'D': return '#6b7280';
       default: return '#6b7280';
     }
   };
@@ -743,6 +350,7 @@ const InventoryForecast = () => {
       case 'A': return '#fef2f2';
       case 'B': return '#fffbeb';
       case 'C': return '#ecfdf5';
+      case 'D': return '#f3f4f6';
       default: return '#f9fafb';
     }
   };
@@ -750,10 +358,9 @@ const InventoryForecast = () => {
   const exportToCSV = () => {
     // Main inventory data
     const headers = [
-      'SKU', 'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
-      'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro',
+      'SKU', ...seriesMonths, ...projectionMonths.map(month => `Prev_${month}`), 'Modelo_Previsao',
       'Total_Geral', 'Venda_Minima', 'Venda_Maxima', 'Media_Total', 
-      'Media_Mensal', 'Recomendacao_Estoque', 'Margem_Segura_6Meses', 'Recomendacao_Margem', 'Media_6Meses', 'Curva', 'Rank', 'Meses_Com_Vendas', 'Best_Seller'
+      'Media_Mensal', 'Cobertura_Meses', 'Recomendacao_Estoque', 'Previsao_Ajustada', 'Ajuste_Percentual', 'Drivers', 'Acabamento', 'Nivel_Servico', 'Prazo_Entrega_Dias', 'Origem_Prazo', 'Desvio_Demanda', 'Estoque_Seguranca', 'Ponto_Pedido', 'Preco_Medio', 'EOQ', 'Lote_Minimo', 'Multiplo_Lote', 'Origem_Lote', 'Lote_Economico', 'Custo_Unitario', 'Origem_Custo', 'Valor_Recomendado', 'Estoque_Atual', 'Cobertura_Dias', 'Situacao_Estoque', 'Sugestao_Producao', 'Valor_Atual', 'Variacao_Valor', 'Mes_Pico', 'Indice_Pico', 'Proximo_Pico', 'Curva', 'XYZ', 'CV_Demanda', 'Padrao_Demanda', 'ADI', 'CV2', 'Rank', 'Meses_Com_Vendas', 'Best_Seller'
     ];
     
     const csvContent = [
@@ -761,30 +368,68 @@ const InventoryForecast = () => {
       headers.join(';'),
       ...filteredData.map(item => [
         `"${item.sku}"`,
-        item.janeiro, item.fevereiro, item.março, item.abril, item.maio, item.junho,
-        item.julho, item.agosto, item.setembro, item.outubro, item.novembro, item.dezembro,
+        ...item.series,
+        ...projectionMonths.map((month, index) => (item.projection ? item.projection.values[index].toFixed(1) : '')),
+        describeForecastModel(item.projection),
         item.totalGeral,
         item.vendaMinima,
         item.vendaMaxima,
         item.mediaTotal.toFixed(2),
         item.mediaMensal.toFixed(2),
+        item.cobertura,
         item.recomendacaoEstoque.toFixed(0),
-        Math.round(item.safeMargin.safeMargin),
-        item.safeMargin.recommendation,
-        item.safeMargin.avgLast6Months.toFixed(0),
+        item.forecastAjustada,
+        (item.adjustment * 100).toFixed(1),
+        `"${item.drivers.map(driver => `${driver.sku} (${driver.impact.toFixed(1)}%)`).join(', ')}"`,
+        `"${item.acabamento || ''}"`,
+        item.serviceLevel,
+        item.leadTimeDays,
+        LEAD_TIME_SOURCES[item.leadTimeSource],
+        item.demandStdDev.toFixed(2),
+        Math.round(item.estoqueSeguranca),
+        Math.round(item.pontoPedido),
+        item.precoMedio.toFixed(2),
+        item.eoq.toFixed(0),
+        item.loteMinimo,
+        item.multiploLote,
+        BATCH_SOURCES[item.batchSource],
+        item.loteEconomico,
+        item.custoUnitario.toFixed(2),
+        COST_SOURCES[item.costSource],
+        item.valorRecomendado.toFixed(2),
+        stock ? item.estoqueAtual ?? '' : '',
+        stock && Number.isFinite(item.coberturaDias) ? Math.round(item.coberturaDias) : '',
+        stock ? STOCK_STATUS[item.stockStatus].label : '',
+        stock ? item.sugestaoProducao : '',
+        item.valorAtual !== null ? item.valorAtual.toFixed(2) : '',
+        item.variacaoValor !== null ? item.variacaoValor.toFixed(2) : '',
+        item.seasonality ? MONTH_LABELS[item.seasonality.peakMonth] : '',
+        item.seasonality ? item.seasonality.peakIndex.toFixed(2) : '',
+        item.upcomingPeak ? item.upcomingPeak.month : '',
         item.curva,
+        item.xyz,
+        (item.demandVariability || 0).toFixed(2),
+        item.demandPattern?.pattern ? DEMAND_PATTERNS[item.demandPattern.pattern].label : '',
+        item.demandPattern ? item.demandPattern.adi.toFixed(2) : '',
+        item.demandPattern ? item.demandPattern.cv2.toFixed(2) : '',
         item.rank,
         item.monthsWithSales,
         item.isBestSeller ? 'Sim' : 'Não'
       ].join(';')),
       '',
       '=== RECOMENDAÇÕES DE KITS ===',
-      'Kit_ID;Produto_1;Produto_2;Correlacao;Vendas_Combinadas;Estoque_Recomendado;Potencial_Vendas',
+      'Kit_ID;Produto_1;Produto_2;Metodo;Correlacao;Meses;P_Valor;Q_Valor;IC95_Inferior;IC95_Superior;Vendas_Combinadas;Estoque_Recomendado;Potencial_Vendas',
       ...kitRecommendations.map(kit => [
         kit.id,
         `"${kit.products[0].sku}"`,
         `"${kit.products[1].sku}"`,
+        CORRELATION_METHODS[kit.method].label,
         (kit.correlation * 100).toFixed(1) + '%',
+        kit.observations,
+        kit.pValue.toExponential(2),
+        kit.qValue.toExponential(2),
+        (kit.confidenceInterval.lower * 100).toFixed(1) + '%',
+        (kit.confidenceInterval.upper * 100).toFixed(1) + '%',
         kit.totalSales,
         Math.round(kit.recommendedStock),
         Math.round(kit.potential)
@@ -802,13 +447,37 @@ const InventoryForecast = () => {
     window.URL.revokeObjectURL(url);
   };
 
+  if (rowsLoading && !rows) {
+    return <LoadingProgress message="Carregando análise de estoque..." />;
+  }
+
+  if (rowsError && !rows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444', padding: 'var(--spacing-xl)' }}>
+            <h3 style={{ fontSize: '1.5rem', marginBottom: 'var(--spacing-md)' }}>Erro ao carregar dados</h3>
+            <p style={{ fontSize: '1rem' }}>{rowsError}</p>
+            <button
+              onClick={refresh}
+              className="btn btn-primary"
+              style={{ marginTop: 'var(--spacing-md)' }}
+            >
+              Tentar novamente
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="section">
         <div className="container">
           <div className="loading">
             <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)' }}>Carregando análise de estoque...</span>
+            <span style={{ marginLeft: 'var(--spacing-md)' }}>Processando análise de estoque...</span>
           </div>
         </div>
       </div>
@@ -866,6 +535,71 @@ const InventoryForecast = () => {
           {/* Controls */}
           <div style={{ display: 'flex', gap: 'var(--spacing-md)', flexWrap: 'wrap', alignItems: 'center' }}>
 
+            <button
+              onClick={() => setShowForecastSettings(true)}
+              className="btn btn-secondary"
+              title={seriesMonths.length ? `Série de ${formatMonthLabel(seriesMonths[0])} a ${formatMonthLabel(seriesMonths[seriesMonths.length - 1])}` : undefined}
+            >
+              <SlidersHorizontal style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Configurar previsão · {windowMonths} meses
+            </button>
+
+            <Link
+              to={{ pathname: '/estoque/acuracia', search }}
+              className="btn btn-secondary"
+              style={{ textDecoration: 'none' }}
+              title="Comparar os métodos de previsão com as vendas dos últimos meses"
+            >
+              <Crosshair style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Acurácia
+            </Link>
+
+            <Link
+              to={{ pathname: '/estoque/producao', search }}
+              className="btn btn-secondary"
+              style={{ textDecoration: 'none' }}
+              title="SKUs no ponto de pedido com a quantidade a produzir"
+            >
+              <Factory style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Sugestão de Produção
+            </Link>
+
+            <Link
+              to={{ pathname: '/estoque/sazonalidade', search }}
+              className="btn btn-secondary"
+              style={{ textDecoration: 'none' }}
+              title="Índices sazonais por SKU, acabamento e classe e picos se aproximando"
+            >
+              <CalendarDays style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Sazonalidade
+            </Link>
+
+            <button
+              onClick={() => setShowScenarios(!showScenarios)}
+              className="btn"
+              style={{
+                backgroundColor: showScenarios ? 'var(--purple)' : '#f3f4f6',
+                color: showScenarios ? 'white' : 'var(--charcoal-black)'
+              }}
+              title="Simular cobertura, nível de serviço, crescimento e exclusão de clientes"
+            >
+              <FlaskConical style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Cenários
+            </button>
+
+            <button
+              onClick={() => setShowStockValue(!showStockValue)}
+              className="btn"
+              style={{
+                backgroundColor: showStockValue ? 'var(--teal)' : '#f3f4f6',
+                color: showStockValue ? 'white' : 'var(--charcoal-black)'
+              }}
+              title="Valor do estoque recomendado por SKU, classe e acabamento contra o estoque atual"
+            >
+              <Wallet style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Capital de Giro
+            </button>
+
             <button
               onClick={() => setShowBestSellers(!showBestSellers)}
               className="btn"
@@ -898,8 +632,25 @@ const InventoryForecast = () => {
               Exportar CSV
             </button>
           </div>
+
+          <div style={{ marginTop: 'var(--spacing-md)' }}>
+            <StockSourceBar />
+          </div>
         </div>
 
+        {showScenarios && rows && data.length > 0 && (
+          <ScenarioPanel
+            rows={rows}
+            baselineItems={data}
+            windowMonths={windowMonths}
+            onClose={() => setShowScenarios(false)}
+          />
+        )}
+
+        {showStockValue && xyzData.length > 0 && (
+          <StockValuePanel items={xyzData} onClose={() => setShowStockValue(false)} />
+        )}
+
         {/* Summary Cards */}
         <div style={{
           display: 'grid',
@@ -964,7 +715,7 @@ const InventoryForecast = () => {
             </div>
             <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Kits Recomendados</p>
             <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--teal)' }}>{kitRecommendations.length}</p>
-            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>≥57.6% correlação</p>
+            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>FDR ≤ {(forecastConfig.kitConfig.fdr * 100).toLocaleString('pt-BR')}% em {kitTestedPairs} pares</p>
           </div>
 
           <div className="card" style={{ textAlign: 'center' }}>
@@ -1021,6 +772,25 @@ const InventoryForecast = () => {
             <p style={{ fontSize: '2rem', fontWeight: '700', color: '#10b981' }}>{summary.classC}</p>
           </div>
 
+          {abcClasses.includes('D') && (
+            <div className="card" style={{ textAlign: 'center' }}>
+              <div style={{
+                width: '48px',
+                height: '48px',
+                backgroundColor: '#6b7280',
+                borderRadius: 'var(--radius-lg)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                margin: '0 auto var(--spacing-md)'
+              }}>
+                <Target style={{ width: '24px', height: '24px', color: 'white' }} />
+              </div>
+              <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Classe D</p>
+              <p style={{ fontSize: '2rem', fontWeight: '700', color: '#6b7280' }}>{summary.classD}</p>
+            </div>
+          )}
+
           <div className="card" style={{ textAlign: 'center' }}>
             <div style={{
               width: '48px',
@@ -1034,9 +804,9 @@ const InventoryForecast = () => {
             }}>
               <Target style={{ width: '24px', height: '24px', color: 'white' }} />
             </div>
-            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Margem Segura</p>
-            <p style={{ fontSize: '2rem', fontWeight: '700', color: '#10b981' }}>{summary.safeMarginCount}</p>
-            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>Auto-calculado</p>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Estoque de Segurança</p>
+            <p style={{ fontSize: '2rem', fontWeight: '700', color: '#10b981' }}>{Math.round(summary.totalSafetyStock).toLocaleString()}</p>
+            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>un. · nível de serviço por classe</p>
           </div>
 
           <div className="card" style={{ textAlign: 'center' }}>
@@ -1052,9 +822,9 @@ const InventoryForecast = () => {
             }}>
               <Target style={{ width: '24px', height: '24px', color: 'white' }} />
             </div>
-            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Margem Conservadora</p>
-            <p style={{ fontSize: '2rem', fontWeight: '700', color: '#f59e0b' }}>{summary.conservativeMarginCount}</p>
-            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>Auto-calculado</p>
+            <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Prazo Médio</p>
+            <p style={{ fontSize: '2rem', fontWeight: '700', color: '#f59e0b' }}>{Math.round(summary.averageLeadTime)} dias</p>
+            <p style={{ fontSize: '0.75rem', color: '#6b7280' }}>{summary.customLeadTimes} SKUs com prazo próprio</p>
           </div>
         </div>
 
@@ -1072,23 +842,19 @@ const InventoryForecast = () => {
             <ResponsiveContainer width="100%" height={300}>
               <PieChart>
                 <Pie
-                  data={[
-                    { name: 'Classe A', value: summary.classA, color: '#ef4444' },
-                    { name: 'Classe B', value: summary.classB, color: '#f59e0b' },
-                    { name: 'Classe C', value: summary.classC, color: '#10b981' }
-                  ]}
+                  data={abcClasses.map(classification => ({
+                    name: `Classe ${classification}`,
+                    value: summary[`class${classification}`],
+                    color: getClassificationColor(classification)
+                  }))}
                   cx="50%"
                   cy="50%"
                   outerRadius={100}
                   dataKey="value"
                   label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
                 >
-                  {[
-                    { name: 'Classe A', value: summary.classA, color: '#ef4444' },
-                    { name: 'Classe B', value: summary.classB, color: '#f59e0b' },
-                    { name: 'Classe C', value: summary.classC, color: '#10b981' }
-                  ].map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  {abcClasses.map(classification => (
+                    <Cell key={`cell-${classification}`} fill={getClassificationColor(classification)} />
                   ))}
                 </Pie>
                 <Tooltip />
@@ -1120,8 +886,31 @@ const InventoryForecast = () => {
               </BarChart>
             </ResponsiveContainer>
           </div>
+
+          <div className="card">
+            <h3 style={{ fontSize: '1.25rem', fontWeight: '600', color: 'var(--charcoal-black)', marginBottom: 'var(--spacing-lg)' }}>
+              Demanda Mensal dos SKUs Filtrados
+            </h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={monthlyDemand}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => [value.toLocaleString(), 'Quantidade']} />
+                <Bar dataKey="quantity" fill="var(--blue)" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
         </div>
 
+        {/* ABC x XYZ Matrix */}
+        <ABCXYZMatrix
+          items={matrixItems}
+          abcClasses={abcClasses}
+          thresholds={xyzThresholds}
+          onThresholdsChange={updateXYZThresholds}
+        />
+
         {/* Filters */}
         <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
           <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-md)' }}>
@@ -1171,12 +960,32 @@ const InventoryForecast = () => {
                   onChange={(e) => setSelectedClass(e.target.value)}
                   className="btn btn-secondary"
                   style={{ width: '100%', padding: 'var(--spacing-sm) var(--spacing-md)' }}
-                  title="A = Produtos mais importantes (20%), B = Produtos médios (30%), C = Produtos menos importantes (50%)"
+                  title={describeABCSettings(abcSettings)}
                 >
                   <option value="all">Todas as Classes</option>
                   <option value="A">Classe A - Produtos Críticos</option>
                   <option value="B">Classe B - Produtos Médios</option>
                   <option value="C">Classe C - Produtos Menos Importantes</option>
+                  {abcClasses.includes('D') && <option value="D">Classe D - Cauda</option>}
+                </select>
+              </div>
+              
+              {/* XYZ Class Filter */}
+              <div>
+                <label style={{ fontSize: '0.875rem', fontWeight: '500', color: '#374151', marginBottom: 'var(--spacing-xs)', display: 'block' }}>
+                  📉 Classificação XYZ
+                </label>
+                <select
+                  value={xyzFilter}
+                  onChange={(e) => setXYZFilter(e.target.value)}
+                  className="btn btn-secondary"
+                  style={{ width: '100%', padding: 'var(--spacing-sm) var(--spacing-md)' }}
+                  title={`X = CV até ${xyzThresholds.x}, Y = CV até ${xyzThresholds.y}, Z = acima`}
+                >
+                  <option value="all">Todas as Classes</option>
+                  {XYZ_CLASSES.map(xyz => (
+                    <option key={xyz} value={xyz}>Classe {xyz} - Demanda {XYZ_CLASS_INFO[xyz].label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -1230,9 +1039,30 @@ const InventoryForecast = () => {
                   title="Produtos sazonais vs produtos vendidos o ano todo"
                 >
                   <option value="all">Todos os Produtos</option>
-                  <option value="seasonal">Produtos Sazonais (&lt;=3 meses)</option>
-                  <option value="low_activity">Baixa Atividade (&lt;=6 meses)</option>
-                  <option value="year_round">Ano Todo (&gt;6 meses)</option>
+                  <option value="seasonal">Produtos Sazonais (&lt;={Math.floor(windowMonths / 4)} meses)</option>
+                  <option value="low_activity">Baixa Atividade (&lt;={windowMonths / 2} meses)</option>
+                  <option value="year_round">Ano Todo (&gt;{windowMonths / 2} meses)</option>
+                  <option value="seasonal_index">Pico Sazonal (índice ≥ {PEAK_INDEX.toFixed(1).replace('.', ',')})</option>
+                  <option value="peak_ahead">Pico nos Próximos {PEAK_LOOKAHEAD_MONTHS} Meses</option>
+                </select>
+              </div>
+              
+              {/* Demand Pattern Filter */}
+              <div>
+                <label style={{ fontSize: '0.875rem', fontWeight: '500', color: '#374151', marginBottom: 'var(--spacing-xs)', display: 'block' }}>
+                  🧩 Padrão de Demanda
+                </label>
+                <select
+                  value={patternFilter}
+                  onChange={(e) => setPatternFilter(e.target.value)}
+                  className="btn btn-secondary"
+                  style={{ width: '100%', padding: 'var(--spacing-sm) var(--spacing-md)' }}
+                  title={`Syntetos-Boylan: intervalo médio entre vendas (ADI > ${ADI_CUTOFF}) e variação das quantidades (CV² ≥ ${CV2_CUTOFF}). Intermitentes e irregulares são previstos por Croston/SBA.`}
+                >
+                  <option value="all">Todos os Padrões</option>
+                  {Object.entries(DEMAND_PATTERNS).map(([pattern, info]) => (
+                    <option key={pattern} value={pattern}>{info.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -1249,6 +1079,12 @@ const InventoryForecast = () => {
                 >
                   <option value="totalGeral">Maior Venda Total</option>
                   <option value="recomendacaoEstoque">Maior Estoque Recomendado</option>
+                  <option value="forecastAjustada">Maior Previsão Ajustada</option>
+                  <option value="estoqueSeguranca">Maior Estoque de Segurança</option>
+                  <option value="pontoPedido">Maior Ponto de Pedido</option>
+                  <option value="loteEconomico">Maior Lote Econômico</option>
+                  <option value="valorRecomendado">Maior Valor Recomendado</option>
+                  {stock && <option value="sugestaoProducao">Maior Sugestão de Produção</option>}
                   <option value="mediaTotal">Maior Média Mensal</option>
                   <option value="rank">Melhor Ranking</option>
                   <option value="sku">Ordem Alfabética</option>
@@ -1314,6 +1150,15 @@ const InventoryForecast = () => {
                   Produtos com alta correlação de vendas - ideais para kits promocionais
                 </p>
               </div>
+              <Link
+                to={{ pathname: '/estoque/kits', search }}
+                className="btn btn-secondary"
+                style={{ textDecoration: 'none' }}
+                title="Kits de 2 a 4 SKUs comprados juntos nos pedidos, montagem e acompanhamento dos kits salvos"
+              >
+                <Boxes style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+                Montar kits
+              </Link>
               <div style={{ 
                 padding: 'var(--spacing-sm) var(--spacing-md)', 
                 background: '#f1f5f9', 
@@ -1321,7 +1166,7 @@ const InventoryForecast = () => {
                 fontSize: '0.875rem',
                 color: '#64748b'
               }}>
-                <strong>Auto-calculado:</strong> Correlação ≥57.6% (p&lt;0.05)
+                <strong>{CORRELATION_METHODS[forecastConfig.kitConfig.method].label}:</strong> FDR ≤ {(forecastConfig.kitConfig.fdr * 100).toLocaleString('pt-BR')}% (Benjamini-Hochberg) em {kitTestedPairs.toLocaleString('pt-BR')} pares testados
               </div>
             </div>
 
@@ -1368,6 +1213,9 @@ const InventoryForecast = () => {
                       {(kit.correlation * 100).toFixed(0)}% correlação
                     </div>
                   </div>
+                  <div style={{ fontSize: '0.75rem', color: '#6b7280', marginBottom: 'var(--spacing-md)' }}>
+                    IC 95%: {formatInterval(kit.confidenceInterval)} · p {formatPValue(kit.pValue)} · q {formatPValue(kit.qValue)} · {kit.observations} meses
+                  </div>
 
                   <div style={{ marginBottom: 'var(--spacing-md)' }}>
                     {kit.products.map((product, productIndex) => (
@@ -1460,7 +1308,7 @@ const InventoryForecast = () => {
                 Nenhuma correlação encontrada
               </h4>
               <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>
-                Tente reduzir o limite de correlação ou aguarde mais dados de vendas.
+                Nenhum par passou no controle de FDR. Tente aumentar o FDR nas configurações, usar Spearman ou aguarde mais dados de vendas.
               </p>
             </div>
           )}
@@ -1495,7 +1343,7 @@ const InventoryForecast = () => {
                     background: '#f1f5f9',
                     zIndex: 1
                   }} title="Nome do produto">PRODUTO</th>
-                  {monthNames.map(month => (
+                  {seriesMonths.map(month => (
                     <th key={month} style={{
                       padding: 'var(--spacing-md) var(--spacing-sm)',
                       textAlign: 'right',
@@ -1506,7 +1354,21 @@ const InventoryForecast = () => {
                       letterSpacing: '0.05em',
                       borderBottom: '2px solid #cbd5e1',
                       minWidth: '80px'
-                    }}>{month.substring(0, 3)}</th>
+                    }}>{formatMonthLabel(month)}</th>
+                  ))}
+                  {projectionMonths.map(month => (
+                    <th key={month} style={{
+                      padding: 'var(--spacing-md) var(--spacing-sm)',
+                      textAlign: 'right',
+                      fontSize: '0.75rem',
+                      fontWeight: '600',
+                      fontStyle: 'italic',
+                      color: 'var(--purple)',
+                      textTransform: 'uppercase',
+                      letterSpacing: '0.05em',
+                      borderBottom: '2px dashed #c4b5fd',
+                      minWidth: '80px'
+                    }} title="Demanda projetada por suavização exponencial (SES, Holt ou Holt-Winters)">{formatMonthLabel(month)} (prev.)</th>
                   ))}
                   <th style={{
                     padding: 'var(--spacing-md) var(--spacing-sm)',
@@ -1517,7 +1379,7 @@ const InventoryForecast = () => {
                     textTransform: 'uppercase',
                     letterSpacing: '0.05em',
                     borderBottom: '2px solid #cbd5e1'
-                  }} title="Total de vendas no ano">Total</th>
+                  }} title="Total de vendas nos meses da série">Total</th>
                   <th style={{
                     padding: 'var(--spacing-md) var(--spacing-sm)',
                     textAlign: 'right',
@@ -1537,7 +1399,37 @@ const InventoryForecast = () => {
                     textTransform: 'uppercase',
                     letterSpacing: '0.05em',
                     borderBottom: '2px solid #cbd5e1'
-                  }} title="Estoque recomendado baseado na classe ABC e variabilidade">Rec. Est.</th>
+                  }} title="Estoque recomendado: média mensal × cobertura da classe ABC">Rec. Est.</th>
+                  <th style={{
+                    padding: 'var(--spacing-md) var(--spacing-sm)',
+                    textAlign: 'right',
+                    fontSize: '0.75rem',
+                    fontWeight: '600',
+                    color: '#475569',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    borderBottom: '2px solid #cbd5e1'
+                  }} title="Recomendação ajustada pelo momento dos SKUs associados (passe o mouse para ver os drivers)">Prev. Ajust.</th>
+                  <th style={{
+                    padding: 'var(--spacing-md) var(--spacing-sm)',
+                    textAlign: 'right',
+                    fontSize: '0.75rem',
+                    fontWeight: '600',
+                    color: '#475569',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    borderBottom: '2px solid #cbd5e1'
+                  }} title="Estoque de segurança pelo nível de serviço da classe e prazo de entrega; PP = ponto de pedido">Est. Seg. / PP</th>
+                  <th style={{
+                    padding: 'var(--spacing-md) var(--spacing-sm)',
+                    textAlign: 'right',
+                    fontSize: '0.75rem',
+                    fontWeight: '600',
+                    color: '#475569',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    borderBottom: '2px solid #cbd5e1'
+                  }} title="Lote econômico (EOQ) arredondado ao lote mínimo e ao múltiplo do SKU / acabamento">Lote Econ.</th>
                   <th style={{
                     padding: 'var(--spacing-md) var(--spacing-sm)',
                     textAlign: 'right',
@@ -1547,7 +1439,19 @@ const InventoryForecast = () => {
                     textTransform: 'uppercase',
                     letterSpacing: '0.05em',
                     borderBottom: '2px solid #cbd5e1'
-                  }}>Margem Segura</th>
+                  }} title="Estoque recomendado (ou ponto de pedido, se maior) × custo unitário">Valor Rec.</th>
+                  {stock && (
+                    <th style={{
+                      padding: 'var(--spacing-md) var(--spacing-sm)',
+                      textAlign: 'right',
+                      fontSize: '0.75rem',
+                      fontWeight: '600',
+                      color: '#475569',
+                      textTransform: 'uppercase',
+                      letterSpacing: '0.05em',
+                      borderBottom: '2px solid #cbd5e1'
+                    }} title="Estoque atual, cobertura em dias na demanda projetada e sugestão de produção">Estoque</th>
+                  )}
                   <th style={{
                     padding: 'var(--spacing-md) var(--spacing-sm)',
                     textAlign: 'center',
@@ -1558,6 +1462,26 @@ const InventoryForecast = () => {
                     letterSpacing: '0.05em',
                     borderBottom: '2px solid #cbd5e1'
                   }} title="Classificação ABC: A=Crítico, B=Médio, C=Menos importante">Curva</th>
+                  <th style={{
+                    padding: 'var(--spacing-md) var(--spacing-sm)',
+                    textAlign: 'center',
+                    fontSize: '0.75rem',
+                    fontWeight: '600',
+                    color: '#475569',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    borderBottom: '2px solid #cbd5e1'
+                  }} title="Classificação XYZ pela variabilidade da demanda: X=Estável, Y=Variável, Z=Errática">XYZ</th>
+                  <th style={{
+                    padding: 'var(--spacing-md) var(--spacing-sm)',
+                    textAlign: 'center',
+                    fontSize: '0.75rem',
+                    fontWeight: '600',
+                    color: '#475569',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    borderBottom: '2px solid #cbd5e1'
+                  }} title="Padrão de demanda (Syntetos-Boylan): Suave, Errática, Intermitente ou Irregular">Padrão</th>
                   <th style={{
                     padding: 'var(--spacing-md) var(--spacing-sm)',
                     textAlign: 'center',
@@ -1600,45 +1524,36 @@ const InventoryForecast = () => {
                         title={item.sku.length > 30 ? item.sku : ''}
                       >
                         {item.isBestSeller && <Star style={{ width: '14px', height: '14px', color: 'var(--orange)' }} />}
-                        <span>{item.sku}</span>
+                        <Link
+                          to={{ pathname: `/produtos/${encodeURIComponent(item.sku)}`, search }}
+                          style={{ color: 'inherit', textDecoration: 'none', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                        >
+                          {item.sku}
+                        </Link>
+                        {item.upcomingPeak && (
+                          <span
+                            style={{ fontSize: '0.625rem', fontWeight: '600', color: 'var(--orange)', flexShrink: 0 }}
+                            title={`Índice sazonal ${item.upcomingPeak.index.toFixed(2)} em ${formatMonthLabel(item.upcomingPeak.month)}: formar estoque antes do pico`}
+                          >
+                            📈 {formatMonthLabel(item.upcomingPeak.month)}
+                          </span>
+                        )}
                       </div>
                     </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.janeiro.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.fevereiro.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.março.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.abril.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.maio.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.junho.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.julho.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.agosto.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.setembro.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.outubro.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.novembro.toLocaleString()}
-                    </td>
-                    <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
-                      {item.dezembro.toLocaleString()}
-                    </td>
+                    {item.series.map((quantity, monthIndex) => (
+                      <td key={seriesMonths[monthIndex]} style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', color: '#374151' }}>
+                        {quantity.toLocaleString()}
+                      </td>
+                    ))}
+                    {projectionMonths.map((month, monthIndex) => (
+                      <td
+                        key={month}
+                        style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem', fontStyle: 'italic', color: 'var(--purple)' }}
+                        title={describeForecastModel(item.projection)}
+                      >
+                        {item.projection ? Math.round(item.projection.values[monthIndex]).toLocaleString() : '-'}
+                      </td>
+                    ))}
                     <td style={{ 
                       padding: 'var(--spacing-md) var(--spacing-sm)', 
                       textAlign: 'right', 
@@ -1659,26 +1574,50 @@ const InventoryForecast = () => {
                       color: 'var(--purple)' 
                     }}>
                       {Math.round(item.recomendacaoEstoque).toLocaleString()}
+                      <div style={{ fontSize: '0.75rem', fontWeight: '400', color: '#6b7280' }}>
+                        {item.cobertura} {item.cobertura === 1 ? 'mês' : 'meses'}
+                      </div>
                     </td>
-                    <td style={{ 
-                      padding: 'var(--spacing-md) var(--spacing-sm)', 
-                      textAlign: 'right', 
-                      fontSize: '0.875rem', 
-                      color: item.safeMargin.marginType === 'safe' ? '#10b981' : '#f59e0b'
-                    }}>
+                    <td
+                      style={{ 
+                        padding: 'var(--spacing-md) var(--spacing-sm)', 
+                        textAlign: 'right', 
+                        fontSize: '1rem', 
+                        fontWeight: '600', 
+                        color: 'var(--charcoal-black)',
+                        cursor: item.drivers.length ? 'help' : 'default'
+                      }}
+                      title={item.drivers.length ? describeDrivers(item.drivers) : 'Sem associações significativas'}
+                    >
+                      {item.forecastAjustada.toLocaleString()}
+                      {item.drivers.length > 0 && (
+                        <div style={{ fontSize: '0.75rem', fontWeight: '500', color: item.adjustment >= 0 ? '#10b981' : '#ef4444' }}>
+                          {item.adjustment >= 0 ? '▲' : '▼'} {Math.abs(item.adjustment * 100).toFixed(1)}% · {item.drivers.length} driver{item.drivers.length === 1 ? '' : 's'}
+                        </div>
+                      )}
+                    </td>
+                    <td
+                      style={{ 
+                        padding: 'var(--spacing-md) var(--spacing-sm)', 
+                        textAlign: 'right', 
+                        fontSize: '0.875rem', 
+                        color: '#10b981'
+                      }}
+                      title={`Nível de serviço ${item.serviceLevel}% (z=${item.serviceFactor.toFixed(2)}) · desvio ${item.demandStdDev.toFixed(1)}/mês · prazo ${item.leadTimeDays} dias (${LEAD_TIME_SOURCES[item.leadTimeSource]}) · demanda no prazo ${Math.round(item.demandaPrazo).toLocaleString()}`}
+                    >
                       <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
                         <span style={{ fontWeight: '600' }}>
-                          {Math.round(item.safeMargin.safeMargin).toLocaleString()}
+                          {Math.round(item.estoqueSeguranca).toLocaleString()}
                         </span>
                         <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>
-                          {item.safeMargin.avgLast6Months.toFixed(0)}/mês
+                          PP {Math.round(item.pontoPedido).toLocaleString()}
                         </span>
                         <span style={{ 
                           fontSize: '0.625rem', 
-                          color: item.safeMargin.marginType === 'safe' ? '#10b981' : '#f59e0b',
+                          color: item.leadTimeSource === 'default' ? '#6b7280' : '#f59e0b',
                           fontWeight: '500'
                         }}>
-                          {item.safeMargin.marginType === 'safe' ? '✓ 2 meses' : '⚠ 1.5 meses'}
+                          {item.serviceLevel}% · {item.leadTimeDays} dias
                         </span>
                         {item.validation?.needsReview && (
                           <span style={{ 
@@ -1691,6 +1630,64 @@ const InventoryForecast = () => {
                         )}
                       </div>
                     </td>
+                    <td
+                      style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem' }}
+                      title={`EOQ ${item.eoq.toFixed(0)} · preço médio ${item.precoMedio.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })} · lote ${BATCH_SOURCES[item.batchSource]}`}
+                    >
+                      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+                        <span style={{ fontWeight: '600', color: 'var(--charcoal-black)' }}>
+                          {item.loteEconomico > 0 ? item.loteEconomico.toLocaleString() : '-'}
+                        </span>
+                        <span style={{
+                          fontSize: '0.625rem',
+                          color: item.batchSource === 'default' ? '#6b7280' : '#f59e0b',
+                          fontWeight: '500'
+                        }}>
+                          mín. {item.loteMinimo.toLocaleString()} · × {item.multiploLote}
+                        </span>
+                      </div>
+                    </td>
+                    <td
+                      style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem' }}
+                      title={`Custo unitário ${formatCurrency(item.custoUnitario)} · ${COST_SOURCES[item.costSource]}`}
+                    >
+                      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+                        <span style={{ fontWeight: '600', color: 'var(--charcoal-black)' }}>
+                          {item.costSource === 'none' ? '-' : formatCurrency(item.valorRecomendado)}
+                        </span>
+                        {item.variacaoValor !== null && item.costSource !== 'none' && (
+                          <span style={{
+                            fontSize: '0.625rem',
+                            color: item.variacaoValor > 0 ? '#EF4444' : '#10b981',
+                            fontWeight: '500'
+                          }}>
+                            {item.variacaoValor > 0 ? '+' : ''}{formatCurrency(item.variacaoValor)} vs. atual
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    {stock && (
+                      <td
+                        style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'right', fontSize: '0.875rem' }}
+                        title={STOCK_STATUS[item.stockStatus].description}
+                      >
+                        {item.estoqueAtual === null ? (
+                          <span style={{ fontSize: '0.75rem', color: STOCK_STATUS.semEstoque.color }}>-</span>
+                        ) : (
+                          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+                            <span style={{ fontWeight: '600', color: 'var(--charcoal-black)' }}>
+                              {item.estoqueAtual.toLocaleString()}
+                            </span>
+                            <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                              {Number.isFinite(item.coberturaDias) ? `${Math.round(item.coberturaDias)} dias` : 'sem demanda'}
+                            </span>
+                            <span style={{ fontSize: '0.625rem', fontWeight: '600', color: STOCK_STATUS[item.stockStatus].color }}>
+                              {item.sugestaoProducao > 0 ? `Produzir ${item.sugestaoProducao.toLocaleString()}` : STOCK_STATUS[item.stockStatus].label}
+                            </span>
+                          </div>
+                        )}
+                      </td>
+                    )}
                     <td style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'center' }}>
                       <span style={{
                         display: 'inline-flex',
@@ -1707,6 +1704,26 @@ const InventoryForecast = () => {
                         {item.curva}
                       </span>
                     </td>
+                    <td
+                      style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'center' }}
+                      title={`CV ${(item.demandVariability || 0).toFixed(2)} - ${XYZ_CLASS_INFO[item.xyz].label}`}
+                    >
+                      <span style={{ fontSize: '0.875rem', fontWeight: '700', color: XYZ_CLASS_INFO[item.xyz].color }}>
+                        {item.xyz}
+                      </span>
+                    </td>
+                    <td
+                      style={{ padding: 'var(--spacing-md) var(--spacing-sm)', textAlign: 'center' }}
+                      title={item.demandPattern?.pattern
+                        ? `${DEMAND_PATTERNS[item.demandPattern.pattern].description} (ADI ${item.demandPattern.adi.toFixed(2)}, CV² ${item.demandPattern.cv2.toFixed(2)})`
+                        : ''}
+                    >
+                      {item.demandPattern?.pattern && (
+                        <span style={{ fontSize: '0.75rem', fontWeight: '600', color: DEMAND_PATTERNS[item.demandPattern.pattern].color, whiteSpace: 'nowrap' }}>
+                          {DEMAND_PATTERNS[item.demandPattern.pattern].label}
+                        </span>
+                      )}
+                    </td>
                     <td style={{ 
                       padding: 'var(--spacing-md) var(--spacing-sm)', 
                       textAlign: 'center', 
@@ -1880,7 +1897,10 @@ const InventoryForecast = () => {
                   textAlign: 'center',
                   marginBottom: 'var(--spacing-md)'
                 }}>
-                  Correlação de Vendas: {(selectedKit.correlation * 100).toFixed(1)}%
+                  Correlação de Vendas ({CORRELATION_METHODS[selectedKit.method].label}): {(selectedKit.correlation * 100).toFixed(1)}%
+                  <div style={{ fontSize: '0.75rem', fontWeight: '500', marginTop: 'var(--spacing-xs)' }}>
+                    IC 95%: {formatInterval(selectedKit.confidenceInterval)} · p {formatPValue(selectedKit.pValue)} · q (Benjamini-Hochberg) {formatPValue(selectedKit.qValue)} · {selectedKit.observations} meses
+                  </div>
                 </div>
 
                 <div style={{ marginBottom: 'var(--spacing-lg)' }}>
@@ -2046,6 +2066,15 @@ const InventoryForecast = () => {
           </div>
         </div>
       </div>
+
+      {showForecastSettings && (
+        <ForecastSettingsPanel
+          windowMonths={windowMonths}
+          onWindowChange={handleWindowChange}
+          acabamentos={acabamentos}
+          onClose={() => setShowForecastSettings(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,424 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft, Boxes, Plus, Save, Trash2, X } from 'lucide-react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { usePeriodSales } from '../hooks/usePeriod';
+import {
+  buildBasketIndex,
+  evaluateKit,
+  loadKits,
+  MAX_KIT_SIZE,
+  MIN_KIT_BASKETS,
+  MIN_KIT_SIZE,
+  proposeKits,
+  saveKits,
+  trackKit,
+  validateKit
+} from '../utils/kits';
+import { getUnitValues } from '../utils/stockValue';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { formatBR, formatMonthLabel, toISODate } from '../utils/period';
+import LoadingProgress from '../components/LoadingProgress';
+
+const SIZE_OPTIONS = [
+  { value: 'all', label: 'Todos os tamanhos' },
+  { value: '2', label: '2 SKUs' },
+  { value: '3', label: '3 SKUs' },
+  { value: '4', label: '4 SKUs' }
+];
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-sm)'
+};
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+const fieldStyle = {
+  padding: 'var(--spacing-sm)',
+  border: '1px solid #D1D5DB',
+  borderRadius: 'var(--radius-md)',
+  fontSize: '0.875rem'
+};
+
+const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+
+const emptyDraft = () => ({ name: '', skus: [], price: '' });
+
+// Kits (/estoque/kits): kits of 2 to 4 SKUs bought together in the period's orders, a
+// builder to save a kit with name and price, and the monthly purchases of every saved kit
+// since it was created (over the whole synced history).
+const KitBuilder = () => {
+  const { search } = useLocation();
+  const { rows, allRows, loading, error, period } = usePeriodSales();
+  const [sizeFilter, setSizeFilter] = useState('all');
+  const [draft, setDraft] = useState(emptyDraft);
+  const [skuInput, setSkuInput] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [savedKits, setSavedKits] = useState(loadKits);
+  const [selectedKitId, setSelectedKitId] = useState(null);
+
+  const periodIndex = useMemo(() => (rows ? buildBasketIndex(rows) : null), [rows]);
+  const historyIndex = useMemo(() => (allRows ? buildBasketIndex(allRows) : null), [allRows]);
+  const unitValues = useMemo(() => getUnitValues(rows || []), [rows]);
+  const skuOptions = useMemo(
+    () => (periodIndex ? Array.from(periodIndex.skuBaskets.keys()).sort((a, b) => a.localeCompare(b)) : []),
+    [periodIndex]
+  );
+
+  const proposals = useMemo(() => (periodIndex ? proposeKits(periodIndex) : []), [periodIndex]);
+  const visibleProposals = sizeFilter === 'all'
+    ? proposals
+    : proposals.filter(kit => kit.skus.length === Number(sizeFilter));
+
+  const tracking = useMemo(() => {
+    if (!historyIndex) return new Map();
+    return new Map(savedKits.map(kit => [kit.id, trackKit(historyIndex, kit)]));
+  }, [historyIndex, savedKits]);
+
+  // Sum of the average VRLUNIT of the SKUs, the reference for the kit price
+  const listPrice = (skus) => skus.reduce((sum, sku) => sum + (unitValues.get(sku) || 0), 0);
+  const draftStats = periodIndex && draft.skus.length >= MIN_KIT_SIZE ? evaluateKit(periodIndex, draft.skus) : null;
+
+  const loadProposal = (kit) => {
+    setDraft({ name: '', skus: kit.skus, price: listPrice(kit.skus).toFixed(2) });
+    setFormError(null);
+  };
+
+  const addSku = () => {
+    const sku = skuInput.trim();
+    if (!sku || draft.skus.includes(sku) || draft.skus.length >= MAX_KIT_SIZE) return;
+    setDraft(prev => ({ ...prev, skus: [...prev.skus, sku] }));
+    setSkuInput('');
+  };
+
+  const removeSku = (sku) => {
+    setDraft(prev => ({ ...prev, skus: prev.skus.filter(item => item !== sku) }));
+  };
+
+  const persist = (kits) => {
+    setSavedKits(kits);
+    saveKits(kits);
+  };
+
+  const handleSave = () => {
+    const kit = { name: draft.name.trim(), skus: draft.skus, price: parseFloat(String(draft.price).replace(',', '.')) };
+    const validationError = validateKit(kit);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+
+    const saved = { ...kit, id: `kit_${Date.now()}`, createdAt: new Date().toISOString() };
+    persist([...savedKits, saved]);
+    console.log(`📦 Kit saved: ${saved.name} (${saved.skus.join(', ')})`);
+    setDraft(emptyDraft());
+    setFormError(null);
+    setSelectedKitId(saved.id);
+  };
+
+  const handleDelete = (id) => {
+    persist(savedKits.filter(kit => kit.id !== id));
+    if (selectedKitId === id) setSelectedKitId(null);
+  };
+
+  if (loading && !rows) {
+    return <LoadingProgress message="Carregando pedidos..." />;
+  }
+
+  if (error && !rows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao carregar dados</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const selectedKit = savedKits.find(kit => kit.id === selectedKitId);
+  const selectedTracking = selectedKit ? tracking.get(selectedKit.id) : null;
+
+  return (
+    <div className="section">
+      <div className="container">
+        <Link
+          to={{ pathname: '/estoque', search }}
+          style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+        >
+          <ArrowLeft size={16} />
+          Voltar para Previsão de Estoque
+        </Link>
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--teal)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <Boxes size={24} color="white" />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              Kits
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              Kits de {MIN_KIT_SIZE} a {MAX_KIT_SIZE} SKUs comprados juntos nos pedidos · {period.label}
+            </p>
+          </div>
+        </div>
+
+        {/* Proposed kits */}
+        <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 'var(--spacing-md)', flexWrap: 'wrap' }}>
+            <div>
+              <h3 style={sectionTitleStyle}>Kits sugeridos</h3>
+              <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                Combinações presentes em pelo menos {MIN_KIT_BASKETS} pedidos (ou compras do mesmo cliente no mesmo dia, sem PEDIDO)
+                e compradas juntas mais do que o acaso (lift &gt; 1).
+              </p>
+            </div>
+            <select value={sizeFilter} onChange={(e) => setSizeFilter(e.target.value)} style={fieldStyle}>
+              {SIZE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+
+          {visibleProposals.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', color: '#9CA3AF', margin: 0 }}>Nenhuma combinação frequente no período.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: '#f1f5f9' }}>
+                    <th style={{ ...thStyle, textAlign: 'left' }}>SKUs</th>
+                    <th style={thStyle} title="Pedidos com todos os SKUs do kit">Pedidos</th>
+                    <th style={thStyle} title="Parte de todos os pedidos">Suporte</th>
+                    <th style={thStyle} title="Parte dos pedidos do SKU mais vendido do kit que levam o kit inteiro">Kit completo</th>
+                    <th style={thStyle} title="Quantas vezes mais o kit sai junto do que se os SKUs fossem independentes">Lift</th>
+                    <th style={thStyle} title="Soma do VRLUNIT médio dos SKUs">Preço de lista</th>
+                    <th style={thStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleProposals.map(kit => (
+                    <tr key={kit.skus.join('|')}>
+                      <td style={{ ...tdStyle, textAlign: 'left' }}>{kit.skus.join(' + ')}</td>
+                      <td style={tdStyle}>{formatNumber(kit.baskets)}</td>
+                      <td style={tdStyle}>{formatShare(kit.support)}</td>
+                      <td style={tdStyle}>{formatShare(kit.allConfidence)}</td>
+                      <td style={tdStyle}>{kit.lift.toFixed(1)}×</td>
+                      <td style={tdStyle}>{formatCurrency(listPrice(kit.skus))}</td>
+                      <td style={tdStyle}>
+                        <button className="btn btn-secondary" onClick={() => loadProposal(kit)} style={{ padding: '4px 10px', fontSize: '0.75rem' }}>
+                          Montar
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Builder */}
+        <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+          <h3 style={sectionTitleStyle}>Montar kit</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-xs)', fontSize: '0.75rem', color: '#6B7280' }}>
+              Nome do kit
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Ex.: Kit Piso + Rejunte"
+                style={fieldStyle}
+              />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-xs)', fontSize: '0.75rem', color: '#6B7280' }}>
+              Adicionar SKU ({draft.skus.length}/{MAX_KIT_SIZE})
+              <div style={{ display: 'flex', gap: 'var(--spacing-xs)' }}>
+                <input
+                  type="text"
+                  list="kit-sku-options"
+                  value={skuInput}
+                  onChange={(e) => setSkuInput(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && addSku()}
+                  placeholder="Buscar SKU..."
+                  style={{ ...fieldStyle, flex: 1 }}
+                  disabled={draft.skus.length >= MAX_KIT_SIZE}
+                />
+                <datalist id="kit-sku-options">
+                  {skuOptions.map(sku => <option key={sku} value={sku} />)}
+                </datalist>
+                <button className="btn btn-secondary" onClick={addSku} disabled={draft.skus.length >= MAX_KIT_SIZE} title="Adicionar ao kit">
+                  <Plus size={16} />
+                </button>
+              </div>
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: 'var(--spacing-xs)', fontSize: '0.75rem', color: '#6B7280' }}>
+              Preço do kit (R$)
+              <input
+                type="text"
+                inputMode="decimal"
+                value={draft.price}
+                onChange={(e) => setDraft(prev => ({ ...prev, price: e.target.value }))}
+                placeholder={draft.skus.length ? listPrice(draft.skus).toFixed(2) : '0,00'}
+                style={fieldStyle}
+              />
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-xs)', marginBottom: 'var(--spacing-md)' }}>
+            {draft.skus.length === 0 ? (
+              <span style={{ fontSize: '0.875rem', color: '#9CA3AF' }}>Escolha de {MIN_KIT_SIZE} a {MAX_KIT_SIZE} SKUs ou use um kit sugerido.</span>
+            ) : draft.skus.map(sku => (
+              <span
+                key={sku}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', padding: '4px 10px', borderRadius: '20px', background: '#f1f5f9', fontSize: '0.875rem' }}
+              >
+                {sku}
+                <span style={{ color: '#9CA3AF', fontSize: '0.75rem' }}>{formatCurrency(unitValues.get(sku) || 0)}</span>
+                <button
+                  onClick={() => removeSku(sku)}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF', padding: 0 }}
+                  title="Remover do kit"
+                >
+                  <X size={14} />
+                </button>
+              </span>
+            ))}
+          </div>
+
+          {draftStats && (
+            <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 'var(--spacing-md)' }}>
+              No período: {formatNumber(draftStats.baskets)} pedidos com o kit completo · lift {draftStats.lift.toFixed(1)}× ·
+              preço de lista {formatCurrency(listPrice(draft.skus))}
+            </p>
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+            <button className="btn btn-primary" onClick={handleSave}>
+              <Save style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+              Salvar kit
+            </button>
+            {formError && <span style={{ fontSize: '0.75rem', color: '#EF4444' }}>{formError}</span>}
+          </div>
+        </div>
+
+        {/* Saved kits */}
+        <div className="card">
+          <h3 style={sectionTitleStyle}>Kits salvos</h3>
+          <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+            Pedidos com o kit completo desde a criação, em todo o histórico sincronizado; conversão = pedidos com o kit completo ÷
+            pedidos com algum SKU do kit.
+          </p>
+          {savedKits.length === 0 ? (
+            <p style={{ fontSize: '0.875rem', color: '#9CA3AF', margin: 0 }}>Nenhum kit salvo.</p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ background: '#f1f5f9' }}>
+                    <th style={{ ...thStyle, textAlign: 'left' }}>Kit</th>
+                    <th style={{ ...thStyle, textAlign: 'left' }}>SKUs</th>
+                    <th style={thStyle}>Preço</th>
+                    <th style={thStyle}>Criado em</th>
+                    <th style={thStyle}>Pedidos com o kit</th>
+                    <th style={thStyle}>Conversão</th>
+                    <th style={thStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {savedKits.map(kit => {
+                    const kitTracking = tracking.get(kit.id);
+                    return (
+                      <tr
+                        key={kit.id}
+                        onClick={() => setSelectedKitId(kit.id === selectedKitId ? null : kit.id)}
+                        style={{ cursor: 'pointer', background: kit.id === selectedKitId ? '#f8fafc' : 'transparent' }}
+                      >
+                        <td style={{ ...tdStyle, textAlign: 'left', fontWeight: '600' }}>{kit.name}</td>
+                        <td style={{ ...tdStyle, textAlign: 'left' }}>{kit.skus.join(' + ')}</td>
+                        <td style={tdStyle}>{formatCurrency(kit.price)}</td>
+                        <td style={tdStyle}>{formatBR(toISODate(new Date(kit.createdAt)))}</td>
+                        <td style={tdStyle}>{kitTracking ? formatNumber(kitTracking.together) : '-'}</td>
+                        <td style={tdStyle}>{kitTracking && kitTracking.withAnySku ? formatShare(kitTracking.rate) : '-'}</td>
+                        <td style={tdStyle}>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleDelete(kit.id);
+                            }}
+                            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#9CA3AF' }}
+                            title="Excluir kit"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {selectedKit && selectedTracking && (
+            <div style={{ marginTop: 'var(--spacing-lg)' }}>
+              <h4 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: 'var(--spacing-sm)' }}>{selectedKit.name}: pedidos por mês</h4>
+              {selectedTracking.months.length === 0 ? (
+                <p style={{ fontSize: '0.875rem', color: '#9CA3AF', margin: 0 }}>Ainda não há vendas sincronizadas depois da criação do kit.</p>
+              ) : (
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={selectedTracking.months.map(entry => ({ ...entry, label: formatMonthLabel(entry.month) }))}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                    <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                    <Tooltip
+                      formatter={(value, name) => [formatNumber(value), name === 'together' ? 'Kit completo' : 'Algum SKU do kit']}
+                    />
+                    <Bar dataKey="withAnySku" fill="#CBD5E1" radius={[4, 4, 0, 0]} />
+                    <Bar dataKey="together" fill="#5A7A5A" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KitBuilder;
@@ -1,34 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Package, Download, Search } from 'lucide-react';
-import { fetchConcremData } from '../lib/supabase';
-import { calculateProductAnalysis, formatCurrency } from '../utils/abcAnalysis';
+import { useABCAnalysis } from '../hooks/useABCAnalysis';
+import { formatCurrency } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
 import ABCAnalysisChart from '../components/ABCAnalysisChart';
 import DataTable from '../components/DataTable';
+import ABCComparison from '../components/ABCComparison';
+import LoadingProgress from '../components/LoadingProgress';
 
 const ProductAnalysis = () => {
-
-  const [analysis, setAnalysis] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { analysis, loading, error } = useABCAnalysis('DESCRICAO');
   const [searchTerm, setSearchTerm] = useState('');
 
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const rawData = await fetchConcremData();
-        const productAnalysis = calculateProductAnalysis(rawData);
-        setAnalysis(productAnalysis);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    loadData();
-  }, []);
-
   const filteredData = analysis?.data.filter(item =>
     item.name.toLowerCase().includes(searchTerm.toLowerCase())
   ) || [];
@@ -60,20 +43,11 @@ const ProductAnalysis = () => {
     document.body.removeChild(link);
   };
 
-  if (loading) {
-    return (
-      <div className="section">
-        <div className="container">
-          <div className="loading">
-            <div className="spinner"></div>
-            <span style={{ marginLeft: 'var(--spacing-md)' }}>Carregando análise de produtos...</span>
-          </div>
-        </div>
-      </div>
-    );
+  if (loading && !analysis) {
+    return <LoadingProgress message="Carregando análise de produtos..." />;
   }
 
-  if (error) {
+  if (error && !analysis) {
     return (
       <div className="section">
         <div className="container">
@@ -132,39 +106,19 @@ const ProductAnalysis = () => {
             gap: 'var(--spacing-lg)',
             marginBottom: 'var(--spacing-xl)'
           }}>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#2D5A3D',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classA.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Produtos Classe A</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#D2691E',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classB.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Produtos Classe B</p>
-            </div>
-            <div className="card" style={{ textAlign: 'center' }}>
-              <h3 style={{ 
-                fontSize: '2rem', 
-                fontWeight: '700',
-                color: '#B8336A',
-                margin: '0 0 var(--spacing-xs) 0'
-              }}>
-                {analysis.summary.classC.length}
-              </h3>
-              <p style={{ margin: 0, color: '#6B7280' }}>Produtos Classe C</p>
-            </div>
+            {analysis.classes.map(classification => (
+              <div key={classification} className="card" style={{ textAlign: 'center' }}>
+                <h3 style={{ 
+                  fontSize: '2rem', 
+                  fontWeight: '700',
+                  color: ABC_CLASS_INFO[classification].color,
+                  margin: '0 0 var(--spacing-xs) 0'
+                }}>
+                  {analysis.summary[`class${classification}`].length}
+                </h3>
+                <p style={{ margin: 0, color: '#6B7280' }}>Produtos Classe {classification}</p>
+              </div>
+            ))}
             <div className="card" style={{ 
               textAlign: 'center',
               minWidth: '280px'
@@ -233,8 +187,17 @@ const ProductAnalysis = () => {
           <DataTable 
             data={filteredData} 
             title="Dados Detalhados - Produtos"
+            getRowLink={(item) => `/produtos/${encodeURIComponent(item.name)}`}
           />
         </div>
+
+        {/* Period-over-period comparison */}
+        <ABCComparison
+          groupBy="DESCRICAO"
+          current={analysis}
+          entityLabel="produtos"
+          fileName="comparacao_abc_produtos.csv"
+        />
       </div>
     </div>
   );
@@ -0,0 +1,606 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Package, Boxes, DollarSign, ShoppingCart, Target, Link2 } from 'lucide-react';
+import {
+  ComposedChart,
+  LineChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import { buildProductProfile, getKitPartners, mergeProjection } from '../utils/productProfile';
+import { buildInventoryForecast, generateKitRecommendations, parseSeriesWindow } from '../utils/inventoryData';
+import { classifyXYZ, XYZ_CLASS_INFO } from '../utils/xyzAnalysis';
+import { describeForecastModel, DEMAND_PATTERNS } from '../utils/forecasting';
+import { LEAD_TIME_SOURCES } from '../utils/safetyStock';
+import { formatInterval, formatPValue } from '../utils/correlation';
+import { BATCH_SOURCES } from '../utils/orderQuantity';
+import { calculateReplenishment, STOCK_STATUS } from '../utils/stockLevels';
+import { useStockLevels } from '../context/StockLevelsContext';
+import { formatCurrency, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import LoadingProgress from '../components/LoadingProgress';
+import MixTable from '../components/MixTable';
+
+// One color per year in the year-over-year chart (oldest first)
+const YEAR_COLORS = ['#9CA3AF', '#6B7280', '#D2691E', '#B8336A', '#8B5CF6', '#0EA5E9', '#2D5A3D', '#2B2B2B'];
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-lg)'
+};
+
+const badgeStyle = (color) => ({
+  display: 'inline-block',
+  backgroundColor: color,
+  color: 'white',
+  padding: '4px 12px',
+  borderRadius: '20px',
+  fontSize: '0.875rem',
+  fontWeight: '700'
+});
+
+// SKU detail (/produtos/:descricao): demand history across years, buyers and stock planning.
+// History uses every synced row; ABC/XYZ, stock recommendation, adjusted forecast, projected
+// demand and kits follow the selected period, series window (?meses=) and forecast config,
+// exactly like the inventory forecast page.
+const ProductDetail = () => {
+  const { descricao } = useParams();
+  const { search } = useLocation();
+  const [searchParams] = useSearchParams();
+  const windowMonths = parseSeriesWindow(searchParams.get('meses'));
+  const { rows, allRows, loading, error, period } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
+  const {
+    xyzThresholds,
+    forecastConfig,
+    safetyStockConfig,
+    updateSafetyStockConfig,
+    orderQuantityConfig,
+    updateOrderQuantityConfig
+  } = usePlanningSettings();
+  const [forecast, setForecast] = useState({ items: [], months: [], projectionMonths: [] });
+  const inventoryData = forecast.items;
+  const [leadTimeDraft, setLeadTimeDraft] = useState('');
+  const [batchDraft, setBatchDraft] = useState({ minBatch: '', multiple: '' });
+  const { stock } = useStockLevels();
+
+  const profile = useMemo(() => {
+    if (!allRows) return null;
+    return buildProductProfile(allRows, descricao);
+  }, [allRows, descricao]);
+
+  useEffect(() => {
+    const empty = { items: [], months: [], projectionMonths: [] };
+    if (!rows || !rows.length) {
+      setForecast(empty);
+      return;
+    }
+
+    let cancelled = false;
+    buildInventoryForecast(rows, abcSettings, { windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig })
+      .then(result => {
+        if (!cancelled) setForecast(result);
+      })
+      .catch(err => {
+        console.error('❌ Error building inventory forecast:', err);
+        if (!cancelled) setForecast(empty);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [rows, abcSettings, windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig]);
+
+  const inventory = inventoryData.find(item => item.sku === descricao) || null;
+  const stockPosition = inventory && stock ? calculateReplenishment(inventory, stock.levels[descricao]) : null;
+
+  useEffect(() => {
+    setLeadTimeDraft(inventory ? String(inventory.leadTimeDays) : '');
+    setBatchDraft(inventory
+      ? { minBatch: String(inventory.loteMinimo), multiple: String(inventory.multiploLote) }
+      : { minBatch: '', multiple: '' });
+  }, [inventory]);
+
+  // Lead time override of this SKU; null goes back to the acabamento / default lead time
+  const saveSkuLeadTime = (days) => {
+    const overrides = { ...safetyStockConfig.leadTimes.sku };
+    if (days === null) delete overrides[descricao];
+    else overrides[descricao] = days;
+    updateSafetyStockConfig({ ...safetyStockConfig, leadTimes: { ...safetyStockConfig.leadTimes, sku: overrides } });
+  };
+  const leadTimeDraftDays = Number(leadTimeDraft);
+  const isLeadTimeDraftValid = leadTimeDraft !== '' && Number.isFinite(leadTimeDraftDays) && leadTimeDraftDays >= 0 && leadTimeDraftDays <= 365;
+
+  // Batch override of this SKU (minimum and multiple); null goes back to the acabamento / default rule
+  const saveSkuBatch = (batch) => {
+    const overrides = { ...orderQuantityConfig.batches.sku };
+    if (batch === null) delete overrides[descricao];
+    else overrides[descricao] = batch;
+    updateOrderQuantityConfig({ ...orderQuantityConfig, batches: { ...orderQuantityConfig.batches, sku: overrides } });
+  };
+  const batchDraftValues = { minBatch: Number(batchDraft.minBatch), multiple: Number(batchDraft.multiple) };
+  const isBatchDraftValid = batchDraft.minBatch !== '' && batchDraft.multiple !== '' &&
+    batchDraftValues.minBatch >= 0 && Number.isInteger(batchDraftValues.multiple) && batchDraftValues.multiple >= 1;
+  const xyz = inventory ? classifyXYZ(inventory.demandVariability, xyzThresholds) : null;
+
+  // Projected demand as a dashed line, starting at the last month of the series
+  const historyChartData = useMemo(() => {
+    if (!profile) return [];
+    if (!inventory?.projection || !forecast.months.length) return profile.monthlyHistory;
+    const lastIndex = forecast.months.length - 1;
+    return mergeProjection(profile.monthlyHistory, [
+      { month: forecast.months[lastIndex], value: inventory.series[lastIndex] },
+      ...forecast.projectionMonths.map((month, index) => ({ month, value: Math.round(inventory.projection.values[index]) }))
+    ]);
+  }, [profile, inventory, forecast]);
+
+  const kitPartners = useMemo(() => {
+    if (!inventoryData.length) return [];
+    return getKitPartners(generateKitRecommendations(inventoryData, forecastConfig.kitConfig).kits, descricao);
+  }, [inventoryData, descricao, forecastConfig.kitConfig]);
+
+  if (loading && !rows) {
+    return <LoadingProgress message="Carregando dados do produto..." />;
+  }
+
+  if (error && !rows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao carregar dados</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!rows) return null;
+
+  const backLink = (
+    <Link
+      to={{ pathname: '/produtos', search }}
+      style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+    >
+      <ArrowLeft size={16} />
+      Voltar para Curva SKU
+    </Link>
+  );
+
+  if (!profile) {
+    return (
+      <div className="section">
+        <div className="container">
+          {backLink}
+          <div className="card" style={{ textAlign: 'center' }}>
+            <h3>Produto não encontrado</h3>
+            <p style={{ color: '#6B7280' }}>Nenhuma venda registrada para "{descricao}".</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const kpis = [
+    { label: 'Quantidade vendida', value: formatNumber(Math.round(profile.totalQuantity)), icon: Boxes, color: 'var(--blue)' },
+    { label: 'Faturamento', value: formatCurrency(profile.totalValue), icon: DollarSign, color: 'var(--forest-green)' },
+    { label: 'Pedidos', value: formatNumber(profile.orderCount), icon: ShoppingCart, color: '#D2691E' },
+    {
+      label: 'Estoque recomendado',
+      value: inventory ? formatNumber(Math.round(inventory.recomendacaoEstoque)) : '-',
+      icon: Target,
+      color: '#8B5CF6'
+    }
+  ];
+
+  return (
+    <div className="section">
+      <div className="container">
+        {backLink}
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--forest-green)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <Package size={24} color="white" />
+          </div>
+          <div style={{ flex: 1 }}>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              {profile.name}
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              Histórico completo: {profile.monthlyHistory[0]?.label} a {profile.monthlyHistory[profile.monthlyHistory.length - 1]?.label}
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+            {inventory && (
+              <span style={badgeStyle(ABC_CLASS_INFO[inventory.curva].color)} title={`Curva ABC no período: ${period.label}`}>
+                Curva {inventory.curva}
+              </span>
+            )}
+            {xyz && (
+              <span
+                style={badgeStyle(XYZ_CLASS_INFO[xyz].color)}
+                title={`CV ${inventory.demandVariability.toFixed(2)} no período: ${period.label}`}
+              >
+                {xyz} · {XYZ_CLASS_INFO[xyz].label}
+              </span>
+            )}
+            {inventory?.demandPattern.pattern && (
+              <span
+                style={badgeStyle(DEMAND_PATTERNS[inventory.demandPattern.pattern].color)}
+                title={`${DEMAND_PATTERNS[inventory.demandPattern.pattern].description} (ADI ${inventory.demandPattern.adi.toFixed(2)}, CV² ${inventory.demandPattern.cv2.toFixed(2)})`}
+              >
+                Demanda {DEMAND_PATTERNS[inventory.demandPattern.pattern].label.toLowerCase()}
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* KPIs */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+          gap: 'var(--spacing-lg)',
+          marginBottom: 'var(--spacing-2xl)'
+        }}>
+          {kpis.map(kpi => (
+            <div key={kpi.label} className="card" style={{ textAlign: 'center' }}>
+              <kpi.icon size={24} color={kpi.color} style={{ marginBottom: 'var(--spacing-xs)' }} />
+              <h3 style={{ fontSize: '1.75rem', fontWeight: '700', color: kpi.color, margin: '0 0 var(--spacing-xs) 0' }}>
+                {kpi.value}
+              </h3>
+              <p style={{ margin: 0, color: '#6B7280', fontSize: '0.875rem' }}>{kpi.label}</p>
+            </div>
+          ))}
+        </div>
+
+        {/* Monthly history */}
+        <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+          <h3 style={sectionTitleStyle}>Quantidade e faturamento mensal</h3>
+          <ResponsiveContainer width="100%" height={320}>
+            <ComposedChart data={historyChartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="quantity" tick={{ fontSize: 12 }} />
+              <YAxis yAxisId="value" orientation="right" tickFormatter={(value) => `R$ ${(value / 1000).toFixed(0)}k`} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value, name) => (name === 'Faturamento' ? formatCurrency(value) : formatNumber(value))} />
+              <Legend />
+              <Bar yAxisId="quantity" dataKey="quantity" name="Quantidade" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+              <Line yAxisId="value" type="monotone" dataKey="value" name="Faturamento" stroke="#2D5A3D" strokeWidth={2} dot={false} />
+              {inventory?.projection && (
+                <Line
+                  yAxisId="quantity"
+                  type="monotone"
+                  dataKey="forecast"
+                  name="Quantidade projetada"
+                  stroke="#8B5CF6"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  dot={{ r: 3 }}
+                  connectNulls
+                />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+          {inventory?.projection && (
+            <p style={{ fontSize: '0.75rem', color: '#9CA3AF', margin: 'var(--spacing-sm) 0 0 0' }}>
+              Projeção: {describeForecastModel(inventory.projection)}, ajustado na série de {windowMonths} meses do período selecionado.
+            </p>
+          )}
+        </div>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))',
+          gap: 'var(--spacing-lg)',
+          marginBottom: 'var(--spacing-2xl)'
+        }}>
+          {/* Year over year */}
+          <div className="card">
+            <h3 style={sectionTitleStyle}>Quantidade por mês em cada ano</h3>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={profile.quantityByYear}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatNumber(value)} />
+                <Legend />
+                {profile.years.map((year, index) => (
+                  <Line
+                    key={year}
+                    type="monotone"
+                    dataKey={year}
+                    stroke={YEAR_COLORS[index % YEAR_COLORS.length]}
+                    strokeWidth={index === profile.years.length - 1 ? 3 : 2}
+                    dot={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Unit price */}
+          <div className="card">
+            <h3 style={sectionTitleStyle}>Preço médio unitário (VRLUNIT)</h3>
+            <ResponsiveContainer width="100%" height={280}>
+              <LineChart data={profile.monthlyHistory}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                <YAxis tickFormatter={(value) => `R$ ${value.toFixed(0)}`} tick={{ fontSize: 12 }} domain={['auto', 'auto']} />
+                <Tooltip formatter={(value) => [formatCurrency(value), 'Preço médio']} />
+                <Line type="monotone" dataKey="averagePrice" stroke="#D2691E" strokeWidth={2} dot={false} connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Stock recommendation and kits */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))',
+          gap: 'var(--spacing-lg)',
+          marginBottom: 'var(--spacing-2xl)'
+        }}>
+          <div className="card">
+            <h3 style={sectionTitleStyle}>Recomendação de estoque</h3>
+            {inventory ? (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)', fontSize: '0.875rem' }}>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Média mensal</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(Math.round(inventory.mediaMensal))} un.</div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Estoque recomendado</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(Math.round(inventory.recomendacaoEstoque))} un.</div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    {inventory.cobertura} {inventory.cobertura === 1 ? 'mês' : 'meses'} de cobertura (classe {inventory.curva})
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Previsão ajustada</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(inventory.forecastAjustada)} un.</div>
+                  <div style={{ fontSize: '0.75rem', color: inventory.adjustment >= 0 ? '#10B981' : '#EF4444' }}>
+                    {inventory.adjustment >= 0 ? '+' : ''}{(inventory.adjustment * 100).toFixed(1)}% pelos SKUs associados
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Estoque de segurança</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(Math.round(inventory.estoqueSeguranca))} un.</div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    Nível de serviço {inventory.serviceLevel}% (z={inventory.serviceFactor.toFixed(2)}), desvio {inventory.demandStdDev.toFixed(1)}/mês
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Ponto de pedido</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(Math.round(inventory.pontoPedido))} un.</div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    {formatNumber(Math.round(inventory.demandaPrazo))} un. de demanda no prazo + segurança
+                  </div>
+                </div>
+                {stockPosition && stockPosition.estoqueAtual !== null && (
+                  <div>
+                    <div style={{ color: '#6B7280' }}>Estoque atual</div>
+                    <div style={{ fontWeight: '600' }}>{formatNumber(stockPosition.estoqueAtual)} un.</div>
+                    <div style={{ fontSize: '0.75rem', color: STOCK_STATUS[stockPosition.stockStatus].color }}>
+                      {Number.isFinite(stockPosition.coberturaDias) ? `${Math.round(stockPosition.coberturaDias)} dias de cobertura` : 'Sem demanda'}
+                      {' · '}
+                      {stockPosition.sugestaoProducao > 0
+                        ? `produzir ${formatNumber(stockPosition.sugestaoProducao)} un.`
+                        : STOCK_STATUS[stockPosition.stockStatus].label}
+                    </div>
+                  </div>
+                )}
+                <div>
+                  <div style={{ color: '#6B7280' }}>Prazo de entrega (dias)</div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', marginTop: '2px' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      max="365"
+                      step="1"
+                      value={leadTimeDraft}
+                      onChange={(e) => setLeadTimeDraft(e.target.value)}
+                      style={{ width: '70px', padding: '2px 6px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                    />
+                    <button
+                      className="btn btn-secondary"
+                      style={{ padding: '2px 8px', fontSize: '0.75rem' }}
+                      onClick={() => saveSkuLeadTime(leadTimeDraftDays)}
+                      disabled={!isLeadTimeDraftValid || (inventory.leadTimeSource === 'sku' && leadTimeDraftDays === inventory.leadTimeDays)}
+                    >
+                      Salvar
+                    </button>
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    Prazo {inventory.leadTimeSource === 'default' ? 'padrão' : `do ${LEAD_TIME_SOURCES[inventory.leadTimeSource]}`}
+                    {inventory.leadTimeSource === 'acabamento' && ` ${inventory.acabamento}`}
+                    {inventory.leadTimeSource === 'sku' && (
+                      <>
+                        {' · '}
+                        <button
+                          onClick={() => saveSkuLeadTime(null)}
+                          style={{ background: 'none', border: 'none', padding: 0, color: 'var(--forest-green)', cursor: 'pointer', fontSize: '0.75rem' }}
+                        >
+                          usar o padrão
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Lote econômico</div>
+                  <div style={{ fontWeight: '600' }}>{formatNumber(inventory.loteEconomico)} un.</div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    EOQ {formatNumber(Math.round(inventory.eoq))} un. · preço médio {formatCurrency(inventory.precoMedio)}
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Lote mínimo / múltiplo</div>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', marginTop: '2px' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={batchDraft.minBatch}
+                      onChange={(e) => setBatchDraft({ ...batchDraft, minBatch: e.target.value })}
+                      style={{ width: '70px', padding: '2px 6px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={batchDraft.multiple}
+                      onChange={(e) => setBatchDraft({ ...batchDraft, multiple: e.target.value })}
+                      style={{ width: '60px', padding: '2px 6px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                    />
+                    <button
+                      className="btn btn-secondary"
+                      style={{ padding: '2px 8px', fontSize: '0.75rem' }}
+                      onClick={() => saveSkuBatch(batchDraftValues)}
+                      disabled={!isBatchDraftValid || (
+                        inventory.batchSource === 'sku' &&
+                        batchDraftValues.minBatch === inventory.loteMinimo &&
+                        batchDraftValues.multiple === inventory.multiploLote
+                      )}
+                    >
+                      Salvar
+                    </button>
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                    Lote {inventory.batchSource === 'default' ? 'padrão' : `do ${BATCH_SOURCES[inventory.batchSource]}`}
+                    {inventory.batchSource === 'acabamento' && ` ${inventory.acabamento}`}
+                    {inventory.batchSource === 'sku' && (
+                      <>
+                        {' · '}
+                        <button
+                          onClick={() => saveSkuBatch(null)}
+                          style={{ background: 'none', border: 'none', padding: 0, color: 'var(--forest-green)', cursor: 'pointer', fontSize: '0.75rem' }}
+                        >
+                          usar o padrão
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <div style={{ color: '#6B7280' }}>Meses com venda</div>
+                  <div style={{ fontWeight: '600' }}>{inventory.monthsWithSales} de {inventory.series.length}</div>
+                </div>
+                <div style={{ gridColumn: '1 / -1' }}>
+                  <div style={{ color: '#6B7280', marginBottom: 'var(--spacing-xs)' }}>Drivers do ajuste</div>
+                  {inventory.drivers.length === 0 ? (
+                    <div style={{ fontSize: '0.75rem', color: '#6B7280' }}>Sem associações significativas; previsão igual à recomendação.</div>
+                  ) : (
+                    inventory.drivers.map(driver => (
+                      <div key={driver.sku} style={{ display: 'flex', justifyContent: 'space-between', gap: 'var(--spacing-sm)', fontSize: '0.75rem', padding: '2px 0' }}>
+                        <Link
+                          to={{ pathname: `/produtos/${encodeURIComponent(driver.sku)}`, search }}
+                          style={{ color: 'var(--forest-green)', textDecoration: 'none' }}
+                        >
+                          {driver.sku}
+                        </Link>
+                        <span style={{ color: '#6B7280', whiteSpace: 'nowrap' }}>
+                          {driver.type === 'basket' ? 'mesmo pedido' : 'correlação'} · força {driver.strength.toFixed(2)} ·{' '}
+                          <span style={{ fontWeight: '600', color: driver.impact >= 0 ? '#10B981' : '#EF4444' }}>
+                            {driver.impact >= 0 ? '+' : ''}{driver.impact.toFixed(1)}%
+                          </span>
+                        </span>
+                      </div>
+                    ))
+                  )}
+                </div>
+                <p style={{ gridColumn: '1 / -1', fontSize: '0.75rem', color: '#9CA3AF', margin: 0 }}>
+                  Calculado sobre o período selecionado ({period.label}), como na Previsão de Estoque.
+                </p>
+              </div>
+            ) : (
+              <p style={{ fontSize: '0.875rem', color: '#6B7280' }}>Sem vendas no período selecionado ({period.label}).</p>
+            )}
+          </div>
+
+          <div className="card">
+            <h3 style={{ ...sectionTitleStyle, display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+              <Link2 size={20} />
+              Parceiros de kit
+            </h3>
+            {kitPartners.length === 0 ? (
+              <p style={{ fontSize: '0.875rem', color: '#6B7280' }}>
+                Nenhum kit sugerido com este produto no período.
+              </p>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                <thead>
+                  <tr style={{ backgroundColor: '#F1F5F9', color: '#475569' }}>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'left' }}>Produto</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>Correlação</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }} title="Intervalo de confiança de 95% da correlação">IC 95%</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }} title="p-valor ajustado por Benjamini-Hochberg">q</th>
+                    <th style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>Estoque do kit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {kitPartners.map(kit => (
+                    <tr key={kit.id} style={{ borderTop: '1px solid #E5E7EB' }}>
+                      <td style={{ padding: 'var(--spacing-sm)' }}>
+                        <Link
+                          to={{ pathname: `/produtos/${encodeURIComponent(kit.partner.sku)}`, search }}
+                          style={{ color: 'var(--forest-green)', textDecoration: 'none' }}
+                        >
+                          {kit.partner.sku}
+                        </Link>
+                      </td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>{(kit.correlation * 100).toFixed(0)}%</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right', color: '#6B7280' }}>{formatInterval(kit.confidenceInterval)}</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right', color: '#6B7280' }}>{formatPValue(kit.qValue)}</td>
+                      <td style={{ padding: 'var(--spacing-sm)', textAlign: 'right' }}>{formatNumber(kit.recommendedStock)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        {/* Buyers */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+          gap: 'var(--spacing-lg)'
+        }}>
+          <MixTable
+            title="Clientes por volume"
+            items={profile.customers}
+            nameLabel="Cliente"
+            showQuantity
+            getLink={(item) => `/clientes/${encodeURIComponent(item.name)}`}
+          />
+          <MixTable title="Cidades" items={profile.cities} nameLabel="Cidade" showQuantity />
+          <MixTable title="Acabamentos" items={profile.acabamentos} nameLabel="Acabamento" showQuantity />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductDetail;
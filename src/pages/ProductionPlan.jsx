@@ -0,0 +1,333 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Factory, Download, Search } from 'lucide-react';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { usePlanningSettings } from '../context/PlanningSettingsContext';
+import { useStockLevels } from '../context/StockLevelsContext';
+import { buildInventoryForecast, parseSeriesWindow } from '../utils/inventoryData';
+import { applyStockLevels, buildProductionPlan, STOCK_STATUS } from '../utils/stockLevels';
+import { createXlsx, XLSX_MIME_TYPE } from '../utils/xlsxExport';
+import { formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import LoadingProgress from '../components/LoadingProgress';
+import StockSourceBar from '../components/StockSourceBar';
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+const formatDays = (days) => (Number.isFinite(days) ? `${Math.round(days)} dias` : 'sem demanda');
+
+const EXPORT_HEADERS = [
+  'SKU', 'Acabamento', 'Curva', 'Situacao', 'Estoque_Atual', 'Cobertura_Dias', 'Ponto_Pedido',
+  'Estoque_Recomendado', 'Falta_Ponto_Pedido', 'Falta_Recomendacao', 'Prazo_Entrega_Dias', 'Lote_Economico',
+  'Lote_Minimo', 'Multiplo_Lote', 'Sugestao_Producao'
+];
+
+const toExportRow = (item) => [
+  item.sku,
+  item.acabamento || '',
+  item.curva,
+  STOCK_STATUS[item.stockStatus].label,
+  item.estoqueAtual,
+  Number.isFinite(item.coberturaDias) ? Math.round(item.coberturaDias) : '',
+  Math.round(item.pontoPedido),
+  Math.round(item.recomendacaoEstoque),
+  Math.round(item.faltaPontoPedido),
+  Math.round(item.faltaRecomendacao),
+  item.leadTimeDays,
+  item.loteEconomico,
+  item.loteMinimo,
+  item.multiploLote,
+  item.sugestaoProducao
+];
+
+const download = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Production suggestions (/estoque/producao): SKUs at or below the reorder point with the
+// quantity that brings them back to the recommended stock, most urgent first.
+// Recommendation and reorder point follow the selected period, ?meses= window and settings,
+// exactly like the inventory forecast page; the stock is the loaded snapshot.
+const ProductionPlan = () => {
+  const { search } = useLocation();
+  const [searchParams] = useSearchParams();
+  const windowMonths = parseSeriesWindow(searchParams.get('meses'));
+  const { rows, loading: rowsLoading, error: rowsError, period } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
+  const { forecastConfig, safetyStockConfig, orderQuantityConfig } = usePlanningSettings();
+  const { stock } = useStockLevels();
+
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [acabamentoFilter, setAcabamentoFilter] = useState('all');
+
+  useEffect(() => {
+    if (!rows) return;
+
+    let cancelled = false;
+    setItems(null);
+    setError(null);
+    buildInventoryForecast(rows, abcSettings, { windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig })
+      .then(result => {
+        if (!cancelled) setItems(result.items);
+      })
+      .catch(err => {
+        console.error('❌ Error building production plan:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [rows, abcSettings, windowMonths, forecastConfig, safetyStockConfig, orderQuantityConfig]);
+
+  const stockItems = useMemo(() => (items && stock ? applyStockLevels(items, stock) : []), [items, stock]);
+  const plan = useMemo(() => buildProductionPlan(stockItems), [stockItems]);
+  const acabamentos = useMemo(() => (
+    Array.from(new Set(plan.map(item => item.acabamento).filter(Boolean))).sort((a, b) => a.localeCompare(b))
+  ), [plan]);
+
+  const filteredPlan = plan.filter(item => (
+    item.sku.toLowerCase().includes(searchTerm.toLowerCase()) &&
+    (acabamentoFilter === 'all' || item.acabamento === acabamentoFilter)
+  ));
+
+  const summary = {
+    skus: filteredPlan.length,
+    ruptura: filteredPlan.filter(item => item.stockStatus === 'ruptura').length,
+    units: filteredPlan.reduce((sum, item) => sum + item.sugestaoProducao, 0),
+    missing: stockItems.filter(item => item.stockStatus === 'semEstoque').length
+  };
+
+  const fileName = `sugestao_producao_${new Date().toISOString().split('T')[0]}`;
+
+  const exportToCSV = () => {
+    const csvContent = [
+      EXPORT_HEADERS.join(';'),
+      ...filteredPlan.map(item => toExportRow(item)
+        .map((value, index) => (index <= 3 ? `"${value}"` : value))
+        .join(';'))
+    ].join('\n');
+    download(new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' }), `${fileName}.csv`);
+  };
+
+  const exportToXlsx = () => {
+    const xlsx = createXlsx(EXPORT_HEADERS, filteredPlan.map(toExportRow), 'Sugestão de Produção');
+    download(new Blob([xlsx], { type: XLSX_MIME_TYPE }), `${fileName}.xlsx`);
+  };
+
+  if (rowsLoading && !rows) {
+    return <LoadingProgress message="Carregando vendas..." />;
+  }
+
+  if ((rowsError && !rows) || error) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao montar a sugestão de produção</h3>
+            <p>{error || rowsError}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="section">
+      <div className="container">
+        <Link
+          to={{ pathname: '/estoque', search }}
+          style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+        >
+          <ArrowLeft size={16} />
+          Voltar para Previsão de Estoque
+        </Link>
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--orange)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <Factory size={24} color="white" />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              Sugestão de Produção
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              SKUs no ponto de pedido ou abaixo, com a quantidade para voltar ao estoque recomendado, no mínimo o lote econômico e em lotes inteiros ({period.label}, janela de {windowMonths} meses).
+            </p>
+          </div>
+        </div>
+
+        <div className="card" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <StockSourceBar />
+        </div>
+
+        {!stock ? (
+          <div className="card" style={{ textAlign: 'center', color: '#6B7280' }}>
+            Carregue o estoque atual (CSV ou tabela Concrem_Estoque) para calcular a sugestão de produção.
+          </div>
+        ) : !items ? (
+          <div className="card">
+            <div className="loading">
+              <div className="spinner"></div>
+              <span style={{ marginLeft: 'var(--spacing-md)' }}>Calculando recomendações...</span>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 'var(--spacing-lg)', marginBottom: 'var(--spacing-xl)' }}>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>SKUs a produzir</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)' }}>{formatNumber(summary.skus)}</p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Em ruptura</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: STOCK_STATUS.ruptura.color }}>{formatNumber(summary.ruptura)}</p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Unidades sugeridas</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--orange)' }}>{formatNumber(summary.units)}</p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>SKUs sem estoque informado</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: STOCK_STATUS.semEstoque.color }}>{formatNumber(summary.missing)}</p>
+              </div>
+            </div>
+
+            <div className="card">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                <div style={{ display: 'flex', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+                  <div style={{ position: 'relative' }}>
+                    <Search size={16} style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: '#9CA3AF' }} />
+                    <input
+                      type="text"
+                      placeholder="Buscar SKU..."
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                      style={{ padding: 'var(--spacing-sm) var(--spacing-sm) var(--spacing-sm) 32px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                    />
+                  </div>
+                  <select
+                    value={acabamentoFilter}
+                    onChange={(e) => setAcabamentoFilter(e.target.value)}
+                    className="btn btn-secondary"
+                  >
+                    <option value="all">Todos os acabamentos</option>
+                    {acabamentos.map(acabamento => (
+                      <option key={acabamento} value={acabamento}>{acabamento}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                  <button onClick={exportToCSV} className="btn btn-secondary" disabled={!filteredPlan.length}>
+                    <Download style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+                    CSV
+                  </button>
+                  <button onClick={exportToXlsx} className="btn btn-primary" disabled={!filteredPlan.length}>
+                    <Download style={{ width: '16px', height: '16px', marginRight: 'var(--spacing-xs)' }} />
+                    XLSX
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>SKU</th>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>Acabamento</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }}>Curva</th>
+                      <th style={{ ...thStyle, textAlign: 'center' }}>Situação</th>
+                      <th style={thStyle}>Estoque</th>
+                      <th style={thStyle} title="Dias que o estoque dura na demanda projetada">Cobertura</th>
+                      <th style={thStyle} title="Ponto de pedido: demanda no prazo de entrega + estoque de segurança">PP</th>
+                      <th style={thStyle} title="Estoque recomendado: média mensal × cobertura da classe">Rec. Est.</th>
+                      <th style={thStyle} title="Unidades abaixo do ponto de pedido">Falta PP</th>
+                      <th style={thStyle} title="Lote econômico (EOQ) arredondado ao lote mínimo e ao múltiplo">Lote Econ.</th>
+                      <th style={thStyle}>Sugestão</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredPlan.map(item => (
+                      <tr key={item.sku}>
+                        <td style={{ ...tdStyle, textAlign: 'left', maxWidth: '260px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          <Link
+                            to={{ pathname: `/produtos/${encodeURIComponent(item.sku)}`, search }}
+                            style={{ color: 'inherit', textDecoration: 'none' }}
+                            title={item.sku}
+                          >
+                            {item.sku}
+                          </Link>
+                        </td>
+                        <td style={{ ...tdStyle, textAlign: 'left', fontSize: '0.75rem', color: '#6B7280' }}>{item.acabamento || '-'}</td>
+                        <td style={{ ...tdStyle, textAlign: 'center', fontWeight: '700', color: ABC_CLASS_INFO[item.curva]?.color }}>{item.curva}</td>
+                        <td style={{ ...tdStyle, textAlign: 'center' }} title={STOCK_STATUS[item.stockStatus].description}>
+                          <span style={{ fontSize: '0.75rem', fontWeight: '600', color: STOCK_STATUS[item.stockStatus].color }}>
+                            {STOCK_STATUS[item.stockStatus].label}
+                          </span>
+                        </td>
+                        <td style={tdStyle}>{formatNumber(item.estoqueAtual)}</td>
+                        <td style={tdStyle}>{formatDays(item.coberturaDias)}</td>
+                        <td style={tdStyle}>{formatNumber(Math.round(item.pontoPedido))}</td>
+                        <td style={tdStyle}>{formatNumber(Math.round(item.recomendacaoEstoque))}</td>
+                        <td style={tdStyle}>{formatNumber(Math.round(item.faltaPontoPedido))}</td>
+                        <td style={tdStyle} title={`Lote mínimo ${formatNumber(item.loteMinimo)} · múltiplo ${item.multiploLote}`}>
+                          {formatNumber(item.loteEconomico)}
+                        </td>
+                        <td style={{ ...tdStyle, fontWeight: '700', color: 'var(--orange)' }}>{formatNumber(item.sugestaoProducao)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {filteredPlan.length === 0 && (
+                <p style={{ textAlign: 'center', color: '#6B7280', padding: 'var(--spacing-lg)' }}>
+                  Nenhum SKU no ponto de pedido com o estoque carregado.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductionPlan;
@@ -0,0 +1,352 @@
+import React, { useMemo, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft, CalendarDays, Search } from 'lucide-react';
+import { usePeriodSales } from '../hooks/usePeriod';
+import { useABCSettings } from '../context/ABCSettingsContext';
+import { buildSeasonalityProfiles, PEAK_INDEX, PEAK_LOOKAHEAD_MONTHS, SEASONALITY_HISTORY_MONTHS } from '../utils/seasonality';
+import { calculateProductAnalysis, formatNumber } from '../utils/abcAnalysis';
+import { ABC_CLASS_INFO } from '../utils/abcSettings';
+import { addMonths, formatMonthLabel, MONTH_LABELS } from '../utils/period';
+import LoadingProgress from '../components/LoadingProgress';
+
+const MAX_SKU_ROWS = 100;
+
+const VIEWS = [
+  { value: 'sku', label: 'Por SKU' },
+  { value: 'acabamento', label: 'Por acabamento' },
+  { value: 'curva', label: 'Por classe ABC' }
+];
+
+const sectionTitleStyle = {
+  fontSize: '1.25rem',
+  fontWeight: '600',
+  color: 'var(--charcoal-black)',
+  marginBottom: 'var(--spacing-sm)'
+};
+
+const thStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: '#475569',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '2px solid #cbd5e1',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: 'var(--spacing-sm)',
+  textAlign: 'right',
+  fontSize: '0.875rem',
+  color: '#374151',
+  borderBottom: '1px solid #e2e8f0'
+};
+
+// Orange above an average month, blue below; full colour at ±100%
+const indexColor = (index) => {
+  const strength = Math.min(Math.abs(index - 1), 1);
+  return index >= 1 ? `rgba(249, 115, 22, ${strength})` : `rgba(59, 130, 246, ${strength})`;
+};
+
+// Seasonality (/estoque/sazonalidade): monthly seasonal indices over the last
+// SEASONALITY_HISTORY_MONTHS months of the synced history, as a heatmap per SKU, acabamento
+// or ABC class, and the SKUs whose peak month is within the next PEAK_LOOKAHEAD_MONTHS.
+const Seasonality = () => {
+  const { search } = useLocation();
+  const { allRows, loading, error } = usePeriodSales();
+  const { settings: abcSettings } = useABCSettings();
+  const [view, setView] = useState('sku');
+  const [skuSearch, setSkuSearch] = useState('');
+  const [onlySeasonal, setOnlySeasonal] = useState(false);
+
+  const seasonality = useMemo(() => {
+    if (!allRows || !allRows.length) return null;
+    const classifications = Object.fromEntries(
+      calculateProductAnalysis(allRows, abcSettings).data.map(item => [item.name, item.classification])
+    );
+    return buildSeasonalityProfiles(allRows, { classifications });
+  }, [allRows, abcSettings]);
+
+  // Calendar months (0-11) of the lookahead, highlighted in the heatmap
+  const upcomingMonths = useMemo(() => {
+    if (!seasonality?.lastMonth) return [];
+    return Array.from({ length: PEAK_LOOKAHEAD_MONTHS }, (_, index) => Number(addMonths(seasonality.lastMonth, index + 1).slice(5, 7)) - 1);
+  }, [seasonality]);
+
+  const heatmapRows = useMemo(() => {
+    if (!seasonality) return [];
+    if (view === 'acabamento') return seasonality.acabamentos.filter(group => group.profile);
+    if (view === 'curva') return seasonality.classes.filter(group => group.profile);
+
+    const term = skuSearch.toLowerCase();
+    return seasonality.skus
+      .filter(item => item.profile && (!onlySeasonal || item.profile.isSeasonal) && item.sku.toLowerCase().includes(term))
+      .map(item => ({ ...item, name: item.sku }));
+  }, [seasonality, view, skuSearch, onlySeasonal]);
+
+  const approachingPeaks = useMemo(() => {
+    if (!seasonality) return [];
+    return seasonality.skus
+      .filter(item => item.upcomingPeak)
+      .sort((a, b) => a.upcomingPeak.monthsAhead - b.upcomingPeak.monthsAhead || b.total - a.total);
+  }, [seasonality]);
+
+  if (loading && !allRows) {
+    return <LoadingProgress message="Carregando histórico de vendas..." />;
+  }
+
+  if (error && !allRows) {
+    return (
+      <div className="section">
+        <div className="container">
+          <div className="card" style={{ textAlign: 'center', color: '#EF4444' }}>
+            <h3>Erro ao calcular a sazonalidade</h3>
+            <p>{error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const withProfile = seasonality ? seasonality.skus.filter(item => item.profile) : [];
+  const historyMonths = seasonality ? seasonality.months.length : 0;
+
+  return (
+    <div className="section">
+      <div className="container">
+        <Link
+          to={{ pathname: '/estoque', search }}
+          style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', color: 'var(--forest-green)', textDecoration: 'none', marginBottom: 'var(--spacing-lg)' }}
+        >
+          <ArrowLeft size={16} />
+          Voltar para Previsão de Estoque
+        </Link>
+
+        {/* Header */}
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-xl)' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            backgroundColor: 'var(--orange)',
+            borderRadius: 'var(--radius-lg)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            marginRight: 'var(--spacing-md)',
+            flexShrink: 0
+          }}>
+            <CalendarDays size={24} color="white" />
+          </div>
+          <div>
+            <h1 style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)', margin: 0 }}>
+              Sazonalidade
+            </h1>
+            <p style={{ fontSize: '1rem', color: '#6B7280', margin: 0 }}>
+              Índice de cada mês sobre a média do ano, calculado nos últimos {SEASONALITY_HISTORY_MONTHS} meses do histórico
+              {seasonality?.lastMonth ? ` (até ${formatMonthLabel(seasonality.lastMonth)})` : ''}.
+            </p>
+          </div>
+        </div>
+
+        {!seasonality ? (
+          <div className="card">
+            <p style={{ color: '#6B7280', margin: 0 }}>Sem vendas sincronizadas.</p>
+          </div>
+        ) : (
+          <>
+            {/* Summary */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 'var(--spacing-lg)', marginBottom: 'var(--spacing-xl)' }}>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>SKUs com 2+ anos de venda</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)' }}>{formatNumber(withProfile.length)}</p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>SKUs sazonais</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--orange)' }}>
+                  {formatNumber(withProfile.filter(item => item.profile.isSeasonal).length)}
+                </p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Pico nos próximos {PEAK_LOOKAHEAD_MONTHS} meses</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: '#EF4444' }}>{formatNumber(approachingPeaks.length)}</p>
+              </div>
+              <div className="card" style={{ textAlign: 'center' }}>
+                <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: 'var(--spacing-xs)' }}>Histórico analisado</p>
+                <p style={{ fontSize: '2rem', fontWeight: '700', color: 'var(--charcoal-black)' }}>{historyMonths} meses</p>
+              </div>
+            </div>
+
+            {/* Approaching peaks */}
+            <div className="card" style={{ marginBottom: 'var(--spacing-2xl)' }}>
+              <h3 style={sectionTitleStyle}>Picos se aproximando</h3>
+              <p style={{ fontSize: '0.875rem', color: '#6B7280', marginTop: 0 }}>
+                SKUs com índice ≥ {PEAK_INDEX.toFixed(1).replace('.', ',')} em um dos próximos {PEAK_LOOKAHEAD_MONTHS} meses: antecipe a produção
+                para formar estoque antes do pico.
+              </p>
+              {approachingPeaks.length === 0 ? (
+                <p style={{ fontSize: '0.875rem', color: '#9CA3AF', margin: 0 }}>Nenhum pico sazonal nos próximos meses.</p>
+              ) : (
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr style={{ background: '#f1f5f9' }}>
+                        <th style={{ ...thStyle, textAlign: 'left' }}>SKU</th>
+                        <th style={{ ...thStyle, textAlign: 'left' }}>Acabamento</th>
+                        <th style={{ ...thStyle, textAlign: 'center' }}>Curva</th>
+                        <th style={thStyle}>Pico</th>
+                        <th style={thStyle}>Índice</th>
+                        <th style={thStyle} title="Média mensal do histórico">Média</th>
+                        <th style={thStyle} title="Média mensal × índice do mês de pico">Demanda no pico</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {approachingPeaks.slice(0, MAX_SKU_ROWS).map(item => {
+                        const average = item.total / historyMonths;
+                        return (
+                          <tr key={item.sku}>
+                            <td style={{ ...tdStyle, textAlign: 'left', maxWidth: '260px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              <Link
+                                to={{ pathname: `/produtos/${encodeURIComponent(item.sku)}`, search }}
+                                style={{ color: 'inherit', textDecoration: 'none' }}
+                                title={item.sku}
+                              >
+                                {item.sku}
+                              </Link>
+                            </td>
+                            <td style={{ ...tdStyle, textAlign: 'left' }}>{item.acabamento || '-'}</td>
+                            <td style={{ ...tdStyle, textAlign: 'center', fontWeight: '700', color: ABC_CLASS_INFO[item.curva]?.color }}>{item.curva || '-'}</td>
+                            <td style={tdStyle}>
+                              {formatMonthLabel(item.upcomingPeak.month)}
+                              <span style={{ fontSize: '0.75rem', color: '#6B7280' }}>
+                                {' '}({item.upcomingPeak.monthsAhead} {item.upcomingPeak.monthsAhead === 1 ? 'mês' : 'meses'})
+                              </span>
+                            </td>
+                            <td style={{ ...tdStyle, fontWeight: '600', color: 'var(--orange)' }}>{item.upcomingPeak.index.toFixed(2)}</td>
+                            <td style={tdStyle}>{formatNumber(Math.round(average))}</td>
+                            <td style={{ ...tdStyle, fontWeight: '600' }}>{formatNumber(Math.round(average * item.upcomingPeak.index))}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Heatmap */}
+            <div className="card">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+                <h3 style={{ ...sectionTitleStyle, marginBottom: 0 }}>Índices sazonais</h3>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+                  {view === 'sku' && (
+                    <>
+                      <label style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--spacing-xs)', fontSize: '0.875rem', color: '#374151' }}>
+                        <input type="checkbox" checked={onlySeasonal} onChange={(e) => setOnlySeasonal(e.target.checked)} />
+                        Só sazonais
+                      </label>
+                      <div style={{ position: 'relative' }}>
+                        <Search size={16} style={{ position: 'absolute', left: '10px', top: '50%', transform: 'translateY(-50%)', color: '#9CA3AF' }} />
+                        <input
+                          type="text"
+                          placeholder="Buscar SKU..."
+                          value={skuSearch}
+                          onChange={(e) => setSkuSearch(e.target.value)}
+                          style={{ padding: 'var(--spacing-sm) var(--spacing-sm) var(--spacing-sm) 32px', border: '1px solid #D1D5DB', borderRadius: 'var(--radius-md)', fontSize: '0.875rem' }}
+                        />
+                      </div>
+                    </>
+                  )}
+                  <select value={view} onChange={(e) => setView(e.target.value)} className="btn btn-secondary">
+                    {VIEWS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <p style={{ fontSize: '0.75rem', color: '#6B7280', marginTop: 0 }}>
+                1,00 = mês médio; laranja acima da média, azul abaixo. Os próximos {PEAK_LOOKAHEAD_MONTHS} meses estão destacados.
+                Acabamentos e classes usam a soma das vendas dos seus SKUs.
+              </p>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ background: '#f1f5f9' }}>
+                      <th style={{ ...thStyle, textAlign: 'left' }}>{VIEWS.find(option => option.value === view).label.replace('Por ', '')}</th>
+                      {MONTH_LABELS.map((label, month) => (
+                        <th
+                          key={label}
+                          style={{ ...thStyle, textAlign: 'center', color: upcomingMonths.includes(month) ? 'var(--orange)' : thStyle.color }}
+                        >
+                          {label}
+                        </th>
+                      ))}
+                      <th style={thStyle}>Pico</th>
+                      <th style={thStyle} title="Índice do pico menos índice do vale">Amplitude</th>
+                      <th style={thStyle}>Anos</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {heatmapRows.slice(0, MAX_SKU_ROWS).map(row => (
+                      <tr key={row.name}>
+                        <td style={{ ...tdStyle, textAlign: 'left', maxWidth: '260px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                          {view === 'sku' ? (
+                            <Link
+                              to={{ pathname: `/produtos/${encodeURIComponent(row.name)}`, search }}
+                              style={{ color: 'inherit', textDecoration: 'none' }}
+                              title={row.name}
+                            >
+                              {row.name}
+                            </Link>
+                          ) : (
+                            <span style={{ fontWeight: '600', color: view === 'curva' ? ABC_CLASS_INFO[row.name]?.color : 'inherit' }}>
+                              {row.name}
+                              <span style={{ fontSize: '0.75rem', fontWeight: '400', color: '#6B7280' }}> · {formatNumber(row.skuCount)} SKUs</span>
+                            </span>
+                          )}
+                        </td>
+                        {row.profile.indices.map((index, month) => (
+                          <td
+                            key={MONTH_LABELS[month]}
+                            style={{
+                              ...tdStyle,
+                              textAlign: 'center',
+                              fontSize: '0.75rem',
+                              backgroundColor: indexColor(index),
+                              color: Math.abs(index - 1) > 0.6 ? 'white' : '#374151',
+                              outline: upcomingMonths.includes(month) ? '1px solid var(--orange)' : 'none'
+                            }}
+                          >
+                            {index.toFixed(2)}
+                          </td>
+                        ))}
+                        <td style={{ ...tdStyle, fontWeight: row.profile.isSeasonal ? '700' : '400', color: row.profile.isSeasonal ? 'var(--orange)' : '#374151' }}>
+                          {MONTH_LABELS[row.profile.peakMonth]}
+                        </td>
+                        <td style={tdStyle}>{row.profile.amplitude.toFixed(2)}</td>
+                        <td style={tdStyle}>{row.profile.years}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {heatmapRows.length === 0 && (
+                <p style={{ textAlign: 'center', color: '#6B7280', padding: 'var(--spacing-lg)' }}>
+                  Nenhum item com pelo menos dois anos de vendas.
+                </p>
+              )}
+              {heatmapRows.length > MAX_SKU_ROWS && (
+                <p style={{ fontSize: '0.75rem', color: '#6B7280', marginBottom: 0 }}>
+                  Mostrando os {MAX_SKU_ROWS} SKUs de maior volume de {formatNumber(heatmapRows.length)}. Use a busca para ver os demais.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Seasonality;
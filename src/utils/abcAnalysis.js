@@ -1,49 +1,43 @@
 // ABC Analysis utility functions
+import { DEFAULT_ABC_SETTINGS, assignABCClasses, getABCClasses } from './abcSettings';
+import { addMonths, formatMonthLabel, getMonthRange, toISODate } from './period';
 
-// Helper function to validate and convert quantity to number
-const validateQuantity = (quantity) => {
-  if (quantity === null || quantity === undefined || quantity === '') {
+// Parses numbers stored as text in Brazilian format ("1.234,5", "-12,5", "R$ 1.000,00").
+// When a comma is present it is the decimal separator and the dots are thousands
+// separators; without a comma the dot is the decimal point ("1.5"). A leading minus sign
+// is kept. Mirrored by concrem_parse_number in supabase/migrations, keep both in sync.
+export const parseBrazilianNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
     return 0;
   }
   
   // Convert to string first to handle various formats
-  const quantityStr = String(quantity).trim();
+  const valueStr = String(value).trim();
+  const negative = valueStr.startsWith('-');
   
   // Remove common non-numeric characters except decimal points and commas
-  const cleanQuantity = quantityStr.replace(/[^\d.,]/g, '');
+  const cleanValue = valueStr.replace(/[^\d.,]/g, '');
   
-  // Handle Brazilian number format (comma as decimal separator)
-  const normalizedQuantity = cleanQuantity.replace(',', '.');
+  // Handle Brazilian number format (dots as thousands, comma as decimal separator)
+  const normalizedValue = cleanValue.includes(',')
+    ? cleanValue.replace(/\./g, '').replace(',', '.')
+    : cleanValue;
   
-  const parsedQuantity = parseFloat(normalizedQuantity);
+  const parsedValue = parseFloat(normalizedValue);
   
   // Return 0 if parsing fails or result is NaN
-  return isNaN(parsedQuantity) ? 0 : parsedQuantity;
+  if (isNaN(parsedValue)) return 0;
+  return negative ? -parsedValue : parsedValue;
 };
 
+// Helper function to validate and convert quantity to number
+export const validateQuantity = (quantity) => parseBrazilianNumber(quantity);
+
 // Helper function to validate and convert unit value to number
-const validateUnitValue = (unitValue) => {
-  if (unitValue === null || unitValue === undefined || unitValue === '') {
-    return 0;
-  }
-  
-  // Convert to string first to handle various formats
-  const unitValueStr = String(unitValue).trim();
-  
-  // Remove common non-numeric characters except decimal points and commas
-  const cleanUnitValue = unitValueStr.replace(/[^\d.,]/g, '');
-  
-  // Handle Brazilian number format (comma as decimal separator)
-  const normalizedUnitValue = cleanUnitValue.replace(',', '.');
-  
-  const parsedUnitValue = parseFloat(normalizedUnitValue);
-  
-  // Return 0 if parsing fails or result is NaN
-  return isNaN(parsedUnitValue) ? 0 : parsedUnitValue;
-};
+export const validateUnitValue = (unitValue) => parseBrazilianNumber(unitValue);
 
 // Helper function to calculate LINE_AMOUNT if not present or invalid
-const calculateLineAmount = (item) => {
+export const calculateLineAmount = (item) => {
   // If LINE_AMOUNT exists and is valid, use it
   if (item.LINE_AMOUNT !== null && item.LINE_AMOUNT !== undefined && !isNaN(Number(item.LINE_AMOUNT))) {
     return Number(item.LINE_AMOUNT);
@@ -63,7 +57,7 @@ const calculateLineAmount = (item) => {
   return calculatedAmount;
 };
 
-export const calculateABCAnalysis = (data, groupBy, valueField = 'LINE_AMOUNT') => {
+export const calculateABCAnalysis = (data, groupBy, valueField = 'LINE_AMOUNT', settings = DEFAULT_ABC_SETTINGS) => {
   // Process data to ensure proper calculations
   const processedData = data.map(item => {
     const lineAmount = calculateLineAmount(item);
@@ -106,31 +100,33 @@ export const calculateABCAnalysis = (data, groupBy, valueField = 'LINE_AMOUNT')
     return acc;
   }, {});
 
+  return classifyABCGroups(Object.values(groupedData), settings);
+};
+
+// Sort grouped totals and assign percentages, cumulative percentages and classes
+// according to the shared ABC settings (see utils/abcSettings.js).
+// Groups only need name and totalValue; any other fields are carried through.
+export const classifyABCGroups = (groups, settings = DEFAULT_ABC_SETTINGS) => {
   // Convert to array and sort by total value
-  const sortedData = Object.values(groupedData)
+  const sortedData = [...groups]
     .sort((a, b) => b.totalValue - a.totalValue);
 
   // Calculate total value
   const totalValue = sortedData.reduce((sum, item) => sum + item.totalValue, 0);
 
+  const classifications = assignABCClasses(sortedData.map(item => item.totalValue), settings);
+
   // Calculate percentages and classifications
   let cumulativePercentage = 0;
   const result = sortedData.map((item, index) => {
     const percentage = totalValue > 0 ? (item.totalValue / totalValue) * 100 : 0;
     cumulativePercentage += percentage;
 
-    let classification = 'C';
-    if (cumulativePercentage <= 80) {
-      classification = 'A';
-    } else if (cumulativePercentage <= 95) {
-      classification = 'B';
-    }
-
     return {
       ...item,
       percentage: percentage.toFixed(2),
       cumulativePercentage: cumulativePercentage.toFixed(2),
-      classification,
+      classification: classifications[index],
       rank: index + 1
     };
   });
@@ -138,28 +134,169 @@ export const calculateABCAnalysis = (data, groupBy, valueField = 'LINE_AMOUNT')
   return {
     data: result,
     totalValue,
+    classes: getABCClasses(settings),
     summary: {
       classA: result.filter(item => item.classification === 'A'),
       classB: result.filter(item => item.classification === 'B'),
-      classC: result.filter(item => item.classification === 'C')
+      classC: result.filter(item => item.classification === 'C'),
+      classD: result.filter(item => item.classification === 'D')
     }
   };
 };
 
-export const calculateAcabamentoAnalysis = (data) => {
-  return calculateABCAnalysis(data, 'ACABAMENTO');
+// Build the ABC analysis from rows already grouped by the database (abc_aggregate RPC).
+// Raw line items are not available in this mode, so `items` is empty.
+export const calculateABCFromAggregates = (aggregates, settings = DEFAULT_ABC_SETTINGS) => {
+  const groups = aggregates.map(row => {
+    const totalValue = Number(row.total_value) || 0;
+    const totalQuantity = Number(row.total_quantity) || 0;
+
+    return {
+      name: row.name,
+      totalValue,
+      count: Number(row.row_count) || 0,
+      items: [],
+      totalQuantity,
+      averageUnitValue: totalQuantity > 0 ? totalValue / totalQuantity : 0
+    };
+  });
+
+  return classifyABCGroups(groups, settings);
 };
 
-export const calculateCustomerAnalysis = (data) => {
-  return calculateABCAnalysis(data, 'NOME');
+// Compare the same curve computed for two periods.
+// Each item carries its class, value and rank in both periods; items missing from one side are
+// flagged as 'novo' (only in the current period) or 'perdido' (only in the previous one).
+// `matrix[previousClass][currentClass]` counts the items present in both periods.
+export const compareABCAnalyses = (current, previous) => {
+  const classOrder = current.classes || getABCClasses();
+  const previousByName = new Map(previous.data.map(item => [item.name, item]));
+  const currentNames = new Set(current.data.map(item => item.name));
+
+  const matrix = Object.fromEntries(
+    classOrder.map(from => [from, Object.fromEntries(classOrder.map(to => [to, 0]))])
+  );
+
+  const getStatus = (previousClass, currentClass) => {
+    if (!previousClass) return 'novo';
+    if (!currentClass) return 'perdido';
+    const diff = classOrder.indexOf(currentClass) - classOrder.indexOf(previousClass);
+    if (diff < 0) return 'subiu';
+    if (diff > 0) return 'caiu';
+    return 'manteve';
+  };
+
+  const buildItem = (name, currentItem, previousItem) => {
+    const currentValue = currentItem ? currentItem.totalValue : 0;
+    const previousValue = previousItem ? previousItem.totalValue : 0;
+    const currentClass = currentItem ? currentItem.classification : null;
+    const previousClass = previousItem ? previousItem.classification : null;
+
+    return {
+      name,
+      currentClass,
+      previousClass,
+      currentValue,
+      previousValue,
+      valueDelta: currentValue - previousValue,
+      valueDeltaPercentage: previousValue > 0 ? ((currentValue - previousValue) / previousValue) * 100 : null,
+      currentRank: currentItem ? currentItem.rank : null,
+      previousRank: previousItem ? previousItem.rank : null,
+      // Positive when the item climbed positions
+      rankDelta: currentItem && previousItem ? previousItem.rank - currentItem.rank : null,
+      status: getStatus(previousClass, currentClass)
+    };
+  };
+
+  const items = current.data.map(item => {
+    const previousItem = previousByName.get(item.name);
+    if (previousItem) {
+      matrix[previousItem.classification][item.classification] += 1;
+    }
+    return buildItem(item.name, item, previousItem);
+  });
+
+  previous.data
+    .filter(item => !currentNames.has(item.name))
+    .forEach(item => items.push(buildItem(item.name, null, item)));
+
+  return {
+    items,
+    matrix,
+    newCount: items.filter(item => item.status === 'novo').length,
+    lostCount: items.filter(item => item.status === 'perdido').length,
+    currentTotal: current.totalValue,
+    previousTotal: previous.totalValue,
+    valueDelta: current.totalValue - previous.totalValue
+  };
+};
+
+export const calculateAcabamentoAnalysis = (data, settings = DEFAULT_ABC_SETTINGS) => {
+  return calculateABCAnalysis(data, 'ACABAMENTO', 'LINE_AMOUNT', settings);
+};
+
+export const calculateCustomerAnalysis = (data, settings = DEFAULT_ABC_SETTINGS) => {
+  return calculateABCAnalysis(data, 'NOME', 'LINE_AMOUNT', settings);
 };
 
-export const calculateProductAnalysis = (data) => {
-  return calculateABCAnalysis(data, 'DESCRICAO');
+export const calculateProductAnalysis = (data, settings = DEFAULT_ABC_SETTINGS) => {
+  return calculateABCAnalysis(data, 'DESCRICAO', 'LINE_AMOUNT', settings);
 };
 
-export const calculateCityAnalysis = (data) => {
-  return calculateABCAnalysis(data, 'CIDADE');
+export const calculateCityAnalysis = (data, settings = DEFAULT_ABC_SETTINGS) => {
+  return calculateABCAnalysis(data, 'CIDADE', 'LINE_AMOUNT', settings);
+};
+
+// Revenue per month (YYYY-MM) from the first to the last month with sales, months without
+// sales in between as zero: [{ month, label, revenue }]
+export const calculateMonthlyRevenue = (data) => {
+  const totals = new Map();
+  data.forEach(item => {
+    const month = item.DTEMISSAO ? String(item.DTEMISSAO).slice(0, 7) : null;
+    if (!month) return;
+    totals.set(month, (totals.get(month) || 0) + calculateLineAmount(item));
+  });
+
+  const months = Array.from(totals.keys()).sort();
+  if (!months.length) return [];
+  return getMonthRange(months[0], months[months.length - 1]).map(month => ({
+    month,
+    label: formatMonthLabel(month),
+    revenue: totals.get(month) || 0
+  }));
+};
+
+// Groups (e.g. CIDADE) whose revenue fell in the last `months` complete months against the
+// `months` before them. Empty when the rows do not cover both windows.
+// Returns [{ name, previous, recent, change }], steepest drop first
+export const calculateCoolingGroups = (data, groupBy, { months = 3, limit = 5, now = new Date() } = {}) => {
+  const currentMonth = toISODate(now).slice(0, 7);
+  const rowMonths = data
+    .map(item => (item.DTEMISSAO ? String(item.DTEMISSAO).slice(0, 7) : null))
+    .filter(month => month && month < currentMonth)
+    .sort();
+  if (!rowMonths.length) return [];
+
+  const lastMonth = rowMonths[rowMonths.length - 1];
+  const recentStart = addMonths(lastMonth, -(months - 1));
+  const previousStart = addMonths(recentStart, -months);
+  if (rowMonths[0] > previousStart) return [];
+
+  const totals = new Map();
+  data.forEach(item => {
+    const month = item.DTEMISSAO ? String(item.DTEMISSAO).slice(0, 7) : null;
+    const name = item[groupBy];
+    if (!month || !name || month < previousStart || month > lastMonth) return;
+    const group = totals.get(name) || { name, previous: 0, recent: 0 };
+    group[month >= recentStart ? 'recent' : 'previous'] += calculateLineAmount(item);
+    totals.set(name, group);
+  });
+
+  return Array.from(totals.values())
+    .filter(group => group.previous > 0 && group.recent < group.previous)
+    .map(group => ({ ...group, change: ((group.recent - group.previous) / group.previous) * 100 }))
+    .sort((a, b) => a.change - b.change)
+    .slice(0, limit);
 };
 
 export const calculateInventoryForecast = (data, productFilter = null) => {
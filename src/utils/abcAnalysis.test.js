@@ -0,0 +1,127 @@
+import { calculateABCAnalysis, calculateABCFromAggregates, calculateCoolingGroups, calculateMonthlyRevenue, compareABCAnalyses, parseBrazilianNumber } from './abcAnalysis';
+import parityFixture from '../../supabase/tests/abc_aggregate_parity.json';
+
+const rows = [
+  { NOME: 'Cliente 1', QUANTIDADE: '10', VRLUNIT: '80', LINE_AMOUNT: null },
+  { NOME: 'Cliente 2', QUANTIDADE: '1', VRLUNIT: '100', LINE_AMOUNT: 100 },
+  { NOME: 'Cliente 2', QUANTIDADE: '1', VRLUNIT: '50', LINE_AMOUNT: 50 },
+  { NOME: 'Cliente 3', QUANTIDADE: '5', VRLUNIT: '10', LINE_AMOUNT: 50 }
+];
+
+describe('calculateABCFromAggregates', () => {
+  it('classifies database aggregates the same way as raw rows', () => {
+    const fromRows = calculateABCAnalysis(rows, 'NOME');
+    const fromAggregates = calculateABCFromAggregates([
+      { name: 'Cliente 3', total_value: '50', total_quantity: '5', row_count: 1 },
+      { name: 'Cliente 1', total_value: '800', total_quantity: '10', row_count: 1 },
+      { name: 'Cliente 2', total_value: '150', total_quantity: '2', row_count: 2 }
+    ]);
+
+    const pick = analysis => analysis.data.map(({ name, totalValue, count, percentage, classification, rank }) => (
+      { name, totalValue, count, percentage, classification, rank }
+    ));
+
+    expect(pick(fromAggregates)).toEqual(pick(fromRows));
+    expect(fromAggregates.totalValue).toBe(1000);
+    expect(fromAggregates.summary.classA.map(item => item.name)).toEqual(['Cliente 1']);
+  });
+
+  it('parses numeric strings returned by PostgREST', () => {
+    const result = calculateABCFromAggregates([
+      { name: 'X', total_value: '12.5', total_quantity: '5', row_count: '3' }
+    ]);
+
+    expect(result.data[0]).toMatchObject({ totalValue: 12.5, totalQuantity: 5, count: 3, averageUnitValue: 2.5 });
+  });
+});
+
+// Same fixture as supabase/tests/abc_aggregate_parity.sql, which checks the abc_aggregate RPC
+describe('abc_aggregate parity fixture', () => {
+  it('parses Brazilian numbers like concrem_parse_number', () => {
+    parityFixture.numbers.forEach(([value, expected]) => {
+      expect(parseBrazilianNumber(value)).toBeCloseTo(expected);
+    });
+  });
+
+  it('groups the fixture rows into the totals expected from the RPC', () => {
+    const fromRows = calculateABCAnalysis(parityFixture.rows, 'NOME');
+    const fromAggregates = calculateABCFromAggregates(parityFixture.expected);
+
+    expect(fromRows.data.map(item => item.name)).toEqual(fromAggregates.data.map(item => item.name));
+    fromRows.data.forEach((item, index) => {
+      const expected = fromAggregates.data[index];
+      expect(item.totalValue).toBeCloseTo(expected.totalValue);
+      expect(item.totalQuantity).toBeCloseTo(expected.totalQuantity);
+      expect(item.count).toBe(expected.count);
+      expect(item.classification).toBe(expected.classification);
+    });
+  });
+});
+
+describe('calculateMonthlyRevenue', () => {
+  it('sums the revenue per month and fills the months without sales', () => {
+    const monthly = calculateMonthlyRevenue([
+      { DTEMISSAO: '2025-01-10', LINE_AMOUNT: 100 },
+      { DTEMISSAO: '2025-01-20T00:00:00', QUANTIDADE: '2', VRLUNIT: '25' },
+      { DTEMISSAO: '2025-03-05', LINE_AMOUNT: 80 },
+      { DTEMISSAO: null, LINE_AMOUNT: 999 }
+    ]);
+
+    expect(monthly).toEqual([
+      { month: '2025-01', label: 'jan/25', revenue: 150 },
+      { month: '2025-02', label: 'fev/25', revenue: 0 },
+      { month: '2025-03', label: 'mar/25', revenue: 80 }
+    ]);
+    expect(calculateMonthlyRevenue([])).toEqual([]);
+  });
+});
+
+describe('calculateCoolingGroups', () => {
+  const now = new Date(2025, 6, 15);
+  const sale = (month, city, amount) => ({ DTEMISSAO: `2025-${month}-10`, CIDADE: city, LINE_AMOUNT: amount });
+
+  it('compares the last 3 complete months with the 3 before and ignores the open month', () => {
+    const rows = [
+      sale('01', 'LAGES', 300), sale('02', 'LAGES', 300), sale('06', 'LAGES', 300),
+      sale('01', 'BLUMENAU', 100), sale('05', 'BLUMENAU', 200),
+      sale('03', 'JOINVILLE', 400), sale('04', 'JOINVILLE', 100),
+      sale('07', 'LAGES', 5000)
+    ];
+
+    expect(calculateCoolingGroups(rows, 'CIDADE', { now })).toEqual([
+      { name: 'JOINVILLE', previous: 400, recent: 100, change: -75 },
+      { name: 'LAGES', previous: 600, recent: 300, change: -50 }
+    ]);
+  });
+
+  it('returns nothing when the rows do not cover both windows', () => {
+    expect(calculateCoolingGroups([sale('05', 'LAGES', 100), sale('06', 'LAGES', 50)], 'CIDADE', { now })).toEqual([]);
+  });
+});
+
+describe('compareABCAnalyses', () => {
+  it('builds the class migration matrix and flags new and lost items', () => {
+    const previous = calculateABCFromAggregates([
+      { name: 'Cliente 1', total_value: '800', total_quantity: '1', row_count: 1 },
+      { name: 'Cliente 2', total_value: '150', total_quantity: '1', row_count: 1 },
+      { name: 'Cliente 4', total_value: '50', total_quantity: '1', row_count: 1 }
+    ]);
+    const current = calculateABCFromAggregates([
+      { name: 'Cliente 2', total_value: '800', total_quantity: '1', row_count: 1 },
+      { name: 'Cliente 1', total_value: '150', total_quantity: '1', row_count: 1 },
+      { name: 'Cliente 3', total_value: '50', total_quantity: '1', row_count: 1 }
+    ]);
+
+    const comparison = compareABCAnalyses(current, previous);
+    const byName = Object.fromEntries(comparison.items.map(item => [item.name, item]));
+
+    expect(comparison.matrix.A.B).toBe(1);
+    expect(comparison.matrix.B.A).toBe(1);
+    expect(comparison.newCount).toBe(1);
+    expect(comparison.lostCount).toBe(1);
+    expect(byName['Cliente 1']).toMatchObject({ previousClass: 'A', currentClass: 'B', valueDelta: -650, rankDelta: -1, status: 'caiu' });
+    expect(byName['Cliente 2']).toMatchObject({ status: 'subiu', rankDelta: 1 });
+    expect(byName['Cliente 3']).toMatchObject({ previousClass: null, status: 'novo', valueDeltaPercentage: null });
+    expect(byName['Cliente 4']).toMatchObject({ currentClass: null, currentValue: 0, status: 'perdido' });
+  });
+});
@@ -0,0 +1,95 @@
+// ABC classification settings shared by every curve, chart and export.
+// Cut-offs are cumulative upper bounds (in %) for every class but the last one:
+//   basis 'value' -> share of the accumulated value (classic Pareto curve)
+//   basis 'count' -> share of the ranked items (e.g. top 20% of the items are A)
+
+const STORAGE_KEY = 'concrem-abc:abc-settings';
+
+export const ABC_BASES = [
+  { value: 'value', label: 'Valor acumulado' },
+  { value: 'count', label: 'Quantidade de itens' }
+];
+
+const DEFAULT_CUTOFFS = {
+  value: { 3: [80, 95], 4: [80, 95, 99] },
+  count: { 3: [20, 50], 4: [20, 50, 80] }
+};
+
+export const DEFAULT_ABC_SETTINGS = {
+  basis: 'value',
+  classCount: 3,
+  cutoffs: DEFAULT_CUTOFFS.value[3]
+};
+
+export const ABC_CLASS_INFO = {
+  A: { color: '#2D5A3D', label: 'Alta Prioridade' },
+  B: { color: '#D2691E', label: 'Média Prioridade' },
+  C: { color: '#B8336A', label: 'Baixa Prioridade' },
+  D: { color: '#6B7280', label: 'Cauda' }
+};
+
+export const getDefaultCutoffs = (basis, classCount) => DEFAULT_CUTOFFS[basis][classCount];
+
+export const getABCClasses = (settings = DEFAULT_ABC_SETTINGS) => ['A', 'B', 'C', 'D'].slice(0, settings.classCount);
+
+// Returns an error message, or null when the settings are usable
+export const validateABCSettings = (settings) => {
+  if (!ABC_BASES.some(basis => basis.value === settings.basis)) return 'Base de classificação inválida';
+  if (![3, 4].includes(settings.classCount)) return 'Número de classes inválido';
+  if (!Array.isArray(settings.cutoffs) || settings.cutoffs.length !== settings.classCount - 1) {
+    return 'Informe um corte para cada classe, exceto a última';
+  }
+
+  for (let i = 0; i < settings.cutoffs.length; i++) {
+    const cutoff = settings.cutoffs[i];
+    if (!Number.isFinite(cutoff) || cutoff <= 0 || cutoff >= 100) return 'Os cortes devem estar entre 0% e 100%';
+    if (i > 0 && cutoff <= settings.cutoffs[i - 1]) return 'Os cortes devem ser crescentes';
+  }
+
+  return null;
+};
+
+// Class for every item of a list already sorted by value (descending).
+// An item belongs to the first class whose cut-off its cumulative share does not exceed.
+export const assignABCClasses = (values, settings = DEFAULT_ABC_SETTINGS) => {
+  const classes = getABCClasses(settings);
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  let cumulative = 0;
+  return values.map((value, index) => {
+    if (settings.basis === 'count') {
+      cumulative = ((index + 1) / values.length) * 100;
+    } else {
+      cumulative += total > 0 ? (value / total) * 100 : 0;
+    }
+
+    const classIndex = settings.cutoffs.findIndex(cutoff => cumulative <= cutoff);
+    return classIndex === -1 ? classes[classes.length - 1] : classes[classIndex];
+  });
+};
+
+export const loadABCSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && !validateABCSettings(stored)) return stored;
+  } catch (error) {
+    console.warn('⚠️ Could not read ABC settings:', error);
+  }
+  return DEFAULT_ABC_SETTINGS;
+};
+
+export const saveABCSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('⚠️ Could not save ABC settings:', error);
+  }
+};
+
+// Human readable description, e.g. "Valor acumulado: A ≤ 80%, B ≤ 95%, C"
+export const describeABCSettings = (settings) => {
+  const classes = getABCClasses(settings);
+  const basis = ABC_BASES.find(option => option.value === settings.basis).label;
+  const parts = settings.cutoffs.map((cutoff, index) => `${classes[index]} ≤ ${cutoff}%`);
+  return `${basis}: ${[...parts, classes[classes.length - 1]].join(', ')}`;
+};
@@ -0,0 +1,28 @@
+import { assignABCClasses, validateABCSettings, describeABCSettings, DEFAULT_ABC_SETTINGS } from './abcSettings';
+
+const values = [500, 200, 100, 80, 60, 30, 20, 10];
+
+describe('assignABCClasses', () => {
+  it('uses the 80/95 value cut-offs by default', () => {
+    expect(assignABCClasses(values)).toEqual(['A', 'A', 'A', 'B', 'B', 'C', 'C', 'C']);
+  });
+
+  it('supports item-count cut-offs and a fourth class', () => {
+    expect(assignABCClasses(values, { basis: 'count', classCount: 3, cutoffs: [25, 50] }))
+      .toEqual(['A', 'A', 'B', 'B', 'C', 'C', 'C', 'C']);
+    expect(assignABCClasses(values, { basis: 'value', classCount: 4, cutoffs: [50, 80, 95] }))
+      .toEqual(['A', 'B', 'B', 'C', 'C', 'D', 'D', 'D']);
+  });
+});
+
+describe('validateABCSettings', () => {
+  it('accepts the defaults and rejects unordered cut-offs', () => {
+    expect(validateABCSettings(DEFAULT_ABC_SETTINGS)).toBeNull();
+    expect(validateABCSettings({ basis: 'value', classCount: 3, cutoffs: [95, 80] })).not.toBeNull();
+    expect(validateABCSettings({ basis: 'value', classCount: 4, cutoffs: [80, 95] })).not.toBeNull();
+  });
+
+  it('describes the rule for the header', () => {
+    expect(describeABCSettings(DEFAULT_ABC_SETTINGS)).toBe('Valor acumulado: A ≤ 80%, B ≤ 95%, C');
+  });
+});
@@ -0,0 +1,185 @@
+// Rolling-origin backtest of the monthly demand forecasts.
+// For each of the last `testMonths` months, every method forecasts that month using only the
+// months before it (one month ahead), and the forecast is compared with the actual QUANTIDADE.
+// The ABC class of each SKU is also taken from the sales before the tested month, so the
+// class-based settings and the per-class results do not peek at the future.
+// Methods:
+//   average  -> average monthly demand of the analysis window (the base of recomendacaoEstoque)
+//   adjusted -> that average adjusted by the associated SKUs, as in forecastAjustada
+//   auto and every model of utils/forecasting.js
+import { DEFAULT_ABC_SETTINGS } from './abcSettings';
+import { calculateProductAnalysis } from './abcAnalysis';
+import { calculateInventoryForecast, DEFAULT_FORECAST_CONFIG } from './inventoryForecast';
+import { processInventoryData, getSeriesMonths, DEFAULT_SERIES_WINDOW } from './inventoryData';
+import { FORECAST_MODELS, forecastDemand } from './forecasting';
+
+export const BACKTEST_TEST_MONTHS_OPTIONS = [6, 12];
+export const DEFAULT_BACKTEST_TEST_MONTHS = 12;
+
+// Training months before the first tested month (two seasons, so Holt-Winters can run)
+const TRAINING_MONTHS = 24;
+
+// `projection: true` methods can be picked as the default projection model
+export const BACKTEST_METHODS = {
+  average: { label: 'Média mensal (base da recomendação)', projection: false },
+  adjusted: { label: 'Média ajustada por associações', projection: false },
+  auto: { label: 'Automático (melhor ajuste)', projection: true },
+  ...Object.fromEntries(Object.entries(FORECAST_MODELS).map(([model, info]) => [model, { label: info.label, projection: true }]))
+};
+
+// MAE (units), MAPE (% over months with sales), WAPE (% of the actual volume) and
+// bias (% of the actual volume; positive = over-forecast) of [{ actual, forecast }]
+export const calculateAccuracy = (points) => {
+  let absoluteError = 0;
+  let error = 0;
+  let actualTotal = 0;
+  let percentageError = 0;
+  let percentageCount = 0;
+
+  points.forEach(({ actual, forecast }) => {
+    absoluteError += Math.abs(forecast - actual);
+    error += forecast - actual;
+    actualTotal += actual;
+    if (actual > 0) {
+      percentageError += Math.abs(forecast - actual) / actual;
+      percentageCount++;
+    }
+  });
+
+  return {
+    count: points.length,
+    actualTotal,
+    mae: points.length ? absoluteError / points.length : null,
+    mape: percentageCount ? (percentageError / percentageCount) * 100 : null,
+    wape: actualTotal > 0 ? (absoluteError / actualTotal) * 100 : null,
+    bias: actualTotal > 0 ? (error / actualTotal) * 100 : null
+  };
+};
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Class of every SKU by the value curve of the rows before `month` (YYYY-MM); SKUs without
+// sales yet get the last class
+const getClassificationsBefore = (rawData, month, abcSettings) => {
+  const priorRows = rawData.filter(row => String(row.DTEMISSAO || '').slice(0, 7) < month);
+  const productAnalysis = calculateProductAnalysis(priorRows, abcSettings);
+  return {
+    classifications: Object.fromEntries(productAnalysis.data.map(item => [item.name, item.classification])),
+    fallback: productAnalysis.classes[productAnalysis.classes.length - 1]
+  };
+};
+
+// { skus, byClass, overall, origins, methods }; metrics are keyed by method.
+// `windowMonths` is the analysis window of the average and adjusted methods.
+// byClass groups every tested month by the class the SKU had at that origin; skus[].curva
+// is the class over the backtested history (training plus test months).
+// `onProgress(done, total)` is called after each tested month; the loop yields to the
+// browser between months so the page can render the progress.
+// `signal` (AbortSignal) stops the loop between months; the result is then null.
+export const runBacktest = async (rawData, abcSettings = DEFAULT_ABC_SETTINGS, {
+  testMonths = DEFAULT_BACKTEST_TEST_MONTHS,
+  windowMonths = DEFAULT_SERIES_WINDOW,
+  forecastConfig = DEFAULT_FORECAST_CONFIG,
+  onProgress = null,
+  signal = null
+} = {}) => {
+  const methods = Object.keys(BACKTEST_METHODS);
+  const historyMonths = TRAINING_MONTHS + testMonths;
+  const items = processInventoryData(rawData, abcSettings, { windowMonths: historyMonths });
+  if (!items.length) return { skus: [], byClass: {}, overall: {}, origins: [], methods };
+
+  const seriesMonths = getSeriesMonths(rawData, historyMonths);
+  const seriesLength = seriesMonths.length;
+
+  const points = Object.fromEntries(items.map(item => [item.sku, Object.fromEntries(methods.map(method => [method, []]))]));
+  const origins = [];
+
+  for (let t = seriesLength - testMonths; t < seriesLength; t++) {
+    if (signal?.aborted) return null;
+    origins.push(seriesMonths[t]);
+    const { classifications, fallback } = getClassificationsBefore(rawData, seriesMonths[t], abcSettings);
+
+    // The engine only sees the analysis window that ends the month before the tested one
+    const windowStart = seriesMonths[Math.max(0, t - windowMonths)];
+    const trainingRows = rawData.filter(row => {
+      const month = String(row.DTEMISSAO || '').slice(0, 7);
+      return month >= windowStart && month < seriesMonths[t];
+    });
+    const engine = trainingRows.length
+      ? await calculateInventoryForecast(trainingRows, trainingRows, {
+        ...forecastConfig,
+        analysisWindow: windowMonths,
+        endMonth: seriesMonths[t - 1],
+        abcThresholds: abcSettings,
+        classifications
+      })
+      : { skuMetrics: [] };
+    if (signal?.aborted) return null;
+    const engineBySku = new Map(engine.skuMetrics.map(metrics => [metrics.sku, metrics]));
+
+    items.forEach(item => {
+      const training = item.series.slice(0, t);
+      const actual = item.series[t];
+      const average = mean(training.slice(-windowMonths));
+      const engineMetrics = engineBySku.get(item.sku);
+      const curva = classifications[item.sku] || fallback;
+
+      const forecasts = {
+        average,
+        adjusted: engineMetrics ? Math.max(0, engineMetrics.mediaMensal * (1 + (engineMetrics.adjustment || 0))) : average,
+        auto: forecastDemand(training, { model: 'auto', horizon: 1 })?.values[0]
+      };
+      Object.keys(FORECAST_MODELS).forEach(model => {
+        const forecast = forecastDemand(training, { model, horizon: 1 });
+        // Models the training series cannot support are left out instead of replaced
+        forecasts[model] = forecast?.model === model ? forecast.values[0] : undefined;
+      });
+
+      methods.forEach(method => {
+        if (forecasts[method] !== undefined) points[item.sku][method].push({ actual, forecast: forecasts[method], curva });
+      });
+    });
+
+    if (onProgress) {
+      onProgress(origins.length, testMonths);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  const summarize = (selectedItems, classification = null) => Object.fromEntries(methods.map(method => [
+    method,
+    calculateAccuracy(selectedItems
+      .flatMap(item => points[item.sku][method])
+      .filter(point => classification === null || point.curva === classification))
+  ]));
+
+  const classes = Array.from(new Set(items.flatMap(item => points[item.sku].average.map(point => point.curva)))).sort();
+
+  return {
+    methods,
+    origins,
+    overall: summarize(items),
+    byClass: Object.fromEntries(classes.map(classification => [
+      classification,
+      summarize(items, classification)
+    ])),
+    skus: items.map(item => ({
+      sku: item.sku,
+      curva: item.curva,
+      valorTotal: item.valorTotal,
+      pattern: item.demandPattern?.pattern || null,
+      metrics: summarize([item])
+    }))
+  };
+};
+
+// Method with the lowest WAPE among `metricsByMethod` (optionally only projection models)
+export const getBestMethod = (metricsByMethod, { projectionOnly = false } = {}) => {
+  let best = null;
+  Object.entries(metricsByMethod).forEach(([method, metrics]) => {
+    if (projectionOnly && !BACKTEST_METHODS[method].projection) return;
+    if (metrics.wape === null) return;
+    if (!best || metrics.wape < metricsByMethod[best].wape) best = method;
+  });
+  return best;
+};
@@ -0,0 +1,113 @@
+import { calculateAccuracy, getBestMethod, runBacktest } from './backtest';
+
+// Three years of monthly sales: one steady SKU and one alternating between 10 and 30
+const months = Array.from({ length: 36 }, (_, index) => {
+  const date = new Date(Date.UTC(2022, index, 15));
+  return date.toISOString().slice(0, 10);
+});
+const rows = months.flatMap((date, index) => [
+  { DESCRICAO: 'Bloco', QUANTIDADE: '10', LINE_AMOUNT: 100, DTEMISSAO: date },
+  { DESCRICAO: 'Piso', QUANTIDADE: index % 2 ? '30' : '10', LINE_AMOUNT: 50, DTEMISSAO: date }
+]);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('calculateAccuracy', () => {
+  it('computes MAE, MAPE, WAPE and bias', () => {
+    const metrics = calculateAccuracy([
+      { actual: 10, forecast: 12 },
+      { actual: 20, forecast: 14 },
+      { actual: 0, forecast: 2 }
+    ]);
+    expect(metrics.count).toBe(3);
+    expect(metrics.mae).toBeCloseTo(10 / 3);
+    expect(metrics.mape).toBeCloseTo(((2 / 10 + 6 / 20) / 2) * 100);
+    expect(metrics.wape).toBeCloseTo((10 / 30) * 100);
+    expect(metrics.bias).toBeCloseTo((-2 / 30) * 100);
+  });
+
+  it('leaves percentages empty without actual sales', () => {
+    const metrics = calculateAccuracy([{ actual: 0, forecast: 3 }]);
+    expect(metrics.wape).toBeNull();
+    expect(metrics.mape).toBeNull();
+    expect(calculateAccuracy([]).mae).toBeNull();
+  });
+});
+
+describe('runBacktest', () => {
+  it('tests the last months one step ahead for every method', async () => {
+    const progress = [];
+    const result = await runBacktest(rows, undefined, {
+      testMonths: 6,
+      onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+
+    expect(result.origins).toEqual(['2024-07', '2024-08', '2024-09', '2024-10', '2024-11', '2024-12']);
+    expect(progress[progress.length - 1]).toBe('6/6');
+
+    const bloco = result.skus.find(item => item.sku === 'Bloco');
+    expect(bloco.metrics.average.count).toBe(6);
+    expect(bloco.metrics.average.wape).toBeCloseTo(0);
+    expect(bloco.metrics.ses.wape).toBeCloseTo(0);
+    expect(bloco.metrics.holtWinters.count).toBe(6);
+
+    // The monthly average misses every alternating month by 10 units; Holt-Winters learns the pattern
+    const piso = result.skus.find(item => item.sku === 'Piso');
+    expect(piso.metrics.average.wape).toBeCloseTo(50);
+    expect(piso.metrics.holtWinters.wape).toBeLessThan(piso.metrics.average.wape);
+
+    expect(result.overall.average.count).toBe(12);
+    expect(Object.keys(result.byClass).length).toBeGreaterThan(0);
+  });
+});
+
+describe('runBacktest origins', () => {
+  it('classifies the SKUs with the sales before each tested month', async () => {
+    // Laje only sells in the last year, so it was class C (no sales) at the early origins
+    const lateRows = [
+      ...rows,
+      ...months.slice(30).map(date => ({ DESCRICAO: 'Laje', QUANTIDADE: '5', LINE_AMOUNT: 1000, DTEMISSAO: date }))
+    ];
+    const result = await runBacktest(lateRows, undefined, { testMonths: 6 });
+
+    expect(result.skus.find(item => item.sku === 'Laje').curva).toBe('A');
+    const classCounts = Object.fromEntries(Object.entries(result.byClass).map(([classification, metrics]) => [classification, metrics.average.count]));
+    // The whole-history classes (Laje A, Bloco B, Piso C) would give 6 months to each class
+    expect(classCounts).toEqual({ A: 8, B: 3, C: 7 });
+  });
+
+  it('stops between months when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const progress = [];
+    const result = await runBacktest(rows, undefined, {
+      testMonths: 6,
+      signal: controller.signal,
+      onProgress: (done) => {
+        progress.push(done);
+        if (done === 2) controller.abort();
+      }
+    });
+
+    expect(result).toBeNull();
+    expect(progress).toEqual([1, 2]);
+  });
+});
+
+describe('getBestMethod', () => {
+  it('picks the lowest WAPE, optionally among projection models only', () => {
+    const metrics = {
+      average: { wape: 10 },
+      ses: { wape: 20 },
+      holt: { wape: 15 },
+      croston: { wape: null }
+    };
+    expect(getBestMethod(metrics)).toBe('average');
+    expect(getBestMethod(metrics, { projectionOnly: true })).toBe('holt');
+  });
+});
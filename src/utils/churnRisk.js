@@ -0,0 +1,131 @@
+// Churn risk of each customer (NOME) from the full sales history, measured against the
+// customer's own rhythm instead of a fixed number of days:
+//   typicalInterval -> median of the gaps between the last purchase days (MAX_INTERVALS gaps)
+//   overdueRatio    -> days since the last purchase / typicalInterval (> 1 = late)
+//   trend           -> revenue of the last TREND_DAYS vs the TREND_DAYS before (-0.4 = 40% down)
+// score (0-100) = OVERDUE_WEIGHT × lateness, reaching its maximum at MAX_OVERDUE_RATIO times
+// the typical interval, + TREND_WEIGHT × revenue drop. Customers with fewer than
+// MIN_PURCHASE_DAYS purchase days have no rhythm yet and are not scored.
+// Days are counted up to getRecencyReferenceDate (today, or the end of a past period), the
+// same date as the RFM recency and the customer page.
+import { calculateLineAmount, formatCurrency } from './abcAnalysis';
+import { getRecencyReferenceDate, parseISODate } from './period';
+
+export const MIN_PURCHASE_DAYS = 3;
+export const MAX_INTERVALS = 12;
+export const TREND_DAYS = 180;
+export const MAX_OVERDUE_RATIO = 3;
+export const OVERDUE_WEIGHT = 70;
+export const TREND_WEIGHT = 30;
+
+export const CHURN_LEVELS = {
+  alto: { label: 'Alto', color: '#EF4444', minScore: 60 },
+  medio: { label: 'Médio', color: '#F59E0B', minScore: 30 },
+  baixo: { label: 'Baixo', color: '#10B981', minScore: 0 }
+};
+
+export const getChurnLevel = (score) => (
+  score >= CHURN_LEVELS.alto.minScore ? 'alto' : score >= CHURN_LEVELS.medio.minScore ? 'medio' : 'baixo'
+);
+
+const DAY_MS = 86400000;
+
+const daysBetween = (from, to) => Math.round((parseISODate(to) - parseISODate(from)) / DAY_MS);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const formatDecimal = (value) => value.toFixed(1).replace('.', ',');
+
+// Score and reasons of one customer from its sorted purchase days and daily revenue
+const scoreCustomer = (name, days, revenueByDay, referenceDate) => {
+  const lastPurchase = days[days.length - 1];
+  const daysSinceLastPurchase = daysBetween(lastPurchase, referenceDate);
+
+  let recentRevenue = 0;
+  let previousRevenue = 0;
+  let annualRevenue = 0;
+  revenueByDay.forEach((value, day) => {
+    const age = daysBetween(day, referenceDate);
+    if (age < 0) return;
+    if (age < TREND_DAYS) recentRevenue += value;
+    else if (age < TREND_DAYS * 2) previousRevenue += value;
+    if (age < 365) annualRevenue += value;
+  });
+  const trend = previousRevenue > 0 ? recentRevenue / previousRevenue - 1 : null;
+
+  const base = {
+    name,
+    lastPurchase,
+    daysSinceLastPurchase,
+    purchaseDays: days.length,
+    recentRevenue,
+    previousRevenue,
+    trend,
+    revenueAtStake: annualRevenue
+  };
+
+  if (days.length < MIN_PURCHASE_DAYS) {
+    return { ...base, typicalInterval: null, overdueRatio: null, score: null, level: null, reasons: ['Histórico curto para medir o ritmo de compra'] };
+  }
+
+  const gaps = days.slice(1).map((day, index) => daysBetween(days[index], day)).slice(-MAX_INTERVALS);
+  const typicalInterval = Math.max(1, median(gaps));
+  const overdueRatio = daysSinceLastPurchase / typicalInterval;
+
+  const lateness = Math.min(1, Math.max(0, (overdueRatio - 1) / (MAX_OVERDUE_RATIO - 1)));
+  const drop = trend === null ? 0 : Math.min(1, Math.max(0, -trend));
+  const score = Math.round(OVERDUE_WEIGHT * lateness + TREND_WEIGHT * drop);
+
+  const reasons = [];
+  if (overdueRatio > 1) {
+    reasons.push(`Sem compra há ${daysSinceLastPurchase} dias, ${formatDecimal(overdueRatio)}× o intervalo típico de ${Math.round(typicalInterval)} dias`);
+  }
+  if (drop > 0) {
+    reasons.push(`Receita dos últimos ${TREND_DAYS / 30} meses ${Math.round(drop * 100)}% abaixo dos ${TREND_DAYS / 30} anteriores (${formatCurrency(recentRevenue)} vs ${formatCurrency(previousRevenue)})`);
+  }
+  if (!reasons.length) reasons.push('Comprando no ritmo habitual');
+
+  return { ...base, typicalInterval, overdueRatio, score, level: getChurnLevel(score), reasons };
+};
+
+// { referenceDate, customers } with customers sorted by score (unscored last):
+//   [{ name, lastPurchase, daysSinceLastPurchase, purchaseDays, typicalInterval, overdueRatio,
+//      recentRevenue, previousRevenue, trend, revenueAtStake, score, level, reasons }]
+// revenueAtStake is the revenue of the last 12 months, what a lost customer takes away
+export const assessChurnRisk = (rows, { referenceDate = getRecencyReferenceDate() } = {}) => {
+  const byCustomer = new Map();
+
+  rows.forEach(row => {
+    const day = row.DTEMISSAO ? String(row.DTEMISSAO).slice(0, 10) : null;
+    if (!row.NOME || !day) return;
+    if (!byCustomer.has(row.NOME)) byCustomer.set(row.NOME, new Map());
+    const revenueByDay = byCustomer.get(row.NOME);
+    revenueByDay.set(day, (revenueByDay.get(day) || 0) + calculateLineAmount(row));
+  });
+
+  const customers = Array.from(byCustomer.entries())
+    .map(([name, revenueByDay]) => {
+      const days = Array.from(revenueByDay.keys()).filter(day => day <= referenceDate).sort();
+      return days.length ? scoreCustomer(name, days, revenueByDay, referenceDate) : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || b.revenueAtStake - a.revenueAtStake);
+
+  return { referenceDate, customers };
+};
+
+// Key customers at risk: classes in `classes` (by `classifications`, customer -> ABC class)
+// with a score of at least `minScore`, the largest revenue at stake first
+export const listAtRiskCustomers = (assessment, classifications, {
+  classes = ['A', 'B'],
+  minScore = CHURN_LEVELS.medio.minScore
+} = {}) => (
+  assessment.customers
+    .filter(customer => customer.score !== null && customer.score >= minScore && classes.includes(classifications[customer.name]))
+    .map(customer => ({ ...customer, classification: classifications[customer.name] }))
+    .sort((a, b) => b.revenueAtStake - a.revenueAtStake)
+);
@@ -0,0 +1,50 @@
+import { assessChurnRisk, getChurnLevel, listAtRiskCustomers } from './churnRisk';
+
+const sale = (NOME, DTEMISSAO, LINE_AMOUNT) => ({ NOME, DTEMISSAO, LINE_AMOUNT, QUANTIDADE: 1 });
+
+// Monthly buyer that stopped in March, weekly buyer still active, and a two-purchase customer
+const rows = [
+  ...['2024-10-01', '2024-11-01', '2024-12-01', '2025-01-01', '2025-02-01', '2025-03-01'].map(day => sale('Mensal', day, 1000)),
+  ...['2025-05-05', '2025-05-12', '2025-05-19', '2025-05-26', '2025-06-02', '2025-06-09'].map(day => sale('Semanal', day, 100)),
+  sale('Novo', '2025-06-01', 500), sale('Novo', '2025-06-10', 500)
+];
+
+describe('assessChurnRisk', () => {
+  const assessment = assessChurnRisk(rows, { referenceDate: '2025-06-10' });
+  const byName = Object.fromEntries(assessment.customers.map(customer => [customer.name, customer]));
+
+  it('compares the silence with the customer\'s own interval', () => {
+    expect(assessment.referenceDate).toBe('2025-06-10');
+    expect(byName.Mensal).toMatchObject({ daysSinceLastPurchase: 101, typicalInterval: 31, score: 70, level: 'alto' });
+    expect(byName.Mensal.overdueRatio).toBeCloseTo(101 / 31);
+    expect(byName.Mensal.reasons[0]).toMatch(/101 dias, 3,3× o intervalo típico de 31 dias/);
+    expect(byName.Semanal).toMatchObject({ daysSinceLastPurchase: 1, typicalInterval: 7, score: 0, level: 'baixo' });
+    expect(byName.Semanal.reasons).toEqual(['Comprando no ritmo habitual']);
+  });
+
+  it('adds the revenue drop to the score', () => {
+    const assessmentLater = assessChurnRisk(rows, { referenceDate: '2025-09-15' });
+    const mensal = assessmentLater.customers.find(customer => customer.name === 'Mensal');
+    expect(mensal.trend).toBe(-1);
+    expect(mensal.score).toBe(100);
+    expect(mensal.reasons[1]).toMatch(/100% abaixo/);
+  });
+
+  it('does not score customers without a purchase rhythm', () => {
+    expect(byName.Novo).toMatchObject({ score: null, level: null });
+    expect(assessment.customers[assessment.customers.length - 1].name).toBe('Novo');
+  });
+
+  it('lists key customers at risk with the revenue at stake', () => {
+    const list = listAtRiskCustomers(assessment, { Mensal: 'A', Semanal: 'A', Novo: 'B' });
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ name: 'Mensal', classification: 'A', revenueAtStake: 6000 });
+    expect(listAtRiskCustomers(assessment, { Mensal: 'C' })).toEqual([]);
+  });
+
+  it('maps scores to levels', () => {
+    expect(getChurnLevel(60)).toBe('alto');
+    expect(getChurnLevel(30)).toBe('medio');
+    expect(getChurnLevel(29)).toBe('baixo');
+  });
+});
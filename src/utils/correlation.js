@@ -0,0 +1,140 @@
+// Correlation tests used by the kit suggestions: Pearson or Spearman coefficient between two
+// monthly series, two-tailed p-value from Student's t with n - 2 degrees of freedom (n = the
+// actual number of months), Fisher z confidence interval, and the Benjamini-Hochberg
+// adjustment that controls the false discovery rate when hundreds of pairs are tested at once.
+import { inverseNormalCDF } from './safetyStock';
+
+export const CORRELATION_METHODS = {
+  pearson: { label: 'Pearson', description: 'Correlação linear das quantidades mensais' },
+  spearman: { label: 'Spearman', description: 'Correlação dos postos: robusta a meses com volumes muito altos' }
+};
+
+export const pearsonCorrelation = (seriesA, seriesB) => {
+  const n = seriesA.length;
+  const sumA = seriesA.reduce((sum, val) => sum + val, 0);
+  const sumB = seriesB.reduce((sum, val) => sum + val, 0);
+  const sumAB = seriesA.reduce((sum, val, i) => sum + val * seriesB[i], 0);
+  const sumA2 = seriesA.reduce((sum, val) => sum + val * val, 0);
+  const sumB2 = seriesB.reduce((sum, val) => sum + val * val, 0);
+
+  const numerator = n * sumAB - sumA * sumB;
+  const denominator = Math.sqrt((n * sumA2 - sumA * sumA) * (n * sumB2 - sumB * sumB));
+
+  return denominator === 0 ? 0 : numerator / denominator;
+};
+
+// 1-based ranks; tied values share the average of their positions
+export const rankValues = (values) => {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let position = start; position <= end; position++) ranks[order[position].index] = rank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+export const spearmanCorrelation = (seriesA, seriesB) => pearsonCorrelation(rankValues(seriesA), rankValues(seriesB));
+
+export const calculateCorrelation = (seriesA, seriesB, method = 'pearson') => (
+  method === 'spearman' ? spearmanCorrelation(seriesA, seriesB) : pearsonCorrelation(seriesA, seriesB)
+);
+
+// Lanczos approximation of ln Γ(x)
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((coefficient, index) => {
+    sum += coefficient / (shifted + index + 1);
+  });
+  const t = shifted + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+const betaContinuedFraction = (x, a, b) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + even / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + odd / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+export const regularizedBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// Two-tailed p-value of H0: ρ = 0 for a coefficient `r` over `n` observations
+export const correlationPValue = (r, n) => {
+  if (n < 3 || !Number.isFinite(r)) return 1;
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t2 = (r * r * df) / (1 - r * r);
+  return regularizedBeta(df / (df + t2), df / 2, 0.5);
+};
+
+// Fisher z interval { lower, upper } of the coefficient at `level` confidence
+export const correlationInterval = (r, n, level = 0.95) => {
+  if (n < 4) return { lower: -1, upper: 1 };
+  const z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)));
+  const margin = inverseNormalCDF(1 - (1 - level) / 2) / Math.sqrt(n - 3);
+  return { lower: Math.tanh(z - margin), upper: Math.tanh(z + margin) };
+};
+
+// Benjamini-Hochberg adjusted p-values (q-values), in the order of `pValues`: a pair is a
+// discovery at false discovery rate q when its adjusted value is <= q
+export const adjustPValuesBH = (pValues) => {
+  const m = pValues.length;
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array(m);
+  let running = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const { p, index } = order[rank - 1];
+    running = Math.min(running, (p * m) / rank);
+    adjusted[index] = running;
+  }
+  return adjusted;
+};
+
+// "0,012" or "< 0,001"
+export const formatPValue = (p) => (p < 0.001 ? '< 0,001' : p.toFixed(3).replace('.', ','));
+
+// Confidence interval as percentages of the coefficient, e.g. "41% a 92%"
+export const formatInterval = ({ lower, upper }) => `${(lower * 100).toFixed(0)}% a ${(upper * 100).toFixed(0)}%`;
@@ -0,0 +1,55 @@
+import {
+  adjustPValuesBH,
+  calculateCorrelation,
+  correlationInterval,
+  correlationPValue,
+  formatInterval,
+  formatPValue,
+  rankValues
+} from './correlation';
+
+describe('calculateCorrelation', () => {
+  it('uses the ranks for Spearman', () => {
+    const a = [1, 2, 3, 4];
+    const b = [1, 4, 9, 100];
+    expect(calculateCorrelation(a, b, 'pearson')).toBeLessThan(0.9);
+    expect(calculateCorrelation(a, b, 'spearman')).toBeCloseTo(1);
+  });
+
+  it('gives tied values the average rank', () => {
+    expect(rankValues([3, 1, 2, 2])).toEqual([4, 1, 2.5, 2.5]);
+  });
+});
+
+describe('correlationPValue', () => {
+  it('follows Student t with n - 2 degrees of freedom', () => {
+    expect(correlationPValue(0.576, 12)).toBeCloseTo(0.05, 3);
+    expect(correlationPValue(0.576, 24)).toBeLessThan(0.01);
+    expect(correlationPValue(0, 12)).toBeCloseTo(1);
+    expect(correlationPValue(0.9, 2)).toBe(1);
+  });
+});
+
+describe('correlationInterval', () => {
+  it('uses the Fisher z transform', () => {
+    const interval = correlationInterval(0.8, 12);
+    expect(interval.lower).toBeCloseTo(0.418, 2);
+    expect(interval.upper).toBeCloseTo(0.941, 2);
+    expect(formatInterval(interval)).toBe('42% a 94%');
+  });
+});
+
+describe('adjustPValuesBH', () => {
+  it('returns monotone adjusted values in the original order', () => {
+    const adjusted = adjustPValuesBH([0.01, 0.04, 0.03, 0.2]);
+    expect(adjusted[0]).toBeCloseTo(0.04);
+    expect(adjusted[1]).toBeCloseTo(0.0533, 3);
+    expect(adjusted[2]).toBeCloseTo(0.0533, 3);
+    expect(adjusted[3]).toBeCloseTo(0.2);
+  });
+
+  it('formats small p-values', () => {
+    expect(formatPValue(0.0004)).toBe('< 0,001');
+    expect(formatPValue(0.0123)).toBe('0,012');
+  });
+});
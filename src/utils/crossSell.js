@@ -0,0 +1,140 @@
+// Cross-sell recommendations from the customer × SKU purchase matrix (NOME × DESCRICAO).
+// Association rules between SKUs at customer level: for "bought A → buys B"
+//   coCustomers -> customers who bought both A and B
+//   confidence  -> coCustomers / customers who bought A (share of A buyers that also buy B)
+//   lift        -> confidence / share of all customers who buy B (> 1 = A buyers buy B more)
+// A customer is offered the SKUs reached by rules from the SKUs they already buy, each with
+// the best rule; expected value = confidence × average spend on B of the customers who buy it.
+import { calculateLineAmount, validateQuantity } from './abcAnalysis';
+
+// Rules need at least this many customers buying both SKUs, so one customer does not make a rule
+export const MIN_CO_CUSTOMERS = 3;
+export const MAX_RECOMMENDATIONS = 10;
+
+// Sales rep column of Concrem_Value. It is not part of the base schema, so the name comes
+// from REACT_APP_REP_FIELD (default VENDEDOR); without it every customer is "Sem vendedor"
+export const REP_FIELD = process.env.REACT_APP_REP_FIELD || 'VENDEDOR';
+export const NO_REP = 'Sem vendedor';
+
+// { customerSkus, skuCustomers, averageSpend, rules, customerCount }
+//   customerSkus -> Map customer -> Set of SKUs bought
+//   skuCustomers -> Map SKU -> number of customers
+//   averageSpend -> Map SKU -> value per customer who bought it
+//   rules        -> Map SKU (A) -> [{ sku (B), coCustomers, confidence, lift }] by confidence
+export const buildCrossSellModel = (rows, { minCoCustomers = MIN_CO_CUSTOMERS } = {}) => {
+  const customerSkus = new Map();
+  const skuValue = new Map();
+
+  rows.forEach(row => {
+    if (!row.NOME || !row.DESCRICAO || validateQuantity(row.QUANTIDADE) <= 0) return;
+    if (!customerSkus.has(row.NOME)) customerSkus.set(row.NOME, new Set());
+    customerSkus.get(row.NOME).add(row.DESCRICAO);
+    skuValue.set(row.DESCRICAO, (skuValue.get(row.DESCRICAO) || 0) + calculateLineAmount(row));
+  });
+
+  const skuCustomers = new Map();
+  const pairs = new Map();
+  customerSkus.forEach(skus => {
+    const list = Array.from(skus);
+    list.forEach((sku, index) => {
+      skuCustomers.set(sku, (skuCustomers.get(sku) || 0) + 1);
+      if (!pairs.has(sku)) pairs.set(sku, new Map());
+      const counts = pairs.get(sku);
+      list.forEach((other, otherIndex) => {
+        if (otherIndex !== index) counts.set(other, (counts.get(other) || 0) + 1);
+      });
+    });
+  });
+
+  const customerCount = customerSkus.size;
+  const rules = new Map();
+  pairs.forEach((counts, antecedent) => {
+    const antecedentCustomers = skuCustomers.get(antecedent);
+    const list = [];
+    counts.forEach((coCustomers, sku) => {
+      if (coCustomers < minCoCustomers) return;
+      const confidence = coCustomers / antecedentCustomers;
+      const lift = confidence / (skuCustomers.get(sku) / customerCount);
+      if (lift > 1) list.push({ sku, coCustomers, confidence, lift });
+    });
+    if (list.length) rules.set(antecedent, list.sort((a, b) => b.confidence - a.confidence));
+  });
+
+  const averageSpend = new Map(
+    Array.from(skuValue.entries()).map(([sku, value]) => [sku, value / skuCustomers.get(sku)])
+  );
+
+  return { customerSkus, skuCustomers, averageSpend, rules, customerCount };
+};
+
+// SKUs the customer does not buy, best first by expected value:
+// [{ sku, basedOn, coCustomers, confidence, lift, supportingSkus, averageSpend, expectedValue }]
+// `basedOn` is the customer's SKU of the best rule; `supportingSkus` counts their SKUs with a rule
+export const recommendForCustomer = (model, customer, limit = MAX_RECOMMENDATIONS) => {
+  const bought = model.customerSkus.get(customer);
+  if (!bought) return [];
+
+  const candidates = new Map();
+  bought.forEach(antecedent => {
+    (model.rules.get(antecedent) || []).forEach(rule => {
+      if (bought.has(rule.sku)) return;
+      const current = candidates.get(rule.sku);
+      if (!current) {
+        candidates.set(rule.sku, { ...rule, basedOn: antecedent, supportingSkus: 1 });
+        return;
+      }
+      current.supportingSkus++;
+      if (rule.confidence > current.confidence) Object.assign(current, rule, { basedOn: antecedent });
+    });
+  });
+
+  return Array.from(candidates.values())
+    .map(candidate => {
+      const averageSpend = model.averageSpend.get(candidate.sku) || 0;
+      return { ...candidate, averageSpend, expectedValue: candidate.confidence * averageSpend };
+    })
+    .sort((a, b) => b.expectedValue - a.expectedValue)
+    .slice(0, limit);
+};
+
+// Map customer -> sales rep with the largest value for the customer (`field`, REP_FIELD by default)
+export const getCustomerReps = (rows, { field = REP_FIELD } = {}) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    if (!row.NOME || !row[field]) return;
+    if (!totals.has(row.NOME)) totals.set(row.NOME, new Map());
+    const reps = totals.get(row.NOME);
+    reps.set(row[field], (reps.get(row[field]) || 0) + calculateLineAmount(row));
+  });
+
+  return new Map(Array.from(totals.entries()).map(([customer, reps]) => [
+    customer,
+    Array.from(reps.entries()).sort((a, b) => b[1] - a[1])[0][0]
+  ]));
+};
+
+// "Lista de oportunidades": the recommendations of every customer (or of the customers of
+// `rep`), one entry per customer and SKU with { rep, customer, classification, ...recommendation },
+// sorted by rep, then by expected value
+export const buildOpportunityList = (model, {
+  reps = new Map(),
+  classifications = {},
+  rep = null,
+  limit = MAX_RECOMMENDATIONS
+} = {}) => {
+  const opportunities = [];
+  model.customerSkus.forEach((skus, customer) => {
+    const customerRep = reps.get(customer) || NO_REP;
+    if (rep && customerRep !== rep) return;
+    recommendForCustomer(model, customer, limit).forEach(recommendation => {
+      opportunities.push({
+        rep: customerRep,
+        customer,
+        classification: classifications[customer] || null,
+        ...recommendation
+      });
+    });
+  });
+
+  return opportunities.sort((a, b) => a.rep.localeCompare(b.rep) || b.expectedValue - a.expectedValue);
+};
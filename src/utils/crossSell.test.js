@@ -0,0 +1,74 @@
+import { buildCrossSellModel, buildOpportunityList, getCustomerReps, NO_REP, recommendForCustomer } from './crossSell';
+
+const purchase = (NOME, DESCRICAO, LINE_AMOUNT, VENDEDOR = 'Ana') => ({ NOME, DESCRICAO, QUANTIDADE: 1, LINE_AMOUNT, VENDEDOR });
+
+const rows = [
+  purchase('C1', 'Bloco', 50), purchase('C1', 'Piso', 100),
+  purchase('C2', 'Bloco', 50), purchase('C2', 'Piso', 100),
+  purchase('C3', 'Bloco', 50), purchase('C3', 'Piso', 60), purchase('C3', 'Piso', 40),
+  purchase('C4', 'Bloco', 50, 'Bruno'),
+  purchase('C5', 'Telha', 30, 'Bruno'),
+  { NOME: 'C6', DESCRICAO: 'Telha', QUANTIDADE: 1, LINE_AMOUNT: 30 }
+];
+
+describe('buildCrossSellModel', () => {
+  const model = buildCrossSellModel(rows);
+
+  it('keeps rules with enough co-buyers and lift above 1', () => {
+    expect(model.customerCount).toBe(6);
+    expect(model.rules.get('Bloco')).toEqual([{ sku: 'Piso', coCustomers: 3, confidence: 0.75, lift: 1.5 }]);
+    expect(model.rules.get('Piso')[0]).toMatchObject({ sku: 'Bloco', confidence: 1 });
+    expect(model.rules.has('Telha')).toBe(false);
+    expect(model.averageSpend.get('Piso')).toBe(100);
+  });
+
+  it('drops rules below the minimum of co-buyers', () => {
+    expect(buildCrossSellModel(rows, { minCoCustomers: 4 }).rules.size).toBe(0);
+  });
+});
+
+describe('recommendForCustomer', () => {
+  const model = buildCrossSellModel(rows);
+
+  it('offers SKUs the customer does not buy with the expected value', () => {
+    expect(recommendForCustomer(model, 'C4')).toEqual([{
+      sku: 'Piso',
+      basedOn: 'Bloco',
+      coCustomers: 3,
+      confidence: 0.75,
+      lift: 1.5,
+      supportingSkus: 1,
+      averageSpend: 100,
+      expectedValue: 75
+    }]);
+  });
+
+  it('returns nothing for customers already buying everything or unknown', () => {
+    expect(recommendForCustomer(model, 'C1')).toEqual([]);
+    expect(recommendForCustomer(model, 'Nobody')).toEqual([]);
+  });
+});
+
+describe('buildOpportunityList', () => {
+  const model = buildCrossSellModel(rows);
+  const reps = getCustomerReps(rows);
+
+  it('assigns customers to their main rep', () => {
+    expect(reps.get('C4')).toBe('Bruno');
+    expect(reps.has('C6')).toBe(false);
+  });
+
+  it('reads the rep from another column when configured', () => {
+    const renamed = rows.map(({ VENDEDOR, ...row }) => ({ ...row, REPRESENTANTE: VENDEDOR }));
+    expect(getCustomerReps(renamed).size).toBe(0);
+    expect(getCustomerReps(renamed, { field: 'REPRESENTANTE' }).get('C4')).toBe('Bruno');
+  });
+
+  it('lists the opportunities per rep', () => {
+    const list = buildOpportunityList(model, { reps, classifications: { C4: 'B' } });
+    expect(list).toHaveLength(1);
+    expect(list[0]).toMatchObject({ rep: 'Bruno', customer: 'C4', classification: 'B', sku: 'Piso' });
+    expect(buildOpportunityList(model, { reps, rep: 'Ana' })).toEqual([]);
+    expect(buildOpportunityList(model, { rep: NO_REP })).toHaveLength(1);
+  });
+});
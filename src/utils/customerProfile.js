@@ -0,0 +1,135 @@
+// Profile of a single customer (NOME) built from the Concrem_Value rows:
+// monthly revenue, orders and ticket, product / acabamento / city mix and the
+// ABC class the customer had in each quarter of the analysed rows.
+import { calculateABCAnalysis, calculateLineAmount, validateQuantity } from './abcAnalysis';
+import { DEFAULT_ABC_SETTINGS } from './abcSettings';
+import { formatMonthLabel, getMonthRange, getRecencyReferenceDate, parseISODate } from './period';
+
+// Same fallback name used when grouping the ABC curves
+const UNNAMED = 'Sem Classificação';
+
+const getDay = (row) => (row.DTEMISSAO ? String(row.DTEMISSAO).slice(0, 10) : null);
+
+export const isCustomerRow = (row, customerName) => (row.NOME || UNNAMED) === customerName;
+
+// An order is identified by PEDIDO when the column is present; otherwise every
+// purchase day of the customer counts as one order
+export const getOrderKey = (row) => row.PEDIDO ?? getDay(row);
+
+// "2025-T3" for any date in July-September 2025
+export const getQuarterKey = (isoDate) => {
+  const quarter = Math.floor((Number(isoDate.slice(5, 7)) - 1) / 3) + 1;
+  return `${isoDate.slice(0, 4)}-T${quarter}`;
+};
+
+// Value, quantity and order count per value of `field`, sorted by value (or by quantity)
+export const groupTotals = (rows, field, totalValue, sortBy = 'totalValue') => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const name = row[field] || UNNAMED;
+    if (!groups.has(name)) groups.set(name, { name, totalValue: 0, totalQuantity: 0, orders: new Set() });
+
+    const group = groups.get(name);
+    group.totalValue += calculateLineAmount(row);
+    group.totalQuantity += validateQuantity(row.QUANTIDADE);
+    const orderKey = getOrderKey(row);
+    if (orderKey) group.orders.add(orderKey);
+  });
+
+  return Array.from(groups.values())
+    .map(({ orders, ...group }) => ({
+      ...group,
+      orderCount: orders.size,
+      share: totalValue > 0 ? (group.totalValue / totalValue) * 100 : 0
+    }))
+    .sort((a, b) => b[sortBy] - a[sortBy]);
+};
+
+// ABC class of the customer in every quarter present in `rows`, ranked against all customers
+// of that quarter. Quarters where the customer did not buy have a null class.
+export const getQuarterlyClasses = (rows, customerName, settings = DEFAULT_ABC_SETTINGS) => {
+  const rowsByQuarter = new Map();
+  rows.forEach(row => {
+    const day = getDay(row);
+    if (!day) return;
+    const quarter = getQuarterKey(day);
+    if (!rowsByQuarter.has(quarter)) rowsByQuarter.set(quarter, []);
+    rowsByQuarter.get(quarter).push(row);
+  });
+
+  return Array.from(rowsByQuarter.keys())
+    .sort()
+    .map(quarter => {
+      const analysis = calculateABCAnalysis(rowsByQuarter.get(quarter), 'NOME', 'LINE_AMOUNT', settings);
+      const entry = analysis.data.find(item => item.name === customerName);
+      return {
+        quarter,
+        classification: entry ? entry.classification : null,
+        rank: entry ? entry.rank : null,
+        totalValue: entry ? entry.totalValue : 0,
+        customerCount: analysis.data.length
+      };
+    });
+};
+
+// Full profile of `customerName`. Series and mix use `rows` (usually the selected period);
+// the last purchase up to `referenceDate` is looked up in `allRows` so it is not hidden by
+// a short period. Returns null when the customer has no rows at all.
+export const buildCustomerProfile = (rows, customerName, {
+  settings = DEFAULT_ABC_SETTINGS,
+  allRows = rows,
+  referenceDate = getRecencyReferenceDate()
+} = {}) => {
+  const customerRows = rows.filter(row => isCustomerRow(row, customerName));
+  const lastPurchase = allRows.reduce((latest, row) => {
+    if (!isCustomerRow(row, customerName)) return latest;
+    const day = getDay(row);
+    return day && day <= referenceDate && (!latest || day > latest) ? day : latest;
+  }, null);
+
+  if (!customerRows.length && !lastPurchase) return null;
+
+  const totalValue = customerRows.reduce((sum, row) => sum + calculateLineAmount(row), 0);
+  const orderKeys = new Set(customerRows.map(getOrderKey).filter(Boolean));
+  const days = customerRows.map(getDay).filter(Boolean).sort();
+
+  const monthly = new Map();
+  customerRows.forEach(row => {
+    const day = getDay(row);
+    if (!day) return;
+    const month = day.slice(0, 7);
+    if (!monthly.has(month)) monthly.set(month, { value: 0, orders: new Set() });
+    monthly.get(month).value += calculateLineAmount(row);
+    monthly.get(month).orders.add(getOrderKey(row));
+  });
+
+  const monthlyRevenue = days.length
+    ? getMonthRange(days[0].slice(0, 7), days[days.length - 1].slice(0, 7)).map(month => ({
+      month,
+      label: formatMonthLabel(month),
+      value: monthly.get(month)?.value || 0,
+      orders: monthly.get(month)?.orders.size || 0
+    }))
+    : [];
+
+  const daysSinceLastPurchase = lastPurchase
+    ? Math.round((parseISODate(referenceDate) - parseISODate(lastPurchase)) / 86400000)
+    : null;
+
+  return {
+    name: customerName,
+    rows: customerRows,
+    totalValue,
+    orderCount: orderKeys.size,
+    averageTicket: orderKeys.size > 0 ? totalValue / orderKeys.size : 0,
+    firstPurchase: days[0] || null,
+    lastPurchase,
+    daysSinceLastPurchase,
+    monthlyRevenue,
+    products: groupTotals(customerRows, 'DESCRICAO', totalValue),
+    acabamentos: groupTotals(customerRows, 'ACABAMENTO', totalValue),
+    cities: groupTotals(customerRows, 'CIDADE', totalValue),
+    quarterlyClasses: getQuarterlyClasses(rows, customerName, settings)
+  };
+};
@@ -0,0 +1,65 @@
+import { buildCustomerProfile, getQuarterKey, getQuarterlyClasses } from './customerProfile';
+
+const rows = [
+  { NOME: 'ACME', DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', CIDADE: 'Natal', QUANTIDADE: 10, LINE_AMOUNT: 1000, DTEMISSAO: '2025-01-10' },
+  { NOME: 'ACME', DESCRICAO: 'Piso', ACABAMENTO: 'Liso', CIDADE: 'Natal', QUANTIDADE: 5, LINE_AMOUNT: 500, DTEMISSAO: '2025-01-10' },
+  { NOME: 'ACME', DESCRICAO: 'Bloco', ACABAMENTO: null, CIDADE: 'Parnamirim', QUANTIDADE: 2, LINE_AMOUNT: 200, DTEMISSAO: '2025-03-05' },
+  { NOME: 'BETA', DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', CIDADE: 'Natal', QUANTIDADE: 50, LINE_AMOUNT: 5000, DTEMISSAO: '2025-02-01' },
+  { NOME: 'BETA', DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', CIDADE: 'Natal', QUANTIDADE: 1, LINE_AMOUNT: 100, DTEMISSAO: '2025-04-01' }
+];
+
+describe('getQuarterKey', () => {
+  it('maps months to quarters', () => {
+    expect(getQuarterKey('2025-01-31')).toBe('2025-T1');
+    expect(getQuarterKey('2025-09-01')).toBe('2025-T3');
+  });
+});
+
+describe('buildCustomerProfile', () => {
+  const profile = buildCustomerProfile(rows, 'ACME', { referenceDate: '2025-04-04' });
+
+  it('counts purchase days as orders when there is no PEDIDO', () => {
+    expect(profile.totalValue).toBe(1700);
+    expect(profile.orderCount).toBe(2);
+    expect(profile.averageTicket).toBe(850);
+    expect(profile.daysSinceLastPurchase).toBe(30);
+  });
+
+  it('ignores purchases after the reference date', () => {
+    const pastProfile = buildCustomerProfile(rows, 'ACME', { referenceDate: '2025-02-09' });
+    expect(pastProfile.lastPurchase).toBe('2025-01-10');
+    expect(pastProfile.daysSinceLastPurchase).toBe(30);
+  });
+
+  it('fills months without purchases with zero', () => {
+    expect(profile.monthlyRevenue.map(month => [month.month, month.value])).toEqual([
+      ['2025-01', 1500],
+      ['2025-02', 0],
+      ['2025-03', 200]
+    ]);
+  });
+
+  it('ranks the product, acabamento and city mix by value', () => {
+    expect(profile.products[0]).toMatchObject({ name: 'Bloco', totalValue: 1200, totalQuantity: 12, orderCount: 2 });
+    expect(profile.acabamentos.map(item => item.name)).toEqual(['Liso', 'Sem Classificação']);
+    expect(profile.cities[1].share).toBeCloseTo((200 / 1700) * 100);
+  });
+
+  it('uses PEDIDO as the order key when present', () => {
+    const withOrders = rows.map((row, index) => ({ ...row, PEDIDO: index < 2 ? 1 : index }));
+    expect(buildCustomerProfile(withOrders, 'ACME').orderCount).toBe(2);
+  });
+
+  it('returns null for an unknown customer', () => {
+    expect(buildCustomerProfile(rows, 'GAMA')).toBeNull();
+  });
+});
+
+describe('getQuarterlyClasses', () => {
+  it('classifies the customer against everyone who bought in the quarter', () => {
+    expect(getQuarterlyClasses(rows, 'ACME').map(item => [item.quarter, item.classification])).toEqual([
+      ['2025-T1', 'C'],
+      ['2025-T2', null]
+    ]);
+  });
+});
@@ -0,0 +1,226 @@
+// Exponential smoothing forecasts for a monthly demand series (one value per calendar month,
+// oldest first, as in inventoryData.js):
+//   ses         -> simple exponential smoothing (level only)
+//   holt        -> Holt's linear trend (level + trend)
+//   holtWinters -> additive Holt-Winters (level + trend + 12-month seasonality)
+//   croston     -> Croston's method for intermittent demand (size and interval smoothed apart)
+//   sba         -> Syntetos-Boylan approximation (Croston with the bias correction 1 - α/2)
+// Smoothing parameters are fitted by grid search on the one-step-ahead errors of the history.
+// Series are labelled with the Syntetos-Boylan demand pattern (ADI × CV²); in automatic mode
+// intermittent and lumpy series use Croston/SBA, the others the smoothing models.
+
+export const SEASON_LENGTH = 12;
+export const MAX_FORECAST_HORIZON = 6;
+
+// minLength: months needed to fit; warmup: months used to initialise before the first
+// one-step-ahead prediction; intermittent: meant for intermittent / lumpy demand
+export const FORECAST_MODELS = {
+  ses: { label: 'Suavização exponencial simples', shortLabel: 'SES', minLength: 2, warmup: 1, parameterCount: 1, intermittent: false },
+  holt: { label: 'Holt (tendência)', shortLabel: 'Holt', minLength: 4, warmup: 2, parameterCount: 2, intermittent: false },
+  holtWinters: { label: 'Holt-Winters (sazonal)', shortLabel: 'HW', minLength: SEASON_LENGTH * 2, warmup: SEASON_LENGTH, parameterCount: 3, intermittent: false },
+  croston: { label: 'Croston (intermitente)', shortLabel: 'Croston', minLength: 2, warmup: 1, parameterCount: 1, intermittent: true },
+  sba: { label: 'Syntetos-Boylan (intermitente)', shortLabel: 'SBA', minLength: 2, warmup: 1, parameterCount: 1, intermittent: true }
+};
+
+// Syntetos-Boylan cut-offs: average inter-demand interval and squared CV of the demand sizes
+export const ADI_CUTOFF = 1.32;
+export const CV2_CUTOFF = 0.49;
+
+export const DEMAND_PATTERNS = {
+  smooth: { label: 'Suave', color: '#10B981', description: 'Vende quase todo mês, em quantidades parecidas' },
+  erratic: { label: 'Errática', color: '#F59E0B', description: 'Vende quase todo mês, em quantidades muito diferentes' },
+  intermittent: { label: 'Intermitente', color: '#3B82F6', description: 'Meses sem venda, quantidades parecidas quando vende' },
+  lumpy: { label: 'Irregular', color: '#EF4444', description: 'Meses sem venda e quantidades muito diferentes' }
+};
+
+// `model` is a FORECAST_MODELS key or 'auto' (best fit among the models the series supports)
+export const DEFAULT_PROJECTION = { model: 'auto', horizon: 3 };
+
+const LEVEL_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const TREND_GRID = [0.05, 0.1, 0.2, 0.3];
+const SEASONAL_GRID = [0.05, 0.1, 0.2, 0.3];
+// Croston is usually run with low smoothing constants
+const INTERMITTENT_GRID = [0.05, 0.1, 0.15, 0.2, 0.3];
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Each run returns the one-step-ahead prediction for every month (null while the model is
+// still initialising) and a function projecting h months after the last one.
+const runSES = (series, { alpha }) => {
+  let level = series[0];
+  const fitted = [null];
+  for (let t = 1; t < series.length; t++) {
+    fitted.push(level);
+    level = alpha * series[t] + (1 - alpha) * level;
+  }
+  return { fitted, project: () => level };
+};
+
+const runHolt = (series, { alpha, beta }) => {
+  let level = series[0];
+  let trend = series[1] - series[0];
+  const fitted = [null, null];
+  for (let t = 1; t < series.length; t++) {
+    if (t > 1) fitted.push(level + trend);
+    const previousLevel = level;
+    level = alpha * series[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+  return { fitted, project: (h) => level + h * trend };
+};
+
+const runHoltWinters = (series, { alpha, beta, gamma }) => {
+  const m = SEASON_LENGTH;
+  const firstSeason = series.slice(0, m);
+  let level = mean(firstSeason);
+  let trend = (mean(series.slice(m, 2 * m)) - level) / m;
+  const seasonals = firstSeason.map(value => value - level);
+  const fitted = new Array(m).fill(null);
+
+  for (let t = m; t < series.length; t++) {
+    const seasonal = seasonals[t - m];
+    fitted.push(level + trend + seasonal);
+    const previousLevel = level;
+    level = alpha * (series[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals.push(gamma * (series[t] - level) + (1 - gamma) * seasonal);
+  }
+
+  const n = series.length;
+  return { fitted, project: (h) => level + h * trend + seasonals[n - m + ((h - 1) % m)] };
+};
+
+// Size and interval are only updated in months with demand; the forecast is size / interval
+// (times `debias` for SBA). No prediction before the first month with demand.
+const runCroston = (series, { alpha }, debias = 1) => {
+  const fitted = new Array(series.length).fill(null);
+  const first = series.findIndex(value => value > 0);
+  if (first === -1) return { fitted, project: () => 0 };
+
+  let size = series[first];
+  let interval = first + 1;
+  let sinceLastDemand = 1;
+  for (let t = first + 1; t < series.length; t++) {
+    fitted[t] = debias * size / interval;
+    if (series[t] > 0) {
+      size = alpha * series[t] + (1 - alpha) * size;
+      interval = alpha * sinceLastDemand + (1 - alpha) * interval;
+      sinceLastDemand = 1;
+    } else {
+      sinceLastDemand++;
+    }
+  }
+
+  const forecast = debias * size / interval;
+  return { fitted, project: () => forecast };
+};
+
+const runSBA = (series, params) => runCroston(series, params, 1 - params.alpha / 2);
+
+const MODEL_RUNNERS = { ses: runSES, holt: runHolt, holtWinters: runHoltWinters, croston: runCroston, sba: runSBA };
+
+// Syntetos-Boylan demand pattern of a series: { pattern, adi, cv2 }, pattern null without demand
+export const classifyDemandPattern = (series) => {
+  const demands = series.filter(value => value > 0);
+  if (!demands.length) return { pattern: null, adi: Infinity, cv2: 0 };
+
+  const adi = series.length / demands.length;
+  const demandMean = mean(demands);
+  const cv2 = demands.reduce((sum, value) => sum + Math.pow(value - demandMean, 2), 0) / demands.length / Math.pow(demandMean, 2);
+
+  const isIntermittent = adi > ADI_CUTOFF;
+  const isVariable = cv2 >= CV2_CUTOFF;
+  const pattern = isIntermittent
+    ? (isVariable ? 'lumpy' : 'intermittent')
+    : (isVariable ? 'erratic' : 'smooth');
+
+  return { pattern, adi, cv2 };
+};
+
+export const isIntermittentPattern = (pattern) => pattern === 'intermittent' || pattern === 'lumpy';
+
+const getParameterGrid = (model) => {
+  if (FORECAST_MODELS[model].intermittent) return INTERMITTENT_GRID.map(alpha => ({ alpha }));
+  if (model === 'ses') return LEVEL_GRID.map(alpha => ({ alpha }));
+  if (model === 'holt') return LEVEL_GRID.flatMap(alpha => TREND_GRID.map(beta => ({ alpha, beta })));
+  return LEVEL_GRID.flatMap(alpha => TREND_GRID.flatMap(beta => SEASONAL_GRID.map(gamma => ({ alpha, beta, gamma }))));
+};
+
+// Mean squared one-step-ahead error from month `from` on
+const meanSquaredError = (series, fitted, from) => {
+  let sum = 0;
+  let count = 0;
+  for (let t = from; t < series.length; t++) {
+    if (fitted[t] === null) continue;
+    sum += Math.pow(series[t] - fitted[t], 2);
+    count++;
+  }
+  return count ? sum / count : Infinity;
+};
+
+export const getAvailableModels = (series) => Object.keys(FORECAST_MODELS)
+  .filter(model => series.length >= FORECAST_MODELS[model].minLength);
+
+// Best parameters of one model; errors are measured from `evaluateFrom` so different
+// models can be compared on the same months.
+export const fitSmoothingModel = (series, model, evaluateFrom = FORECAST_MODELS[model].warmup) => {
+  let best = null;
+  getParameterGrid(model).forEach(params => {
+    const run = MODEL_RUNNERS[model](series, params);
+    const mse = meanSquaredError(series, run.fitted, evaluateFrom);
+    if (!best || mse < best.mse) best = { model, params, mse, ...run };
+  });
+  return best;
+};
+
+// Projected demand for the next `horizon` months (never negative), with the demand pattern.
+// With model 'auto' the models matching the pattern (Croston/SBA for intermittent and lumpy
+// series, the smoothing models otherwise) are fitted on the same months and the lowest
+// n·ln(MSE) + 2k wins, so extra parameters must pay for themselves.
+// Returns null when the series is too short for any model.
+export const forecastDemand = (series, { model = DEFAULT_PROJECTION.model, horizon = DEFAULT_PROJECTION.horizon } = {}) => {
+  const demandPattern = classifyDemandPattern(series);
+  const intermittent = isIntermittentPattern(demandPattern.pattern);
+  const available = getAvailableModels(series);
+  if (!available.length) return null;
+
+  // A requested model the series cannot support falls back to the best available one
+  const candidates = available.includes(model)
+    ? [model]
+    : available.filter(candidate => FORECAST_MODELS[candidate].intermittent === intermittent);
+  const evaluateFrom = Math.max(...candidates.map(candidate => FORECAST_MODELS[candidate].warmup));
+  const evaluatedMonths = series.length - evaluateFrom;
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const fit = fitSmoothingModel(series, candidate, evaluateFrom);
+    const score = evaluatedMonths * Math.log(fit.mse + 1e-9) + 2 * FORECAST_MODELS[candidate].parameterCount;
+    if (!best || score < best.score) best = { ...fit, score };
+  });
+
+  return {
+    model: best.model,
+    params: best.params,
+    pattern: demandPattern.pattern,
+    mse: best.mse,
+    fitted: best.fitted,
+    values: Array.from({ length: horizon }, (_, index) => Math.max(0, best.project(index + 1)))
+  };
+};
+
+// Returns an error message, or null when the projection settings are usable
+export const validateProjection = (projection) => {
+  if (projection.model !== 'auto' && !FORECAST_MODELS[projection.model]) return 'Modelo de previsão desconhecido';
+  if (!Number.isInteger(projection.horizon) || projection.horizon < 1 || projection.horizon > MAX_FORECAST_HORIZON) {
+    return `O horizonte deve ficar entre 1 e ${MAX_FORECAST_HORIZON} meses`;
+  }
+  return null;
+};
+
+// "HW α=0.3 β=0.1 γ=0.2", for tooltips and exports
+export const describeForecastModel = (forecast) => {
+  if (!forecast) return 'Histórico insuficiente';
+  const symbols = { alpha: 'α', beta: 'β', gamma: 'γ' };
+  const params = Object.entries(forecast.params).map(([key, value]) => `${symbols[key]}=${value}`).join(' ');
+  return `${FORECAST_MODELS[forecast.model].shortLabel} ${params}`;
+};
@@ -0,0 +1,95 @@
+import {
+  classifyDemandPattern,
+  describeForecastModel,
+  fitSmoothingModel,
+  forecastDemand,
+  getAvailableModels,
+  validateProjection
+} from './forecasting';
+
+const seasonalPattern = [10, 12, 20, 30, 40, 35, 25, 15, 10, 8, 6, 9];
+
+describe('fitSmoothingModel', () => {
+  it('projects a constant series as the same level', () => {
+    const fit = fitSmoothingModel(new Array(12).fill(7), 'ses');
+    expect(fit.mse).toBe(0);
+    expect(fit.project(1)).toBeCloseTo(7);
+  });
+
+  it('follows a linear trend with Holt', () => {
+    const series = Array.from({ length: 12 }, (_, index) => 10 + 5 * index);
+    const fit = fitSmoothingModel(series, 'holt');
+    expect(fit.project(1)).toBeCloseTo(70);
+    expect(fit.project(3)).toBeCloseTo(80);
+  });
+});
+
+describe('forecastDemand', () => {
+  it('returns one non-negative value per month of the horizon', () => {
+    const forecast = forecastDemand([50, 40, 30, 20, 10, 0], { model: 'holt', horizon: 6 });
+    expect(forecast.model).toBe('holt');
+    expect(forecast.values).toHaveLength(6);
+    forecast.values.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+  });
+
+  it('picks Holt-Winters for a seasonal series with two years of history', () => {
+    const series = [...seasonalPattern, ...seasonalPattern.map(value => value + 2), ...seasonalPattern.map(value => value + 4)];
+    const forecast = forecastDemand(series, { horizon: 4 });
+    expect(forecast.model).toBe('holtWinters');
+    // Next months repeat the start of the season: rising from January to April
+    expect(forecast.values[3]).toBeGreaterThan(forecast.values[0]);
+  });
+
+  it('falls back to the available models when the series is too short', () => {
+    expect(getAvailableModels(new Array(12).fill(1))).toEqual(['ses', 'holt', 'croston', 'sba']);
+    expect(forecastDemand(new Array(12).fill(1), { model: 'holtWinters' }).model).not.toBe('holtWinters');
+    expect(forecastDemand([5])).toBeNull();
+  });
+});
+
+describe('validateProjection', () => {
+  it('accepts 1 to 6 months and known models', () => {
+    expect(validateProjection({ model: 'auto', horizon: 3 })).toBeNull();
+    expect(validateProjection({ model: 'ses', horizon: 6 })).toBeNull();
+    expect(validateProjection({ model: 'arima', horizon: 3 })).not.toBeNull();
+    expect(validateProjection({ model: 'auto', horizon: 7 })).not.toBeNull();
+  });
+
+  it('describes the fitted model', () => {
+    expect(describeForecastModel({ model: 'holt', params: { alpha: 0.3, beta: 0.1 } })).toBe('Holt α=0.3 β=0.1');
+    expect(describeForecastModel(null)).toBe('Histórico insuficiente');
+  });
+});
+
+describe('classifyDemandPattern', () => {
+  it('labels the four Syntetos-Boylan patterns', () => {
+    expect(classifyDemandPattern([10, 11, 9, 10, 10, 12]).pattern).toBe('smooth');
+    expect(classifyDemandPattern([1, 30, 2, 40, 1, 25]).pattern).toBe('erratic');
+    expect(classifyDemandPattern([0, 10, 0, 0, 12, 0, 0, 11, 0]).pattern).toBe('intermittent');
+    expect(classifyDemandPattern([0, 1, 0, 0, 40, 0, 0, 3, 0]).pattern).toBe('lumpy');
+    expect(classifyDemandPattern([0, 0, 0]).pattern).toBeNull();
+  });
+});
+
+describe('Croston / SBA', () => {
+  const intermittent = [0, 0, 12, 0, 0, 12, 0, 0, 12, 0, 0, 12];
+
+  it('forecasts size over interval for intermittent demand', () => {
+    const fit = fitSmoothingModel(intermittent, 'croston');
+    expect(fit.project(1)).toBeCloseTo(4);
+  });
+
+  it('applies the SBA bias correction', () => {
+    const croston = fitSmoothingModel(intermittent, 'croston');
+    const sba = fitSmoothingModel(intermittent, 'sba');
+    expect(sba.project(1)).toBeCloseTo(4 * (1 - sba.params.alpha / 2));
+    expect(sba.project(1)).toBeLessThan(croston.project(1));
+  });
+
+  it('uses Croston or SBA automatically for intermittent series', () => {
+    const forecast = forecastDemand(intermittent, { horizon: 3 });
+    expect(forecast.pattern).toBe('intermittent');
+    expect(['croston', 'sba']).toContain(forecast.model);
+    expect(forecast.values[0]).toBe(forecast.values[2]);
+  });
+});
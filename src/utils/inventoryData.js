@@ -0,0 +1,413 @@
+// SKU inventory metrics shared by the inventory forecast and the SKU detail pages:
+// quantity per calendar month (YYYY-MM) over a rolling window, ABC class, safety stock and
+// reorder point (utils/safetyStock.js), economic order quantity and batch rules (utils/orderQuantity.js),
+// the stock recommendation and adjusted forecast of the forecasting engine
+// (utils/inventoryForecast.js), the exponential smoothing projection (utils/forecasting.js)
+// and the kit suggestions found by correlating the monthly sales of top SKUs.
+import { calculateProductAnalysis, validateQuantity } from './abcAnalysis';
+import { DEFAULT_ABC_SETTINGS } from './abcSettings';
+import { calculateCoefficientOfVariation } from './xyzAnalysis';
+import { calculateInventoryForecast, DEFAULT_FORECAST_CONFIG } from './inventoryForecast';
+import { DEFAULT_PROJECTION, classifyDemandPattern, forecastDemand } from './forecasting';
+import { calculateSafetyStock, DEFAULT_SAFETY_STOCK_CONFIG } from './safetyStock';
+import { calculateOrderQuantity, DEFAULT_ORDER_QUANTITY_CONFIG } from './orderQuantity';
+import { adjustPValuesBH, calculateCorrelation, correlationInterval, correlationPValue } from './correlation';
+import { addMonths, getMonthRange } from './period';
+
+// Length (in months) of the series analysed per SKU, kept in the URL as ?meses=
+export const SERIES_WINDOW_OPTIONS = [12, 18, 24];
+export const DEFAULT_SERIES_WINDOW = 12;
+
+export const parseSeriesWindow = (value) => {
+  const months = parseInt(value, 10);
+  return SERIES_WINDOW_OPTIONS.includes(months) ? months : DEFAULT_SERIES_WINDOW;
+};
+
+// The `windowMonths` calendar months ending at the latest DTEMISSAO of the rows
+export const getSeriesMonths = (rawData, windowMonths = DEFAULT_SERIES_WINDOW) => {
+  const lastMonth = rawData.reduce((latest, row) => {
+    if (!row.DTEMISSAO) return latest;
+    const month = String(row.DTEMISSAO).slice(0, 7);
+    return !latest || month > latest ? month : latest;
+  }, null);
+
+  if (!lastMonth) return [];
+  return getMonthRange(addMonths(lastMonth, -(windowMonths - 1)), lastMonth);
+};
+
+// Validate product data for suspicious patterns (NEW - MEDIUM PRIORITY)
+const validateProductData = (sku, salesArray) => {
+  const issues = [];
+  
+  // Check for extreme spikes
+  const maxSale = Math.max(...salesArray);
+  const avgSale = salesArray.reduce((sum, val) => sum + val, 0) / salesArray.length;
+  if (maxSale > avgSale * 20 && avgSale > 0) {
+    issues.push('extreme_spike');
+  }
+  
+  // Check for very low activity
+  const activeMonths = salesArray.filter(x => x > 0).length;
+  if (activeMonths <= 2) {
+    issues.push('very_low_activity');
+  }
+  
+  // Check for negative values
+  if (salesArray.some(x => x < 0)) {
+    issues.push('negative_sales');
+  }
+  
+  return {
+    isValid: issues.length === 0,
+    issues: issues,
+    needsReview: issues.includes('extreme_spike') || issues.includes('very_low_activity')
+  };
+};
+
+// Generate kit recommendations based on product correlations.
+// Every pair of top performers is tested with `kitConfig.method` (p-value from the number of
+// months in the series); the p-values are adjusted together (Benjamini-Hochberg) and positively
+// correlated pairs with an adjusted value <= kitConfig.fdr become kits.
+// Returns { kits, products, testedPairs }.
+export const generateKitRecommendations = (skuData, kitConfig = DEFAULT_FORECAST_CONFIG.kitConfig) => {
+  const { method, fdr } = kitConfig;
+  const recommendations = [];
+  const processedPairs = new Set();
+  const testedPairs = [];
+
+  // Only analyze top performers to reduce computation and focus on valuable kits
+  const topPerformers = skuData
+    .filter(sku => sku.isBestSeller || sku.curva === 'A')
+    .slice(0, Math.min(30, Math.ceil(skuData.length * 0.1))); // Max 30 or 10% of products
+
+  // Limit combinations to prevent performance issues
+  const maxCombinations = 500;
+  let combinationCount = 0;
+
+  for (let i = 0; i < topPerformers.length && combinationCount < maxCombinations; i++) {
+    for (let j = i + 1; j < topPerformers.length && combinationCount < maxCombinations; j++) {
+      combinationCount++;
+      const productA = topPerformers[i];
+      const productB = topPerformers[j];
+      
+      const pairKey = [productA.sku, productB.sku].sort().join('|');
+      if (processedPairs.has(pairKey)) continue;
+      processedPairs.add(pairKey);
+
+      const correlation = calculateCorrelation(productA.series, productB.series, method);
+      const observations = productA.series.length;
+      testedPairs.push({ productA, productB, correlation, observations, pValue: correlationPValue(correlation, observations) });
+    }
+  }
+
+  const qValues = adjustPValuesBH(testedPairs.map(pair => pair.pValue));
+  testedPairs.forEach(({ productA, productB, correlation, observations, pValue }, pairIndex) => {
+    const qValue = qValues[pairIndex];
+    if (correlation > 0 && qValue <= fdr) {
+      const kitTotalSales = productA.totalGeral + productB.totalGeral;
+      const kitAvgMonthly = (productA.mediaMensal + productB.mediaMensal) / 2;
+      
+      // Calculate recommended stock based on individual product performance and correlation
+      // Use the higher performing product as base and apply correlation factor
+      const higherProduct = productA.mediaMensal > productB.mediaMensal ? productA : productB;
+      
+      // Recommended stock should be based on the higher performing product
+      // but consider correlation to adjust for kit synergy
+      const baseStock = higherProduct.mediaMensal * 2.5; // Standard recommendation
+      const correlationBonus = correlation >= 0.8 ? 1.3 : correlation >= 0.7 ? 1.2 : 1.1;
+      const kitRecommendedStock = Math.round(baseStock * correlationBonus);
+      
+      // Calculate potential impact based on correlation and individual product performance
+      // Potential = (Average monthly sales of both products) * (Correlation strength) * (12 months) * (Impact multiplier)
+      const impactMultiplier = correlation >= 0.8 ? 1.5 : correlation >= 0.7 ? 1.3 : 1.1;
+      const potential = kitAvgMonthly * correlation * 12 * impactMultiplier;
+      
+      recommendations.push({
+        id: `kit_${recommendations.length + 1}`,
+        products: [
+          { sku: productA.sku, sales: productA.totalGeral, classification: productA.curva },
+          { sku: productB.sku, sales: productB.totalGeral, classification: productB.curva }
+        ],
+        correlation: correlation,
+        method,
+        observations,
+        pValue,
+        qValue,
+        confidenceInterval: correlationInterval(correlation, observations),
+        totalSales: kitTotalSales,
+        avgMonthlySales: kitAvgMonthly,
+        recommendedStock: kitRecommendedStock,
+        potential: Math.round(potential), // Potential annual impact considering correlation and monthly performance
+        type: 'duo'
+      });
+    }
+  });
+
+  // Sort by potential and return top recommendations
+  const sortedRecommendations = recommendations
+    .sort((a, b) => b.potential - a.potential)
+    .slice(0, 20); // Top 20 kit recommendations
+
+  // Generate product recommendations for products that appear in multiple kits
+  const productUsage = new Map();
+  
+  sortedRecommendations.forEach(kit => {
+    kit.products.forEach(product => {
+      if (!productUsage.has(product.sku)) {
+        productUsage.set(product.sku, {
+          sku: product.sku,
+          classification: product.classification,
+          totalSales: product.sales,
+          kitCount: 0,
+          kits: []
+        });
+      }
+      const productData = productUsage.get(product.sku);
+      productData.kitCount++;
+      productData.kits.push(kit.id);
+    });
+  });
+
+  // Create product recommendations for products used in multiple kits
+  const productRecommendations = Array.from(productUsage.values())
+    .filter(product => product.kitCount > 1)
+    .sort((a, b) => b.kitCount - a.kitCount)
+    .slice(0, 15); // Top 15 most used products
+
+  return { kits: sortedRecommendations, products: productRecommendations, testedPairs: testedPairs.length };
+};
+
+// Main acabamento of each SKU: the one with the largest quantity in the window;
+// `acabamentoTotals` is Map<sku, Map<acabamento, quantity>>
+export const getMainAcabamentos = (acabamentoTotals) => new Map(Array.from(acabamentoTotals.entries()).map(([sku, totals]) => [
+  sku,
+  Array.from(totals.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+]));
+
+// Process raw data into one monthly series per SKU.
+// Quantities are bucketed by the YYYY-MM of DTEMISSAO, so the same month of different
+// years is never summed; rows outside the window are ignored.
+// Safety stock and reorder point follow `safetyStockConfig` (service level per class, lead times),
+// the economic lot follows `orderQuantityConfig` (setup cost, holding rate, batch rules).
+export const processInventoryData = (rawData, abcSettings = DEFAULT_ABC_SETTINGS, {
+  windowMonths = DEFAULT_SERIES_WINDOW,
+  safetyStockConfig = DEFAULT_SAFETY_STOCK_CONFIG,
+  orderQuantityConfig = DEFAULT_ORDER_QUANTITY_CONFIG
+} = {}) => {
+  try {
+    console.log(`🔄 Processing inventory data for the last ${windowMonths} months...`);
+    console.log('📊 Raw data sample:', rawData?.slice(0, 3));
+
+    // Rows without DESCRICAO cannot be attributed to a SKU
+    const skuRows = rawData.filter(record => record.DESCRICAO !== null && record.DESCRICAO !== undefined && String(record.DESCRICAO).trim() !== '');
+    const months = getSeriesMonths(skuRows, windowMonths);
+    const monthIndex = new Map(months.map((month, index) => [month, index]));
+
+    // Group monthly data by SKU
+    const skuMap = new Map();
+    const acabamentoTotals = new Map();
+    const windowRows = [];
+    let skippedRows = 0;
+
+    skuRows.forEach(record => {
+      const sku = record.DESCRICAO;
+      const index = record.DTEMISSAO ? monthIndex.get(String(record.DTEMISSAO).slice(0, 7)) : undefined;
+
+      // Invalid dates and rows before the window
+      if (index === undefined) {
+        skippedRows++;
+        return;
+      }
+      windowRows.push(record);
+
+      if (!skuMap.has(sku)) {
+        skuMap.set(sku, { sku, series: new Array(months.length).fill(0) });
+      }
+      skuMap.get(sku).series[index] += validateQuantity(record.QUANTIDADE);
+
+      if (record.ACABAMENTO) {
+        if (!acabamentoTotals.has(sku)) acabamentoTotals.set(sku, new Map());
+        const totals = acabamentoTotals.get(sku);
+        totals.set(record.ACABAMENTO, (totals.get(record.ACABAMENTO) || 0) + validateQuantity(record.QUANTIDADE));
+      }
+    });
+    const mainAcabamentos = getMainAcabamentos(acabamentoTotals);
+
+    console.log(`📅 Series from ${months[0]} to ${months[months.length - 1]} (${skippedRows} rows outside the window, ${rawData.length - skuRows.length} without DESCRICAO)`);
+
+    // Calculate metrics for each SKU
+    const processedData = Array.from(skuMap.values()).map(sku => {
+      const salesArray = sku.series;
+      const nonZeroSales = salesArray.filter(x => x > 0);
+      
+      const totalGeral = salesArray.reduce((sum, val) => sum + val, 0);
+      const vendaMinima = Math.min(...salesArray); // FIXED - Include all months, including zeros
+      const vendaMaxima = Math.max(...salesArray);
+      const mediaTotal = totalGeral / salesArray.length;
+      const mediaMensal = totalGeral / salesArray.length; // Average across the calendar months of the window
+      
+      // Validate product data (NEW - MEDIUM PRIORITY)
+      const validation = validateProductData(sku, salesArray);
+      
+      return {
+        ...sku,
+        acabamento: mainAcabamentos.get(sku.sku) || null,
+        totalGeral,
+        vendaMinima,
+        vendaMaxima,
+        mediaTotal,
+        mediaMensal,
+        validation,
+        isVisible: totalGeral > 0, // Show all SKUs with sales
+        monthsWithSales: nonZeroSales.length
+      };
+    });
+
+    console.log(`📊 Processed ${processedData.length} SKUs`);
+    
+    // Check if any SKUs have sales
+    const skusWithSales = processedData.filter(sku => sku.totalGeral > 0);
+    console.log(`📊 SKUs with sales: ${skusWithSales.length} out of ${processedData.length}`);
+    
+    if (skusWithSales.length === 0) {
+      console.error('❌ No SKUs with sales found!');
+      console.log('🔍 First few processed SKUs:', processedData.slice(0, 5));
+      
+      // Let's check the raw data quantities
+      const totalQuantity = rawData.reduce((sum, record) => sum + validateQuantity(record.QUANTIDADE), 0);
+      console.log(`🔍 Total quantity in raw data: ${totalQuantity}`);
+      console.log(`🔍 Sample quantities:`, rawData.slice(0, 10).map(r => ({ sku: r.DESCRICAO, quantity: validateQuantity(r.QUANTIDADE), original: r.QUANTIDADE })));
+    }
+
+    // Filter out SKUs with no sales and use shared ABC analysis
+    const activeSkus = processedData.filter(sku => sku.totalGeral > 0);
+    
+    // Use shared utility for ABC classification, over the same window as the series
+    const productAnalysis = calculateProductAnalysis(windowRows, abcSettings);
+    const abcMap = new Map();
+    const valueMap = new Map();
+    const priceMap = new Map();
+    productAnalysis.data.forEach(item => {
+      abcMap.set(item.name, item.classification);
+      valueMap.set(item.name, item.totalValue);
+      priceMap.set(item.name, Number.isFinite(item.averageUnitValue) ? item.averageUnitValue : 0);
+    });
+    
+    // Apply ABC classification from shared utility
+    const classifiedData = activeSkus.map(sku => ({
+      ...sku,
+      curva: abcMap.get(sku.sku) || 'C', // Get from shared utility
+      valorTotal: valueMap.get(sku.sku) || 0,
+      precoMedio: priceMap.get(sku.sku) || 0
+    }));
+    
+    // Demand variability, demand pattern (ADI × CV²), safety stock and reorder point by class,
+    // economic lot and batch rule
+    const updatedData = classifiedData.map(sku => ({
+      ...sku,
+      ...calculateSafetyStock(sku, safetyStockConfig),
+      ...calculateOrderQuantity(sku, orderQuantityConfig),
+      demandVariability: calculateCoefficientOfVariation(sku.series),
+      demandPattern: classifyDemandPattern(sku.series)
+    }));
+    
+    // Auto-determine best seller percentage using Pareto principle (FIXED - CRITICAL)
+    const findNaturalBreak = (sortedData) => {
+      const totalSales = sortedData.reduce((sum, item) => sum + item.totalGeral, 0);
+      let cumulativePercent = 0;
+      
+      for (let i = 0; i < sortedData.length; i++) {
+        cumulativePercent += (sortedData[i].totalGeral / totalSales) * 100;
+        if (cumulativePercent >= 80) { // 80% of sales
+          return i + 1;
+        }
+      }
+      return Math.ceil(sortedData.length * 0.2); // Fallback to 20%
+    };
+    
+    const sortedByTotal = [...updatedData].sort((a, b) => b.totalGeral - a.totalGeral);
+    const bestSellerThreshold = findNaturalBreak(sortedByTotal);
+    const visibleThreshold = Math.ceil(sortedByTotal.length * 0.3); // Top 30% are visible by default
+    
+    // Apply best seller and ranking AFTER ABC classification (FIXED - CRITICAL)
+    sortedByTotal.forEach((item, index) => {
+      item.isBestSeller = index < bestSellerThreshold;
+      item.isVisible = index < visibleThreshold;
+      item.rank = index + 1;
+    });
+
+    // Log ABC distribution for verification (FIXED - CRITICAL)
+    const abcDistribution = Object.fromEntries(
+      productAnalysis.classes.map(classification => [classification, updatedData.filter(item => item.curva === classification).length])
+    );
+    console.log(`📊 ABC Distribution: ${Object.entries(abcDistribution).map(([classification, count]) => `${classification}=${count}`).join(', ')}`);
+    console.log(`📊 ABC Percentages: ${Object.entries(abcDistribution).map(([classification, count]) => `${classification}=${((count/updatedData.length)*100).toFixed(1)}%`).join(', ')}`);
+    
+    // Log validation results
+    const validationResults = {
+      valid: updatedData.filter(item => item.validation?.isValid).length,
+      needsReview: updatedData.filter(item => item.validation?.needsReview).length,
+      total: updatedData.length
+    };
+    console.log(`🔍 Validation Results: Valid=${validationResults.valid}, Needs Review=${validationResults.needsReview}, Total=${validationResults.total}`);
+    
+    console.log(`✅ Processed ${updatedData.length} SKUs, ${bestSellerThreshold} best sellers, ${visibleThreshold} visible`);
+    
+    return updatedData;
+    
+  } catch (err) {
+    console.error('❌ Error processing data:', err);
+    throw new Error('Erro ao processar dados de estoque');
+  }
+};
+
+// processInventoryData plus the forecasting engine over the same window: coverage per
+// class (`cobertura`), `recomendacaoEstoque` = average monthly demand × coverage, and the
+// association-adjusted `forecastAjustada` with the `drivers` behind the adjustment.
+// The engine classifies with the value-based curve of the page, not its own quantity curve.
+// Each SKU also gets the smoothing `projection` of its series for the `projectionMonths`.
+export const buildInventoryForecast = async (rawData, abcSettings = DEFAULT_ABC_SETTINGS, {
+  windowMonths = DEFAULT_SERIES_WINDOW,
+  forecastConfig = DEFAULT_FORECAST_CONFIG,
+  safetyStockConfig = DEFAULT_SAFETY_STOCK_CONFIG,
+  orderQuantityConfig = DEFAULT_ORDER_QUANTITY_CONFIG
+} = {}) => {
+  const items = processInventoryData(rawData, abcSettings, { windowMonths, safetyStockConfig, orderQuantityConfig });
+  const months = getSeriesMonths(rawData, windowMonths);
+  const projection = forecastConfig.projection || DEFAULT_PROJECTION;
+  const projectionMonths = months.length
+    ? Array.from({ length: projection.horizon }, (_, index) => addMonths(months[months.length - 1], index + 1))
+    : [];
+  if (!items.length) return { items, months, projectionMonths, summary: null };
+
+  const monthSet = new Set(months);
+  const windowRows = rawData.filter(row => row.DTEMISSAO && monthSet.has(String(row.DTEMISSAO).slice(0, 7)));
+
+  const forecast = await calculateInventoryForecast(windowRows, windowRows, {
+    ...forecastConfig,
+    analysisWindow: windowMonths,
+    endMonth: months[months.length - 1],
+    abcThresholds: abcSettings,
+    classifications: Object.fromEntries(items.map(item => [item.sku, item.curva]))
+  });
+
+  const metricsBySku = new Map(forecast.skuMetrics.map(metrics => [metrics.sku, metrics]));
+
+  return {
+    items: items.map(item => {
+      const metrics = metricsBySku.get(item.sku);
+      return {
+        ...item,
+        cobertura: metrics?.cobertura ?? 0,
+        recomendacaoEstoque: metrics?.recomendacaoEstoque ?? 0,
+        forecastAjustada: metrics?.forecastAjustada ?? 0,
+        adjustment: metrics?.adjustment ?? 0,
+        drivers: metrics?.drivers || [],
+        projection: forecastDemand(item.series, projection)
+      };
+    }),
+    months,
+    projectionMonths,
+    summary: forecast.summary
+  };
+};
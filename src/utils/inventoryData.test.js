@@ -0,0 +1,193 @@
+import { buildInventoryForecast, generateKitRecommendations, getSeriesMonths, parseSeriesWindow, processInventoryData } from './inventoryData';
+import { DEFAULT_FORECAST_CONFIG } from './inventoryForecast';
+
+const rows = [
+  { DESCRICAO: 'Bloco', QUANTIDADE: '10', LINE_AMOUNT: 100, DTEMISSAO: '2023-12-05' },
+  { DESCRICAO: 'Bloco', QUANTIDADE: '20', LINE_AMOUNT: 200, DTEMISSAO: '2024-12-10' },
+  { DESCRICAO: 'Bloco', QUANTIDADE: '6', LINE_AMOUNT: 60, DTEMISSAO: '2025-01-01' },
+  { DESCRICAO: 'Piso', QUANTIDADE: '5', LINE_AMOUNT: 50, DTEMISSAO: '2024-06-30' }
+];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('generateKitRecommendations', () => {
+  // 30 SKUs so the top 10% holds the three class A ones
+  const sku = (name, series, curva = 'C') => ({
+    sku: name,
+    series,
+    curva,
+    totalGeral: series.reduce((sum, value) => sum + value, 0),
+    mediaMensal: series.reduce((sum, value) => sum + value, 0) / series.length
+  });
+  const skuData = [
+    sku('Bloco', [5, 8, 3, 9, 12, 4, 7, 10, 6, 11, 2, 13], 'A'),
+    sku('Cola', [6, 9, 4, 10, 13, 5, 8, 11, 7, 12, 3, 14], 'A'),
+    sku('Telha', [7, 2, 9, 4, 6, 8, 3, 5, 10, 1, 7, 4], 'A'),
+    ...Array.from({ length: 27 }, (_, index) => sku(`Outro ${index}`, new Array(12).fill(1)))
+  ];
+
+  it('keeps only the pairs that pass the false discovery rate', () => {
+    const { kits, testedPairs } = generateKitRecommendations(skuData, { method: 'pearson', fdr: 0.05 });
+    expect(testedPairs).toBe(3);
+    expect(kits).toHaveLength(1);
+    expect(kits[0].products.map(product => product.sku)).toEqual(['Bloco', 'Cola']);
+    expect(kits[0]).toMatchObject({ method: 'pearson', observations: 12 });
+    expect(kits[0].qValue).toBeLessThan(0.05);
+    expect(kits[0].confidenceInterval.upper).toBeGreaterThan(kits[0].confidenceInterval.lower);
+  });
+
+  it('supports Spearman', () => {
+    const { kits } = generateKitRecommendations(skuData, { method: 'spearman', fdr: 0.05 });
+    expect(kits[0]).toMatchObject({ method: 'spearman', correlation: 1 });
+  });
+});
+
+describe('getSeriesMonths', () => {
+  it('ends at the latest sale month', () => {
+    const months = getSeriesMonths(rows, 12);
+    expect(months).toHaveLength(12);
+    expect(months[0]).toBe('2024-02');
+    expect(months[11]).toBe('2025-01');
+  });
+
+  it('falls back to the default window for unknown values', () => {
+    expect(parseSeriesWindow('18')).toBe(18);
+    expect(parseSeriesWindow('7')).toBe(12);
+    expect(parseSeriesWindow(null)).toBe(12);
+  });
+});
+
+describe('processInventoryData', () => {
+  it('keeps the same month of different years apart', () => {
+    const bloco = processInventoryData(rows, undefined, { windowMonths: 24 }).find(item => item.sku === 'Bloco');
+    expect(bloco.series).toHaveLength(24);
+    expect(bloco.series[0]).toBe(0); // 2023-02
+    expect(bloco.series[10]).toBe(10); // 2023-12
+    expect(bloco.series[22]).toBe(20); // 2024-12
+    expect(bloco.series[23]).toBe(6); // 2025-01
+    expect(bloco.mediaMensal).toBeCloseTo(36 / 24);
+  });
+
+  it('ignores rows before the window', () => {
+    const bloco = processInventoryData(rows, undefined, { windowMonths: 12 }).find(item => item.sku === 'Bloco');
+    expect(bloco.totalGeral).toBe(26);
+    expect(bloco.monthsWithSales).toBe(2);
+    expect(bloco.mediaMensal).toBeCloseTo(26 / 12);
+  });
+
+  it('classifies the SKUs over the window rows', () => {
+    // Piso leads the full history but Bloco leads the last 12 months
+    const windowed = [
+      ...rows,
+      { DESCRICAO: 'Piso', QUANTIDADE: '100', LINE_AMOUNT: 5000, DTEMISSAO: '2023-06-10' }
+    ];
+    const items = processInventoryData(windowed, { basis: 'count', classCount: 3, cutoffs: [50, 90] }, { windowMonths: 12 });
+    const byName = Object.fromEntries(items.map(item => [item.sku, item]));
+
+    expect(byName.Bloco).toMatchObject({ curva: 'A', valorTotal: 260 });
+    expect(byName.Piso).toMatchObject({ curva: 'C', valorTotal: 50 });
+  });
+
+  it('skips rows without DESCRICAO', () => {
+    const items = processInventoryData([
+      ...rows,
+      { DESCRICAO: null, QUANTIDADE: '7', LINE_AMOUNT: 70, DTEMISSAO: '2025-01-02' },
+      { DESCRICAO: '', QUANTIDADE: '3', LINE_AMOUNT: 30, DTEMISSAO: '2025-01-03' }
+    ], undefined, { windowMonths: 12 });
+
+    expect(items.map(item => item.sku).sort()).toEqual(['Bloco', 'Piso']);
+  });
+});
+
+describe('safety stock', () => {
+  it('uses the lead time of the main acabamento of each SKU', () => {
+    const finishRows = [
+      { DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', QUANTIDADE: '10', LINE_AMOUNT: 100, DTEMISSAO: '2024-12-05' },
+      { DESCRICAO: 'Bloco', ACABAMENTO: 'Rústico', QUANTIDADE: '2', LINE_AMOUNT: 20, DTEMISSAO: '2025-01-05' }
+    ];
+    const safetyStockConfig = {
+      serviceLevels: { A: 98, B: 95, C: 90, D: 90 },
+      defaultLeadTimeDays: 30,
+      leadTimes: { sku: {}, acabamento: { Liso: 45 } }
+    };
+    const [bloco] = processInventoryData(finishRows, undefined, { windowMonths: 12, safetyStockConfig });
+
+    expect(bloco.acabamento).toBe('Liso');
+    expect(bloco.leadTimeDays).toBe(45);
+    expect(bloco.leadTimeSource).toBe('acabamento');
+    expect(bloco.pontoPedido).toBeCloseTo(bloco.mediaMensal * 1.5 + bloco.estoqueSeguranca);
+  });
+});
+
+describe('economic lot', () => {
+  it('uses the average sale price and the batch rule of the main acabamento', () => {
+    const finishRows = [
+      { DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', QUANTIDADE: '100', LINE_AMOUNT: 400, DTEMISSAO: '2024-12-05' },
+      { DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', QUANTIDADE: '1100', LINE_AMOUNT: 4400, DTEMISSAO: '2025-01-05' }
+    ];
+    const orderQuantityConfig = {
+      setupCost: 150,
+      holdingCostRate: 25,
+      defaultBatch: { minBatch: 0, multiple: 1 },
+      batches: { sku: {}, acabamento: { Liso: { multiple: 48 } } }
+    };
+    const [bloco] = processInventoryData(finishRows, undefined, { windowMonths: 12, orderQuantityConfig });
+
+    // D = 1200/ano, H = 25% × R$ 4 -> EOQ = 600, rounded to 13 pallets of 48
+    expect(bloco.precoMedio).toBeCloseTo(4);
+    expect(bloco.eoq).toBeCloseTo(600);
+    expect(bloco.loteEconomico).toBe(624);
+    expect(bloco.batchSource).toBe('acabamento');
+  });
+});
+
+describe('buildInventoryForecast', () => {
+  it('plans coverage with the value-based class over the same window', async () => {
+    const forecastConfig = { ...DEFAULT_FORECAST_CONFIG, coberturaConfig: { A: 3, B: 4, C: 5, D: 6 } };
+    const { items, months } = await buildInventoryForecast(rows, undefined, { windowMonths: 12, forecastConfig });
+    const bloco = items.find(item => item.sku === 'Bloco');
+    const piso = items.find(item => item.sku === 'Piso');
+
+    expect(months[11]).toBe('2025-01');
+    expect(bloco.cobertura).toBe(forecastConfig.coberturaConfig[bloco.curva]);
+    expect(piso.cobertura).toBe(forecastConfig.coberturaConfig[piso.curva]);
+    // 2025-01-01 belongs to January, not to December
+    expect(bloco.recomendacaoEstoque).toBe(Math.round((26 / 12) * bloco.cobertura));
+  });
+
+  it('projects each SKU series for the configured horizon', async () => {
+    const forecastConfig = { ...DEFAULT_FORECAST_CONFIG, projection: { model: 'ses', horizon: 2 } };
+    const { items, projectionMonths } = await buildInventoryForecast(rows, undefined, { windowMonths: 12, forecastConfig });
+    const bloco = items.find(item => item.sku === 'Bloco');
+
+    expect(projectionMonths).toEqual(['2025-02', '2025-03']);
+    expect(bloco.projection.model).toBe('ses');
+    expect(bloco.projection.values).toHaveLength(2);
+  });
+
+  it('adjusts the forecast by the momentum of SKUs bought in the same orders', async () => {
+    const months = getSeriesMonths([{ DTEMISSAO: '2025-01-15' }], 12);
+    const basketRows = months.flatMap((month, index) => {
+      const date = `${month}-15`;
+      return [
+        { PEDIDO: `P${index}`, DESCRICAO: 'Cimento', QUANTIDADE: '5', LINE_AMOUNT: 50, DTEMISSAO: date },
+        { PEDIDO: `P${index}`, DESCRICAO: 'Areia', QUANTIDADE: index === 11 ? '40' : '10', LINE_AMOUNT: 20, DTEMISSAO: date },
+        { PEDIDO: `Q${index}`, DESCRICAO: 'Cal', QUANTIDADE: '3', LINE_AMOUNT: 10, DTEMISSAO: date }
+      ];
+    });
+
+    const { items } = await buildInventoryForecast(basketRows, undefined, { windowMonths: 12 });
+    const cimento = items.find(item => item.sku === 'Cimento');
+
+    expect(cimento.drivers.map(driver => driver.sku)).toEqual(['Areia']);
+    expect(cimento.drivers[0].type).toBe('basket');
+    expect(cimento.drivers[0].impact).toBeGreaterThan(0);
+    expect(cimento.forecastAjustada).toBeGreaterThan(cimento.recomendacaoEstoque);
+  });
+});
@@ -1,5 +1,75 @@
 // Inventory Forecast utility functions
 // Implements the exact spreadsheet logic for inventory forecasting
+import { DEFAULT_ABC_SETTINGS, assignABCClasses } from './abcSettings';
+import { DEFAULT_PROJECTION, validateProjection } from './forecasting';
+import { CORRELATION_METHODS } from './correlation';
+
+const FORECAST_CONFIG_KEY = 'concrem-abc:forecast-config';
+
+// Coverage (months of average demand) per ABC class, association settings and the
+// smoothing model / horizon of the projected demand (see utils/forecasting.js), and the test of
+// the kit suggestions: correlation method and false discovery rate (see utils/correlation.js).
+// The analysis window and the ABC cut-offs are not stored here: the window follows the
+// page (?meses=) and the cut-offs are the shared ABC settings.
+export const DEFAULT_FORECAST_CONFIG = {
+  coberturaConfig: { A: 2, B: 6, C: 6, D: 6 },
+  associationConfig: {
+    minSupport: 0.02,
+    minConfidence: 0.25,
+    minLift: 1.2,
+    correlationThreshold: 0.6,
+    topK: 5,
+    alpha: 0.15
+  },
+  projection: DEFAULT_PROJECTION,
+  kitConfig: { method: 'pearson', fdr: 0.05 }
+};
+
+// Returns an error message, or null when the config is usable
+export const validateForecastConfig = (config) => {
+  const { coberturaConfig, associationConfig, projection, kitConfig } = config;
+  const isBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+  if (Object.values(coberturaConfig).some(months => !isBetween(months, 0, 36))) {
+    return 'A cobertura deve ficar entre 0 e 36 meses';
+  }
+  const { minSupport, minConfidence, minLift, correlationThreshold, topK, alpha } = associationConfig;
+  if (!isBetween(minSupport, 0, 1) || !isBetween(minConfidence, 0, 1)) return 'Suporte e confiança mínimos devem ficar entre 0 e 1';
+  if (!isBetween(minLift, 0, 100)) return 'O lift mínimo deve ser maior ou igual a zero';
+  if (!isBetween(correlationThreshold, 0, 1)) return 'A correlação mínima deve ficar entre 0 e 1';
+  if (!Number.isInteger(topK) || topK < 1) return 'O número de associações por SKU deve ser um inteiro maior que zero';
+  if (!isBetween(alpha, 0, 1)) return 'O peso do ajuste (α) deve ficar entre 0 e 1';
+  if (!CORRELATION_METHODS[kitConfig.method]) return 'Método de correlação dos kits inválido';
+  if (!isBetween(kitConfig.fdr, 0.001, 0.5)) return 'A taxa de falsas descobertas dos kits deve ficar entre 0,1% e 50%';
+  return validateProjection(projection);
+};
+
+// Stored config merged over the defaults, so new keys get their default value
+export const loadForecastConfig = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(FORECAST_CONFIG_KEY));
+    if (stored) {
+      const config = {
+        coberturaConfig: { ...DEFAULT_FORECAST_CONFIG.coberturaConfig, ...stored.coberturaConfig },
+        associationConfig: { ...DEFAULT_FORECAST_CONFIG.associationConfig, ...stored.associationConfig },
+        projection: { ...DEFAULT_FORECAST_CONFIG.projection, ...stored.projection },
+        kitConfig: { ...DEFAULT_FORECAST_CONFIG.kitConfig, ...stored.kitConfig }
+      };
+      if (!validateForecastConfig(config)) return config;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read forecast config:', error);
+  }
+  return DEFAULT_FORECAST_CONFIG;
+};
+
+export const saveForecastConfig = (config) => {
+  try {
+    window.localStorage.setItem(FORECAST_CONFIG_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn('⚠️ Could not save forecast config:', error);
+  }
+};
 
 // Helper function to validate and convert quantity to number
 const validateQuantity = (quantity) => {
@@ -16,7 +86,10 @@ const validateQuantity = (quantity) => {
 };
 
 // Helper function to get month key from date
+// ISO strings ("2024-12-01") are read as written; new Date() would parse them as UTC
+// and move the first day of a month into the previous one in Brazilian time.
 const getMonthKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}/.test(date)) return date.slice(0, 7);
   const d = new Date(date);
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
 };
@@ -29,14 +102,15 @@ const getMonthName = (monthKey) => {
 };
 
 // Calculate base metrics for each SKU according to spreadsheet logic
-const calculateBaseMetrics = (skuData, analysisWindow = 5) => {
+// The window ends at `endMonth` (YYYY-MM) or, when not given, at the current month.
+const calculateBaseMetrics = (skuData, analysisWindow = 5, endMonth = null) => {
   const { sku, monthlyData } = skuData;
   
   // Create a map of all months in the analysis window
-  const now = new Date();
+  const end = endMonth ? new Date(Number(endMonth.slice(0, 4)), Number(endMonth.slice(5, 7)) - 1, 1) : new Date();
   const monthMap = {};
   for (let i = 0; i < analysisWindow; i++) {
-    const monthDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    const monthDate = new Date(end.getFullYear(), end.getMonth() - i, 1);
     const monthKey = getMonthKey(monthDate);
     monthMap[monthKey] = 0;
   }
@@ -74,32 +148,37 @@ const calculateBaseMetrics = (skuData, analysisWindow = 5) => {
   };
 };
 
-// Calculate ABC classification according to spreadsheet logic
-const calculateABCAnalysis = (skuMetrics, thresholds = { a: 20, b: 30, c: 50 }) => {
+// Legacy { a, b, c } thresholds are class widths of the cumulative value: A up to a%, B up to a+b%
+const toABCSettings = (thresholds) => {
+  if (thresholds && thresholds.cutoffs) return thresholds;
+  return { basis: 'value', classCount: 3, cutoffs: [thresholds.a, thresholds.a + thresholds.b] };
+};
+
+// Calculate ABC classification with the shared ABC settings (see utils/abcSettings.js)
+// `classifications` ({ [sku]: class }) replaces the quantity-based class, so callers can
+// plan coverage with the value-based product curve used everywhere else.
+const calculateABCAnalysis = (skuMetrics, thresholds = DEFAULT_ABC_SETTINGS, classifications = null) => {
+  const settings = toABCSettings(thresholds);
+
   // Sort by Total_Geral descending
   const sortedSKUs = [...skuMetrics].sort((a, b) => b.totalGeral - a.totalGeral);
   
   // Calculate total sum
   const totalSum = sortedSKUs.reduce((sum, sku) => sum + sku.totalGeral, 0);
   
+  const assignedClasses = assignABCClasses(sortedSKUs.map(sku => sku.totalGeral), settings);
+
   // Calculate cumulative percentages and assign classifications
   let cumulativePercentage = 0;
   const result = sortedSKUs.map((sku, index) => {
     const percentage = totalSum > 0 ? (sku.totalGeral / totalSum) * 100 : 0;
     cumulativePercentage += percentage;
     
-    let classification = 'C';
-    if (cumulativePercentage <= thresholds.a) {
-      classification = 'A';
-    } else if (cumulativePercentage <= thresholds.a + thresholds.b) {
-      classification = 'B';
-    }
-    
     return {
       ...sku,
       percentage: percentage.toFixed(2),
       cumulativePercentage: cumulativePercentage.toFixed(2),
-      classification,
+      classification: classifications?.[sku.sku] || assignedClasses[index],
       rank: index + 1
     };
   });
@@ -108,7 +187,7 @@ const calculateABCAnalysis = (skuMetrics, thresholds = { a: 20, b: 30, c: 50 })
 };
 
 // Calculate inventory recommendations based on ABC classification
-const calculateInventoryRecommendations = (skuMetrics, coberturaConfig = { A: 2, B: 6, C: 6 }) => {
+const calculateInventoryRecommendations = (skuMetrics, coberturaConfig = DEFAULT_FORECAST_CONFIG.coberturaConfig) => {
   return skuMetrics.map(sku => {
     const cobertura = coberturaConfig[sku.classification] || 6;
     const recomendacaoEstoque = sku.mediaMensal * cobertura;
@@ -178,23 +257,26 @@ const calculateBasketAssociations = (orderData, skuMetrics, config) => {
   const associations = {};
   const skuSet = new Set(skuMetrics.map(sku => sku.sku));
   
+  // Count baskets containing each pair in a single pass over the baskets
+  const pairCounts = {};
+  const basketCounts = {};
+  basketList.forEach(basket => {
+    basket.forEach(sku1 => {
+      if (!skuSet.has(sku1)) return;
+      basketCounts[sku1] = (basketCounts[sku1] || 0) + 1;
+      if (!pairCounts[sku1]) pairCounts[sku1] = {};
+      basket.forEach(sku2 => {
+        if (sku1 !== sku2) pairCounts[sku1][sku2] = (pairCounts[sku1][sku2] || 0) + 1;
+      });
+    });
+  });
+  
   skuSet.forEach(sku1 => {
     associations[sku1] = [];
+    const sku1Count = basketCounts[sku1] || 0;
     
-    skuSet.forEach(sku2 => {
-      if (sku1 === sku2) return;
-      
-      // Count baskets containing both items
-      let bothCount = 0;
-      let sku1Count = 0;
-      
-      basketList.forEach(basket => {
-        const hasSku1 = basket.includes(sku1);
-        const hasSku2 = basket.includes(sku2);
-        
-        if (hasSku1) sku1Count++;
-        if (hasSku1 && hasSku2) bothCount++;
-      });
+    Object.entries(pairCounts[sku1] || {}).forEach(([sku2, bothCount]) => {
+      if (!skuSet.has(sku2)) return;
       
       const support = bothCount / totalBaskets;
       const confidence = sku1Count > 0 ? bothCount / sku1Count : 0;
@@ -248,6 +330,12 @@ const calculateCorrelationAssociations = (orderData, skuMetrics, config) => {
   
   const months = Array.from(monthSet).sort();
   
+  // Monthly vectors are built once per SKU, not once per pair
+  const skuVectors = {};
+  skuMetrics.forEach(sku => {
+    skuVectors[sku.sku] = months.map(month => skuMonthMatrix[sku.sku]?.[month] || 0);
+  });
+  
   // Calculate correlation for each pair of SKUs
   const skuAssociations = {};
   
@@ -257,8 +345,8 @@ const calculateCorrelationAssociations = (orderData, skuMetrics, config) => {
     skuMetrics.forEach(sku2 => {
       if (sku1.sku === sku2.sku) return;
       
-      const values1 = months.map(month => skuMonthMatrix[sku1.sku]?.[month] || 0);
-      const values2 = months.map(month => skuMonthMatrix[sku2.sku]?.[month] || 0);
+      const values1 = skuVectors[sku1.sku];
+      const values2 = skuVectors[sku2.sku];
       
       const correlation = calculatePearsonCorrelation(values1, values2);
       
@@ -393,16 +481,11 @@ const calculateStandardDeviation = (values) => {
 export const calculateInventoryForecast = async (monthlySalesData, orderData, config = {}) => {
   const {
     analysisWindow = 5,
-    abcThresholds = { a: 20, b: 30, c: 50 },
-    coberturaConfig = { A: 2, B: 6, C: 6 },
-    associationConfig = {
-      minSupport: 0.02,
-      minConfidence: 0.25,
-      minLift: 1.2,
-      correlationThreshold: 0.6,
-      topK: 5,
-      alpha: 0.15
-    }
+    endMonth = null,
+    abcThresholds = DEFAULT_ABC_SETTINGS,
+    classifications = null,
+    coberturaConfig = DEFAULT_FORECAST_CONFIG.coberturaConfig,
+    associationConfig = DEFAULT_FORECAST_CONFIG.associationConfig
   } = config;
   
   console.log('🔍 Starting inventory forecast analysis...');
@@ -424,11 +507,11 @@ export const calculateInventoryForecast = async (monthlySalesData, orderData, co
   
   // Calculate base metrics for each SKU
   const skuMetrics = Object.entries(skuGroups).map(([sku, data]) => 
-    calculateBaseMetrics({ sku, monthlyData: data }, analysisWindow)
+    calculateBaseMetrics({ sku, monthlyData: data }, analysisWindow, endMonth)
   );
   
   // Calculate ABC analysis
-  const abcResults = calculateABCAnalysis(skuMetrics, abcThresholds);
+  const abcResults = calculateABCAnalysis(skuMetrics, abcThresholds, classifications);
   
   // Calculate inventory recommendations
   const recommendations = calculateInventoryRecommendations(abcResults, coberturaConfig);
@@ -446,6 +529,7 @@ export const calculateInventoryForecast = async (monthlySalesData, orderData, co
       classA: finalResults.filter(sku => sku.classification === 'A').length,
       classB: finalResults.filter(sku => sku.classification === 'B').length,
       classC: finalResults.filter(sku => sku.classification === 'C').length,
+      classD: finalResults.filter(sku => sku.classification === 'D').length,
       totalValue: finalResults.reduce((sum, sku) => sum + sku.totalGeral, 0),
       averageRecommendation: finalResults.reduce((sum, sku) => sum + sku.recomendacaoEstoque, 0) / finalResults.length
     },
@@ -463,5 +547,7 @@ export const testHelpers = {
   validateQuantity,
   calculateBaseMetrics,
   calculateABCAnalysis,
+  calculateBasketAssociations,
+  calculateCorrelationAssociations,
   calculatePearsonCorrelation
 };
@@ -1,5 +1,7 @@
-// Test file for inventory forecast logic
-// This verifies the implementation matches the spreadsheet requirements
+// Tests for the inventory forecast logic
+// Verifies the implementation matches the spreadsheet requirements and that the
+// single-pass basket counts and cached monthly vectors give the same associations as the
+// original per-pair loops.
 
 import { testHelpers } from './inventoryForecast';
 
@@ -9,11 +11,11 @@ const testData = {
   dezembroOnly: {
     sku: 'TEST-SKU-1',
     monthlyData: [
-      { DTEMISSAO: '2024-12-01', QUANTIDADE: '6' },
+      { DTEMISSAO: '2024-12-01', QUANTIDADE: '6' }
       // Other months will be treated as 0
     ]
   },
-  
+
   // Multiple SKUs for ABC testing
   multipleSKUs: [
     {
@@ -49,111 +51,137 @@ const testData = {
   ]
 };
 
-// Test the specific acceptance criteria case
-export const testDezembroOnlyCase = () => {
-  console.log('🧪 Testing Dezembro-only case...');
-  
-  const result = testHelpers.calculateBaseMetrics(testData.dezembroOnly, 5);
-  
-  console.log('Result:', result);
-  
-  // Verify the expected values
-  const expected = {
-    totalGeral: 6,
-    vendaMinima: 6,
-    vendaMaxima: 6,
-    mediaTotal: 6.00,
-    mediaMensal: 1.2 // 6/5
-  };
-  
-  const actual = {
-    totalGeral: result.totalGeral,
-    vendaMinima: result.vendaMinima,
-    vendaMaxima: result.vendaMaxima,
-    mediaTotal: result.mediaTotal,
-    mediaMensal: result.mediaMensal
-  };
-  
-  console.log('Expected:', expected);
-  console.log('Actual:', actual);
-  
-  // Check if values match (with small tolerance for floating point)
-  const tolerance = 0.01;
-  const isCorrect = 
-    Math.abs(actual.totalGeral - expected.totalGeral) < tolerance &&
-    Math.abs(actual.vendaMinima - expected.vendaMinima) < tolerance &&
-    Math.abs(actual.vendaMaxima - expected.vendaMaxima) < tolerance &&
-    Math.abs(actual.mediaTotal - expected.mediaTotal) < tolerance &&
-    Math.abs(actual.mediaMensal - expected.mediaMensal) < tolerance;
-  
-  console.log('✅ Test passed:', isCorrect);
-  return isCorrect;
-};
+// Order lines: baskets with repeated lines, a SKU outside the metrics and lines without PEDIDO
+const orderData = [
+  { PEDIDO: 1, DESCRICAO: 'SKU-A', DTEMISSAO: '2024-08-05', QUANTIDADE: '10' },
+  { PEDIDO: 1, DESCRICAO: 'SKU-B', DTEMISSAO: '2024-08-05', QUANTIDADE: '5' },
+  { PEDIDO: 1, DESCRICAO: 'SKU-B', DTEMISSAO: '2024-08-05', QUANTIDADE: '2' },
+  { PEDIDO: 2, DESCRICAO: 'SKU-A', DTEMISSAO: '2024-09-03', QUANTIDADE: '12' },
+  { PEDIDO: 2, DESCRICAO: 'SKU-C', DTEMISSAO: '2024-09-03', QUANTIDADE: '1' },
+  { PEDIDO: 3, DESCRICAO: 'SKU-A', DTEMISSAO: '2024-10-10', QUANTIDADE: '11' },
+  { PEDIDO: 3, DESCRICAO: 'SKU-B', DTEMISSAO: '2024-10-10', QUANTIDADE: '6' },
+  { PEDIDO: 3, DESCRICAO: 'OUTRO', DTEMISSAO: '2024-10-10', QUANTIDADE: '3' },
+  { PEDIDO: 4, DESCRICAO: 'SKU-B', DTEMISSAO: '2024-11-12', QUANTIDADE: '7' },
+  { PEDIDO: 4, DESCRICAO: 'SKU-C', DTEMISSAO: '2024-11-12', QUANTIDADE: '2' },
+  { PEDIDO: 5, DESCRICAO: 'SKU-A', DTEMISSAO: '2024-12-02', QUANTIDADE: '13' },
+  { PEDIDO: 5, DESCRICAO: 'SKU-B', DTEMISSAO: '2024-12-02', QUANTIDADE: '6' },
+  { PEDIDO: 5, DESCRICAO: 'SKU-C', DTEMISSAO: '2024-12-02', QUANTIDADE: '1' },
+  { DESCRICAO: 'SKU-C', DTEMISSAO: '2024-12-20', QUANTIDADE: '4' }
+];
 
-// Test ABC analysis
-export const testABCAnalysis = () => {
-  console.log('🧪 Testing ABC analysis...');
-  
-  const baseMetrics = testData.multipleSKUs.map(sku => 
-    testHelpers.calculateBaseMetrics(sku, 5)
-  );
-  
-  const abcResult = testHelpers.calculateABCAnalysis(baseMetrics, { a: 20, b: 30, c: 50 });
-  
-  console.log('ABC Results:', abcResult.map(sku => ({
-    sku: sku.sku,
-    totalGeral: sku.totalGeral,
-    classification: sku.classification,
-    cumulativePercentage: sku.cumulativePercentage
-  })));
-  
-  // Verify that classifications are assigned correctly
-  const hasClassA = abcResult.some(sku => sku.classification === 'A');
-  const hasClassB = abcResult.some(sku => sku.classification === 'B');
-  const hasClassC = abcResult.some(sku => sku.classification === 'C');
-  
-  console.log('✅ ABC Test passed:', hasClassA && hasClassB && hasClassC);
-  return hasClassA && hasClassB && hasClassC;
-};
+const skuMetrics = testData.multipleSKUs.map(sku => testHelpers.calculateBaseMetrics(sku, 5, '2024-12'));
 
-// Test correlation calculation
-export const testCorrelation = () => {
-  console.log('🧪 Testing correlation calculation...');
-  
-  const x = [1, 2, 3, 4, 5];
-  const y = [2, 4, 6, 8, 10]; // Perfect positive correlation
-  
-  const correlation = testHelpers.calculatePearsonCorrelation(x, y);
-  
-  console.log('Perfect positive correlation:', correlation);
-  
-  const isCorrect = Math.abs(correlation - 1.0) < 0.01;
-  console.log('✅ Correlation Test passed:', isCorrect);
-  return isCorrect;
-};
+// Original basket pair counting: one pass over every basket for each pair of SKUs
+const countPairsPerPair = (skus) => {
+  const baskets = {};
+  orderData.forEach(item => {
+    if (!item.PEDIDO || !item.DESCRICAO) return;
+    if (!baskets[item.PEDIDO]) baskets[item.PEDIDO] = new Set();
+    baskets[item.PEDIDO].add(item.DESCRICAO);
+  });
+  const basketList = Object.values(baskets).map(basket => Array.from(basket));
 
-// Run all tests
-export const runAllTests = () => {
-  console.log('🚀 Running all inventory forecast tests...\n');
-  
-  const results = {
-    dezembroOnly: testDezembroOnlyCase(),
-    abcAnalysis: testABCAnalysis(),
-    correlation: testCorrelation()
-  };
-  
-  console.log('\n📊 Test Results Summary:');
-  console.log('Dezembro-only case:', results.dezembroOnly ? '✅ PASS' : '❌ FAIL');
-  console.log('ABC Analysis:', results.abcAnalysis ? '✅ PASS' : '❌ FAIL');
-  console.log('Correlation:', results.correlation ? '✅ PASS' : '❌ FAIL');
-  
-  const allPassed = Object.values(results).every(result => result);
-  console.log('\n🎯 All tests passed:', allPassed);
-  
-  return allPassed;
+  const counts = {};
+  skus.forEach(sku1 => {
+    skus.forEach(sku2 => {
+      if (sku1 === sku2) return;
+      let bothCount = 0;
+      let sku1Count = 0;
+      basketList.forEach(basket => {
+        const hasSku1 = basket.includes(sku1);
+        if (hasSku1) sku1Count++;
+        if (hasSku1 && basket.includes(sku2)) bothCount++;
+      });
+      counts[`${sku1}|${sku2}`] = { bothCount, sku1Count, totalBaskets: basketList.length };
+    });
+  });
+  return counts;
 };
 
-// Export for manual testing
-if (typeof window !== 'undefined') {
-  window.testInventoryForecast = runAllTests;
-}
+describe('calculateBaseMetrics', () => {
+  it('handles the Dezembro-only case from the spreadsheet', () => {
+    const result = testHelpers.calculateBaseMetrics(testData.dezembroOnly, 5, '2024-12');
+
+    expect(result).toMatchObject({ totalGeral: 6, vendaMinima: 6, vendaMaxima: 6, mediaTotal: 6 });
+    expect(result.mediaMensal).toBeCloseTo(1.2);
+    expect(result.monthlyData.map(month => month.month)).toEqual(['2024-08', '2024-09', '2024-10', '2024-11', '2024-12']);
+  });
+});
+
+describe('calculateABCAnalysis', () => {
+  it('assigns A, B and C with legacy { a, b, c } thresholds', () => {
+    // Cumulative quantity: SKU-A 62.6%, SKU-B 93.8%, SKU-C 100%
+    const abcResult = testHelpers.calculateABCAnalysis(skuMetrics, { a: 70, b: 25, c: 5 });
+
+    expect(abcResult.map(sku => sku.sku)).toEqual(['SKU-A', 'SKU-B', 'SKU-C']);
+    expect(abcResult.map(sku => sku.classification)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('uses the given classifications instead of the quantity curve', () => {
+    const abcResult = testHelpers.calculateABCAnalysis(skuMetrics, { a: 70, b: 25, c: 5 }, { 'SKU-C': 'A' });
+
+    expect(abcResult.find(sku => sku.sku === 'SKU-C').classification).toBe('A');
+  });
+});
+
+describe('calculatePearsonCorrelation', () => {
+  it('returns 1 for a perfect positive correlation and 0 without variance', () => {
+    expect(testHelpers.calculatePearsonCorrelation([1, 2, 3, 4, 5], [2, 4, 6, 8, 10])).toBeCloseTo(1);
+    expect(testHelpers.calculatePearsonCorrelation([1, 2, 3], [5, 5, 5])).toBe(0);
+  });
+});
+
+describe('calculateBasketAssociations', () => {
+  const config = { minSupport: 0, minConfidence: 0, minLift: 0, topK: 10 };
+  const associations = testHelpers.calculateBasketAssociations(orderData, skuMetrics, config);
+
+  it('counts pairs like the original per-pair loops', () => {
+    const expected = countPairsPerPair(skuMetrics.map(sku => sku.sku));
+
+    Object.entries(associations).forEach(([sku1, rules]) => {
+      rules.forEach(rule => {
+        const { bothCount, sku1Count, totalBaskets } = expected[`${sku1}|${rule.sku}`];
+        expect(rule.support).toBeCloseTo(bothCount / totalBaskets);
+        expect(rule.confidence).toBeCloseTo(bothCount / sku1Count);
+      });
+    });
+    // Pairs that never share a basket have no rule, as before (zero confidence)
+    const ruleCount = Object.values(associations).reduce((sum, rules) => sum + rules.length, 0);
+    const pairsTogether = Object.values(expected).filter(count => count.bothCount > 0).length;
+    expect(ruleCount).toBe(pairsTogether);
+  });
+
+  it('counts a SKU once per basket and ignores SKUs outside the metrics', () => {
+    expect(associations['SKU-A'].find(rule => rule.sku === 'SKU-B')).toMatchObject({ support: 3 / 5, confidence: 3 / 4 });
+    expect(associations['SKU-C'].map(rule => rule.sku).sort()).toEqual(['SKU-A', 'SKU-B']);
+    expect(associations.OUTRO).toBeUndefined();
+  });
+
+  it('keeps the thresholds and the top K by confidence', () => {
+    const strict = testHelpers.calculateBasketAssociations(orderData, skuMetrics, { ...config, minConfidence: 0.7, topK: 1 });
+
+    expect(strict['SKU-A']).toEqual([expect.objectContaining({ sku: 'SKU-B', confidence: 3 / 4 })]);
+    expect(strict['SKU-C']).toEqual([]);
+  });
+});
+
+describe('calculateCorrelationAssociations', () => {
+  it('gives the same correlations as building the monthly vectors per pair', () => {
+    const monthlyRows = orderData.map(({ PEDIDO, ...row }) => row);
+    const associations = testHelpers.calculateCorrelationAssociations(monthlyRows, skuMetrics, { correlationThreshold: 0, topK: 10 });
+
+    const months = ['2024-08', '2024-09', '2024-10', '2024-11', '2024-12'];
+    const vector = (sku) => months.map(month => monthlyRows
+      .filter(row => row.DESCRICAO === sku && row.DTEMISSAO.startsWith(month))
+      .reduce((sum, row) => sum + Number(row.QUANTIDADE), 0));
+
+    skuMetrics.forEach(sku1 => {
+      const others = skuMetrics.filter(sku2 => sku2.sku !== sku1.sku);
+      expect(associations[sku1.sku]).toHaveLength(others.length);
+      others.forEach(sku2 => {
+        const rule = associations[sku1.sku].find(item => item.sku === sku2.sku);
+        expect(rule.correlation).toBeCloseTo(testHelpers.calculatePearsonCorrelation(vector(sku1.sku), vector(sku2.sku)));
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// Kits of 2 to 4 SKUs from co-purchase data, and tracking of the kits saved by the
+// commercial team. A basket is an order (PEDIDO) or, without it, the purchases of one
+// customer (NOME) on one day. Kits are found level by level (pairs, then 3 and 4 SKUs), each
+// level extending only the kits that were frequent at the previous one:
+//   baskets       -> baskets with every SKU of the kit
+//   support       -> baskets / all baskets
+//   allConfidence -> baskets / baskets of the kit's most bought SKU (share of its purchases
+//                    that include the whole kit)
+//   lift          -> support / product of the SKU supports (> 1 = bought together more than by chance)
+// Saved kits live in localStorage as a list of { id, name, skus, price, createdAt }.
+import { validateQuantity } from './abcAnalysis';
+import { getMonthRange } from './period';
+
+const STORAGE_KEY = 'concrem-abc:kits';
+
+export const MIN_KIT_SIZE = 2;
+export const MAX_KIT_SIZE = 4;
+export const MIN_KIT_BASKETS = 5;
+
+// Only the SKUs present in most baskets are combined, which bounds the candidate kits
+export const MAX_KIT_CANDIDATE_SKUS = 60;
+
+export const getBasketKey = (row) => {
+  if (row.PEDIDO !== undefined && row.PEDIDO !== null) return String(row.PEDIDO);
+  return row.DTEMISSAO ? `${row.NOME || ''}|${String(row.DTEMISSAO).slice(0, 10)}` : null;
+};
+
+// { baskets: [{ month, skus }], skuBaskets: Map SKU -> Set of basket indexes }
+export const buildBasketIndex = (rows) => {
+  const byKey = new Map();
+  rows.forEach(row => {
+    const key = getBasketKey(row);
+    if (!key || !row.DESCRICAO || validateQuantity(row.QUANTIDADE) <= 0) return;
+    if (!byKey.has(key)) byKey.set(key, { month: String(row.DTEMISSAO || '').slice(0, 7), skus: new Set() });
+    byKey.get(key).skus.add(row.DESCRICAO);
+  });
+
+  const baskets = Array.from(byKey.values());
+  const skuBaskets = new Map();
+  baskets.forEach((basket, index) => {
+    basket.skus.forEach(sku => {
+      if (!skuBaskets.has(sku)) skuBaskets.set(sku, new Set());
+      skuBaskets.get(sku).add(index);
+    });
+  });
+  return { baskets, skuBaskets };
+};
+
+const intersect = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const result = new Set();
+  small.forEach(value => {
+    if (large.has(value)) result.add(value);
+  });
+  return result;
+};
+
+const describeKit = (index, skus, basketSet) => {
+  const total = index.baskets.length;
+  const skuCounts = skus.map(sku => index.skuBaskets.get(sku)?.size || 0);
+  const expected = skuCounts.reduce((product, count) => product * (count / total), 1);
+  const support = total > 0 ? basketSet.size / total : 0;
+  return {
+    skus,
+    baskets: basketSet.size,
+    support,
+    allConfidence: Math.max(...skuCounts) > 0 ? basketSet.size / Math.max(...skuCounts) : 0,
+    lift: expected > 0 ? support / expected : 0
+  };
+};
+
+// Co-purchase statistics of any SKU combination (used by the kit builder)
+export const evaluateKit = (index, skus) => {
+  if (!skus.length) return null;
+  const basketSet = skus.slice(1).reduce(
+    (set, sku) => intersect(set, index.skuBaskets.get(sku) || new Set()),
+    index.skuBaskets.get(skus[0]) || new Set()
+  );
+  return describeKit(index, skus, basketSet);
+};
+
+// Frequent kits with lift above 1, the best `limit` of each size by number of baskets
+export const proposeKits = (index, {
+  minBaskets = MIN_KIT_BASKETS,
+  maxSize = MAX_KIT_SIZE,
+  maxSkus = MAX_KIT_CANDIDATE_SKUS,
+  limit = 20
+} = {}) => {
+  const items = Array.from(index.skuBaskets.entries())
+    .filter(([, basketSet]) => basketSet.size >= minBaskets)
+    .sort((a, b) => b[1].size - a[1].size)
+    .slice(0, maxSkus);
+
+  // Each kit is extended only with SKUs after its last one, so every combination is counted once
+  let level = items.map(([sku, basketSet], position) => ({ skus: [sku], basketSet, position }));
+  const kits = [];
+  for (let size = MIN_KIT_SIZE; size <= maxSize && level.length; size++) {
+    const next = [];
+    level.forEach(kit => {
+      for (let position = kit.position + 1; position < items.length; position++) {
+        const [sku, skuSet] = items[position];
+        const basketSet = intersect(kit.basketSet, skuSet);
+        if (basketSet.size >= minBaskets) next.push({ skus: [...kit.skus, sku], basketSet, position });
+      }
+    });
+
+    kits.push(...next
+      .map(kit => describeKit(index, kit.skus, kit.basketSet))
+      .filter(kit => kit.lift > 1)
+      .sort((a, b) => b.baskets - a.baskets || b.lift - a.lift)
+      .slice(0, limit));
+    level = next;
+  }
+  return kits;
+};
+
+// Returns an error message, or null when the kit can be saved
+export const validateKit = (kit) => {
+  if (!kit.name || !kit.name.trim()) return 'Informe o nome do kit';
+  if (new Set(kit.skus).size !== kit.skus.length) return 'O kit tem SKUs repetidos';
+  if (kit.skus.length < MIN_KIT_SIZE || kit.skus.length > MAX_KIT_SIZE) {
+    return `O kit deve ter de ${MIN_KIT_SIZE} a ${MAX_KIT_SIZE} SKUs`;
+  }
+  if (!Number.isFinite(kit.price) || kit.price <= 0) return 'Informe um preço maior que zero';
+  return null;
+};
+
+export const loadKits = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored.filter(kit => kit && kit.id && Array.isArray(kit.skus));
+  } catch (error) {
+    console.warn('⚠️ Could not read saved kits:', error);
+  }
+  return [];
+};
+
+export const saveKits = (kits) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(kits));
+  } catch (error) {
+    console.warn('⚠️ Could not save kits:', error);
+  }
+};
+
+// Monthly purchases of a saved kit from the month it was created to the last month of the
+// baskets: { months: [{ month, together, withAnySku, rate }], together, withAnySku, rate }
+// where `together` counts baskets with every SKU and `rate` = together / withAnySku
+export const trackKit = (index, kit) => {
+  const start = kit.createdAt.slice(0, 7);
+  const lastMonth = index.baskets.reduce((latest, basket) => (basket.month > latest ? basket.month : latest), '');
+  const months = new Map(getMonthRange(start, lastMonth).map(month => [month, { month, together: 0, withAnySku: 0 }]));
+
+  index.baskets.forEach(basket => {
+    const entry = months.get(basket.month);
+    if (!entry) return;
+    const matches = kit.skus.filter(sku => basket.skus.has(sku)).length;
+    if (matches > 0) entry.withAnySku++;
+    if (matches === kit.skus.length) entry.together++;
+  });
+
+  const list = Array.from(months.values()).map(entry => ({
+    ...entry,
+    rate: entry.withAnySku > 0 ? entry.together / entry.withAnySku : 0
+  }));
+  const together = list.reduce((sum, entry) => sum + entry.together, 0);
+  const withAnySku = list.reduce((sum, entry) => sum + entry.withAnySku, 0);
+  return { months: list, together, withAnySku, rate: withAnySku > 0 ? together / withAnySku : 0 };
+};
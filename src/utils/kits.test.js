@@ -0,0 +1,69 @@
+import { buildBasketIndex, evaluateKit, getBasketKey, proposeKits, trackKit, validateKit } from './kits';
+
+const line = (PEDIDO, DESCRICAO, DTEMISSAO) => ({ PEDIDO, DESCRICAO, QUANTIDADE: 1, DTEMISSAO });
+
+const rows = [];
+for (let order = 1; order <= 6; order++) {
+  const date = order <= 3 ? '2025-01-10' : '2025-03-10';
+  rows.push(line(`P${order}`, 'Bloco', date), line(`P${order}`, 'Piso', date), line(`P${order}`, 'Cola', date));
+}
+rows.push(line('P7', 'Bloco', '2025-03-11'), line('P8', 'Bloco', '2025-03-12'));
+for (let order = 9; order <= 12; order++) rows.push(line(`P${order}`, 'Telha', '2025-02-01'));
+
+const index = buildBasketIndex(rows);
+
+describe('getBasketKey', () => {
+  it('uses PEDIDO or the customer and day', () => {
+    expect(getBasketKey({ PEDIDO: 42 })).toBe('42');
+    expect(getBasketKey({ NOME: 'ACME', DTEMISSAO: '2025-01-10T12:00:00' })).toBe('ACME|2025-01-10');
+    expect(getBasketKey({ NOME: 'ACME' })).toBeNull();
+  });
+});
+
+describe('proposeKits', () => {
+  const kits = proposeKits(index);
+
+  it('finds pairs and larger kits bought together more than by chance', () => {
+    expect(kits.map(kit => kit.skus)).toEqual([
+      ['Piso', 'Cola'],
+      ['Bloco', 'Piso'],
+      ['Bloco', 'Cola'],
+      ['Bloco', 'Piso', 'Cola']
+    ]);
+    expect(kits[0]).toMatchObject({ baskets: 6, support: 0.5, allConfidence: 1, lift: 2 });
+    expect(kits[3].lift).toBeCloseTo(3);
+    expect(kits[3].allConfidence).toBe(0.75);
+  });
+
+  it('limits the kit size', () => {
+    expect(proposeKits(index, { maxSize: 2 })).toHaveLength(3);
+  });
+});
+
+describe('evaluateKit', () => {
+  it('counts the baskets of any combination', () => {
+    expect(evaluateKit(index, ['Bloco', 'Telha'])).toMatchObject({ baskets: 0, lift: 0 });
+    expect(evaluateKit(index, ['Bloco', 'Piso']).baskets).toBe(6);
+  });
+});
+
+describe('validateKit', () => {
+  it('requires a name, 2 to 4 distinct SKUs and a price', () => {
+    expect(validateKit({ name: 'Kit', skus: ['Bloco', 'Piso'], price: 10 })).toBeNull();
+    expect(validateKit({ name: ' ', skus: ['Bloco', 'Piso'], price: 10 })).toMatch(/nome/);
+    expect(validateKit({ name: 'Kit', skus: ['Bloco'], price: 10 })).toMatch(/de 2 a 4/);
+    expect(validateKit({ name: 'Kit', skus: ['Bloco', 'Bloco'], price: 10 })).toMatch(/repetidos/);
+    expect(validateKit({ name: 'Kit', skus: ['Bloco', 'Piso'], price: 0 })).toMatch(/preço/);
+  });
+});
+
+describe('trackKit', () => {
+  it('counts the baskets with the whole kit per month since its creation', () => {
+    const tracking = trackKit(index, { skus: ['Bloco', 'Piso'], createdAt: '2025-02-15T10:00:00.000Z' });
+    expect(tracking.months).toEqual([
+      { month: '2025-02', together: 0, withAnySku: 0, rate: 0 },
+      { month: '2025-03', together: 3, withAnySku: 5, rate: 0.6 }
+    ]);
+    expect(tracking).toMatchObject({ together: 3, withAnySku: 5, rate: 0.6 });
+  });
+});
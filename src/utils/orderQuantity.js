@@ -0,0 +1,102 @@
+// Economic order quantity (EOQ) and production batch rules per SKU:
+//   EOQ = √(2 × annual demand × setup cost / (holding rate × unit value))
+// The unit value is the average sale price of the SKU in the window (there is no cost data).
+// Batches respect a minimum size and a multiple (e.g. pieces per pallet). Overrides per SKU and
+// per acabamento may set only one of the two; the missing field comes from the default rule.
+
+const STORAGE_KEY = 'concrem-abc:order-quantity';
+
+// setupCost: R$ per production run / order; holdingCostRate: % of the unit value per year
+export const DEFAULT_ORDER_QUANTITY_CONFIG = {
+  setupCost: 150,
+  holdingCostRate: 25,
+  defaultBatch: { minBatch: 0, multiple: 1 },
+  batches: { sku: {}, acabamento: {} }
+};
+
+export const BATCH_SOURCES = {
+  sku: 'SKU',
+  acabamento: 'acabamento',
+  default: 'padrão'
+};
+
+const isValidBatch = ({ minBatch = 0, multiple = 1 }) => (
+  Number.isFinite(minBatch) && minBatch >= 0 &&
+  Number.isInteger(multiple) && multiple >= 1
+);
+
+// Returns an error message, or null when the config is usable
+export const validateOrderQuantityConfig = (config) => {
+  if (!Number.isFinite(config.setupCost) || config.setupCost < 0) return 'O custo de preparação deve ser maior ou igual a zero';
+  if (!Number.isFinite(config.holdingCostRate) || config.holdingCostRate <= 0 || config.holdingCostRate > 100) {
+    return 'A taxa de manutenção deve ficar entre 0 e 100% ao ano';
+  }
+  const batches = [config.defaultBatch, ...Object.values(config.batches.sku), ...Object.values(config.batches.acabamento)];
+  if (batches.some(batch => !isValidBatch(batch))) return 'O lote mínimo deve ser ≥ 0 e o múltiplo um inteiro ≥ 1';
+  return null;
+};
+
+export const loadOrderQuantityConfig = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      const config = {
+        setupCost: stored.setupCost ?? DEFAULT_ORDER_QUANTITY_CONFIG.setupCost,
+        holdingCostRate: stored.holdingCostRate ?? DEFAULT_ORDER_QUANTITY_CONFIG.holdingCostRate,
+        defaultBatch: { ...DEFAULT_ORDER_QUANTITY_CONFIG.defaultBatch, ...stored.defaultBatch },
+        batches: {
+          sku: { ...stored.batches?.sku },
+          acabamento: { ...stored.batches?.acabamento }
+        }
+      };
+      if (!validateOrderQuantityConfig(config)) return config;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read order quantity config:', error);
+  }
+  return DEFAULT_ORDER_QUANTITY_CONFIG;
+};
+
+export const saveOrderQuantityConfig = (config) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn('⚠️ Could not save order quantity config:', error);
+  }
+};
+
+// { minBatch, multiple, source } with source 'sku', 'acabamento' or 'default'
+export const resolveBatchRule = (sku, acabamento, config = DEFAULT_ORDER_QUANTITY_CONFIG) => {
+  const { batches, defaultBatch } = config;
+  if (batches.sku[sku]) return { ...defaultBatch, ...batches.sku[sku], source: 'sku' };
+  if (acabamento && batches.acabamento[acabamento]) return { ...defaultBatch, ...batches.acabamento[acabamento], source: 'acabamento' };
+  return { ...defaultBatch, source: 'default' };
+};
+
+// Smallest quantity ≥ `quantity` that respects the batch rule; 0 stays 0 (nothing to produce)
+export const roundToBatch = (quantity, { minBatch = 0, multiple = 1 } = {}) => {
+  if (quantity <= 0) return 0;
+  const atLeastMinimum = Math.max(quantity, minBatch);
+  return Math.ceil(atLeastMinimum / multiple - 1e-9) * multiple;
+};
+
+export const calculateEOQ = (annualDemand, setupCost, holdingCostPerUnit) => {
+  if (annualDemand <= 0 || holdingCostPerUnit <= 0) return 0;
+  return Math.sqrt((2 * annualDemand * setupCost) / holdingCostPerUnit);
+};
+
+// EOQ and batch rule of one SKU ({ sku, acabamento, mediaMensal, precoMedio });
+// `loteEconomico` is the EOQ rounded to the batch rule
+export const calculateOrderQuantity = (item, config = DEFAULT_ORDER_QUANTITY_CONFIG) => {
+  const rule = resolveBatchRule(item.sku, item.acabamento, config);
+  const holdingCostPerUnit = (config.holdingCostRate / 100) * (item.precoMedio || 0);
+  const eoq = calculateEOQ(item.mediaMensal * 12, config.setupCost, holdingCostPerUnit);
+
+  return {
+    eoq,
+    loteMinimo: rule.minBatch,
+    multiploLote: rule.multiple,
+    batchSource: rule.source,
+    loteEconomico: roundToBatch(eoq, rule)
+  };
+};
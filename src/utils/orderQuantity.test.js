@@ -0,0 +1,62 @@
+import {
+  calculateEOQ,
+  calculateOrderQuantity,
+  resolveBatchRule,
+  roundToBatch,
+  validateOrderQuantityConfig,
+  DEFAULT_ORDER_QUANTITY_CONFIG
+} from './orderQuantity';
+
+const config = {
+  ...DEFAULT_ORDER_QUANTITY_CONFIG,
+  defaultBatch: { minBatch: 50, multiple: 10 },
+  batches: { sku: { Bloco: { minBatch: 200 } }, acabamento: { Liso: { minBatch: 100, multiple: 48 } } }
+};
+
+describe('calculateEOQ', () => {
+  it('returns √(2DS/H)', () => {
+    expect(calculateEOQ(1200, 150, 1)).toBeCloseTo(600);
+    expect(calculateEOQ(0, 150, 1)).toBe(0);
+    expect(calculateEOQ(1200, 150, 0)).toBe(0);
+  });
+});
+
+describe('roundToBatch', () => {
+  it('rounds up to the minimum batch and then to the multiple', () => {
+    expect(roundToBatch(30, { minBatch: 50, multiple: 10 })).toBe(50);
+    expect(roundToBatch(51, { minBatch: 50, multiple: 10 })).toBe(60);
+    expect(roundToBatch(120, { minBatch: 100, multiple: 48 })).toBe(144);
+    expect(roundToBatch(7.2)).toBe(8);
+    expect(roundToBatch(0, { minBatch: 50, multiple: 10 })).toBe(0);
+  });
+});
+
+describe('resolveBatchRule', () => {
+  it('prefers the SKU, then the acabamento, then the default, filling missing fields from the default', () => {
+    expect(resolveBatchRule('Bloco', 'Liso', config)).toEqual({ minBatch: 200, multiple: 10, source: 'sku' });
+    expect(resolveBatchRule('Piso', 'Liso', config)).toEqual({ minBatch: 100, multiple: 48, source: 'acabamento' });
+    expect(resolveBatchRule('Piso', null, config)).toEqual({ minBatch: 50, multiple: 10, source: 'default' });
+  });
+});
+
+describe('calculateOrderQuantity', () => {
+  it('uses the annual demand and the holding cost on the average price', () => {
+    // D = 1200/ano, S = 150, H = 25% × 4 = 1 -> EOQ = 600
+    const result = calculateOrderQuantity({ sku: 'Piso', acabamento: 'Liso', mediaMensal: 100, precoMedio: 4 }, config);
+    expect(result.eoq).toBeCloseTo(600);
+    expect(result.loteEconomico).toBe(624);
+    expect(result).toMatchObject({ loteMinimo: 100, multiploLote: 48, batchSource: 'acabamento' });
+  });
+
+  it('has no economic lot without price', () => {
+    expect(calculateOrderQuantity({ sku: 'Piso', mediaMensal: 100, precoMedio: 0 }, config).loteEconomico).toBe(0);
+  });
+});
+
+describe('validateOrderQuantityConfig', () => {
+  it('accepts the default config and rejects invalid batches and rates', () => {
+    expect(validateOrderQuantityConfig(DEFAULT_ORDER_QUANTITY_CONFIG)).toBeNull();
+    expect(validateOrderQuantityConfig({ ...config, holdingCostRate: 0 })).not.toBeNull();
+    expect(validateOrderQuantityConfig({ ...config, batches: { sku: { Bloco: { multiple: 2.5 } }, acabamento: {} } })).not.toBeNull();
+  });
+});
@@ -0,0 +1,186 @@
+// Period (date range) utilities shared by every page
+// A period is kept in the URL query string so it survives navigation and can be shared:
+//   ?periodo=90d | ?periodo=ytd | ?periodo=fiscal&ano=2025 | ?periodo=custom&inicio=2025-01-01&fim=2025-03-31
+
+// First month (1-12) of the fiscal year, from REACT_APP_FISCAL_YEAR_START_MONTH (e.g. 7 for
+// July to June); January, the default, makes the fiscal year the calendar year
+export const parseFiscalYearStartMonth = (value) => {
+  const month = Number(value);
+  return Number.isInteger(month) && month >= 1 && month <= 12 ? month : 1;
+};
+
+export const FISCAL_YEAR_START_MONTH = parseFiscalYearStartMonth(process.env.REACT_APP_FISCAL_YEAR_START_MONTH);
+
+export const PERIOD_PRESETS = [
+  { value: 'all', label: 'Todo o histórico' },
+  { value: '30d', label: 'Últimos 30 dias', days: 30 },
+  { value: '90d', label: 'Últimos 90 dias', days: 90 },
+  { value: '180d', label: 'Últimos 180 dias', days: 180 },
+  { value: '365d', label: 'Últimos 365 dias', days: 365 },
+  { value: 'ytd', label: 'Ano até hoje' },
+  { value: 'fiscal', label: 'Ano fiscal' },
+  { value: 'custom', label: 'Período personalizado' }
+];
+
+// Format a Date as YYYY-MM-DD using local time
+export const toISODate = (date) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Date the "days since the last purchase" are counted to (RFM recency, churn risk and the
+// customer page) for a { from, to } period: today while the period is running (or
+// open-ended), else its last day
+export const getRecencyReferenceDate = (period = null, now = new Date()) => {
+  const today = toISODate(now);
+  return period && period.to && period.to < today ? period.to : today;
+};
+
+// Reference period used by the ABC comparison mode (?comparar=anterior | ?comparar=ano-anterior)
+export const COMPARISON_MODES = [
+  { value: 'anterior', label: 'Período anterior' },
+  { value: 'ano-anterior', label: 'Mesmo período do ano anterior' }
+];
+
+export const parseISODate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const formatBR = (isoDate) => {
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+export const MONTH_LABELS = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+
+// "2025-03" -> "mar/25"
+export const formatMonthLabel = (monthKey) => {
+  const [year, month] = monthKey.split('-');
+  return `${MONTH_LABELS[Number(month) - 1]}/${year.slice(2)}`;
+};
+
+// Month key (YYYY-MM) shifted by `count` months (negative goes back)
+export const addMonths = (monthKey, count) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const date = new Date(year, month - 1 + count, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Every YYYY-MM between two month keys (inclusive), so months without sales show up as zero
+export const getMonthRange = (firstMonth, lastMonth) => {
+  const months = [];
+  for (let month = firstMonth; month <= lastMonth; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+// Fiscal year N starts in `startMonth` of year N
+export const getFiscalYearRange = (year, startMonth = FISCAL_YEAR_START_MONTH) => {
+  const start = new Date(year, startMonth - 1, 1);
+  const end = new Date(year + 1, startMonth - 1, 0);
+  return { from: toISODate(start), to: toISODate(end) };
+};
+
+export const getCurrentFiscalYear = (now = new Date(), startMonth = FISCAL_YEAR_START_MONTH) => {
+  return now.getMonth() + 1 >= startMonth ? now.getFullYear() : now.getFullYear() - 1;
+};
+
+// Read the period selection from URLSearchParams
+export const parsePeriodParams = (searchParams) => {
+  const preset = searchParams.get('periodo') || 'all';
+  return {
+    preset: PERIOD_PRESETS.some(p => p.value === preset) ? preset : 'all',
+    from: searchParams.get('inicio') || '',
+    to: searchParams.get('fim') || '',
+    year: searchParams.get('ano') || ''
+  };
+};
+
+// Write a period selection into a copy of URLSearchParams (other params are preserved)
+export const applyPeriodParams = (searchParams, selection) => {
+  const next = new URLSearchParams(searchParams);
+  ['periodo', 'inicio', 'fim', 'ano'].forEach(key => next.delete(key));
+
+  if (selection.preset && selection.preset !== 'all') next.set('periodo', selection.preset);
+  if (selection.preset === 'custom') {
+    if (selection.from) next.set('inicio', selection.from);
+    if (selection.to) next.set('fim', selection.to);
+  }
+  if (selection.preset === 'fiscal' && selection.year) next.set('ano', selection.year);
+
+  return next;
+};
+
+// Turn a selection into a concrete { from, to, label } range (inclusive ISO dates).
+// from/to are null when the side is unbounded.
+export const resolvePeriod = (selection, now = new Date()) => {
+  const today = toISODate(now);
+  const preset = PERIOD_PRESETS.find(p => p.value === selection.preset) || PERIOD_PRESETS[0];
+
+  if (preset.days) {
+    const from = toISODate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (preset.days - 1)));
+    return { from, to: today, label: `${formatBR(from)} a ${formatBR(today)}` };
+  }
+
+  switch (preset.value) {
+    case 'ytd': {
+      const from = `${now.getFullYear()}-01-01`;
+      return { from, to: today, label: `${formatBR(from)} a ${formatBR(today)}` };
+    }
+    case 'fiscal': {
+      const year = parseInt(selection.year, 10) || getCurrentFiscalYear(now);
+      const range = getFiscalYearRange(year);
+      return { ...range, label: `Ano fiscal ${year} (${formatBR(range.from)} a ${formatBR(range.to)})` };
+    }
+    case 'custom': {
+      const from = selection.from || null;
+      const to = selection.to || null;
+      const label = from || to
+        ? `${from ? formatBR(from) : 'início'} a ${to ? formatBR(to) : 'hoje'}`
+        : 'Todo o histórico';
+      return { from, to, label };
+    }
+    default:
+      return { from: null, to: null, label: 'Todo o histórico' };
+  }
+};
+
+export const isRowInPeriod = (row, period) => {
+  if (!period.from && !period.to) return true;
+  if (!row.DTEMISSAO) return false;
+
+  const date = String(row.DTEMISSAO).slice(0, 10);
+  if (period.from && date < period.from) return false;
+  if (period.to && date > period.to) return false;
+  return true;
+};
+
+export const filterRowsByPeriod = (rows, period) => {
+  if (!rows) return rows;
+  if (!period.from && !period.to) return rows;
+  return rows.filter(row => isRowInPeriod(row, period));
+};
+
+// Period to compare against the selected one: the window of the same length right before it,
+// or the same dates one year earlier. Returns null for an unbounded selection ("Todo o histórico").
+export const getComparisonPeriod = (period, mode, now = new Date()) => {
+  if (!period.from) return null;
+
+  const from = parseISODate(period.from);
+  const to = period.to ? parseISODate(period.to) : parseISODate(toISODate(now));
+
+  let previousFrom;
+  let previousTo;
+  if (mode === 'ano-anterior') {
+    previousFrom = new Date(from.getFullYear() - 1, from.getMonth(), from.getDate());
+    previousTo = new Date(to.getFullYear() - 1, to.getMonth(), to.getDate());
+  } else {
+    const lengthInDays = Math.round((to - from) / 86400000) + 1;
+    previousTo = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+    previousFrom = new Date(previousTo.getFullYear(), previousTo.getMonth(), previousTo.getDate() - (lengthInDays - 1));
+  }
+
+  const result = { from: toISODate(previousFrom), to: toISODate(previousTo) };
+  return { ...result, label: `${formatBR(result.from)} a ${formatBR(result.to)}` };
+};
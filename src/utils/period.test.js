@@ -0,0 +1,97 @@
+import {
+  resolvePeriod,
+  filterRowsByPeriod,
+  parsePeriodParams,
+  applyPeriodParams,
+  getComparisonPeriod,
+  addMonths,
+  getMonthRange,
+  formatMonthLabel,
+  getFiscalYearRange,
+  getCurrentFiscalYear,
+  getRecencyReferenceDate,
+  parseFiscalYearStartMonth
+} from './period';
+
+const now = new Date(2025, 2, 15);
+
+describe('resolvePeriod', () => {
+  it('resolves rolling windows ending today', () => {
+    expect(resolvePeriod({ preset: '30d' }, now)).toMatchObject({ from: '2025-02-14', to: '2025-03-15' });
+    expect(resolvePeriod({ preset: 'ytd' }, now)).toMatchObject({ from: '2025-01-01', to: '2025-03-15' });
+  });
+
+  it('resolves fiscal years and open custom ranges', () => {
+    expect(resolvePeriod({ preset: 'fiscal', year: '2024' }, now)).toMatchObject({ from: '2024-01-01', to: '2024-12-31' });
+    expect(resolvePeriod({ preset: 'custom', from: '2025-01-10', to: '' }, now)).toMatchObject({ from: '2025-01-10', to: null });
+    expect(resolvePeriod({ preset: 'all' }, now)).toMatchObject({ from: null, to: null });
+  });
+});
+
+describe('fiscal year', () => {
+  it('starts in the configured month', () => {
+    expect(getFiscalYearRange(2024, 7)).toEqual({ from: '2024-07-01', to: '2025-06-30' });
+    expect(getCurrentFiscalYear(now, 7)).toBe(2024);
+    expect(getCurrentFiscalYear(new Date(2025, 6, 1), 7)).toBe(2025);
+  });
+
+  it('falls back to January on a missing or invalid month', () => {
+    expect(parseFiscalYearStartMonth('7')).toBe(7);
+    expect(parseFiscalYearStartMonth(undefined)).toBe(1);
+    expect(parseFiscalYearStartMonth('13')).toBe(1);
+  });
+});
+
+describe('filterRowsByPeriod', () => {
+  it('keeps rows inside the inclusive range', () => {
+    const rows = [
+      { DTEMISSAO: '2025-01-09' },
+      { DTEMISSAO: '2025-01-10T00:00:00' },
+      { DTEMISSAO: '2025-01-31' },
+      { DTEMISSAO: null }
+    ];
+    const result = filterRowsByPeriod(rows, { from: '2025-01-10', to: '2025-01-31' });
+    expect(result).toEqual([rows[1], rows[2]]);
+  });
+});
+
+describe('period query params', () => {
+  it('round-trips a selection and preserves unrelated params', () => {
+    const params = applyPeriodParams(new URLSearchParams('tab=1'), { preset: 'custom', from: '2025-01-01', to: '2025-02-01' });
+    expect(params.get('tab')).toBe('1');
+    expect(parsePeriodParams(params)).toEqual({ preset: 'custom', from: '2025-01-01', to: '2025-02-01', year: '' });
+  });
+});
+
+describe('getComparisonPeriod', () => {
+  it('returns the window of the same length right before the selection', () => {
+    const period = { from: '2025-03-01', to: '2025-03-31' };
+    expect(getComparisonPeriod(period, 'anterior', now)).toMatchObject({ from: '2025-01-29', to: '2025-02-28' });
+  });
+
+  it('shifts the selection one year back and closes open ranges at today', () => {
+    expect(getComparisonPeriod({ from: '2025-01-01', to: null }, 'ano-anterior', now)).toMatchObject({ from: '2024-01-01', to: '2024-03-15' });
+    expect(getComparisonPeriod({ from: null, to: null }, 'anterior', now)).toBeNull();
+  });
+});
+
+describe('month keys', () => {
+  it('shifts across year boundaries', () => {
+    expect(addMonths('2025-01', -1)).toBe('2024-12');
+    expect(addMonths('2024-11', 14)).toBe('2026-01');
+  });
+
+  it('lists every month of a range and formats labels', () => {
+    expect(getMonthRange('2024-11', '2025-02')).toEqual(['2024-11', '2024-12', '2025-01', '2025-02']);
+    expect(formatMonthLabel('2025-03')).toBe('mar/25');
+  });
+});
+
+describe('getRecencyReferenceDate', () => {
+  it('uses today while the period is running and its end for a past period', () => {
+    expect(getRecencyReferenceDate({ from: '2025-01-01', to: '2025-03-15' }, now)).toBe('2025-03-15');
+    expect(getRecencyReferenceDate({ from: null, to: null }, now)).toBe('2025-03-15');
+    expect(getRecencyReferenceDate(null, now)).toBe('2025-03-15');
+    expect(getRecencyReferenceDate({ from: '2024-01-01', to: '2024-12-31' }, now)).toBe('2024-12-31');
+  });
+});
@@ -0,0 +1,107 @@
+// History of a single SKU (DESCRICAO) across all years of the Concrem_Value rows:
+// monthly quantity / revenue / average unit price, the same months side by side per year,
+// and the customers, cities and acabamentos that buy it.
+import { calculateLineAmount, validateQuantity, validateUnitValue } from './abcAnalysis';
+import { getOrderKey, groupTotals } from './customerProfile';
+import { MONTH_LABELS, formatMonthLabel, getMonthRange } from './period';
+
+export const isProductRow = (row, descricao) => (row.DESCRICAO || 'Sem Classificação') === descricao;
+
+// Returns null when the SKU has no rows
+export const buildProductProfile = (rows, descricao) => {
+  const productRows = rows.filter(row => isProductRow(row, descricao));
+  if (!productRows.length) return null;
+
+  const months = new Map();
+  let totalValue = 0;
+  let totalQuantity = 0;
+  const orderKeys = new Set();
+
+  productRows.forEach(row => {
+    const lineAmount = calculateLineAmount(row);
+    const quantity = validateQuantity(row.QUANTIDADE);
+    totalValue += lineAmount;
+    totalQuantity += quantity;
+
+    const orderKey = getOrderKey(row);
+    if (orderKey) orderKeys.add(orderKey);
+
+    if (!row.DTEMISSAO) return;
+    const month = String(row.DTEMISSAO).slice(0, 7);
+    if (!months.has(month)) months.set(month, { quantity: 0, value: 0, pricedQuantity: 0, pricedValue: 0 });
+
+    const entry = months.get(month);
+    entry.quantity += quantity;
+    entry.value += lineAmount;
+    // Average price is weighted by quantity and only uses rows with a unit price
+    const unitValue = validateUnitValue(row.VRLUNIT);
+    if (unitValue > 0 && quantity > 0) {
+      entry.pricedQuantity += quantity;
+      entry.pricedValue += unitValue * quantity;
+    }
+  });
+
+  const monthKeys = Array.from(months.keys()).sort();
+  const monthlyHistory = monthKeys.length
+    ? getMonthRange(monthKeys[0], monthKeys[monthKeys.length - 1]).map(month => {
+      const entry = months.get(month);
+      return {
+        month,
+        label: formatMonthLabel(month),
+        quantity: entry?.quantity || 0,
+        value: entry?.value || 0,
+        averagePrice: entry && entry.pricedQuantity > 0 ? entry.pricedValue / entry.pricedQuantity : null
+      };
+    })
+    : [];
+
+  // Jan-Dec rows with one key per year, for the year-over-year chart
+  const years = Array.from(new Set(monthKeys.map(month => month.slice(0, 4)))).sort();
+  const quantityByYear = MONTH_LABELS.map((label, index) => {
+    const point = { label };
+    years.forEach(year => {
+      point[year] = months.get(`${year}-${String(index + 1).padStart(2, '0')}`)?.quantity || 0;
+    });
+    return point;
+  });
+
+  return {
+    name: descricao,
+    totalValue,
+    totalQuantity,
+    orderCount: orderKeys.size,
+    firstSale: monthlyHistory[0]?.month || null,
+    lastSale: monthlyHistory[monthlyHistory.length - 1]?.month || null,
+    monthlyHistory,
+    years,
+    quantityByYear,
+    customers: groupTotals(productRows, 'NOME', totalValue, 'totalQuantity'),
+    cities: groupTotals(productRows, 'CIDADE', totalValue, 'totalQuantity'),
+    acabamentos: groupTotals(productRows, 'ACABAMENTO', totalValue, 'totalQuantity')
+  };
+};
+
+// Monthly history with a `forecast` key for the projected months, for a dashed line:
+// `points` ([{ month, value }]) start at the last actual month so the line joins the bars.
+// Months after the history are appended.
+export const mergeProjection = (monthlyHistory, points) => {
+  const byMonth = new Map(points.map(point => [point.month, point.value]));
+  const merged = monthlyHistory.map(entry => (byMonth.has(entry.month) ? { ...entry, forecast: byMonth.get(entry.month) } : entry));
+  const lastMonth = monthlyHistory[monthlyHistory.length - 1]?.month || '';
+
+  points
+    .filter(point => point.month > lastMonth)
+    .forEach(point => merged.push({ month: point.month, label: formatMonthLabel(point.month), forecast: point.value }));
+
+  return merged;
+};
+
+// Kits (from generateKitRecommendations) that include the SKU, as partner entries
+export const getKitPartners = (kits, descricao) => {
+  return kits
+    .filter(kit => kit.products.some(product => product.sku === descricao))
+    .map(kit => ({
+      ...kit,
+      partner: kit.products.find(product => product.sku !== descricao)
+    }));
+};
@@ -0,0 +1,63 @@
+import { buildProductProfile, getKitPartners, mergeProjection } from './productProfile';
+
+const rows = [
+  { DESCRICAO: 'Bloco', NOME: 'ACME', CIDADE: 'Natal', QUANTIDADE: 10, VRLUNIT: 10, LINE_AMOUNT: 100, DTEMISSAO: '2024-01-15' },
+  { DESCRICAO: 'Bloco', NOME: 'BETA', CIDADE: 'Natal', QUANTIDADE: 30, VRLUNIT: 12, LINE_AMOUNT: 360, DTEMISSAO: '2024-03-02' },
+  { DESCRICAO: 'Bloco', NOME: 'ACME', CIDADE: 'Parnamirim', QUANTIDADE: 10, VRLUNIT: 14, LINE_AMOUNT: 140, DTEMISSAO: '2024-03-20' },
+  { DESCRICAO: 'Bloco', NOME: 'ACME', CIDADE: 'Natal', QUANTIDADE: 5, VRLUNIT: 15, LINE_AMOUNT: 75, DTEMISSAO: '2025-01-08' },
+  { DESCRICAO: 'Piso', NOME: 'ACME', CIDADE: 'Natal', QUANTIDADE: 99, VRLUNIT: 1, LINE_AMOUNT: 99, DTEMISSAO: '2024-02-01' }
+];
+
+describe('buildProductProfile', () => {
+  const profile = buildProductProfile(rows, 'Bloco');
+
+  it('builds a continuous monthly history across years', () => {
+    expect(profile.monthlyHistory).toHaveLength(13);
+    expect(profile.monthlyHistory[1]).toMatchObject({ month: '2024-02', quantity: 0, averagePrice: null });
+    // (30 × 12 + 10 × 14) / 40
+    expect(profile.monthlyHistory[2].averagePrice).toBeCloseTo(12.5);
+  });
+
+  it('lines the same months up per year', () => {
+    expect(profile.years).toEqual(['2024', '2025']);
+    expect(profile.quantityByYear[0]).toEqual({ label: 'jan', 2024: 10, 2025: 5 });
+  });
+
+  it('ranks customers by volume', () => {
+    expect(profile.customers.map(item => [item.name, item.totalQuantity])).toEqual([['BETA', 30], ['ACME', 25]]);
+    expect(profile.totalValue).toBe(675);
+  });
+
+  it('returns null for an unknown SKU', () => {
+    expect(buildProductProfile(rows, 'Telha')).toBeNull();
+  });
+});
+
+describe('getKitPartners', () => {
+  it('returns the other product of every kit with the SKU', () => {
+    const kits = [
+      { id: 'kit_1', products: [{ sku: 'Bloco' }, { sku: 'Piso' }] },
+      { id: 'kit_2', products: [{ sku: 'Telha' }, { sku: 'Piso' }] }
+    ];
+    expect(getKitPartners(kits, 'Bloco').map(kit => kit.partner.sku)).toEqual(['Piso']);
+  });
+});
+
+describe('mergeProjection', () => {
+  it('joins the projection to the last actual month and appends future months', () => {
+    const history = [
+      { month: '2025-01', label: 'jan/25', quantity: 10 },
+      { month: '2025-02', label: 'fev/25', quantity: 12 }
+    ];
+    const merged = mergeProjection(history, [
+      { month: '2025-02', value: 12 },
+      { month: '2025-03', value: 14 },
+      { month: '2025-04', value: 15 }
+    ]);
+
+    expect(merged).toHaveLength(4);
+    expect(merged[0].forecast).toBeUndefined();
+    expect(merged[1]).toMatchObject({ quantity: 12, forecast: 12 });
+    expect(merged[3]).toEqual({ month: '2025-04', label: 'abr/25', forecast: 15 });
+  });
+});
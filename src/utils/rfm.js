@@ -0,0 +1,123 @@
+// RFM segmentation of the customers (NOME) of the analysed rows:
+//   recency   -> days from the customer's last purchase (DTEMISSAO) to the reference date:
+//                today for a period that reaches today, the period end for a past period
+//                (see getRecencyReferenceDate in period.js)
+//   frequency -> distinct orders (PEDIDO, or purchase days without it)
+//   monetary  -> sum of LINE_AMOUNT
+// Each measure is scored 1-5 by quintile among the customers (5 = most recent, most
+// frequent, highest value). The segment comes from the recency score and the average of
+// the frequency and monetary scores, on the usual RFM grid.
+import { calculateLineAmount } from './abcAnalysis';
+import { getOrderKey } from './customerProfile';
+import { getRecencyReferenceDate, parseISODate } from './period';
+
+export const RFM_SEGMENTS = [
+  { key: 'campeoes', label: 'Campeões', color: '#166534', description: 'Compraram há pouco, compram sempre e gastam muito', action: 'Recompensar e pedir indicações' },
+  { key: 'fieis', label: 'Clientes fiéis', color: '#15803d', description: 'Compram com frequência e valor altos', action: 'Oferecer lançamentos e condições de volume' },
+  { key: 'potenciais', label: 'Potenciais fiéis', color: '#0d9488', description: 'Recentes, com frequência e valor médios', action: 'Ampliar o mix com cross-sell' },
+  { key: 'novos', label: 'Novos', color: '#2563eb', description: 'Compraram há pouco pela primeira vez ou quase', action: 'Acompanhar a segunda compra' },
+  { key: 'promissores', label: 'Promissores', color: '#0284c7', description: 'Recentes, mas ainda com pouca frequência e valor', action: 'Apresentar o portfólio' },
+  { key: 'atencao', label: 'Precisam de atenção', color: '#ca8a04', description: 'Medianos em recência, frequência e valor', action: 'Contato do vendedor com oferta direcionada' },
+  { key: 'quaseDormindo', label: 'Quase dormindo', color: '#ea580c', description: 'Recência em queda e pouca frequência', action: 'Reativar antes que esfriem' },
+  { key: 'emRisco', label: 'Em risco', color: '#dc2626', description: 'Compravam bem, mas não compram há algum tempo', action: 'Visita ou ligação para entender o motivo' },
+  { key: 'naoPodePerder', label: 'Não pode perder', color: '#991b1b', description: 'Estavam entre os maiores e sumiram', action: 'Prioridade máxima de recuperação' },
+  { key: 'hibernando', label: 'Hibernando', color: '#6b7280', description: 'Última compra antiga, pouca frequência e valor', action: 'Campanha de reativação de baixo custo' },
+  { key: 'perdidos', label: 'Perdidos', color: '#374151', description: 'Menor recência, frequência e valor', action: 'Só campanhas automáticas' }
+];
+
+export const RFM_SEGMENT_INFO = Object.fromEntries(RFM_SEGMENTS.map(segment => [segment.key, segment]));
+
+// Segment of the recency score (r) and the frequency/monetary score (fm), both 1-5
+export const getRFMSegment = (r, fm) => {
+  if (r >= 4) {
+    if (fm >= 4) return 'campeoes';
+    if (fm >= 2) return 'potenciais';
+    return r === 5 ? 'novos' : 'promissores';
+  }
+  if (r === 3) {
+    if (fm >= 4) return 'fieis';
+    return fm === 3 ? 'atencao' : 'quaseDormindo';
+  }
+  if (fm === 5) return 'naoPodePerder';
+  if (fm >= 3) return 'emRisco';
+  return r === 2 ? 'hibernando' : 'perdidos';
+};
+
+// Quintile score (1-5) of every value: 1 + fifths of the customers with a lower value, so
+// equal values share the score and the many single-order customers all score 1
+export const scoreQuintiles = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const below = new Map();
+  sorted.forEach((value, index) => {
+    if (!below.has(value)) below.set(value, index);
+  });
+  return values.map(value => Math.min(5, Math.floor((below.get(value) * 5) / values.length) + 1));
+};
+
+const getDay = (row) => (row.DTEMISSAO ? String(row.DTEMISSAO).slice(0, 10) : null);
+
+// { referenceDate, totalValue, customers, segments }
+//   customers -> [{ name, lastPurchase, recency, frequency, monetary, r, f, m, score, segment }]
+//                by monetary value
+//   segments  -> RFM_SEGMENTS with customerCount, totalValue and share (% of the revenue)
+// Without `referenceDate` the recency is counted up to today.
+export const buildRFMAnalysis = (rows, { referenceDate = getRecencyReferenceDate() } = {}) => {
+  const byCustomer = new Map();
+
+  rows.forEach(row => {
+    const day = getDay(row);
+    if (!row.NOME || !day) return;
+    if (!byCustomer.has(row.NOME)) byCustomer.set(row.NOME, { name: row.NOME, lastPurchase: day, orders: new Set(), monetary: 0 });
+
+    const customer = byCustomer.get(row.NOME);
+    if (day > customer.lastPurchase) customer.lastPurchase = day;
+    customer.orders.add(getOrderKey(row));
+    customer.monetary += calculateLineAmount(row);
+  });
+
+  const list = Array.from(byCustomer.values()).map(({ orders, ...customer }) => ({
+    ...customer,
+    recency: Math.max(0, Math.round((parseISODate(referenceDate) - parseISODate(customer.lastPurchase)) / 86400000)),
+    frequency: orders.size
+  }));
+
+  const rScores = scoreQuintiles(list.map(customer => -customer.recency));
+  const fScores = scoreQuintiles(list.map(customer => customer.frequency));
+  const mScores = scoreQuintiles(list.map(customer => customer.monetary));
+
+  const customers = list
+    .map((customer, index) => {
+      const r = rScores[index];
+      const f = fScores[index];
+      const m = mScores[index];
+      return { ...customer, r, f, m, score: `${r}${f}${m}`, segment: getRFMSegment(r, Math.round((f + m) / 2)) };
+    })
+    .sort((a, b) => b.monetary - a.monetary);
+
+  const totalValue = customers.reduce((sum, customer) => sum + customer.monetary, 0);
+  const segments = RFM_SEGMENTS.map(segment => {
+    const members = customers.filter(customer => customer.segment === segment.key);
+    const segmentValue = members.reduce((sum, customer) => sum + customer.monetary, 0);
+    return {
+      ...segment,
+      customerCount: members.length,
+      totalValue: segmentValue,
+      share: totalValue > 0 ? (segmentValue / totalValue) * 100 : 0
+    };
+  });
+
+  return { referenceDate, totalValue, customers, segments };
+};
+
+// Customers per segment × ABC class: { [segment]: { [class]: count } }, where
+// `classifications` maps customer name -> ABC class
+export const crossTabSegmentsABC = (customers, classifications) => {
+  const table = Object.fromEntries(RFM_SEGMENTS.map(segment => [segment.key, {}]));
+  customers.forEach(customer => {
+    const classification = classifications[customer.name];
+    if (!classification) return;
+    const row = table[customer.segment];
+    row[classification] = (row[classification] || 0) + 1;
+  });
+  return table;
+};
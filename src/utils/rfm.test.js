@@ -0,0 +1,68 @@
+import { buildRFMAnalysis, crossTabSegmentsABC, getRFMSegment, scoreQuintiles } from './rfm';
+
+const sale = (NOME, DTEMISSAO, LINE_AMOUNT, PEDIDO) => ({ NOME, DTEMISSAO, LINE_AMOUNT, PEDIDO, QUANTIDADE: 1 });
+
+const rows = [
+  sale('Alfa', '2025-06-28', 500, 1), sale('Alfa', '2025-06-28', 500, 1), sale('Alfa', '2025-05-10', 800, 2), sale('Alfa', '2025-04-02', 700, 3),
+  sale('Beta', '2025-06-30', 20, 4),
+  sale('Gama', '2025-01-15', 900, 5), sale('Gama', '2025-02-15', 900, 6), sale('Gama', '2025-03-15', 900, 7),
+  sale('Delta', '2025-02-01', 30, 8),
+  sale('Epsilon', '2025-05-20', 200, 9), sale('Epsilon', '2025-03-20', 200, 10),
+  { DTEMISSAO: '2025-06-01', LINE_AMOUNT: 99 }
+];
+
+describe('scoreQuintiles', () => {
+  it('gives 5 to the highest fifth and shares the score on ties', () => {
+    expect(scoreQuintiles([10, 20, 30, 40, 50])).toEqual([1, 2, 3, 4, 5]);
+    expect(scoreQuintiles([1, 1, 1, 1, 3])).toEqual([1, 1, 1, 1, 5]);
+  });
+});
+
+describe('getRFMSegment', () => {
+  it('maps the recency and frequency/value scores to segments', () => {
+    expect(getRFMSegment(5, 5)).toBe('campeoes');
+    expect(getRFMSegment(5, 1)).toBe('novos');
+    expect(getRFMSegment(1, 5)).toBe('naoPodePerder');
+    expect(getRFMSegment(2, 3)).toBe('emRisco');
+    expect(getRFMSegment(2, 1)).toBe('hibernando');
+    expect(getRFMSegment(1, 2)).toBe('perdidos');
+  });
+});
+
+describe('buildRFMAnalysis', () => {
+  const analysis = buildRFMAnalysis(rows, { referenceDate: '2025-06-30' });
+  const byName = Object.fromEntries(analysis.customers.map(customer => [customer.name, customer]));
+
+  it('measures recency up to the reference date, distinct orders and value', () => {
+    expect(analysis.referenceDate).toBe('2025-06-30');
+    expect(analysis.customers.map(customer => customer.name)).toEqual(['Gama', 'Alfa', 'Epsilon', 'Delta', 'Beta']);
+    expect(byName.Alfa).toMatchObject({ recency: 2, frequency: 3, monetary: 2500, r: 4, f: 4, m: 4, score: '444' });
+    expect(byName.Beta).toMatchObject({ recency: 0, frequency: 1, r: 5, f: 1, m: 1 });
+  });
+
+  it('counts the recency up to the given reference date', () => {
+    const asOfToday = buildRFMAnalysis(rows, { referenceDate: '2025-07-10' });
+    expect(asOfToday.referenceDate).toBe('2025-07-10');
+    expect(asOfToday.customers.find(customer => customer.name === 'Alfa').recency).toBe(12);
+    expect(asOfToday.customers.find(customer => customer.name === 'Beta').recency).toBe(10);
+  });
+
+  it('assigns segments and their revenue share', () => {
+    expect(byName.Alfa.segment).toBe('campeoes');
+    expect(byName.Beta.segment).toBe('novos');
+    expect(byName.Gama.segment).toBe('naoPodePerder');
+    expect(byName.Delta.segment).toBe('perdidos');
+    expect(byName.Epsilon.segment).toBe('atencao');
+    const champions = analysis.segments.find(segment => segment.key === 'campeoes');
+    expect(champions.customerCount).toBe(1);
+    expect(champions.share).toBeCloseTo((2500 / 5650) * 100);
+  });
+
+  it('crosses the segments with the ABC classes', () => {
+    const table = crossTabSegmentsABC(analysis.customers, { Alfa: 'A', Gama: 'A', Beta: 'C' });
+    expect(table.campeoes).toEqual({ A: 1 });
+    expect(table.naoPodePerder).toEqual({ A: 1 });
+    expect(table.novos).toEqual({ C: 1 });
+    expect(table.perdidos).toEqual({});
+  });
+});
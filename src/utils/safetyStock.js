@@ -0,0 +1,132 @@
+// Statistical safety stock and reorder point per SKU:
+//   safety stock  = z(service level of the ABC class) × σ(monthly demand) × √(lead time in months)
+//   reorder point = average monthly demand × lead time in months + safety stock
+// The lead time (days) of a SKU is its own override, else the override of its main
+// acabamento, else the default. Settings are persisted in localStorage like the other
+// planning settings.
+
+const STORAGE_KEY = 'concrem-abc:safety-stock';
+
+export const DAYS_PER_MONTH = 30;
+
+// serviceLevels: % of replenishment cycles without stock-out, per ABC class
+// leadTimes: lead time overrides in days, keyed by SKU (DESCRICAO) and by ACABAMENTO
+export const DEFAULT_SAFETY_STOCK_CONFIG = {
+  serviceLevels: { A: 98, B: 95, C: 90, D: 90 },
+  defaultLeadTimeDays: 30,
+  leadTimes: { sku: {}, acabamento: {} }
+};
+
+export const LEAD_TIME_SOURCES = {
+  sku: 'SKU',
+  acabamento: 'acabamento',
+  default: 'padrão'
+};
+
+// Inverse of the standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+const A = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+const B = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+const C = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+const D = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+const P_LOW = 0.02425;
+
+export const inverseNormalCDF = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  if (p < P_LOW) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5]) /
+      ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1);
+  }
+  if (p > 1 - P_LOW) return -inverseNormalCDF(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) * q /
+    (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1);
+};
+
+// z for a service level in %, e.g. 95 -> 1.645
+export const getServiceFactor = (serviceLevel) => inverseNormalCDF(serviceLevel / 100);
+
+// Returns an error message, or null when the config is usable
+export const validateSafetyStockConfig = (config) => {
+  const isBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+  if (Object.values(config.serviceLevels).some(level => !isBetween(level, 50, 99.9))) {
+    return 'O nível de serviço deve ficar entre 50% e 99,9%';
+  }
+  const leadTimes = [
+    config.defaultLeadTimeDays,
+    ...Object.values(config.leadTimes.sku),
+    ...Object.values(config.leadTimes.acabamento)
+  ];
+  if (leadTimes.some(days => !isBetween(days, 0, 365))) return 'O prazo de entrega deve ficar entre 0 e 365 dias';
+  return null;
+};
+
+export const loadSafetyStockConfig = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      const config = {
+        serviceLevels: { ...DEFAULT_SAFETY_STOCK_CONFIG.serviceLevels, ...stored.serviceLevels },
+        defaultLeadTimeDays: stored.defaultLeadTimeDays ?? DEFAULT_SAFETY_STOCK_CONFIG.defaultLeadTimeDays,
+        leadTimes: {
+          sku: { ...stored.leadTimes?.sku },
+          acabamento: { ...stored.leadTimes?.acabamento }
+        }
+      };
+      if (!validateSafetyStockConfig(config)) return config;
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not read safety stock config:', error);
+  }
+  return DEFAULT_SAFETY_STOCK_CONFIG;
+};
+
+export const saveSafetyStockConfig = (config) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn('⚠️ Could not save safety stock config:', error);
+  }
+};
+
+// { days, source } with source 'sku', 'acabamento' or 'default'
+export const resolveLeadTime = (sku, acabamento, config = DEFAULT_SAFETY_STOCK_CONFIG) => {
+  const { leadTimes } = config;
+  if (leadTimes.sku[sku] !== undefined) return { days: leadTimes.sku[sku], source: 'sku' };
+  if (acabamento && leadTimes.acabamento[acabamento] !== undefined) return { days: leadTimes.acabamento[acabamento], source: 'acabamento' };
+  return { days: config.defaultLeadTimeDays, source: 'default' };
+};
+
+// Safety stock and reorder point of one SKU ({ sku, acabamento, curva, series, mediaMensal }),
+// with the service level, demand deviation and lead time behind them
+export const calculateSafetyStock = (item, config = DEFAULT_SAFETY_STOCK_CONFIG) => {
+  const serviceLevel = config.serviceLevels[item.curva] ?? DEFAULT_SAFETY_STOCK_CONFIG.serviceLevels.C;
+  const serviceFactor = getServiceFactor(serviceLevel);
+  const leadTime = resolveLeadTime(item.sku, item.acabamento, config);
+  const leadTimeMonths = leadTime.days / DAYS_PER_MONTH;
+
+  const { series, mediaMensal } = item;
+  const variance = series.length
+    ? series.reduce((sum, value) => sum + Math.pow(value - mediaMensal, 2), 0) / series.length
+    : 0;
+  const demandStdDev = Math.sqrt(variance);
+
+  const estoqueSeguranca = Math.max(0, serviceFactor * demandStdDev * Math.sqrt(leadTimeMonths));
+  const demandaPrazo = mediaMensal * leadTimeMonths;
+
+  return {
+    serviceLevel,
+    serviceFactor,
+    demandStdDev,
+    leadTimeDays: leadTime.days,
+    leadTimeSource: leadTime.source,
+    demandaPrazo,
+    estoqueSeguranca,
+    pontoPedido: demandaPrazo + estoqueSeguranca
+  };
+};
@@ -0,0 +1,60 @@
+import {
+  calculateSafetyStock,
+  getServiceFactor,
+  resolveLeadTime,
+  validateSafetyStockConfig,
+  DEFAULT_SAFETY_STOCK_CONFIG
+} from './safetyStock';
+
+const config = {
+  ...DEFAULT_SAFETY_STOCK_CONFIG,
+  leadTimes: { sku: { Bloco: 15 }, acabamento: { Liso: 60 } }
+};
+
+describe('getServiceFactor', () => {
+  it('returns the standard normal quantile of the service level', () => {
+    expect(getServiceFactor(50)).toBeCloseTo(0);
+    expect(getServiceFactor(90)).toBeCloseTo(1.2816, 3);
+    expect(getServiceFactor(95)).toBeCloseTo(1.6449, 3);
+    expect(getServiceFactor(98)).toBeCloseTo(2.0537, 3);
+    expect(getServiceFactor(99.9)).toBeCloseTo(3.0902, 3);
+  });
+});
+
+describe('resolveLeadTime', () => {
+  it('prefers the SKU, then the acabamento, then the default', () => {
+    expect(resolveLeadTime('Bloco', 'Liso', config)).toEqual({ days: 15, source: 'sku' });
+    expect(resolveLeadTime('Piso', 'Liso', config)).toEqual({ days: 60, source: 'acabamento' });
+    expect(resolveLeadTime('Piso', 'Rústico', config)).toEqual({ days: 30, source: 'default' });
+    expect(resolveLeadTime('Piso', null, config)).toEqual({ days: 30, source: 'default' });
+  });
+});
+
+describe('calculateSafetyStock', () => {
+  it('scales the demand deviation by z and the square root of the lead time', () => {
+    // Mean 20, population deviation 10
+    const item = { sku: 'Piso', acabamento: 'Liso', curva: 'B', series: [10, 30, 10, 30], mediaMensal: 20 };
+    const result = calculateSafetyStock(item, config);
+
+    expect(result.leadTimeDays).toBe(60);
+    expect(result.demandStdDev).toBeCloseTo(10);
+    expect(result.estoqueSeguranca).toBeCloseTo(1.6449 * 10 * Math.sqrt(2), 2);
+    expect(result.demandaPrazo).toBeCloseTo(40);
+    expect(result.pontoPedido).toBeCloseTo(40 + result.estoqueSeguranca);
+  });
+
+  it('needs no safety stock for a constant demand', () => {
+    const result = calculateSafetyStock({ sku: 'Bloco', curva: 'A', series: [5, 5, 5], mediaMensal: 5 }, config);
+    expect(result.serviceLevel).toBe(98);
+    expect(result.estoqueSeguranca).toBe(0);
+    expect(result.pontoPedido).toBeCloseTo(2.5);
+  });
+});
+
+describe('validateSafetyStockConfig', () => {
+  it('rejects service levels and lead times out of range', () => {
+    expect(validateSafetyStockConfig(DEFAULT_SAFETY_STOCK_CONFIG)).toBeNull();
+    expect(validateSafetyStockConfig({ ...config, serviceLevels: { ...config.serviceLevels, A: 100 } })).not.toBeNull();
+    expect(validateSafetyStockConfig({ ...config, leadTimes: { sku: { Bloco: -1 }, acabamento: {} } })).not.toBeNull();
+  });
+});
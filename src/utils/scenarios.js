@@ -0,0 +1,113 @@
+// What-if scenarios of the inventory policy. A scenario changes the coverage months and the
+// service level per class, applies a demand growth per customer ABC class (e.g. +15% on the
+// A customers) and can leave customers out; it is evaluated by running the forecast again on
+// the changed sales rows and compared with the baseline (the saved settings).
+// Saved scenarios live in localStorage as a list of { id, name, createdAt, ...parameters }.
+import { calculateLineAmount, validateQuantity } from './abcAnalysis';
+import { validateForecastConfig } from './inventoryForecast';
+import { validateSafetyStockConfig } from './safetyStock';
+import { calculateReplenishment, getTargetStock } from './stockLevels';
+import { resolveUnitCost } from './stockValue';
+
+const STORAGE_KEY = 'concrem-abc:scenarios';
+
+export const MIN_GROWTH = -100;
+export const MAX_GROWTH = 500;
+
+// Scenario parameters starting from the current settings (no growth, every customer)
+export const createScenario = (forecastConfig, safetyStockConfig, name = '') => ({
+  name,
+  coberturaConfig: { ...forecastConfig.coberturaConfig },
+  serviceLevels: { ...safetyStockConfig.serviceLevels },
+  growth: Object.fromEntries(Object.keys(safetyStockConfig.serviceLevels).map(classification => [classification, 0])),
+  excludedCustomers: []
+});
+
+// The forecast and safety stock configs of a scenario, on top of the saved ones
+export const getScenarioConfigs = (scenario, forecastConfig, safetyStockConfig) => ({
+  forecastConfig: { ...forecastConfig, coberturaConfig: { ...forecastConfig.coberturaConfig, ...scenario.coberturaConfig } },
+  safetyStockConfig: { ...safetyStockConfig, serviceLevels: { ...safetyStockConfig.serviceLevels, ...scenario.serviceLevels } }
+});
+
+// Returns an error message, or null when the scenario can be simulated
+export const validateScenario = (scenario, forecastConfig, safetyStockConfig) => {
+  const configs = getScenarioConfigs(scenario, forecastConfig, safetyStockConfig);
+  const configError = validateForecastConfig(configs.forecastConfig) || validateSafetyStockConfig(configs.safetyStockConfig);
+  if (configError) return configError;
+  if (Object.values(scenario.growth).some(growth => !Number.isFinite(growth) || growth < MIN_GROWTH || growth > MAX_GROWTH)) {
+    return `O crescimento deve ficar entre ${MIN_GROWTH}% e +${MAX_GROWTH}%`;
+  }
+  return null;
+};
+
+export const loadScenarios = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) return stored.filter(scenario => scenario && scenario.id && scenario.name);
+  } catch (error) {
+    console.warn('⚠️ Could not read saved scenarios:', error);
+  }
+  return [];
+};
+
+export const saveScenarios = (scenarios) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (error) {
+    console.warn('⚠️ Could not save scenarios:', error);
+  }
+};
+
+// Sales rows of the scenario: excluded customers (NOME) removed and QUANTIDADE / LINE_AMOUNT
+// scaled by the growth of the customer's class (`customerClasses`: { nome: class }).
+// Returns the same array when the scenario does not change the rows.
+export const applyScenarioToRows = (rows, scenario, customerClasses = {}) => {
+  const excluded = new Set(scenario.excludedCustomers);
+  const hasGrowth = Object.values(scenario.growth).some(growth => growth !== 0);
+  if (!excluded.size && !hasGrowth) return rows;
+
+  return rows
+    .filter(row => !excluded.has(row.NOME))
+    .map(row => {
+      const growth = scenario.growth[customerClasses[row.NOME]] || 0;
+      if (!growth) return row;
+      const factor = 1 + growth / 100;
+      return {
+        ...row,
+        QUANTIDADE: validateQuantity(row.QUANTIDADE) * factor,
+        LINE_AMOUNT: calculateLineAmount(row) * factor
+      };
+    });
+};
+
+// Totals compared between scenarios:
+//   recommendedUnits -> sum of the target stock (larger of recommendation and reorder point)
+//   safetyStockUnits -> sum of the safety stock
+//   stockValue       -> target stock valued at the unit cost of utils/stockValue.js resolveUnitCost:
+//                       the cost table when it lists the SKU, else the average VRLUNIT (`unitValues`)
+//   atRisk           -> SKUs at or below the reorder point with the loaded stock (null without stock)
+export const summarizeScenario = (items, { costTable = null, unitValues = new Map(), stock = null } = {}) => {
+  let recommendedUnits = 0;
+  let safetyStockUnits = 0;
+  let stockValue = 0;
+  let atRisk = 0;
+
+  items.forEach(item => {
+    const target = getTargetStock(item);
+    recommendedUnits += target;
+    safetyStockUnits += item.estoqueSeguranca;
+    stockValue += target * resolveUnitCost(item.sku, costTable, unitValues).custoUnitario;
+    if (stock) {
+      const { stockStatus } = calculateReplenishment(item, stock.levels[item.sku]);
+      if (stockStatus === 'ruptura' || stockStatus === 'repor') atRisk++;
+    }
+  });
+
+  return {
+    skus: items.length,
+    recommendedUnits,
+    safetyStockUnits,
+    stockValue,
+    atRisk: stock ? atRisk : null
+  };
+};
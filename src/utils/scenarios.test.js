@@ -0,0 +1,64 @@
+import { applyScenarioToRows, createScenario, summarizeScenario, validateScenario } from './scenarios';
+import { DEFAULT_FORECAST_CONFIG } from './inventoryForecast';
+import { DEFAULT_SAFETY_STOCK_CONFIG } from './safetyStock';
+
+const rows = [
+  { NOME: 'Construtora', DESCRICAO: 'Bloco', QUANTIDADE: '100', VRLUNIT: '2', LINE_AMOUNT: 200 },
+  { NOME: 'Loja', DESCRICAO: 'Bloco', QUANTIDADE: '50', VRLUNIT: '3', LINE_AMOUNT: 150 },
+  { NOME: 'Obra', DESCRICAO: 'Piso', QUANTIDADE: '10', VRLUNIT: '5', LINE_AMOUNT: 50 }
+];
+
+const baseScenario = createScenario(DEFAULT_FORECAST_CONFIG, DEFAULT_SAFETY_STOCK_CONFIG);
+
+describe('applyScenarioToRows', () => {
+  it('keeps the rows when nothing changes', () => {
+    expect(applyScenarioToRows(rows, baseScenario)).toBe(rows);
+  });
+
+  it('scales the rows of the customer class and drops excluded customers', () => {
+    const scenario = { ...baseScenario, growth: { ...baseScenario.growth, A: 15 }, excludedCustomers: ['Obra'] };
+    const result = applyScenarioToRows(rows, scenario, { Construtora: 'A', Loja: 'B', Obra: 'C' });
+    expect(result).toHaveLength(2);
+    expect(result[0].QUANTIDADE).toBeCloseTo(115);
+    expect(result[0].LINE_AMOUNT).toBeCloseTo(230);
+    expect(result[1]).toBe(rows[1]);
+  });
+});
+
+describe('summarizeScenario', () => {
+  const items = [
+    { sku: 'Bloco', recomendacaoEstoque: 100, pontoPedido: 120, estoqueSeguranca: 20, mediaMensal: 50, projection: null },
+    { sku: 'Piso', recomendacaoEstoque: 30, pontoPedido: 10, estoqueSeguranca: 5, mediaMensal: 10, projection: null }
+  ];
+
+  it('values the target stock and counts SKUs at risk with stock', () => {
+    const summary = summarizeScenario(items, {
+      unitValues: new Map([['Bloco', 2], ['Piso', 5]]),
+      stock: { levels: { Bloco: 50, Piso: 40 } }
+    });
+    expect(summary.recommendedUnits).toBe(150);
+    expect(summary.safetyStockUnits).toBe(25);
+    expect(summary.stockValue).toBe(390);
+    expect(summary.atRisk).toBe(1);
+  });
+
+  it('prefers the cost table over the average VRLUNIT', () => {
+    const summary = summarizeScenario(items, {
+      costTable: { costs: { Bloco: 1.5 } },
+      unitValues: new Map([['Bloco', 2], ['Piso', 5]])
+    });
+    expect(summary.stockValue).toBe(120 * 1.5 + 30 * 5);
+  });
+
+  it('has no risk count without stock', () => {
+    expect(summarizeScenario(items).atRisk).toBeNull();
+  });
+});
+
+describe('validateScenario', () => {
+  it('rejects out of range growth and coverage', () => {
+    expect(validateScenario(baseScenario, DEFAULT_FORECAST_CONFIG, DEFAULT_SAFETY_STOCK_CONFIG)).toBeNull();
+    expect(validateScenario({ ...baseScenario, growth: { A: -150 } }, DEFAULT_FORECAST_CONFIG, DEFAULT_SAFETY_STOCK_CONFIG)).not.toBeNull();
+    expect(validateScenario({ ...baseScenario, coberturaConfig: { A: 40 } }, DEFAULT_FORECAST_CONFIG, DEFAULT_SAFETY_STOCK_CONFIG)).not.toBeNull();
+  });
+});
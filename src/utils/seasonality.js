@@ -0,0 +1,159 @@
+// Monthly seasonal indices (jan..dez) from multi-year history, per SKU and aggregated per
+// acabamento and per ABC class. The series is split into consecutive 12-month years ending
+// at the last month; each month is divided by the mean of its year and the ratios of the
+// same calendar month are averaged, then normalised so the 12 indices average 1.
+// Index 1.5 = that month sells 50% above an average month. Years without sales are skipped,
+// and at least two years are needed.
+import { validateQuantity } from './abcAnalysis';
+import { getMainAcabamentos, getSeriesMonths } from './inventoryData';
+import { addMonths } from './period';
+
+export const SEASONALITY_HISTORY_MONTHS = 36;
+export const MIN_SEASONAL_YEARS = 2;
+
+// A SKU is seasonal when its peak month reaches PEAK_INDEX; the peak is "approaching" when
+// it falls within the next PEAK_LOOKAHEAD_MONTHS after the last month of the series
+export const PEAK_INDEX = 1.3;
+export const PEAK_LOOKAHEAD_MONTHS = 3;
+
+const monthOfYear = (monthKey) => Number(monthKey.slice(5, 7)) - 1;
+
+// { indices, peakMonth, peakIndex, troughMonth, troughIndex, amplitude, years, isSeasonal }
+// for a monthly series whose last month is `lastMonth` (YYYY-MM); null without enough history
+export const calculateSeasonalIndices = (series, lastMonth) => {
+  const ratios = Array.from({ length: 12 }, () => []);
+  let years = 0;
+
+  for (let end = series.length; end - 12 >= 0; end -= 12) {
+    const year = series.slice(end - 12, end);
+    const yearMean = year.reduce((sum, value) => sum + value, 0) / 12;
+    if (yearMean <= 0) continue;
+
+    years++;
+    year.forEach((value, index) => {
+      const month = monthOfYear(addMonths(lastMonth, index - 11 - (series.length - end)));
+      ratios[month].push(value / yearMean);
+    });
+  }
+  if (years < MIN_SEASONAL_YEARS) return null;
+
+  const raw = ratios.map(values => values.reduce((sum, value) => sum + value, 0) / values.length);
+  const rawMean = raw.reduce((sum, value) => sum + value, 0) / 12;
+  const indices = raw.map(value => value / rawMean);
+
+  const peakMonth = indices.indexOf(Math.max(...indices));
+  const troughMonth = indices.indexOf(Math.min(...indices));
+  return {
+    indices,
+    peakMonth,
+    peakIndex: indices[peakMonth],
+    troughMonth,
+    troughIndex: indices[troughMonth],
+    amplitude: indices[peakMonth] - indices[troughMonth],
+    years,
+    isSeasonal: indices[peakMonth] >= PEAK_INDEX
+  };
+};
+
+// First month at or above PEAK_INDEX in the `lookahead` months after `lastMonth`:
+// { month (YYYY-MM), monthsAhead, index }, or null
+export const getUpcomingPeak = (profile, lastMonth, lookahead = PEAK_LOOKAHEAD_MONTHS) => {
+  if (!profile || !profile.isSeasonal) return null;
+  for (let monthsAhead = 1; monthsAhead <= lookahead; monthsAhead++) {
+    const month = addMonths(lastMonth, monthsAhead);
+    const index = profile.indices[monthOfYear(month)];
+    if (index >= PEAK_INDEX) return { month, monthsAhead, index };
+  }
+  return null;
+};
+
+const sumSeries = (seriesList, length) => seriesList.reduce(
+  (total, series) => total.map((value, index) => value + series[index]),
+  new Array(length).fill(0)
+);
+
+// Groups (acabamento or class) get the indices of the summed series of their SKUs,
+// so the SKUs weigh by volume
+const buildGroups = (skus, getKey, lastMonth, length) => {
+  const groups = new Map();
+  skus.forEach(item => {
+    const key = getKey(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  return Array.from(groups.entries()).map(([name, members]) => {
+    const series = sumSeries(members.map(item => item.series), length);
+    const profile = calculateSeasonalIndices(series, lastMonth);
+    return {
+      name,
+      skuCount: members.length,
+      total: series.reduce((sum, value) => sum + value, 0),
+      profile,
+      upcomingPeak: getUpcomingPeak(profile, lastMonth)
+    };
+  }).sort((a, b) => b.total - a.total);
+};
+
+// Seasonal profiles of the last `historyMonths` months of `rawData`, optionally cut at
+// `endMonth` (YYYY-MM). `classifications` ({ sku: curva }) enables the per-class profiles.
+// { months, lastMonth, skus, acabamentos, classes }; every entry carries `profile`
+// (calculateSeasonalIndices, null without two years of sales) and `upcomingPeak`.
+export const buildSeasonalityProfiles = (rawData, {
+  historyMonths = SEASONALITY_HISTORY_MONTHS,
+  endMonth = null,
+  classifications = {}
+} = {}) => {
+  const rows = endMonth
+    ? rawData.filter(row => row.DTEMISSAO && String(row.DTEMISSAO).slice(0, 7) <= endMonth)
+    : rawData;
+  const months = getSeriesMonths(rows, historyMonths);
+  if (!months.length) return { months, lastMonth: null, skus: [], acabamentos: [], classes: [] };
+
+  const lastMonth = months[months.length - 1];
+  const monthIndex = new Map(months.map((month, index) => [month, index]));
+  const seriesBySku = new Map();
+  const acabamentoTotals = new Map();
+
+  rows.forEach(row => {
+    const index = row.DTEMISSAO ? monthIndex.get(String(row.DTEMISSAO).slice(0, 7)) : undefined;
+    if (index === undefined) return;
+
+    const sku = row.DESCRICAO;
+    const quantity = validateQuantity(row.QUANTIDADE);
+    if (!seriesBySku.has(sku)) seriesBySku.set(sku, new Array(months.length).fill(0));
+    seriesBySku.get(sku)[index] += quantity;
+
+    if (row.ACABAMENTO) {
+      if (!acabamentoTotals.has(sku)) acabamentoTotals.set(sku, new Map());
+      const totals = acabamentoTotals.get(sku);
+      totals.set(row.ACABAMENTO, (totals.get(row.ACABAMENTO) || 0) + quantity);
+    }
+  });
+  const mainAcabamentos = getMainAcabamentos(acabamentoTotals);
+
+  const skus = Array.from(seriesBySku.entries())
+    .map(([sku, series]) => {
+      const profile = calculateSeasonalIndices(series, lastMonth);
+      return {
+        sku,
+        acabamento: mainAcabamentos.get(sku) || null,
+        curva: classifications[sku] || null,
+        series,
+        total: series.reduce((sum, value) => sum + value, 0),
+        profile,
+        upcomingPeak: getUpcomingPeak(profile, lastMonth)
+      };
+    })
+    .filter(item => item.total > 0)
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    months,
+    lastMonth,
+    skus,
+    acabamentos: buildGroups(skus, item => item.acabamento, lastMonth, months.length),
+    classes: buildGroups(skus, item => item.curva, lastMonth, months.length).sort((a, b) => a.name.localeCompare(b.name))
+  };
+};
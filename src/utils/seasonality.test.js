@@ -0,0 +1,64 @@
+import { buildSeasonalityProfiles, calculateSeasonalIndices, getUpcomingPeak } from './seasonality';
+
+// Two years ending in dez/2024 selling 20 in dezembro and 10 in the other months
+const seasonalSeries = Array.from({ length: 24 }, (_, index) => (index % 12 === 11 ? 20 : 10));
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('calculateSeasonalIndices', () => {
+  it('divides each month by the mean of its year and averages the years', () => {
+    const profile = calculateSeasonalIndices(seasonalSeries, '2024-12');
+    expect(profile.years).toBe(2);
+    expect(profile.peakMonth).toBe(11);
+    expect(profile.peakIndex).toBeCloseTo(20 / (130 / 12));
+    expect(profile.indices[0]).toBeCloseTo(10 / (130 / 12));
+    expect(profile.indices.reduce((sum, value) => sum + value, 0)).toBeCloseTo(12);
+    expect(profile.isSeasonal).toBe(true);
+  });
+
+  it('maps the months from the last month of the series', () => {
+    // Same series ending in jun/2024: the peak falls in junho
+    expect(calculateSeasonalIndices(seasonalSeries, '2024-06').peakMonth).toBe(5);
+  });
+
+  it('needs two years with sales', () => {
+    expect(calculateSeasonalIndices(seasonalSeries.slice(0, 18), '2024-12')).toBeNull();
+    expect(calculateSeasonalIndices([...new Array(12).fill(0), ...seasonalSeries.slice(0, 12)], '2024-12')).toBeNull();
+  });
+});
+
+describe('getUpcomingPeak', () => {
+  it('finds the peak month within the lookahead', () => {
+    const profile = calculateSeasonalIndices(seasonalSeries, '2024-12');
+    expect(getUpcomingPeak(profile, '2024-10')).toMatchObject({ month: '2024-12', monthsAhead: 2 });
+    expect(getUpcomingPeak(profile, '2024-06')).toBeNull();
+    expect(getUpcomingPeak(null, '2024-10')).toBeNull();
+  });
+});
+
+describe('buildSeasonalityProfiles', () => {
+  it('aggregates per acabamento and class', () => {
+    const rows = [];
+    ['2023', '2024'].forEach(year => {
+      for (let month = 1; month <= 12; month++) {
+        const date = `${year}-${String(month).padStart(2, '0')}-10`;
+        rows.push({ DESCRICAO: 'Bloco', ACABAMENTO: 'Liso', QUANTIDADE: month === 12 ? '20' : '10', DTEMISSAO: date });
+        rows.push({ DESCRICAO: 'Piso', ACABAMENTO: 'Liso', QUANTIDADE: '10', DTEMISSAO: date });
+      }
+    });
+    const result = buildSeasonalityProfiles(rows, { classifications: { Bloco: 'A', Piso: 'B' } });
+
+    expect(result.lastMonth).toBe('2024-12');
+    expect(result.skus.find(item => item.sku === 'Piso').profile.isSeasonal).toBe(false);
+    expect(result.acabamentos).toHaveLength(1);
+    expect(result.acabamentos[0]).toMatchObject({ name: 'Liso', skuCount: 2 });
+    expect(result.acabamentos[0].profile.peakMonth).toBe(11);
+    expect(result.classes.map(group => group.name)).toEqual(['A', 'B']);
+  });
+});
@@ -0,0 +1,181 @@
+// Current stock per SKU (DESCRICAO) and the production suggestions built on it.
+// Stock comes from a CSV upload or from the Concrem_Estoque table and is kept in
+// localStorage as a snapshot: { source: 'csv' | 'supabase', fileName, loadedAt, levels: { sku: quantity } }.
+// Per SKU (with the items of buildInventoryForecast):
+//   coberturaDias     -> days the stock lasts at the projected demand (the average without projection)
+//   faltaRecomendacao -> units missing to reach the recommended stock
+//   faltaPontoPedido  -> units missing to reach the reorder point
+//   sugestaoProducao  -> at or below the reorder point, units to bring the stock back to
+//                        the larger of the recommendation and the reorder point, at least
+//                        the economic lot and rounded to the batch rule (minimum, multiple)
+import { DAYS_PER_MONTH } from './safetyStock';
+import { roundToBatch } from './orderQuantity';
+
+const STORAGE_KEY = 'concrem-abc:current-stock';
+
+export const STOCK_STATUS = {
+  ruptura: { label: 'Ruptura', color: '#EF4444', description: 'Sem estoque e com demanda' },
+  repor: { label: 'Repor', color: '#F59E0B', description: 'No ponto de pedido ou abaixo' },
+  abaixo: { label: 'Abaixo da recomendação', color: '#3B82F6', description: 'Acima do ponto de pedido, abaixo do estoque recomendado' },
+  ok: { label: 'OK', color: '#10B981', description: 'No estoque recomendado ou acima' },
+  semEstoque: { label: 'Sem informação', color: '#9CA3AF', description: 'SKU fora do arquivo de estoque' }
+};
+
+export const SKU_HEADERS = ['sku', 'descricao', 'produto'];
+const QUANTITY_HEADERS = ['quantidade', 'estoque', 'saldo', 'qtd'];
+
+// "1.234,5", "1234,5", "1,234.5" and "1.234" (thousands) as numbers; NaN when unreadable
+export const parseStockQuantity = (value) => {
+  let text = String(value ?? '').trim().replace(/\s/g, '');
+  if (!text) return NaN;
+
+  if (text.includes('.') && text.includes(',')) {
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (text.includes(',')) {
+    text = text.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+};
+
+// One CSV line split on `delimiter`, with "quoted" fields and "" escapes
+export const splitCSVLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+};
+
+export const normalizeHeader = (value) => value.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// { levels, skipped, error }: the header needs a SKU column (SKU, DESCRICAO or PRODUTO) and a
+// quantity column (QUANTIDADE, ESTOQUE, SALDO or QTD); ';' or ',' separated. Repeated SKUs are summed.
+export const parseStockCSV = (text) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return { levels: {}, skipped: 0, error: 'Arquivo vazio' };
+
+  const delimiter = lines[0].includes(';') ? ';' : ',';
+  const header = splitCSVLine(lines[0], delimiter).map(normalizeHeader);
+  const skuColumn = header.findIndex(name => SKU_HEADERS.includes(name));
+  const quantityColumn = header.findIndex(name => QUANTITY_HEADERS.includes(name));
+  if (skuColumn === -1 || quantityColumn === -1) {
+    return { levels: {}, skipped: 0, error: 'O cabeçalho precisa das colunas SKU (ou DESCRICAO) e QUANTIDADE (ou ESTOQUE)' };
+  }
+
+  const levels = {};
+  let skipped = 0;
+  lines.slice(1).forEach(line => {
+    const fields = splitCSVLine(line, delimiter);
+    const sku = fields[skuColumn];
+    const quantity = parseStockQuantity(fields[quantityColumn]);
+    if (!sku || Number.isNaN(quantity)) {
+      skipped++;
+      return;
+    }
+    levels[sku] = (levels[sku] || 0) + quantity;
+  });
+
+  if (!Object.keys(levels).length) return { levels, skipped, error: 'Nenhuma linha de estoque válida' };
+  return { levels, skipped, error: null };
+};
+
+// Concrem_Estoque rows ({ DESCRICAO, QUANTIDADE }) as stock levels
+export const stockLevelsFromRows = (rows) => rows.reduce((levels, row) => {
+  const quantity = parseStockQuantity(row.QUANTIDADE);
+  if (row.DESCRICAO && !Number.isNaN(quantity)) levels[row.DESCRICAO] = (levels[row.DESCRICAO] || 0) + quantity;
+  return levels;
+}, {});
+
+export const loadStockSnapshot = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.levels) return stored;
+  } catch (error) {
+    console.warn('⚠️ Could not read current stock:', error);
+  }
+  return null;
+};
+
+export const saveStockSnapshot = (snapshot) => {
+  try {
+    if (snapshot) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('⚠️ Could not save current stock:', error);
+  }
+};
+
+// Monthly demand used for the coverage: mean of the projected months, else the average
+const getMonthlyDemand = (item) => (
+  item.projection?.values.length
+    ? item.projection.values.reduce((sum, value) => sum + value, 0) / item.projection.values.length
+    : item.mediaMensal
+);
+
+// Stock level production brings a SKU back to: the larger of the recommendation and the reorder point
+export const getTargetStock = (item) => Math.max(item.recomendacaoEstoque, item.pontoPedido);
+
+// Stock position of one forecast item; `onHand` undefined when the SKU is not in the stock file
+export const calculateReplenishment = (item, onHand) => {
+  if (onHand === undefined) {
+    return { estoqueAtual: null, coberturaDias: null, faltaRecomendacao: 0, faltaPontoPedido: 0, sugestaoProducao: 0, stockStatus: 'semEstoque' };
+  }
+
+  const monthlyDemand = getMonthlyDemand(item);
+  const available = Math.max(0, onHand);
+  const coberturaDias = monthlyDemand > 0 ? (available / monthlyDemand) * DAYS_PER_MONTH : Infinity;
+  const target = getTargetStock(item);
+
+  let stockStatus = 'ok';
+  if (available <= 0 && monthlyDemand > 0) stockStatus = 'ruptura';
+  else if (available <= item.pontoPedido && item.pontoPedido > 0) stockStatus = 'repor';
+  else if (available < item.recomendacaoEstoque) stockStatus = 'abaixo';
+
+  return {
+    estoqueAtual: onHand,
+    coberturaDias,
+    faltaRecomendacao: Math.max(0, item.recomendacaoEstoque - available),
+    faltaPontoPedido: Math.max(0, item.pontoPedido - available),
+    sugestaoProducao: stockStatus === 'ruptura' || stockStatus === 'repor'
+      ? roundToBatch(Math.max(Math.ceil(target - available), item.loteEconomico || 0), { minBatch: item.loteMinimo, multiple: item.multiploLote })
+      : 0,
+    stockStatus
+  };
+};
+
+// Forecast items with their stock position (null snapshot: items unchanged)
+export const applyStockLevels = (items, snapshot) => {
+  if (!snapshot) return items;
+  return items.map(item => ({ ...item, ...calculateReplenishment(item, snapshot.levels[item.sku]) }));
+};
+
+// Items to produce, most urgent first (shortest coverage, then the largest suggestion)
+export const buildProductionPlan = (items) => items
+  .filter(item => item.sugestaoProducao > 0)
+  .sort((a, b) => a.coberturaDias - b.coberturaDias || b.sugestaoProducao - a.sugestaoProducao);
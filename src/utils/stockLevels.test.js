@@ -0,0 +1,80 @@
+import {
+  applyStockLevels,
+  buildProductionPlan,
+  calculateReplenishment,
+  parseStockCSV,
+  parseStockQuantity
+} from './stockLevels';
+
+const item = (overrides) => ({
+  sku: 'Bloco',
+  mediaMensal: 30,
+  projection: null,
+  recomendacaoEstoque: 60,
+  pontoPedido: 40,
+  ...overrides
+});
+
+describe('parseStockQuantity', () => {
+  it('reads Brazilian and international number formats', () => {
+    expect(parseStockQuantity('1.234,5')).toBe(1234.5);
+    expect(parseStockQuantity('1,234.5')).toBe(1234.5);
+    expect(parseStockQuantity('12,5')).toBe(12.5);
+    expect(parseStockQuantity('1.234')).toBe(1234);
+    expect(parseStockQuantity('-3')).toBe(-3);
+    expect(parseStockQuantity('abc')).toBeNaN();
+  });
+});
+
+describe('parseStockCSV', () => {
+  it('finds the SKU and quantity columns and sums repeated SKUs', () => {
+    const csv = '\uFEFFCodigo;Descrição;Estoque\n1;"Bloco; estrutural";10\n2;Piso;1.200\n3;Piso;5\n4;Meio-fio;\n';
+    const { levels, skipped, error } = parseStockCSV(csv);
+    expect(error).toBeNull();
+    expect(levels).toEqual({ 'Bloco; estrutural': 10, Piso: 1205 });
+    expect(skipped).toBe(1);
+  });
+
+  it('rejects files without the expected header', () => {
+    expect(parseStockCSV('a,b\n1,2').error).not.toBeNull();
+    expect(parseStockCSV('').error).not.toBeNull();
+  });
+});
+
+describe('calculateReplenishment', () => {
+  it('suggests producing up to the recommendation at the reorder point', () => {
+    const position = calculateReplenishment(item(), 30);
+    expect(position.coberturaDias).toBeCloseTo(30);
+    expect(position.stockStatus).toBe('repor');
+    expect(position.faltaPontoPedido).toBe(10);
+    expect(position.sugestaoProducao).toBe(30);
+  });
+
+  it('uses the projected demand for the coverage', () => {
+    const position = calculateReplenishment(item({ projection: { values: [60, 60] } }), 50);
+    expect(position.coberturaDias).toBeCloseTo(25);
+    expect(position.stockStatus).toBe('abaixo');
+    expect(position.sugestaoProducao).toBe(0);
+  });
+
+  it('flags stock-outs and SKUs missing from the stock file', () => {
+    expect(calculateReplenishment(item(), -5).stockStatus).toBe('ruptura');
+    expect(calculateReplenishment(item(), -5).sugestaoProducao).toBe(60);
+    expect(calculateReplenishment(item(), undefined).stockStatus).toBe('semEstoque');
+  });
+
+  it('produces at least the economic lot, in whole batches', () => {
+    // Missing 30, economic lot 45 -> 45 rounded up to the multiple of 24
+    expect(calculateReplenishment(item({ loteEconomico: 45, loteMinimo: 0, multiploLote: 24 }), 30).sugestaoProducao).toBe(48);
+    // Missing 30, minimum batch 100
+    expect(calculateReplenishment(item({ loteEconomico: 0, loteMinimo: 100, multiploLote: 1 }), 30).sugestaoProducao).toBe(100);
+  });
+});
+
+describe('buildProductionPlan', () => {
+  it('lists the SKUs to produce, shortest coverage first', () => {
+    const items = [item({ sku: 'A' }), item({ sku: 'B' }), item({ sku: 'C' })];
+    const plan = buildProductionPlan(applyStockLevels(items, { levels: { A: 35, B: 0, C: 100 } }));
+    expect(plan.map(entry => entry.sku)).toEqual(['B', 'A']);
+  });
+});
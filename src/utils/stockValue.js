@@ -0,0 +1,156 @@
+// Monetary value of the stock recommendations (working capital). The unit value of a SKU
+// comes from an uploaded cost table when it lists the SKU, else from its average VRLUNIT in
+// the period. Per SKU (with the items of buildInventoryForecast and applyStockLevels):
+//   valorRecomendado -> target stock (larger of recommendation and reorder point) × unit value
+//   valorAtual       -> current stock × unit value (null when the SKU has no stock information)
+//   variacaoValor    -> valorRecomendado - valorAtual: capital still to invest (negative = excess)
+// The cost table is kept in localStorage: { fileName, loadedAt, costs: { sku: cost } }.
+import { validateQuantity, validateUnitValue } from './abcAnalysis';
+import { getTargetStock, normalizeHeader, parseStockQuantity, splitCSVLine, SKU_HEADERS } from './stockLevels';
+
+const STORAGE_KEY = 'concrem-abc:unit-costs';
+
+const COST_HEADERS = ['custo', 'custo_unitario', 'custo unitario', 'valor', 'preco', 'vrlunit'];
+
+export const COST_SOURCES = {
+  table: 'tabela de custos',
+  vrlunit: 'VRLUNIT médio',
+  none: 'sem valor'
+};
+
+// Average VRLUNIT per SKU (DESCRICAO), weighted by quantity
+export const getUnitValues = (rows) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const quantity = validateQuantity(row.QUANTIDADE);
+    const unitValue = validateUnitValue(row.VRLUNIT);
+    if (quantity <= 0 || unitValue <= 0) return;
+    const total = totals.get(row.DESCRICAO) || { value: 0, quantity: 0 };
+    total.value += unitValue * quantity;
+    total.quantity += quantity;
+    totals.set(row.DESCRICAO, total);
+  });
+  return new Map(Array.from(totals.entries()).map(([sku, total]) => [sku, total.value / total.quantity]));
+};
+
+// { costs, skipped, error }: the header needs a SKU column (SKU, DESCRICAO or PRODUTO) and a
+// cost column (CUSTO, CUSTO_UNITARIO, VALOR, PRECO or VRLUNIT); ';' or ',' separated.
+// A repeated SKU keeps its last cost.
+export const parseCostCSV = (text) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return { costs: {}, skipped: 0, error: 'Arquivo vazio' };
+
+  const delimiter = lines[0].includes(';') ? ';' : ',';
+  const header = splitCSVLine(lines[0], delimiter).map(normalizeHeader);
+  const skuColumn = header.findIndex(name => SKU_HEADERS.includes(name));
+  const costColumn = header.findIndex(name => COST_HEADERS.includes(name));
+  if (skuColumn === -1 || costColumn === -1) {
+    return { costs: {}, skipped: 0, error: 'O cabeçalho precisa das colunas SKU (ou DESCRICAO) e CUSTO (ou VALOR)' };
+  }
+
+  const costs = {};
+  let skipped = 0;
+  lines.slice(1).forEach(line => {
+    const fields = splitCSVLine(line, delimiter);
+    const sku = fields[skuColumn];
+    const cost = parseStockQuantity(String(fields[costColumn] ?? '').replace(/^R\$/i, ''));
+    if (!sku || Number.isNaN(cost) || cost < 0) {
+      skipped++;
+      return;
+    }
+    costs[sku] = cost;
+  });
+
+  if (!Object.keys(costs).length) return { costs, skipped, error: 'Nenhuma linha de custo válida' };
+  return { costs, skipped, error: null };
+};
+
+export const loadCostTable = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.costs) return stored;
+  } catch (error) {
+    console.warn('⚠️ Could not read cost table:', error);
+  }
+  return null;
+};
+
+export const saveCostTable = (table) => {
+  try {
+    if (table) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(table));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('⚠️ Could not save cost table:', error);
+  }
+};
+
+// { custoUnitario, costSource } with costSource 'table', 'vrlunit' or 'none'
+export const resolveUnitCost = (sku, costTable, unitValues) => {
+  if (costTable && costTable.costs[sku] !== undefined) return { custoUnitario: costTable.costs[sku], costSource: 'table' };
+  if (unitValues.has(sku)) return { custoUnitario: unitValues.get(sku), costSource: 'vrlunit' };
+  return { custoUnitario: 0, costSource: 'none' };
+};
+
+// Items with the value fields; `estoqueAtual` comes from applyStockLevels when stock is loaded
+export const applyStockValues = (items, { costTable = null, unitValues = new Map() } = {}) => items.map(item => {
+  const { custoUnitario, costSource } = resolveUnitCost(item.sku, costTable, unitValues);
+  const valorRecomendado = getTargetStock(item) * custoUnitario;
+  const hasStock = item.estoqueAtual !== null && item.estoqueAtual !== undefined;
+  const valorAtual = hasStock ? Math.max(0, item.estoqueAtual) * custoUnitario : null;
+  return {
+    ...item,
+    custoUnitario,
+    costSource,
+    valorRecomendado,
+    valorAtual,
+    variacaoValor: hasStock ? valorRecomendado - valorAtual : null
+  };
+});
+
+const emptyTotals = (name) => ({
+  name,
+  skus: 0,
+  recommended: 0,
+  withStock: 0,
+  recommendedWithStock: 0,
+  current: 0,
+  change: 0
+});
+
+const addItem = (totals, item) => {
+  totals.skus++;
+  totals.recommended += item.valorRecomendado;
+  if (item.valorAtual !== null) {
+    totals.withStock++;
+    totals.recommendedWithStock += item.valorRecomendado;
+    totals.current += item.valorAtual;
+    totals.change += item.variacaoValor;
+  }
+};
+
+// Working capital of items with applyStockValues fields: { total, byClass, byAcabamento }.
+// `current` and `change` only cover the SKUs with stock information (`withStock`), so the
+// change compares the same SKUs.
+export const summarizeStockValue = (items) => {
+  const total = { ...emptyTotals('Total'), withoutCost: 0 };
+  const byClass = new Map();
+  const byAcabamento = new Map();
+
+  items.forEach(item => {
+    addItem(total, item);
+    if (item.costSource === 'none') total.withoutCost++;
+
+    if (!byClass.has(item.curva)) byClass.set(item.curva, emptyTotals(item.curva));
+    addItem(byClass.get(item.curva), item);
+
+    const acabamento = item.acabamento || 'Sem acabamento';
+    if (!byAcabamento.has(acabamento)) byAcabamento.set(acabamento, emptyTotals(acabamento));
+    addItem(byAcabamento.get(acabamento), item);
+  });
+
+  return {
+    total,
+    byClass: Array.from(byClass.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    byAcabamento: Array.from(byAcabamento.values()).sort((a, b) => b.recommended - a.recommended)
+  };
+};
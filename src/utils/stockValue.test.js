@@ -0,0 +1,54 @@
+import { applyStockValues, getUnitValues, parseCostCSV, summarizeStockValue } from './stockValue';
+
+describe('getUnitValues', () => {
+  it('weights VRLUNIT by quantity', () => {
+    const rows = [
+      { DESCRICAO: 'Bloco', QUANTIDADE: '100', VRLUNIT: '2' },
+      { DESCRICAO: 'Bloco', QUANTIDADE: '50', VRLUNIT: '3' },
+      { DESCRICAO: 'Piso', QUANTIDADE: '0', VRLUNIT: '5' }
+    ];
+    const unitValues = getUnitValues(rows);
+    expect(unitValues.get('Bloco')).toBeCloseTo(350 / 150);
+    expect(unitValues.has('Piso')).toBe(false);
+  });
+});
+
+describe('parseCostCSV', () => {
+  it('reads SKU and cost columns with Brazilian numbers', () => {
+    const { costs, skipped, error } = parseCostCSV('\uFEFFSKU;CUSTO\nBloco;R$ 2,50\nPiso;1.234,00\n;3\nTelha;abc');
+    expect(error).toBeNull();
+    expect(costs).toEqual({ Bloco: 2.5, Piso: 1234 });
+    expect(skipped).toBe(2);
+  });
+
+  it('rejects a header without a cost column', () => {
+    expect(parseCostCSV('SKU;QUANTIDADE\nBloco;2').error).toMatch(/CUSTO/);
+  });
+});
+
+describe('applyStockValues and summarizeStockValue', () => {
+  const items = [
+    { sku: 'Bloco', curva: 'A', acabamento: 'Natural', recomendacaoEstoque: 100, pontoPedido: 120, estoqueAtual: 50 },
+    { sku: 'Piso', curva: 'B', acabamento: 'Natural', recomendacaoEstoque: 30, pontoPedido: 10, estoqueAtual: null },
+    { sku: 'Telha', curva: 'B', acabamento: null, recomendacaoEstoque: 10, pontoPedido: 5, estoqueAtual: 20 }
+  ];
+  const valued = applyStockValues(items, {
+    costTable: { costs: { Bloco: 3 } },
+    unitValues: new Map([['Bloco', 2], ['Piso', 5]])
+  });
+
+  it('prefers the cost table and values the target and the current stock', () => {
+    expect(valued[0]).toMatchObject({ custoUnitario: 3, costSource: 'table', valorRecomendado: 360, valorAtual: 150, variacaoValor: 210 });
+    expect(valued[1]).toMatchObject({ custoUnitario: 5, costSource: 'vrlunit', valorRecomendado: 150, valorAtual: null, variacaoValor: null });
+    expect(valued[2]).toMatchObject({ custoUnitario: 0, costSource: 'none', valorRecomendado: 0 });
+  });
+
+  it('compares the current value only with SKUs that have stock', () => {
+    const { total, byClass, byAcabamento } = summarizeStockValue(valued);
+    expect(total).toMatchObject({ skus: 3, recommended: 510, withStock: 2, recommendedWithStock: 360, current: 150, change: 210, withoutCost: 1 });
+    expect(byClass.map(group => group.name)).toEqual(['A', 'B']);
+    expect(byClass[1]).toMatchObject({ skus: 2, recommended: 150, withStock: 1, current: 0 });
+    expect(byAcabamento[0]).toMatchObject({ name: 'Natural', recommended: 510 });
+    expect(byAcabamento[1].name).toBe('Sem acabamento');
+  });
+});
@@ -0,0 +1,30 @@
+import { crc32, createXlsx } from './xlsxExport';
+
+const readUint32 = (bytes, offset) => new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+
+describe('crc32', () => {
+  it('matches the reference checksum', () => {
+    const bytes = Uint8Array.from('123456789', char => char.charCodeAt(0));
+    expect(crc32(bytes)).toBe(0xcbf43926);
+  });
+});
+
+describe('createXlsx', () => {
+  it('packs the workbook parts in a ZIP archive', () => {
+    const xlsx = createXlsx(['SKU', 'Qtd'], [['Bloco & cia', 10], ['Piso', 2.5]], 'Produção');
+    const text = String.fromCharCode(...xlsx);
+
+    expect(readUint32(xlsx, 0)).toBe(0x04034b50);
+    expect(readUint32(xlsx, xlsx.length - 22)).toBe(0x06054b50);
+    expect(text).toContain('xl/worksheets/sheet1.xml');
+    expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Bloco &amp; cia</t></is></c>');
+    expect(text).toContain('<c r="B3"><v>2.5</v></c>');
+  });
+
+  it('drops the control characters XML does not allow', () => {
+    const xlsx = createXlsx(['SKU'], [['Bloco\u0001\u001F\tliso']]);
+    const text = String.fromCharCode(...xlsx);
+
+    expect(text).toContain('<t xml:space="preserve">Bloco\tliso</t>');
+  });
+});
@@ -0,0 +1,90 @@
+// XYZ classification by demand variability (coefficient of variation of the monthly quantities)
+//   X -> stable demand, Y -> variable demand, Z -> erratic demand
+// Combined with the ABC curve it gives the ABC×XYZ matrix used by planning
+// (e.g. AX items are made to stock, CZ items are made to order).
+
+const STORAGE_KEY = 'concrem-abc:xyz-thresholds';
+
+export const XYZ_CLASSES = ['X', 'Y', 'Z'];
+
+// Upper CV bound of X and Y; anything above `y` is Z
+export const DEFAULT_XYZ_THRESHOLDS = { x: 0.5, y: 1.0 };
+
+export const XYZ_CLASS_INFO = {
+  X: { color: '#0EA5E9', label: 'Estável' },
+  Y: { color: '#8B5CF6', label: 'Variável' },
+  Z: { color: '#F43F5E', label: 'Errática' }
+};
+
+// Population standard deviation over mean; 0 when there is no demand at all
+export const calculateCoefficientOfVariation = (values) => {
+  if (!values.length) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (mean <= 0) return 0;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return Math.sqrt(variance) / mean;
+};
+
+export const classifyXYZ = (coefficientOfVariation, thresholds = DEFAULT_XYZ_THRESHOLDS) => {
+  if (coefficientOfVariation <= thresholds.x) return 'X';
+  if (coefficientOfVariation <= thresholds.y) return 'Y';
+  return 'Z';
+};
+
+// Returns an error message, or null when the thresholds are usable
+export const validateXYZThresholds = (thresholds) => {
+  if (!Number.isFinite(thresholds.x) || !Number.isFinite(thresholds.y)) return 'Informe os dois limites de CV';
+  if (thresholds.x <= 0) return 'O limite de X deve ser maior que zero';
+  if (thresholds.y <= thresholds.x) return 'O limite de Y deve ser maior que o de X';
+  return null;
+};
+
+// Counts, value and value share per ABC×XYZ cell.
+// `items` need the ABC class, the XYZ class and a value; accessors default to the
+// InventoryForecast SKU shape ({ curva, xyz, valorTotal }).
+export const buildABCXYZMatrix = (items, abcClasses, {
+  getABC = item => item.curva,
+  getXYZ = item => item.xyz,
+  getValue = item => item.valorTotal || 0
+} = {}) => {
+  const totalValue = items.reduce((sum, item) => sum + getValue(item), 0);
+
+  const cells = Object.fromEntries(abcClasses.map(abc => [
+    abc,
+    Object.fromEntries(XYZ_CLASSES.map(xyz => [xyz, { count: 0, value: 0, share: 0, items: [] }]))
+  ]));
+
+  items.forEach(item => {
+    const cell = cells[getABC(item)]?.[getXYZ(item)];
+    if (!cell) return;
+    cell.count += 1;
+    cell.value += getValue(item);
+    cell.items.push(item);
+  });
+
+  abcClasses.forEach(abc => XYZ_CLASSES.forEach(xyz => {
+    const cell = cells[abc][xyz];
+    cell.share = totalValue > 0 ? (cell.value / totalValue) * 100 : 0;
+    cell.items.sort((a, b) => getValue(b) - getValue(a));
+  }));
+
+  return { cells, totalValue };
+};
+
+export const loadXYZThresholds = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (stored && !validateXYZThresholds(stored)) return stored;
+  } catch (error) {
+    console.warn('⚠️ Could not read XYZ thresholds:', error);
+  }
+  return DEFAULT_XYZ_THRESHOLDS;
+};
+
+export const saveXYZThresholds = (thresholds) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds));
+  } catch (error) {
+    console.warn('⚠️ Could not save XYZ thresholds:', error);
+  }
+};
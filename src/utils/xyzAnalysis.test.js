@@ -0,0 +1,53 @@
+import { calculateCoefficientOfVariation, classifyXYZ, validateXYZThresholds, buildABCXYZMatrix } from './xyzAnalysis';
+
+describe('calculateCoefficientOfVariation', () => {
+  it('is 0 for constant or empty demand', () => {
+    expect(calculateCoefficientOfVariation([5, 5, 5, 5])).toBe(0);
+    expect(calculateCoefficientOfVariation([0, 0, 0])).toBe(0);
+    expect(calculateCoefficientOfVariation([])).toBe(0);
+  });
+
+  it('uses the population standard deviation', () => {
+    expect(calculateCoefficientOfVariation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(0.4);
+  });
+});
+
+describe('classifyXYZ', () => {
+  it('applies the default 0.5 / 1.0 thresholds inclusively', () => {
+    expect(classifyXYZ(0.5)).toBe('X');
+    expect(classifyXYZ(0.75)).toBe('Y');
+    expect(classifyXYZ(1.0)).toBe('Y');
+    expect(classifyXYZ(1.3)).toBe('Z');
+  });
+
+  it('accepts custom thresholds', () => {
+    expect(classifyXYZ(0.75, { x: 0.8, y: 1.5 })).toBe('X');
+  });
+});
+
+describe('validateXYZThresholds', () => {
+  it('requires 0 < x < y', () => {
+    expect(validateXYZThresholds({ x: 0.5, y: 1 })).toBeNull();
+    expect(validateXYZThresholds({ x: 1, y: 0.5 })).not.toBeNull();
+    expect(validateXYZThresholds({ x: NaN, y: 1 })).not.toBeNull();
+  });
+});
+
+describe('buildABCXYZMatrix', () => {
+  it('counts items and value share per cell', () => {
+    const items = [
+      { sku: 'a', curva: 'A', xyz: 'X', valorTotal: 600 },
+      { sku: 'b', curva: 'A', xyz: 'X', valorTotal: 200 },
+      { sku: 'c', curva: 'B', xyz: 'Z', valorTotal: 150 },
+      { sku: 'd', curva: 'C', xyz: 'Y', valorTotal: 50 }
+    ];
+    const { cells, totalValue } = buildABCXYZMatrix(items, ['A', 'B', 'C']);
+
+    expect(totalValue).toBe(1000);
+    expect(cells.A.X.count).toBe(2);
+    expect(cells.A.X.share).toBeCloseTo(80);
+    expect(cells.A.X.items.map(item => item.sku)).toEqual(['a', 'b']);
+    expect(cells.B.Z.share).toBeCloseTo(15);
+    expect(cells.C.X.count).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+-- Server-side ABC aggregation
+-- Groups Concrem_Value by one of the ABC dimensions and returns one row per group,
+-- so the client only has to compute percentages and classes.
+--
+-- Usage (PostgREST / supabase-js):
+--   supabase.rpc('abc_aggregate', { group_column: 'NOME' })
+--   supabase.rpc('abc_aggregate', { group_column: 'ACABAMENTO', skip_null: true })
+
+-- Parses numbers stored as text in Brazilian format ("1.234,5", "-12,5" or "1.5"),
+-- mirroring parseBrazilianNumber in src/utils/abcAnalysis.js: with a comma the dots are
+-- thousands separators, a leading minus sign is kept, and only the leading numeric part
+-- is cast (like parseFloat), so malformed text gives 0 instead of aborting the query.
+create or replace function public.concrem_parse_number(value text)
+returns numeric
+language sql
+immutable
+as $$
+  with cleaned as (
+    select
+      btrim(coalesce(value, '')) like '-%' as negative,
+      regexp_replace(coalesce(value, ''), '[^0-9.,]', '', 'g') as digits
+  ), normalized as (
+    select
+      negative,
+      substring(
+        case
+          when position(',' in digits) > 0 then regexp_replace(replace(digits, '.', ''), ',', '.')
+          else digits
+        end
+        from '^[0-9]*\.?[0-9]*'
+      ) as number
+    from cleaned
+  )
+  select case
+    when number ~ '[0-9]' then case when negative then -number::numeric else number::numeric end
+    else 0
+  end
+  from normalized;
+$$;
+
+-- LINE_AMOUNT as numeric, or null when it is not a number so the caller falls back to
+-- QUANTIDADE * VRLUNIT; mirrors the Number() check of calculateLineAmount (blank is 0)
+create or replace function public.concrem_try_numeric(value text)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when value is null then null
+    when btrim(value) = '' then 0
+    when btrim(value) ~ '^[-+]?([0-9]+\.?[0-9]*|\.[0-9]+)([eE][-+]?[0-9]+)?$' then btrim(value)::numeric
+    else null
+  end;
+$$;
+
+create or replace function public.abc_aggregate(group_column text, skip_null boolean default false)
+returns table (
+  name text,
+  total_value numeric,
+  total_quantity numeric,
+  row_count bigint
+)
+language plpgsql
+stable
+as $$
+begin
+  -- Only the ABC dimensions are accepted; the column name is interpolated below
+  if group_column not in ('NOME', 'DESCRICAO', 'CIDADE', 'ACABAMENTO') then
+    raise exception 'abc_aggregate: unsupported group column %', group_column
+      using errcode = '22023';
+  end if;
+
+  return query execute format(
+    $sql$
+      select
+        coalesce(nullif(%1$I::text, ''), 'Sem Classificação') as name,
+        sum(
+          coalesce(
+            public.concrem_try_numeric("LINE_AMOUNT"::text),
+            public.concrem_parse_number("QUANTIDADE"::text) * public.concrem_parse_number("VRLUNIT"::text)
+          )
+        ) as total_value,
+        sum(public.concrem_parse_number("QUANTIDADE"::text)) as total_quantity,
+        count(*) as row_count
+      from public."Concrem_Value"
+      where not $1 or %1$I is not null
+      group by 1
+      order by total_value desc
+    $sql$,
+    group_column
+  ) using skip_null;
+end;
+$$;
+
+grant execute on function public.concrem_parse_number(text) to anon, authenticated;
+grant execute on function public.concrem_try_numeric(text) to anon, authenticated;
+grant execute on function public.abc_aggregate(text, boolean) to anon, authenticated;
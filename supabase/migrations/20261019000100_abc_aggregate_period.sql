@@ -0,0 +1,55 @@
+-- Period filter for the server-side ABC aggregation
+-- Adds optional inclusive DTEMISSAO bounds so the curves follow the global period selector.
+--
+-- Usage (PostgREST / supabase-js):
+--   supabase.rpc('abc_aggregate', { group_column: 'NOME', date_from: '2025-01-01', date_to: '2025-03-31' })
+
+drop function if exists public.abc_aggregate(text, boolean);
+
+create or replace function public.abc_aggregate(
+  group_column text,
+  skip_null boolean default false,
+  date_from date default null,
+  date_to date default null
+)
+returns table (
+  name text,
+  total_value numeric,
+  total_quantity numeric,
+  row_count bigint
+)
+language plpgsql
+stable
+as $$
+begin
+  -- Only the ABC dimensions are accepted; the column name is interpolated below
+  if group_column not in ('NOME', 'DESCRICAO', 'CIDADE', 'ACABAMENTO') then
+    raise exception 'abc_aggregate: unsupported group column %', group_column
+      using errcode = '22023';
+  end if;
+
+  return query execute format(
+    $sql$
+      select
+        coalesce(nullif(%1$I::text, ''), 'Sem Classificação') as name,
+        sum(
+          coalesce(
+            public.concrem_try_numeric("LINE_AMOUNT"::text),
+            public.concrem_parse_number("QUANTIDADE"::text) * public.concrem_parse_number("VRLUNIT"::text)
+          )
+        ) as total_value,
+        sum(public.concrem_parse_number("QUANTIDADE"::text)) as total_quantity,
+        count(*) as row_count
+      from public."Concrem_Value"
+      where (not $1 or %1$I is not null)
+        and ($2 is null or "DTEMISSAO"::date >= $2)
+        and ($3 is null or "DTEMISSAO"::date <= $3)
+      group by 1
+      order by total_value desc
+    $sql$,
+    group_column
+  ) using skip_null, date_from, date_to;
+end;
+$$;
+
+grant execute on function public.abc_aggregate(text, boolean, date, date) to anon, authenticated;
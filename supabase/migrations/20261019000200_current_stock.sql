@@ -0,0 +1,20 @@
+-- Current stock per SKU for the production suggestions of the inventory forecast
+-- One row per DESCRICAO (the SKU used by Concrem_Value), loaded by the ERP export or by hand.
+--
+-- Usage (PostgREST / supabase-js):
+--   supabase.from('Concrem_Estoque').select('DESCRICAO, QUANTIDADE, updated_at')
+
+create table if not exists public."Concrem_Estoque" (
+  "DESCRICAO" text primary key,
+  "QUANTIDADE" numeric not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+alter table public."Concrem_Estoque" enable row level security;
+
+-- The app only reads the stock; writes stay with the service role
+drop policy if exists "Concrem_Estoque read" on public."Concrem_Estoque";
+create policy "Concrem_Estoque read" on public."Concrem_Estoque"
+  for select
+  to anon, authenticated
+  using (true);
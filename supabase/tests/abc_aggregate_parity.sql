@@ -0,0 +1,72 @@
+-- Parity check of abc_aggregate against calculateABCAnalysis
+-- Loads abc_aggregate_parity.json (also used by src/utils/abcAnalysis.test.js) into a
+-- text-typed Concrem_Value and compares the RPC with the expected groups. Everything runs
+-- in a transaction that is rolled back; use a local or development database, the real
+-- table is locked while the script runs.
+--
+-- Usage (from the repository root, after applying the migrations):
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f supabase/tests/abc_aggregate_parity.sql
+
+\set fixture `cat supabase/tests/abc_aggregate_parity.json`
+
+begin;
+
+create temp table parity_fixture on commit drop as select :'fixture'::jsonb as data;
+
+-- Number parsing, same cases as parseBrazilianNumber
+do $$
+declare
+  test_case jsonb;
+  parsed numeric;
+begin
+  for test_case in select jsonb_array_elements(data->'numbers') from parity_fixture loop
+    parsed := public.concrem_parse_number(test_case->>0);
+    if parsed <> (test_case->>1)::numeric then
+      raise exception 'concrem_parse_number(%) = %, expected %', test_case->0, parsed, test_case->1;
+    end if;
+  end loop;
+end;
+$$;
+
+-- Every column as text, so malformed LINE_AMOUNT values reach the casts
+alter table public."Concrem_Value" rename to "Concrem_Value_parity_backup";
+
+create table public."Concrem_Value" (
+  "NOME" text,
+  "DESCRICAO" text,
+  "CIDADE" text,
+  "ACABAMENTO" text,
+  "QUANTIDADE" text,
+  "VRLUNIT" text,
+  "LINE_AMOUNT" text,
+  "DTEMISSAO" text
+);
+
+insert into public."Concrem_Value"
+select * from jsonb_populate_recordset(null::public."Concrem_Value", (select data->'rows' from parity_fixture));
+
+do $$
+declare
+  mismatches integer;
+begin
+  with actual as (
+    select * from public.abc_aggregate('NOME')
+  ), expected as (
+    select * from jsonb_to_recordset((select data->'expected' from parity_fixture))
+      as e(name text, total_value numeric, total_quantity numeric, row_count bigint)
+  )
+  select count(*) into mismatches
+  from actual
+  full join expected using (name)
+  where actual.total_value is distinct from expected.total_value
+     or actual.total_quantity is distinct from expected.total_quantity
+     or actual.row_count is distinct from expected.row_count;
+
+  if mismatches > 0 then
+    raise exception 'abc_aggregate differs from the fixture in % group(s)', mismatches;
+  end if;
+  raise notice 'abc_aggregate parity ok';
+end;
+$$;
+
+rollback;